@@ -375,6 +375,13 @@ const config = [
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]', argsIgnorePattern: '^_' }], // Allow unused vars in tests
     },
   },
+  // Engine unit tests import the Vitest API explicitly; the resolver can't follow its re-exports
+  {
+    files: ['tests/vitest/engine/**/*.test.js'],
+    rules: {
+      'import/named': 'off',
+    },
+  },
   // Config files configuration
   {
     files: ['config/vite.config.js', 'config/playwright.config.js', 'config/*.config.js'],
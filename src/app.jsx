@@ -2,8 +2,83 @@ import PropTypes from 'prop-types';
 import React, { useEffect, useMemo, useState, useRef, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 
-// Pinball Accuracy Memory Trainer — single-file React app
+import { beliefBands } from './engine/belief.js';
+import {
+  COMBO_MAX,
+  COMBO_MIN,
+  answerComboStep,
+  cancelCombo,
+  generateCombo,
+  resolveCombo,
+  startCombo,
+} from './engine/combo.js';
+import {
+  DEFAULT_DRIFT_MODEL,
+  DRIFT_MODELS,
+  VOLATILITY_LEVELS,
+  driftAdaptation,
+} from './engine/drift.js';
+import { eventsOf, replayFrames } from './engine/events.js';
+import { FLIPPER_FILTERS, poolSides, promptPool } from './engine/filters.js';
+import { GRADE_WEIGHTS } from './engine/grading.js';
+import { createHistory, recordChange, redo, restorePractice, undo } from './engine/history.js';
+import {
+  DEFAULT_RESOLUTION,
+  MAX_BAND,
+  RESOLUTIONS,
+  aimPairs,
+  clamp,
+  computeAllowedRange,
+  gapRule,
+  gridValues,
+  parseResolution,
+  resolutionOf,
+  snapTo,
+} from './engine/ordering.js';
+import { levelInfo } from './engine/progression.js';
+import {
+  answerRecallQuiz,
+  quizDone,
+  quizPrompt,
+  startRecallQuiz,
+  stopRecallQuiz,
+} from './engine/quiz.js';
+import { FIXED_SEED, parseSeed, randomSeed } from './engine/random.js';
+import { cancelRankingDrill, startRankingDrill, submitRanking } from './engine/ranking.js';
+import { cancelReverseDrill, startReverseDrill, submitReverse } from './engine/reverse.js';
+import { DEFAULT_PROFILE, SCORING_PROFILES } from './engine/scoring.js';
+import {
+  SPRINT_LENGTHS,
+  advancePrompt,
+  createSession,
+  drillInProgress,
+  endSprintIfDue,
+  enterFinalRecall,
+  grade,
+  promptDeadline,
+  randomizePrompt,
+  rescoreSession,
+  resumePractice,
+  selectPrompt,
+  sessionStats,
+  setFinalRecallValue,
+  shotBreakdown,
+  sprintDeadline,
+  sprintRemaining,
+  startPromptTimer,
+  stopPromptTimer,
+  submitAttempt,
+  submitTimeout,
+  triggerDrift,
+  updateOptions,
+  validatePercent,
+  withSessionRandom,
+} from './engine/session.js';
+import { BALL_STATES, ballPhrase, ballStatesOf } from './engine/variants.js';
+
+// Pinball Accuracy Memory Trainer — React UI
 // Local, no backend. All data in memory + localStorage.
+// Session rules (scoring, drift, grading) live in the headless engine under ./engine.
 // Styling: Tailwind utility classes. No external UI libs.
 
 // ---------- constants ----------
@@ -59,6 +134,7 @@ const DISABLED_CLASS = 'opacity-50 cursor-not-allowed';
 /* eslint-disable sonarjs/no-duplicate-string */
 const ICON_BTN_DARK = 'bg-slate-700 border-slate-600 text-slate-300 hover:text-slate-100';
 const ICON_BTN_LIGHT = 'bg-white border-slate-300 text-slate-600 hover:text-slate-900';
+const CHIP_BTN_DARK = 'bg-slate-700/90 hover:bg-slate-600 text-slate-200 border-slate-600';
 const DARK_MODE_SWITCH_LIGHT = 'Switch to light mode';
 const DARK_MODE_SWITCH_DARK = 'Switch to dark mode';
 /* eslint-enable sonarjs/no-duplicate-string */
@@ -75,13 +151,16 @@ const GetCheckboxClass = (darkMode) =>
 const GetMetricBoxClass = (darkMode) =>
   darkMode ? 'bg-slate-800/95 border-slate-700' : 'bg-white/95 border-slate-300';
 const GetHoverClass = (darkMode) => (darkMode ? COLORS.dark.bg.hover : COLORS.light.bg.hover);
+// Header row of the results tables
+const GetTableHeadClass = (darkMode) =>
+  darkMode ? 'bg-slate-700 text-slate-300' : 'bg-slate-50 text-slate-600';
+// Bordered secondary control (round practice buttons, replay navigation)
+const GetControlClass = (darkMode) =>
+  darkMode
+    ? 'border-slate-600 bg-slate-700 hover:bg-slate-600 text-slate-300'
+    : 'border-slate-300 bg-white hover:bg-slate-100 text-slate-700';
 
 // ---------- helpers ----------
-const clamp = (v, lo = 0, hi = 100) => Math.max(lo, Math.min(hi, v));
-function snap5(v) {
-  return Math.min(100, Math.max(0, Math.round(v / 5) * 5));
-}
-
 // Calculate smart dropdown position - opens upward if not enough space below
 // Returns {x, y, openUp} where y is the anchor point (trigger bottom when opening down, trigger top when opening up)
 function calcDropdownAnchor(triggerRect, dropdownHeight = 300) {
@@ -97,30 +176,19 @@ function calcDropdownAnchor(triggerRect, dropdownHeight = 300) {
   return { x, y, openUp };
 }
 
-// Seeded random number generator (Mulberry32)
-const FIXED_SEED = 42; // Fixed seed value for reproducible randomness
-let rngState = null;
-function setSeed(enabled) {
-  rngState = enabled ? FIXED_SEED >>> 0 : null; // Convert to 32-bit unsigned integer if enabled
-}
-function seededRandom() {
-  if (rngState === null) {
-    return Math.random();
-  }
-  let t = (rngState += 0x6d2b79f5);
-  t = Math.imul(t ^ (t >>> 15), t | 1);
-  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-  rngState = t;
-  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-}
-
-const rndInt = (a, b) => Math.floor(seededRandom() * (b - a + 1)) + a; // inclusive
 // Format percentage values with at least two digits (00, 05, 10, ...) retaining % where appropriate.
+// Half percents (2.5% resolution) keep their decimal: 02.5, 37.5.
 const format2 = (n) => {
-  const v = Math.round(Number.isFinite(n) ? n : 0);
-  return String(v).padStart(2, '0');
+  const x = Number.isFinite(n) ? n : 0;
+  const v = Number.isInteger(x * 2) ? x : Math.round(x);
+  const [whole, half] = String(Math.abs(v)).split('.');
+  return `${v < 0 ? '-' : ''}${whole.padStart(2, '0')}${half ? `.${half}` : ''}`;
 };
 const formatPct = (n) => `${format2(n)}%`;
+// Toast shown when a sprint session runs out
+const SPRINT_OVER = 'Sprint over: recall every shot';
+// Answer time of an attempt in seconds ('—' when the clock wasn't running)
+const formatLatency = (ms) => (Number.isFinite(ms) ? `${(ms / 1000).toFixed(1)}s` : '—');
 // Helper to format initL/initR values (0 -> 'NP', null/undefined -> '—', otherwise format)
 const formatInitValue = (val) => {
   if (val === 0) {
@@ -456,191 +524,131 @@ const newRow = (over = {}, indexHint = 0) => {
   };
 };
 
-function rowDisplay(r) {
-  return r ? r.type || buildType(r.base, r.location) : '';
-}
-function rowDisplayWithSide(r, side) {
-  return r ? `${side === 'L' ? 'Left Flipper' : 'Right Flipper'} → ${rowDisplay(r)}` : '';
-}
-
-// Compute inclusive min/max positive (>=5) range for slider given ordering constraints (0 neutral/not part of ordering)
-// Left flipper: strictly INCREASING top->bottom (low -> high)
-// Right flipper: strictly DECREASING top->bottom (high -> low)
-function computeAllowedRange(rows, side, index) {
-  const vals = side === 'L' ? rows.map((r) => r.initL) : rows.map((r) => r.initR);
-  const earlierPos = vals.slice(0, index).filter((v) => v !== null && v !== undefined && v > 0);
-  const laterPos = vals.slice(index + 1).filter((v) => v !== null && v !== undefined && v > 0);
-  if (side === 'L') {
-    let minAllowed = earlierPos.length > 0 ? Math.max(...earlierPos) + 5 : 5; // greater than largest earlier
-    let maxAllowed = laterPos.length > 0 ? Math.min(...laterPos) - 5 : 100; // less than smallest later
-    minAllowed = Math.max(5, minAllowed);
-    maxAllowed = Math.min(100, maxAllowed);
-    if (minAllowed > maxAllowed) {
-      return null;
+// Presets write flipper values as numbers, or "NP" for Not Possible; loading snaps them to the resolution
+const parsePresetValue = (v, resolution) =>
+  v === 'NP' || v === 'np' ? 0 : snapTo(Number(v) || 0, resolution);
+const presetValue = (v) => (v === 0 ? 'NP' : v);
+
+// Evenly spaced ascending values for n shots on the resolution grid (neighbours a step apart at least)
+function evenlySpaced(n, resolution) {
+  const asc = Array.from({ length: n }, (_, i) => snapTo(((i + 1) / (n + 1)) * 100, resolution));
+  for (let i = 1; i < asc.length; i++) {
+    if (asc[i] <= asc[i - 1]) {
+      asc[i] = Math.min(100, asc[i - 1] + resolution);
     }
-    return [minAllowed, maxAllowed];
-  } else {
-    // Right: descending
-    // For descending: value[i] < all earlier positives AND value[i] > all later positives.
-    let maxAllowed = earlierPos.length > 0 ? Math.min(...earlierPos) - 5 : 100; // smaller than smallest earlier
-    let minAllowed = laterPos.length > 0 ? Math.max(...laterPos) + 5 : 5; // greater than largest later
-    maxAllowed = Math.min(100, maxAllowed);
-    minAllowed = Math.max(5, minAllowed);
-    if (minAllowed > maxAllowed) {
-      return null;
+  }
+  for (let i = asc.length - 2; i >= 0; i--) {
+    if (asc[i] >= asc[i + 1]) {
+      asc[i] = Math.max(resolution, asc[i + 1] - resolution);
     }
-    return [minAllowed, maxAllowed];
   }
+  return asc;
 }
 
-// Bounded isotonic regression preserving initial ordering defined by orderAsc.
-// Each point i constrained within base[i] ± 20 and 0..100; values snapped to 5.
-// Special handling: 0 ("Not Possible") values are never modified and don't participate in ordering.
-function isotonicWithBounds(current, base, orderAsc) {
-  if (current.length === 0) {
-    return current;
-  }
-  const lower = base.map((v) => Math.max(0, v - 20));
-  const upper = base.map((v) => Math.min(100, v + 20));
-  const inOrderIdx = orderAsc;
-  const values = inOrderIdx.map((i) => current[i]);
-  const lowers = inOrderIdx.map((i) => lower[i]);
-  const uppers = inOrderIdx.map((i) => upper[i]);
-  const blocks = [];
-  for (const [i, sum] of values.entries()) {
-    // Skip "Not Possible" (0) values - they never change
-    if (sum === 0 || base[inOrderIdx[i]] === 0) {
-      blocks.push({ sum: 0, count: 1, lb: 0, ub: 0, value: 0, isNotPossible: true });
-      continue;
-    }
-    const count = 1;
-    const lb = lowers[i];
-    const ub = uppers[i];
-    let mean = sum / count;
-    if (mean < lb) {
-      mean = lb;
-    } else if (mean > ub) {
-      mean = ub;
-    }
-    const val = snap5(mean);
-    blocks.push({ sum, count, lb, ub, value: val, isNotPossible: false });
-    while (
-      blocks.length >= 2 &&
-      !blocks.at(-2).isNotPossible &&
-      !blocks.at(-1).isNotPossible &&
-      blocks.at(-2).value > blocks.at(-1).value
-    ) {
-      const b = blocks.pop();
-      const a = blocks.pop();
-      const merged = {
-        sum: a.sum + b.sum,
-        count: a.count + b.count,
-        lb: Math.max(a.lb, b.lb),
-        ub: Math.min(a.ub, b.ub),
-        value: 0,
-        isNotPossible: false,
-      };
-      let m = merged.sum / merged.count;
-      if (m < merged.lb) {
-        m = merged.lb;
-      } else if (m > merged.ub) {
-        m = merged.ub;
-      }
-      merged.value = snap5(m);
-      blocks.push(merged);
+// Ball-arrival variants of a preset shot ({live: {leftFlipper, rightFlipper}}) as row variants
+function variantsFromPreset(variants, resolution) {
+  const out = {};
+  for (const { id } of BALL_STATES) {
+    const v = variants?.[id];
+    const entry = {
+      ...(v?.leftFlipper !== undefined && { initL: parsePresetValue(v.leftFlipper, resolution) }),
+      ...(v?.rightFlipper !== undefined && {
+        initR: parsePresetValue(v.rightFlipper, resolution),
+      }),
+    };
+    if (Object.keys(entry).length > 0) {
+      out[id] = entry;
     }
   }
-  const adjusted = Array.from({ length: values.length });
-  let k = 0;
-  for (const bl of blocks) {
-    for (let j = 0; j < bl.count; j++) {
-      adjusted[k++] = bl.isNotPossible ? 0 : snap5(Math.min(bl.ub, Math.max(bl.lb, bl.value)));
+  return Object.keys(out).length > 0 ? out : undefined;
+}
+
+// Row variants with every value snapped to the resolution grid
+function snapVariants(variants, resolution) {
+  const out = {};
+  for (const [id, entry] of Object.entries(variants)) {
+    out[id] = {};
+    for (const [key, v] of Object.entries(entry)) {
+      out[id][key] = Number.isFinite(v) ? snapTo(v, resolution) : v;
     }
   }
-  const next = [...current];
-  for (const [i, element] of inOrderIdx.entries()) {
-    next[element] = adjusted[i];
-  }
-  return next;
+  return out;
 }
 
-// Ensure strict increasing / decreasing ordering (depending on provided index order) within ±20 bounds and snapping to 5.
-// Special handling: 0 ("Not Possible") values are never modified and don't participate in ordering constraints.
-// eslint-disable-next-line sonarjs/cognitive-complexity
-function strictlyIncrease(values, base, orderAsc) {
-  if (values.length === 0) {
-    return values;
-  }
-  const idxs = orderAsc;
-  const arr = idxs.map((i) => values[i]);
-  const bases = idxs.map((i) => base[i]);
-  for (let i = 1; i < arr.length; i++) {
-    // Skip if current or previous value is "Not Possible" (0)
-    if (arr[i] === 0 || bases[i] === 0 || arr[i - 1] === 0 || bases[i - 1] === 0) {
-      continue;
-    }
-    if (arr[i] <= arr[i - 1]) {
-      const b = bases[i];
-      const hi = Math.min(100, b + 20);
-      let candidate = snap5(arr[i - 1] + 5);
-      if (candidate > hi) {
-        let j = i - 1;
-        while (j >= 0 && candidate > hi) {
-          const bj = bases[j];
-          const loPrev = Math.max(0, bj - 20);
-          const lowered = snap5(arr[j] - 5);
-          if (lowered >= loPrev && (j === 0 || lowered > arr[j - 1])) {
-            arr[j] = lowered;
-          } else {
-            break;
-          }
-          candidate = snap5(arr[i - 1] + 5);
-          j--;
-        }
-        candidate = Math.min(hi, candidate);
-      }
-      if (candidate <= arr[i - 1]) {
-        candidate = arr[i - 1] + 5;
-      }
-      arr[i] = candidate;
+// Whether every value of a row (and its variants) already sits on the resolution grid
+function rowFitsGrid(row, resolution) {
+  const values = [
+    row.initL,
+    row.initR,
+    ...Object.values(row.variants ?? {}).flatMap((v) => [v.initL, v.initR]),
+  ];
+  return values.every((v) => !Number.isFinite(v) || snapTo(v, resolution) === v);
+}
+
+// Row variants in the preset format (undefined when the row has none)
+function variantsToPreset(variants) {
+  const out = {};
+  for (const { id } of BALL_STATES) {
+    const v = variants?.[id];
+    const entry = {
+      ...(Number.isFinite(v?.initL) && { leftFlipper: presetValue(v.initL) }),
+      ...(Number.isFinite(v?.initR) && { rightFlipper: presetValue(v.initR) }),
+    };
+    if (Object.keys(entry).length > 0) {
+      out[id] = entry;
     }
   }
-  const out = [...values];
-  for (const [k, idx] of idxs.entries()) {
-    out[idx] = arr[k];
-  }
-  for (let k = 0; k < idxs.length; k++) {
-    const i = idxs[k];
-    const b = base[i];
-    // Never modify "Not Possible" (0) values
-    if (out[i] === 0 || b === 0) {
-      continue;
-    }
-    const lo = Math.max(0, b - 20),
-      hi = Math.min(100, b + 20);
-    out[i] = snap5(Math.min(hi, Math.max(lo, out[i])));
-    if (k > 0) {
-      const prevIdx = idxs[k - 1];
-      // Only enforce ordering if neither current nor previous is "Not Possible" (0)
-      if (out[prevIdx] !== 0 && base[prevIdx] !== 0 && out[i] <= out[prevIdx]) {
-        let nv = snap5(out[prevIdx] + 5);
-        if (nv > hi) {
-          nv = hi;
-        }
-        out[i] = nv;
-      }
-    }
+  return Object.keys(out).length > 0 ? out : undefined;
+}
+
+// Table combos in the preset format: steps by shot index (combos whose shots are gone are dropped)
+function combosToPreset(combos, rows) {
+  return combos
+    .map((c) => resolveCombo(rows, c.steps))
+    .filter(Boolean)
+    .map((steps) => ({ steps: steps.map(({ idx, side }) => ({ shot: idx, side })) }));
+}
+
+// Preset combos as table combos, steps by the id of the loaded rows (invalid combos are dropped)
+function combosFromPreset(combos, rows) {
+  const list = Array.isArray(combos) ? combos : [];
+  return list
+    .map((c) => c?.steps?.map(({ shot, side }) => ({ id: rows[shot]?.id, side })))
+    .filter(
+      (steps) =>
+        Array.isArray(steps) &&
+        steps.length >= COMBO_MIN &&
+        steps.length <= COMBO_MAX &&
+        steps.every((s) => s.id !== undefined && (s.side === 'L' || s.side === 'R'))
+    )
+    .map((steps, k) => ({ id: Date.now() + k, steps }));
+}
+
+function rowDisplay(r) {
+  return r ? r.type || buildType(r.base, r.location) : '';
+}
+function rowDisplayWithSide(r, side, ball = null) {
+  if (!r) {
+    return '';
   }
-  return out;
+  const from = ball ? ` ${ballPhrase(ball)}` : '';
+  return `${side === 'L' ? 'Left Flipper' : 'Right Flipper'} → ${rowDisplay(r)}${from}`;
 }
+// Prompt sentence, e.g. "Left Ramp from a live catch on the right flipper"
+const promptText = (r, side, ball = null) =>
+  [rowDisplay(r), ballPhrase(ball), `on the ${side === 'L' ? 'left' : 'right'} flipper`]
+    .filter(Boolean)
+    .join(' ');
 
+// initialValue may be a function (evaluated lazily, like useState) when computing it is not free
 function useLocalStorage(key, initialValue) {
   const [state, setState] = useState(() => {
+    const fallback = () => (typeof initialValue === 'function' ? initialValue() : initialValue);
     try {
       const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initialValue;
+      return raw ? JSON.parse(raw) : fallback();
     } catch {
-      return initialValue;
+      return fallback();
     }
   });
   useEffect(() => {
@@ -653,6 +661,67 @@ function useLocalStorage(key, initialValue) {
   return [state, setState];
 }
 
+// Placeholder session used for derived values while no session is running
+const IDLE_SESSION = createSession([]);
+
+// Sessions used to be persisted as one localStorage key per field; rebuild an in-progress one so
+// upgrading doesn't drop it. Returns null when there is nothing to migrate.
+function readStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+// Old per-field keys that only held session state; the settings keys they shared are still read
+const LEGACY_SESSION_KEYS = [
+  'pinball_initialized_v1',
+  'pinball_baseL_v1',
+  'pinball_baseR_v1',
+  'pinball_initialOrderL_v1',
+  'pinball_initialOrderR_v1',
+  'pinball_hiddenL_v1',
+  'pinball_hiddenR_v1',
+  'pinball_mentalL_v1',
+  'pinball_mentalR_v1',
+  'pinball_attempts_v1',
+  'pinball_attemptCount_v1',
+  'pinball_selSide_v1',
+  'pinball_finalPhase_v1',
+  'pinball_finalRecallL_v1',
+  'pinball_finalRecallR_v1',
+];
+function readLegacySession() {
+  if (!readStored('pinball_initialized_v1', false)) {
+    return null;
+  }
+  return {
+    options: {
+      initRandSteps: readStored('pinball_initRandSteps_v1', 2),
+      driftEvery: readStored('pinball_driftEvery_v1', 4),
+      driftMag: readStored('pinball_driftMag_v1', 2),
+      mode: readStored('pinball_mode_v1', 'random'),
+    },
+    baseL: readStored('pinball_baseL_v1', []),
+    baseR: readStored('pinball_baseR_v1', []),
+    orderAscL: readStored('pinball_initialOrderL_v1', []),
+    orderAscR: readStored('pinball_initialOrderR_v1', []),
+    hiddenL: readStored('pinball_hiddenL_v1', []),
+    hiddenR: readStored('pinball_hiddenR_v1', []),
+    mentalL: readStored('pinball_mentalL_v1', []),
+    mentalR: readStored('pinball_mentalR_v1', []),
+    attempts: readStored('pinball_attempts_v1', []),
+    attemptCount: readStored('pinball_attemptCount_v1', 0),
+    selectedIdx: readStored('pinball_sel_v1', 0),
+    selectedSide: readStored('pinball_selSide_v1', 'L'),
+    pendingNext: null,
+    finalPhase: readStored('pinball_finalPhase_v1', false),
+    finalRecallL: readStored('pinball_finalRecallL_v1', []),
+    finalRecallR: readStored('pinball_finalRecallR_v1', []),
+  };
+}
+
 // Reusable presentational components hoisted out of App to keep stable identity
 const Section = ({ title, children, right, darkMode = false }) => {
   const bgClass = darkMode ? COLORS.dark.bg.tertiary : COLORS.light.bg.tertiary;
@@ -677,7 +746,17 @@ Section.propTypes = {
 
 const NumberInput = React.forwardRef(
   (
-    { value, onChange, min = 0, max = 100, step = 1, className = '', onKeyDown, darkMode = false },
+    {
+      value,
+      onChange,
+      min = 0,
+      max = 100,
+      step = 1,
+      className = '',
+      onKeyDown,
+      darkMode = false,
+      ariaLabel,
+    },
     ref
   ) => {
     const inputClasses = darkMode
@@ -693,6 +772,7 @@ const NumberInput = React.forwardRef(
         value={value}
         onChange={(e) => onChange(e.target.value)}
         onKeyDown={onKeyDown}
+        aria-label={ariaLabel}
         className={`w-12 px-2 py-1 border rounded-xl text-sm focus:outline-none focus:ring ${inputClasses} ${className || ''}`}
       />
     );
@@ -708,6 +788,7 @@ NumberInput.propTypes = {
   step: PropTypes.number,
   className: PropTypes.string,
   onKeyDown: PropTypes.func,
+  ariaLabel: PropTypes.string,
   darkMode: PropTypes.bool,
 };
 
@@ -767,6 +848,57 @@ Chip.propTypes = {
   darkMode: PropTypes.bool,
 };
 
+// Ball-arrival variant values of one setup row (blank = no variant for that ball state, 0 = NP)
+const VariantEditor = ({ row, onChange, resolution = DEFAULT_RESOLUTION, darkMode = false }) => {
+  const setValue = (ballId, key, raw) => {
+    const entry = { ...row.variants?.[ballId] };
+    if (raw === '') {
+      delete entry[key];
+    } else {
+      entry[key] = Math.min(100, Math.max(0, Number(raw) || 0));
+    }
+    const next = { ...row.variants, [ballId]: entry };
+    if (Object.keys(entry).length === 0) {
+      delete next[ballId];
+    }
+    onChange(Object.keys(next).length > 0 ? next : undefined);
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs">
+      <span className={GetTextClass(darkMode, 'secondary')}>
+        {rowDisplay(row) || 'Shot'} by ball state (blank: same as the shot, 0: NP)
+      </span>
+      {BALL_STATES.map((b) => (
+        <span key={b.id} className="flex items-center gap-1">
+          <span className="font-medium">{b.label}</span>
+          {['initL', 'initR'].map((key) => (
+            <span key={key} className="flex items-center gap-0.5">
+              <span className={GetTextClass(darkMode, 'muted')}>{key === 'initL' ? 'L' : 'R'}</span>
+              <NumberInput
+                value={row.variants?.[b.id]?.[key] ?? ''}
+                onChange={(raw) => setValue(b.id, key, raw)}
+                step={resolution}
+                className="w-14 text-xs"
+                darkMode={darkMode}
+                ariaLabel={`${b.label} ${key === 'initL' ? 'left' : 'right'} flipper`}
+              />
+            </span>
+          ))}
+        </span>
+      ))}
+    </div>
+  );
+};
+VariantEditor.propTypes = {
+  row: PropTypes.shape({
+    type: PropTypes.string,
+    variants: PropTypes.object,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  resolution: PropTypes.number,
+  darkMode: PropTypes.bool,
+};
+
 // Simple playfield editor for arranging shots spatially & adjusting flipper percentages
 const PlayfieldEditor = ({
   rows,
@@ -1918,6 +2050,22 @@ PlayfieldScenery.propTypes = {
   darkMode: PropTypes.bool,
 };
 
+// Point on the top edge of a flipper at a percentage (0 = base, 100 = tip) in 1000-unit playfield space
+function flipperEdgePoint(side, percent) {
+  const base = side === 'L' ? { x: 285, y: 785 } : { x: 715, y: 785 };
+  const tip = side === 'L' ? { x: 415, y: 920 } : { x: 585, y: 920 };
+  const t = Math.min(1, Math.max(0, percent / 100));
+  const dx = tip.x - base.x;
+  const dy = tip.y - base.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const half = (55 + (22 - 55) * t) / 2; // 27.5 base radius narrowing to a 22 wide tip
+  const cx = base.x + dx * t;
+  const cy = base.y + dy * t;
+  const cand1 = { x: cx - (dy / len) * half, y: cy + (dx / len) * half };
+  const cand2 = { x: cx + (dy / len) * half, y: cy - (dx / len) * half };
+  return cand1.y < cand2.y ? cand1 : cand2; // choose visually higher
+}
+
 const PracticePlayfield = ({
   rows,
   selectedIdx,
@@ -1929,6 +2077,12 @@ const PracticePlayfield = ({
   animationEnabled = true,
   awaitingNextShot = false,
   onAdvanceToNextShot,
+  marker = null,
+  onPickShot,
+  beliefBand = null,
+  driftingShots = [],
+  sequence = [],
+  sequencePos = 0,
 }) => {
   const canvasRef = useRef(null);
   const [mounted, setMounted] = useState(false);
@@ -1960,9 +2114,9 @@ const PracticePlayfield = ({
     }
   }, [awaitingNextShot]);
 
-  // Trigger ball animation when a new recall comes in
+  // Trigger ball animation when a new recall comes in (a timed-out prompt has no shot to animate)
   useEffect(() => {
-    if (!lastRecall || !animationEnabled) {
+    if (!lastRecall || !animationEnabled || lastRecall.timedOut) {
       // eslint-disable-next-line react-hooks/set-state-in-effect -- show feedback immediately when animation disabled
       setShowFeedback(true);
       return;
@@ -2306,6 +2460,51 @@ const PracticePlayfield = ({
       onScale(scale);
     }
   }, [scale, fullscreen, onScale]);
+  // Selected shot ring, or amber for shots whose belief is drifting away from the truth
+  const shotRing = (r, idx) => {
+    if (r === selectedRow) {
+      return 'ring-2 ring-blue-500';
+    }
+    return driftingShots.includes(idx) ? 'ring-2 ring-amber-500' : '';
+  };
+  // Reverse drill: shot boxes become buttons until the pick is shown
+  const pickProps = (idx, r) =>
+    onPickShot && !awaitingNextShot
+      ? {
+          role: 'button',
+          tabIndex: 0,
+          'aria-label': `Pick ${r.type || `Shot ${idx + 1}`}`,
+          onClick: () => onPickShot(idx),
+          onKeyDown: (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              onPickShot(idx);
+            }
+          },
+        }
+      : {};
+  // Combo drill: step number & flipper on each shot of the sequence, the current step highlighted
+  const sequenceBadge = (idx) => {
+    const step = sequence.findIndex((s) => s.idx === idx);
+    if (step < 0) {
+      return null;
+    }
+    let tone = darkMode ? 'bg-slate-800 text-slate-200' : 'bg-white text-slate-700';
+    if (step === sequencePos) {
+      tone = 'bg-blue-600 text-white';
+    } else if (step < sequencePos) {
+      tone = 'bg-slate-500 text-white';
+    }
+    return (
+      <span
+        data-sequence-step={step + 1}
+        className={`absolute bottom-0 right-0 z-10 px-1 rounded-tl-md text-[10px] font-semibold ${tone}`}
+      >
+        {step + 1}
+        {sequence[step].side}
+      </span>
+    );
+  };
   // Handle click on playfield to advance to next shot
   const handlePlayfieldClick = useCallback(() => {
     if (awaitingNextShot && onAdvanceToNextShot) {
@@ -2326,6 +2525,7 @@ const PracticePlayfield = ({
           ? {
               role: 'button',
               tabIndex: 0,
+              'aria-label': 'Continue to next shot',
               onClick: handlePlayfieldClick,
               onKeyDown: (e) => {
                 if (e.key === 'Enter') {
@@ -2340,7 +2540,7 @@ const PracticePlayfield = ({
         className={`relative border rounded-xl bg-gradient-to-b overflow-hidden ${awaitingNextShot ? 'cursor-pointer' : ''} ${darkMode ? 'from-slate-800 to-slate-900 border-slate-700' : 'from-slate-50 to-slate-100 border-slate-300'} ${fullscreen ? 'flex-1 min-h-0' : 'h-96'}`}
       >
         <PlayfieldScenery darkMode={darkMode} />
-        {rows.map((r) => {
+        {rows.map((r, idx) => {
           // Practice playfield: NO L/R values. Show image tile if available, else fallback text box.
           const styleBase = {
             left: `${r.x * 100}%`,
@@ -2354,6 +2554,7 @@ const PracticePlayfield = ({
           const showImageAttempt = Boolean(imgSrc);
           // Box size with adaptive scaling applied
           const boxSize = Math.max(32, baseBoxWidth * scale);
+          const driftTitle = driftingShots.includes(idx) ? ' · belief drifting from the truth' : '';
           // Font sizes scale with box
           const typeFontSize = Math.max(7, 10 * scale);
           const fallbackFontSize = Math.max(8, 11 * scale);
@@ -2362,9 +2563,10 @@ const PracticePlayfield = ({
               <div
                 key={r.id}
                 data-shot-box={r.id}
+                {...pickProps(idx, r)}
                 style={{ ...styleBase, width: boxSize, height: boxSize }}
-                className={`absolute z-20 select-none rounded-md shadow border overflow-hidden origin-center ${darkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'} ${r === selectedRow ? 'ring-2 ring-blue-500' : ''}`}
-                title={r.type}
+                className={`absolute z-20 select-none rounded-md shadow border overflow-hidden origin-center ${darkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'} ${shotRing(r, idx)} ${onPickShot ? 'cursor-pointer' : ''}`}
+                title={`${r.type}${driftTitle}`}
               >
                 <img
                   src={imgSrc}
@@ -2401,6 +2603,7 @@ const PracticePlayfield = ({
                     {r.type || '—'}
                   </div>
                 )}
+                {sequenceBadge(idx)}
               </div>
             );
           }
@@ -2409,9 +2612,10 @@ const PracticePlayfield = ({
             <div
               key={r.id}
               data-shot-box={r.id}
+              {...pickProps(idx, r)}
               style={{ ...styleBase, width: boxSize, height: boxSize }}
-              className={`absolute z-20 select-none rounded-lg shadow border origin-center overflow-hidden ${darkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'} ${r === selectedRow ? 'ring-2 ring-blue-500' : ''}`}
-              title={r.type}
+              className={`absolute z-20 select-none rounded-lg shadow border origin-center overflow-hidden ${darkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'} ${shotRing(r, idx)} ${onPickShot ? 'cursor-pointer' : ''}`}
+              title={`${r.type}${driftTitle}`}
             >
               <div
                 className="absolute inset-0 flex items-center justify-center px-1 text-center font-medium"
@@ -2420,9 +2624,67 @@ const PracticePlayfield = ({
               >
                 {r.type || '—'}
               </div>
+              {sequenceBadge(idx)}
             </div>
           );
         })}
+        {/* Belief band of the prompted shot along its flipper, with a tick at the estimate */}
+        {mounted && beliefBand
+          ? (() => {
+              const at = (pct) => {
+                const edge = flipperEdgePoint(beliefBand.side, pct);
+                return { x: (edge.x / 1000) * canvasWidth, y: (edge.y / 1000) * canvasHeight };
+              };
+              const from = at(beliefBand.low);
+              const to = at(beliefBand.high);
+              const mid = at(beliefBand.mean);
+              return (
+                <svg
+                  className="absolute inset-0 pointer-events-none z-10"
+                  viewBox={`0 0 ${canvasWidth} ${canvasHeight}`}
+                >
+                  <line
+                    x1={from.x}
+                    y1={from.y}
+                    x2={to.x}
+                    y2={to.y}
+                    stroke="#3b82f6"
+                    strokeOpacity={0.45}
+                    strokeWidth={10 * scale}
+                    strokeLinecap="round"
+                    data-belief-band={beliefBand.side}
+                  />
+                  <circle cx={mid.x} cy={mid.y} r={4 * scale} fill="#1d4ed8" />
+                </svg>
+              );
+            })()
+          : null}
+        {/* Reverse drill: the flipper point to identify, kept while the answer is shown */}
+        {mounted && marker
+          ? (() => {
+              const edge = flipperEdgePoint(marker.side, marker.value);
+              const x = (edge.x / 1000) * canvasWidth;
+              const y = (edge.y / 1000) * canvasHeight;
+              return (
+                <svg
+                  className="absolute inset-0 pointer-events-none z-30"
+                  viewBox={`0 0 ${canvasWidth} ${canvasHeight}`}
+                >
+                  <circle
+                    cx={x}
+                    cy={y}
+                    r={9 * scale}
+                    fill="#3b82f6"
+                    fillOpacity={0.35}
+                    stroke="#2563eb"
+                    strokeWidth={2}
+                    data-flipper-marker={marker.side}
+                  />
+                  <circle cx={x} cy={y} r={3 * scale} fill="#2563eb" />
+                </svg>
+              );
+            })()
+          : null}
         {/* eslint-disable sonarjs/cognitive-complexity, react-hooks/refs */}
         {mounted && activeGuideRow && activeGuideSide
           ? (() => {
@@ -2921,7 +3183,7 @@ PracticePlayfield.propTypes = {
       y: PropTypes.number,
     })
   ).isRequired,
-  selectedIdx: PropTypes.number.isRequired,
+  selectedIdx: PropTypes.number, // null: no shot selected (reverse drill)
   selectedSide: PropTypes.oneOf(['L', 'R']),
   lastRecall: PropTypes.shape({
     idx: PropTypes.number,
@@ -2931,6 +3193,7 @@ PracticePlayfield.propTypes = {
     severity: PropTypes.string,
     label: PropTypes.string,
     t: PropTypes.number, // timestamp for animation tracking
+    timedOut: PropTypes.bool,
   }),
   fullscreen: PropTypes.bool,
   onScale: PropTypes.func,
@@ -2938,98 +3201,1240 @@ PracticePlayfield.propTypes = {
   animationEnabled: PropTypes.bool,
   awaitingNextShot: PropTypes.bool,
   onAdvanceToNextShot: PropTypes.func,
+  marker: PropTypes.shape({
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    value: PropTypes.number.isRequired,
+  }),
+  onPickShot: PropTypes.func,
+  beliefBand: PropTypes.shape({
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    low: PropTypes.number.isRequired,
+    mean: PropTypes.number.isRequired,
+    high: PropTypes.number.isRequired,
+  }),
+  driftingShots: PropTypes.arrayOf(PropTypes.number),
+  sequence: PropTypes.arrayOf(
+    PropTypes.shape({
+      idx: PropTypes.number.isRequired,
+      side: PropTypes.oneOf(['L', 'R']).isRequired,
+    })
+  ),
+  sequencePos: PropTypes.number,
 };
 
-// ---------- main component ----------
-// eslint-disable-next-line sonarjs/cognitive-complexity, complexity, max-lines-per-function
-const App = () => {
-  const [toasts, setToasts] = useState([]); // {id,msg}
-  const toastTimersRef = useRef(new Set());
-  const _pushToast = useCallback((msg) => {
-    const id = crypto.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random());
-    setToasts((t) => [...t, { id, msg }]);
-    const timerId = setTimeout(() => {
-      setToasts((t) => t.filter((x) => x.id !== id));
-      toastTimersRef.current.delete(timerId);
-    }, 3200);
-    toastTimersRef.current.add(timerId);
-  }, []);
+// Direction, undershoot and overshoot of a correction after a miss, each colored by its grade
+const ADJUST_GRADE_CLASS = {
+  good: 'text-emerald-600',
+  fair: 'text-amber-600',
+  poor: 'text-red-600',
+};
+const AdjustmentGrades = ({ adjustment }) => {
+  const parts = [
+    { key: 'direction', text: `Dir ${adjustment.direction}` },
+    { key: 'undershoot', text: `Under ${adjustment.undershoot}` },
+    { key: 'overshoot', text: `Over ${adjustment.overshoot}` },
+  ];
+  return (
+    <span className="whitespace-nowrap">
+      {parts.map((p, k) => (
+        <React.Fragment key={p.key}>
+          {k > 0 ? ' · ' : null}
+          <span
+            className={ADJUST_GRADE_CLASS[adjustment.grades[p.key]]}
+            title={`${p.key}: ${adjustment.grades[p.key]}`}
+          >
+            {p.text}
+          </span>
+        </React.Fragment>
+      ))}
+    </span>
+  );
+};
+AdjustmentGrades.propTypes = {
+  adjustment: PropTypes.shape({
+    direction: PropTypes.string.isRequired,
+    undershoot: PropTypes.number.isRequired,
+    overshoot: PropTypes.number.isRequired,
+    grades: PropTypes.objectOf(PropTypes.string).isRequired,
+  }).isRequired,
+};
 
-  // Cleanup all toast timers on unmount
-  useEffect(() => {
-    const timers = toastTimersRef.current;
-    return () => {
-      for (const timerId of timers) {
-        clearTimeout(timerId);
-      }
-      timers.clear();
-    };
-  }, []);
+// Confidence band of a belief estimate on a 0-100% track, with a tick at the estimate
+const BeliefBar = ({ band, darkMode = false }) => {
+  if (band.n === 0) {
+    return null;
+  }
+  const summary = `Belief ${formatPct(Math.round(band.mean))}, likely ${formatPct(Math.round(band.low))}–${formatPct(Math.round(band.high))} from ${band.n} guess${band.n === 1 ? '' : 'es'}${band.drifting ? ', drifting from the truth' : ''}`;
+  return (
+    <div
+      role="img"
+      aria-label={summary}
+      title={summary}
+      className={`relative h-1.5 mt-0.5 rounded-full ${darkMode ? 'bg-slate-600' : 'bg-slate-200'}`}
+    >
+      <div
+        className={`absolute inset-y-0 rounded-full opacity-60 ${band.drifting ? 'bg-amber-500' : 'bg-blue-500'}`}
+        style={{ left: `${band.low}%`, width: `${band.high - band.low}%` }}
+      />
+      <div className="absolute inset-y-0 w-0.5 bg-blue-800" style={{ left: `${band.mean}%` }} />
+    </div>
+  );
+};
+BeliefBar.propTypes = {
+  band: PropTypes.shape({
+    mean: PropTypes.number.isRequired,
+    low: PropTypes.number.isRequired,
+    high: PropTypes.number.isRequired,
+    n: PropTypes.number.isRequired,
+    drifting: PropTypes.bool,
+  }).isRequired,
+  darkMode: PropTypes.bool,
+};
 
-  // Setup state
-  // Start with no shots by default; user must explicitly add via + Add shot.
-  const [rowsRaw, setRowsRaw] = useLocalStorage('pinball_rows_v1', []);
-  const rows = rowsRaw; // direct
-  const setRows = useCallback(
-    (updater) => {
-      setRowsRaw((prev) => (typeof updater === 'function' ? updater(prev) : updater));
-    },
-    [setRowsRaw]
+// Chips per row of the quick recall grid (finer resolutions wrap onto more rows)
+const RECALL_CHIP_COLUMNS = 20;
+
+// Quick recall chips (every value of the resolution grid, 05..95 by default, in the flipper's
+// reading order) with Not Possible below
+const QuickRecallChips = ({
+  side,
+  onPick,
+  resolution = DEFAULT_RESOLUTION,
+  disabled = false,
+  darkMode = false,
+}) => {
+  const values = gridValues(resolution);
+  const ordered = side === 'L' ? values : [...values].reverse();
+  // Responsive font size using clamp for smooth scaling
+  return (
+    <div className="select-none flex flex-col items-stretch min-w-[320px]">
+      <div
+        className="grid w-full gap-[2px]"
+        style={{
+          gridTemplateColumns: `repeat(${Math.min(ordered.length, RECALL_CHIP_COLUMNS)}, minmax(0, 1fr))`,
+        }}
+      >
+        {ordered.map((v) => (
+          <button
+            key={v}
+            type="button"
+            onClick={() => onPick(v)}
+            disabled={disabled}
+            className={`aspect-square rounded-full border shadow active:scale-[0.95] transition-transform flex items-center justify-center font-semibold text-[clamp(10px,2.2vw,24px)] ${disabled ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
+            aria-label={`Recall ${format2(v)}`}
+          >
+            <span className="relative" style={{ top: '-1px' }}>
+              {format2(v)}
+            </span>
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-center mt-1">
+        <button
+          type="button"
+          onClick={() => onPick(0)}
+          disabled={disabled}
+          className={`px-2 py-0.5 rounded-xl border shadow active:scale-[0.95] transition-transform font-semibold text-[clamp(10px,2.2vw,24px)] ${disabled ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-100'}`}
+        >
+          <span className="relative" style={{ top: '-1px' }}>
+            <span className="min-[500px]:hidden">NP</span>
+            <span className="hidden min-[500px]:inline">Not Possible</span>
+          </span>
+        </button>
+      </div>
+    </div>
   );
-  // Popup menus for new shot/location selector
-  const [openShotMenuId, setOpenShotMenuId] = useState(null); // row id currently showing shot list
-  const [openLocMenuId, setOpenLocMenuId] = useState(null); // row id currently showing location list
-  const [shotMenuAnchor, setShotMenuAnchor] = useState(null); // {id,x,y}
-  const [locMenuAnchor, setLocMenuAnchor] = useState(null); // {id,x,y}
-  // Anchor for multi-add popup when list is empty
-  const [addCountAnchor, setAddCountAnchor] = useState(null); // {x,y} or null
-  // Available presets loaded from /presets/index.json - array of {name, filename} objects
-  const [availablePresets, setAvailablePresets] = useState([]);
-  // Compact preset popup state
-  const [presetOpen, setPresetOpen] = useState(false);
-  const [selectedPresetName, setSelectedPresetName] = useState(null);
-  // Load available presets on mount
+};
+QuickRecallChips.propTypes = {
+  side: PropTypes.oneOf(['L', 'R']).isRequired,
+  onPick: PropTypes.func.isRequired,
+  resolution: PropTypes.number,
+  disabled: PropTypes.bool,
+  darkMode: PropTypes.bool,
+};
+
+// Timed mode countdown shown over the practice playfield (ticks on its own so the app doesn't re-render)
+const PromptCountdown = ({ deadline, limitMs, darkMode = false, style }) => {
+  const [now, setNow] = useState(() => Date.now());
   useEffect(() => {
-    // Check if we have embedded presets (standalone mode)
-    if (typeof window !== 'undefined' && window.EMBEDDED_PRESET_INDEX) {
-      // Use the embedded preset index
-      // eslint-disable-next-line react-hooks/set-state-in-effect -- one-shot load of embedded presets on mount
-      setAvailablePresets(window.EMBEDDED_PRESET_INDEX);
-    } else if (typeof window !== 'undefined' && window.EMBEDDED_PRESETS) {
-      // Fallback: generate index from embedded preset filenames
-      const presetList = Object.keys(window.EMBEDDED_PRESETS).map((filename) => {
-        // Generate display name from filename
-        const name = filename
-          .replace('.json', '')
-          .split('-')
-          .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(' ');
-        return { name, filename };
-      });
-      setAvailablePresets(presetList);
-    } else {
-      // Fetch the index.json file which lists all available presets
-      (async () => {
-        try {
-          const response = await fetch('./presets/index.json');
-          const presets = await response.json();
-          setAvailablePresets(presets);
-        } catch {
-          setAvailablePresets([]);
-        }
-      })();
-    }
+    const id = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(id);
   }, []);
-  // Keep popup anchored to triggering chip while scrolling/resizing
+  const left = Math.max(0, deadline - now);
+  const share = limitMs > 0 ? left / limitMs : 0;
+  let barClass = 'bg-emerald-500';
+  if (share <= 0.25) {
+    barClass = 'bg-red-500';
+  } else if (share <= 0.5) {
+    barClass = 'bg-amber-500';
+  }
+  return (
+    <div
+      className={`backdrop-blur-sm border rounded-lg shadow-lg px-2 py-1 flex flex-col items-center ${GetMetricBoxClass(darkMode)}`}
+      style={style}
+      role="timer"
+      aria-label="Time left"
+    >
+      <div
+        className={`font-semibold tabular-nums ${darkMode ? 'text-slate-100' : 'text-slate-900'}`}
+      >
+        {(left / 1000).toFixed(1)}s
+      </div>
+      <div className={`mt-0.5 h-1 w-full rounded ${darkMode ? 'bg-slate-700' : 'bg-slate-200'}`}>
+        <div className={`h-1 rounded ${barClass}`} style={{ width: `${share * 100}%` }} />
+      </div>
+    </div>
+  );
+};
+PromptCountdown.propTypes = {
+  deadline: PropTypes.number.isRequired,
+  limitMs: PropTypes.number.isRequired,
+  darkMode: PropTypes.bool,
+  style: PropTypes.object,
+};
+
+// Which part of the table a session covered, e.g. "Left flipper · 3 of 8 shots · NP excluded"
+const describeSubset = (subset, rows) => {
+  const parts = [];
+  if (subset.flipper !== 'both') {
+    parts.push(subset.flipper === 'L' ? 'Left flipper' : 'Right flipper');
+  }
+  if (subset.shots !== null) {
+    parts.push(`${subset.shots.length} of ${rows.length} shots`);
+  }
+  if (subset.excludeNP) {
+    parts.push('NP excluded');
+  }
+  return parts.length === 0 ? 'Full table' : parts.join(' · ');
+};
+
+// Shot & flipper name for summaries and the replay (falls back to its position)
+const shotLabel = (rows, idx, side, ball = null) =>
+  rowDisplayWithSide(rows[idx], side, ball) || `Shot ${idx + 1} (${side})`;
+
+// Hidden value changes of a drift event, e.g. "Left Ramp (L) 50%→55%"
+const describeMoves = (rows, moved) =>
+  moved.length === 0
+    ? 'no change'
+    : moved
+        .map((m) => `${shotLabel(rows, m.idx, m.side)} ${formatPct(m.from)}→${formatPct(m.to)}`)
+        .join(', ');
+
+// Minutes & seconds left, e.g. 4:05
+const formatClock = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// What is left of a sprint, shown over the practice playfield (ticks every second with a minute limit)
+const SprintProgress = ({ session, darkMode = false, style }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const timed = sprintDeadline(session) !== null;
   useEffect(() => {
-    if (openShotMenuId === null && openLocMenuId === null && !addCountAnchor) {
+    if (!timed) {
       // eslint-disable-next-line no-empty-function
       return () => {};
     }
-    let raf = null;
-    const update = () => {
-      if (raf) {
-        return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [timed]);
+  const left = sprintRemaining(session, now);
+  if (left === null) {
+    return null;
+  }
+  const parts = [];
+  if (left.attempts !== null) {
+    parts.push(`${left.attempts} left`);
+  }
+  if (left.ms !== null) {
+    parts.push(formatClock(left.ms));
+  }
+  return (
+    <div
+      className={`backdrop-blur-sm border rounded-lg shadow-lg px-2 py-1 ${GetMetricBoxClass(darkMode)}`}
+      style={style}
+      aria-label="Sprint progress"
+    >
+      <span className={GetTextClass(darkMode, 'secondary')}>Sprint </span>
+      <span
+        className={`font-semibold tabular-nums ${darkMode ? 'text-slate-100' : 'text-slate-900'}`}
+      >
+        {parts.join(' · ')}
+      </span>
+    </div>
+  );
+};
+SprintProgress.propTypes = {
+  session: PropTypes.object.isRequired,
+  darkMode: PropTypes.bool,
+  style: PropTypes.object,
+};
+
+// End-of-sprint summary: practice totals, results per shot & flipper and the drift events
+const SprintSummary = ({ rows, session, darkMode = false }) => {
+  const { totalPoints, avgAbsErr, timeouts } = sessionStats(session);
+  const shots = shotBreakdown(session);
+  const drifts = driftAdaptation(session).reverse(); // oldest first
+  const box = `border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`;
+  return (
+    <div className="mb-4">
+      <h3 className="text-base font-semibold mb-2">Sprint summary</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className={box}>
+          <div className={GetTextClass(darkMode, 'secondary')}>Points</div>
+          <div className="text-2xl font-semibold">{totalPoints}</div>
+        </div>
+        <div className={box}>
+          <div className={GetTextClass(darkMode, 'secondary')}>MAE</div>
+          <div className="text-2xl font-semibold">{avgAbsErr.toFixed(1)}</div>
+        </div>
+        <div className={box}>
+          <div className={GetTextClass(darkMode, 'secondary')}>Attempts</div>
+          <div className="text-2xl font-semibold">
+            {session.attemptCount}
+            {timeouts > 0 ? (
+              <span className={`text-sm font-normal ${GetTextClass(darkMode, 'muted')}`}>
+                {' '}
+                ({timeouts} timed out)
+              </span>
+            ) : null}
+          </div>
+        </div>
+        <div className={box}>
+          <div className={GetTextClass(darkMode, 'secondary')}>Drift events</div>
+          <div className="text-2xl font-semibold">{drifts.length}</div>
+        </div>
+      </div>
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+        <div className="overflow-auto border rounded-2xl">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className={GetTableHeadClass(darkMode)}>
+                <th className="p-2 text-left">Shot</th>
+                <th className="p-2 text-right">Attempts</th>
+                <th className="p-2 text-right">MAE</th>
+                <th className="p-2 text-right">Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shots.map((x) => (
+                <tr key={`${x.idx}${x.side}`} className="border-t">
+                  <td className="p-2">{shotLabel(rows, x.idx, x.side)}</td>
+                  <td className="p-2 text-right">
+                    {x.attempts}
+                    {x.timeouts > 0 ? ` (${x.timeouts} timed out)` : ''}
+                  </td>
+                  <td className="p-2 text-right">
+                    {x.avgAbsErr === null ? '—' : x.avgAbsErr.toFixed(1)}
+                  </td>
+                  <td className="p-2 text-right">{x.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className={`${box} overflow-auto`}>
+          {drifts.length === 0 ? (
+            <div className={GetTextClass(darkMode, 'muted')}>No drift during this sprint</div>
+          ) : (
+            <ul className="space-y-1">
+              {drifts.map(({ entry, moved, attemptsToAdapt }) => (
+                <li key={`${entry.t}-${entry.attemptCount}`}>
+                  <span className="capitalize">{entry.cause}</span> after attempt{' '}
+                  {entry.attemptCount}:{' '}
+                  <span className={GetTextClass(darkMode, 'secondary')}>
+                    {describeMoves(rows, moved)}
+                    {attemptsToAdapt === null ? '' : ` · adapted in ${attemptsToAdapt}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+SprintSummary.propTypes = {
+  rows: PropTypes.array.isRequired,
+  session: PropTypes.object.isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Detail line of the NP classification row
+function describeNP({ correct, count, missedNP, falseNP }) {
+  const parts = [`${correct} of ${count} right`];
+  if (missedNP > 0) {
+    parts.push(`${missedNP} NP given a value`);
+  }
+  if (falseNP > 0) {
+    parts.push(`${falseNP} wrongly marked NP`);
+  }
+  return parts.join(' · ');
+}
+
+// Final recall graded part by part (numeric, NP classification, ordering) with the combined grade
+const GradeBreakdown = ({ breakdown, darkMode = false }) => {
+  const { numeric, np, ordering, combined } = breakdown;
+  const weights = Object.entries(GRADE_WEIGHTS)
+    .map(([key, w]) => `${Math.round(w * 100)}% ${key === 'np' ? 'NP' : key}`)
+    .join(', ');
+  const parts = [
+    {
+      key: 'numeric',
+      label: 'Numeric accuracy',
+      score: numeric.score,
+      detail:
+        numeric.mae === null
+          ? 'No possible shot recalled with a value'
+          : `MAE ${numeric.mae.toFixed(1)} over ${numeric.count} value${numeric.count === 1 ? '' : 's'}`,
+    },
+    { key: 'np', label: 'NP classification', score: np.score, detail: describeNP(np) },
+    {
+      key: 'ordering',
+      label: 'Ordering consistency',
+      score: ordering.score,
+      detail:
+        ordering.count === 0
+          ? 'Fewer than two possible shots per flipper'
+          : `${ordering.inOrder} of ${ordering.count} shot pairs in order`,
+    },
+  ];
+  return (
+    <div className="mt-4 overflow-auto border rounded-2xl">
+      <table className="w-full text-sm" aria-label="Grade breakdown">
+        <thead>
+          <tr className={GetTableHeadClass(darkMode)}>
+            <th className="p-2 text-left">Grade</th>
+            <th className="p-2 text-right">Score</th>
+            <th className="p-2 text-left">Detail</th>
+          </tr>
+        </thead>
+        <tbody>
+          {parts.map((p) => (
+            <tr key={p.key} className="border-t">
+              <td className="p-2">{p.label}</td>
+              <td className="p-2 text-right">{p.score === null ? '—' : p.score}</td>
+              <td className={`p-2 ${GetTextClass(darkMode, 'muted')}`}>{p.detail}</td>
+            </tr>
+          ))}
+          <tr className="border-t font-semibold">
+            <td className="p-2">Combined grade</td>
+            <td className="p-2 text-right">
+              {combined.letter} · {combined.score}
+            </td>
+            <td className={`p-2 font-normal ${GetTextClass(darkMode, 'muted')}`}>{weights}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+GradeBreakdown.propTypes = {
+  breakdown: PropTypes.shape({
+    numeric: PropTypes.object.isRequired,
+    np: PropTypes.object.isRequired,
+    ordering: PropTypes.object.isRequired,
+    combined: PropTypes.shape({ score: PropTypes.number, letter: PropTypes.string }).isRequired,
+  }).isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Final recall one pair at a time on the playfield; answers stay hidden until the quiz is done
+const RecallQuiz = ({ rows, session, onAnswer, onStop, darkMode = false }) => {
+  const prompt = quizPrompt(session);
+  const { order, pos } = session.recallQuiz;
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+            Recall quiz · {pos + 1} / {order.length}
+          </div>
+          <div className="text-lg font-semibold">{shotLabel(rows, prompt.idx, prompt.side)}</div>
+        </div>
+        <button
+          type="button"
+          onClick={onStop}
+          className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+          title="Leave the quiz and recall the remaining shots in the table (answers so far are kept)"
+        >
+          Back to table
+        </button>
+      </div>
+      <PracticePlayfield
+        rows={rows}
+        selectedIdx={prompt.idx}
+        selectedSide={prompt.side}
+        lastRecall={null}
+        darkMode={darkMode}
+        animationEnabled={false}
+      />
+      <div className="w-full overflow-x-auto">
+        <QuickRecallChips
+          side={prompt.side}
+          onPick={onAnswer}
+          resolution={resolutionOf(session)}
+          darkMode={darkMode}
+        />
+      </div>
+    </div>
+  );
+};
+RecallQuiz.propTypes = {
+  rows: PropTypes.array.isRequired,
+  session: PropTypes.object.isRequired,
+  onAnswer: PropTypes.func.isRequired,
+  onStop: PropTypes.func.isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Shot ranking drill: put a flipper's shots in order from tip to base (drag, or the arrow buttons)
+const RankingDrill = ({ rows, drill, result, onSubmit, onNext, onClose, darkMode = false }) => {
+  const [order, setOrder] = useState(() => drill?.shots ?? []);
+  const [dragPos, setDragPos] = useState(null);
+  const { side } = drill ?? result;
+  const move = (from, to) => {
+    if (to < 0 || to >= order.length || from === to) {
+      return;
+    }
+    const next = [...order];
+    const [idx] = next.splice(from, 1);
+    next.splice(to, 0, idx);
+    setOrder(next);
+  };
+  const name = (idx) => rowDisplay(rows[idx]) || `Shot ${idx + 1}`;
+  const arrowClass = `w-6 h-6 rounded-full border text-[10px] ${GetControlClass(darkMode)} disabled:opacity-40`;
+  return (
+    <div className={`mt-3 pt-3 border-t-2 text-sm ${GetBorderClass(darkMode)}`}>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="font-medium">Rank shots · {side === 'L' ? 'Left' : 'Right'} flipper</span>
+        <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>Tip first, base last</span>
+      </div>
+      {drill ? (
+        <>
+          <ol className="space-y-1" aria-label="Ranking order">
+            {order.map((idx, pos) => (
+              <li
+                key={idx}
+                draggable
+                onDragStart={(e) => {
+                  setDragPos(pos);
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  move(dragPos, pos);
+                  setDragPos(null);
+                }}
+                onDragEnd={() => setDragPos(null)}
+                className={`flex items-center gap-2 px-2 py-1 rounded-lg border cursor-grab active:cursor-grabbing ${GetBorderClass(darkMode)} ${dragPos === pos ? 'opacity-50' : ''}`}
+              >
+                <span className={`w-4 text-xs ${GetTextClass(darkMode, 'muted')}`}>{pos + 1}</span>
+                <span className="flex-1 truncate">{name(idx)}</span>
+                <button
+                  type="button"
+                  onClick={() => move(pos, pos - 1)}
+                  disabled={pos === 0}
+                  className={arrowClass}
+                  aria-label={`Move ${name(idx)} up`}
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(pos, pos + 1)}
+                  disabled={pos === order.length - 1}
+                  className={arrowClass}
+                  aria-label={`Move ${name(idx)} down`}
+                >
+                  ▼
+                </button>
+              </li>
+            ))}
+          </ol>
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+            >
+              Skip
+            </button>
+            <button
+              type="button"
+              onClick={() => onSubmit(order)}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium text-white ${BTN_SUCCESS}`}
+            >
+              Check order
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="mb-2">
+            Ranking score <span className="font-semibold">{result.score}</span>
+            <span className={GetTextClass(darkMode, 'muted')}>
+              {' '}
+              · rank correlation {result.rho.toFixed(2)}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            {[
+              { label: 'Your order', list: result.order },
+              { label: 'Correct order', list: result.truthOrder },
+            ].map(({ label, list }) => (
+              <div key={label}>
+                <div className={`mb-1 ${GetTextClass(darkMode, 'secondary')}`}>{label}</div>
+                <ol className="list-decimal list-inside space-y-0.5">
+                  {list.map((idx, pos) => (
+                    <li
+                      key={idx}
+                      className={
+                        result.order[pos] === result.truthOrder[pos] ? '' : 'text-amber-600'
+                      }
+                    >
+                      {name(idx)}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={onNext}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium text-white ${BTN_SUCCESS}`}
+            >
+              Next drill
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+RankingDrill.propTypes = {
+  rows: PropTypes.array.isRequired,
+  drill: PropTypes.shape({
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    shots: PropTypes.arrayOf(PropTypes.number).isRequired,
+  }),
+  result: PropTypes.shape({
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    order: PropTypes.arrayOf(PropTypes.number).isRequired,
+    truthOrder: PropTypes.arrayOf(PropTypes.number).isRequired,
+    rho: PropTypes.number.isRequired,
+    score: PropTypes.number.isRequired,
+  }),
+  onSubmit: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Feedback word under the severity of a reverse drill pick (how far off in the flipper's order)
+const reversePickLabel = ({ distance }) => {
+  if (distance === null) {
+    return 'NP shot';
+  }
+  return distance === 1 ? 'neighbour' : `${distance} off`;
+};
+
+// Reverse identification drill: pick the shot that plays from a marked flipper point
+const ReverseDrill = ({ rows, drill, result, onPick, onNext, onClose, darkMode = false }) => {
+  const { side, value } = drill ?? result;
+  const name = (idx) => rowDisplay(rows[idx]) || `Shot ${idx + 1}`;
+  return (
+    <div className={`mt-3 pt-3 border-t-2 text-sm ${GetBorderClass(darkMode)}`}>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="font-medium">Which shot? · {side === 'L' ? 'Left' : 'Right'} flipper</span>
+        {drill ? (
+          <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+            Pick the shot box that plays from the marked point
+          </span>
+        ) : (
+          <span>
+            <span className="font-semibold">{result.points}</span> pts
+          </span>
+        )}
+      </div>
+      {result && !drill ? (
+        <div className="mb-2">
+          {result.picked === result.idx ? (
+            <>Correct: {name(result.idx)}</>
+          ) : (
+            <>
+              You picked {name(result.picked)}, the point was {name(result.idx)}
+            </>
+          )}
+          <span className={GetTextClass(darkMode, 'muted')}> · {formatPct(value)}</span>
+        </div>
+      ) : null}
+      <PracticePlayfield
+        rows={rows}
+        selectedIdx={drill ? null : result.idx}
+        selectedSide={side}
+        lastRecall={
+          drill
+            ? null
+            : {
+                idx: result.idx,
+                side,
+                input: value,
+                delta: 0,
+                severity: result.severity,
+                label: reversePickLabel(result),
+                t: result.t,
+              }
+        }
+        darkMode={darkMode}
+        awaitingNextShot={!drill}
+        onAdvanceToNextShot={onNext}
+        marker={{ side, value }}
+        onPickShot={onPick}
+      />
+      <div className="flex justify-end gap-2 mt-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+        >
+          {drill ? 'Skip' : 'Close'}
+        </button>
+        {drill ? null : (
+          <button
+            type="button"
+            onClick={onNext}
+            className={`px-3 py-1.5 rounded-full text-xs font-medium text-white ${BTN_SUCCESS}`}
+          >
+            Next drill
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+ReverseDrill.propTypes = {
+  rows: PropTypes.array.isRequired,
+  drill: PropTypes.shape({
+    idx: PropTypes.number.isRequired,
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    value: PropTypes.number.isRequired,
+  }),
+  result: PropTypes.shape({
+    t: PropTypes.number.isRequired,
+    idx: PropTypes.number.isRequired,
+    side: PropTypes.oneOf(['L', 'R']).isRequired,
+    value: PropTypes.number.isRequired,
+    picked: PropTypes.number.isRequired,
+    distance: PropTypes.number,
+    severity: PropTypes.string.isRequired,
+    points: PropTypes.number.isRequired,
+  }),
+  onPick: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Combo drill: recall a sequence of shot & flipper pairs in order, then see every step scored
+const ComboDrill = ({
+  rows,
+  drill,
+  result,
+  combos,
+  onAnswer,
+  onNext,
+  onPlay,
+  onSave,
+  onDelete,
+  onClose,
+  resolution = DEFAULT_RESOLUTION,
+  darkMode = false,
+}) => {
+  const steps = drill ? drill.steps : result.steps;
+  const pos = drill ? drill.results.length : steps.length;
+  const answered = drill ? drill.results : result.steps;
+  const options = rows.flatMap((r) => ['L', 'R'].map((side) => `${r.id}:${side}`));
+  const optionLabel = (key) => {
+    const [id, side] = key.split(':');
+    return shotLabel(
+      rows,
+      rows.findIndex((r) => String(r.id) === id),
+      side
+    );
+  };
+  // Combo being built for the table: steps with a stable id (the React key) and a "rowId:side" key
+  const [draft, setDraft] = useState(() =>
+    rows.slice(0, COMBO_MIN).map((r, k) => ({ id: k, key: `${r.id}:L` }))
+  );
+  const playable = combos
+    .map((c) => ({ ...c, resolved: resolveCombo(rows, c.steps) }))
+    .filter((c) => c.resolved);
+  const buttonClass = `px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`;
+  const smallClass = `px-2 py-0.5 rounded-full border text-xs ${GetControlClass(darkMode)} disabled:opacity-40`;
+  return (
+    <div className={`mt-3 pt-3 border-t-2 text-sm ${GetBorderClass(darkMode)}`}>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="font-medium">Combo · {steps.length} shots</span>
+        {drill ? (
+          <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+            Step {pos + 1} of {steps.length}
+          </span>
+        ) : (
+          <span>
+            <span className="font-semibold">{result.points}</span> pts
+          </span>
+        )}
+      </div>
+      <ol className="space-y-0.5 mb-2" aria-label="Combo steps">
+        {steps.map((step, k) => {
+          const done = answered[k];
+          return (
+            <li
+              key={`${step.idx}${step.side}`}
+              className={`flex items-center justify-between gap-2 ${k === pos ? 'font-semibold' : ''}`}
+              aria-current={k === pos ? 'step' : undefined}
+            >
+              <span className="truncate">
+                {k + 1}. {shotLabel(rows, step.idx, step.side)}
+              </span>
+              {done ? (
+                <span className="text-xs whitespace-nowrap">
+                  {formatPct(done.input)} vs {formatPct(done.truth)}{' '}
+                  <span style={{ color: SEVERITY_COLORS[done.severity] }}>{done.label}</span>
+                </span>
+              ) : null}
+            </li>
+          );
+        })}
+      </ol>
+      {result && !drill ? (
+        <div className="mb-2">
+          {result.brokeAt === null ? 'Clean combo' : `Broke at step ${result.brokeAt + 1}`}
+          <span className={GetTextClass(darkMode, 'muted')}>
+            {' '}
+            · average error {result.mae.toFixed(1)}%
+          </span>
+        </div>
+      ) : null}
+      <PracticePlayfield
+        rows={rows}
+        selectedIdx={drill ? steps[pos].idx : null}
+        selectedSide={drill ? steps[pos].side : undefined}
+        lastRecall={null}
+        darkMode={darkMode}
+        animationEnabled={false}
+        sequence={steps}
+        sequencePos={pos}
+      />
+      {drill ? (
+        <div className="w-full overflow-x-auto mt-2">
+          <QuickRecallChips
+            side={steps[pos].side}
+            onPick={onAnswer}
+            resolution={resolution}
+            darkMode={darkMode}
+          />
+        </div>
+      ) : null}
+      <div className="flex justify-end gap-2 mt-2">
+        <button type="button" onClick={onClose} className={buttonClass}>
+          {drill ? 'Skip' : 'Close'}
+        </button>
+        {drill ? null : (
+          <button
+            type="button"
+            onClick={onNext}
+            className={`px-3 py-1.5 rounded-full text-xs font-medium text-white ${BTN_SUCCESS}`}
+          >
+            Next combo
+          </button>
+        )}
+      </div>
+      <div className={`mt-3 pt-2 border-t ${GetBorderClass(darkMode)}`}>
+        <div className={`text-xs mb-1 ${GetTextClass(darkMode, 'secondary')}`}>
+          My combos for this table
+        </div>
+        {playable.length === 0 ? (
+          <p className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>No combos saved yet.</p>
+        ) : (
+          <ul className="space-y-1 mb-2">
+            {playable.map((c) => (
+              <li key={c.id} className="flex items-center gap-2 text-xs">
+                <span className="flex-1 truncate">
+                  {c.resolved.map((s) => shotLabel(rows, s.idx, s.side)).join(' · ')}
+                </span>
+                <button type="button" onClick={() => onPlay(c.resolved)} className={smallClass}>
+                  Play
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(c.id)}
+                  className={smallClass}
+                  aria-label="Delete combo"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="space-y-1">
+          {draft.map((step, k) => (
+            <select
+              key={step.id}
+              value={step.key}
+              onChange={(e) =>
+                setDraft((d) =>
+                  d.map((s) => (s.id === step.id ? { ...s, key: e.target.value } : s))
+                )
+              }
+              aria-label={`Combo step ${k + 1}`}
+              className={`w-full px-2 py-1 rounded-lg border text-xs ${GetControlClass(darkMode)}`}
+            >
+              {options.map((o) => (
+                <option key={o} value={o}>
+                  {optionLabel(o)}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+        <div className="flex justify-end gap-2 mt-1">
+          <button
+            type="button"
+            onClick={() => setDraft((d) => d.slice(0, -1))}
+            disabled={draft.length <= COMBO_MIN}
+            className={smallClass}
+          >
+            − step
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              setDraft((d) => [...d, { id: Math.max(...d.map((s) => s.id)) + 1, key: options[0] }])
+            }
+            disabled={draft.length >= COMBO_MAX}
+            className={smallClass}
+          >
+            + step
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              onSave(
+                draft.map((step) => {
+                  const [id, side] = step.key.split(':');
+                  return { id: Number(id), side };
+                })
+              )
+            }
+            disabled={new Set(draft.map((step) => step.key.split(':')[0])).size < draft.length}
+            className={smallClass}
+            title="Each shot can appear once per combo"
+          >
+            Save combo
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+const COMBO_STEP_SHAPE = PropTypes.shape({
+  idx: PropTypes.number.isRequired,
+  side: PropTypes.oneOf(['L', 'R']).isRequired,
+});
+ComboDrill.propTypes = {
+  rows: PropTypes.array.isRequired,
+  drill: PropTypes.shape({
+    steps: PropTypes.arrayOf(COMBO_STEP_SHAPE).isRequired,
+    results: PropTypes.array.isRequired,
+  }),
+  result: PropTypes.shape({
+    steps: PropTypes.arrayOf(COMBO_STEP_SHAPE).isRequired,
+    points: PropTypes.number.isRequired,
+    mae: PropTypes.number.isRequired,
+    brokeAt: PropTypes.number,
+  }),
+  combos: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      steps: PropTypes.arrayOf(
+        PropTypes.shape({ id: PropTypes.number.isRequired, side: PropTypes.string.isRequired })
+      ).isRequired,
+    })
+  ).isRequired,
+  onAnswer: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onPlay: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  resolution: PropTypes.number,
+  darkMode: PropTypes.bool,
+};
+
+// Toast / replay text of a difficulty level change
+const describeLevelChange = (from, to) =>
+  `Level ${to > from ? 'up' : 'down'}: ${levelInfo(to).label}`;
+
+// One line describing a replay frame's event
+function describeEvent(frame, rows) {
+  const { event, moved } = frame;
+  const shot = (idx, side) => shotLabel(rows, idx, side);
+  switch (event.type) {
+    case 'start': {
+      return event.seed === null || event.seed === undefined
+        ? 'Session started'
+        : `Session started (seed ${event.seed})`;
+    }
+    case 'prompt': {
+      return `Prompt: ${shotLabel(rows, event.idx, event.side, event.ball)}`;
+    }
+    case 'attempt': {
+      if (event.timedOut) {
+        return `Timed out vs truth ${formatPct(event.truth)} · 0 pts`;
+      }
+      const sign = event.delta > 0 ? '+' : '';
+      return `Guess ${formatPct(event.input)} vs truth ${formatPct(event.truth)} (${sign}${event.delta}, ${event.severity}) · ${event.calibration ? 'calibration' : `${event.points} pts`}`;
+    }
+    case 'drift': {
+      return `Drift (${event.cause}): ${describeMoves(rows, moved)}`;
+    }
+    case 'level': {
+      return `${describeLevelChange(event.from, event.to)} (${Math.round(event.accuracy * 100)}% within a step)`;
+    }
+    case 'ranking': {
+      return `Ranking drill (${event.side === 'L' ? 'left' : 'right'} flipper): ${event.score} pts, rank correlation ${event.rho.toFixed(2)}`;
+    }
+    case 'reverse': {
+      return `Reverse drill: ${formatPct(event.value)} on the ${event.side === 'L' ? 'left' : 'right'} flipper, picked ${shot(event.picked, event.side)} (${event.severity}) · ${event.points} pts`;
+    }
+    case 'combo': {
+      const broke = event.brokeAt === null ? 'clean' : `broke at step ${event.brokeAt + 1}`;
+      return `Combo of ${event.steps.length}: ${event.steps.map((st) => shot(st.idx, st.side)).join(', ')} (${broke}) · ${event.points} pts`;
+    }
+    case 'recall': {
+      return `Final recall: ${shot(event.idx, event.side)} = ${formatPct(event.value)}`;
+    }
+    default: {
+      return event.type;
+    }
+  }
+}
+
+// Step-by-step viewer of a session's event log on the practice playfield
+const SessionReplay = ({ rows, events, darkMode = false }) => {
+  const frames = useMemo(() => replayFrames(events), [events]);
+  const [step, setStep] = useState(0);
+  const last = frames.length - 1;
+  if (frames.length === 0) {
+    return (
+      <p className={`text-sm ${GetTextClass(darkMode, 'muted')}`}>
+        No event log for this session (started before replays were recorded).
+      </p>
+    );
+  }
+  const at = Math.min(step, last);
+  const frame = frames[at];
+  const go = (k) => setStep(clamp(k, 0, last));
+  const navClass = `px-2 py-1 rounded-md border text-xs disabled:opacity-40 ${GetControlClass(darkMode)}`;
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-1.5 flex-wrap">
+        <button type="button" className={navClass} onClick={() => go(0)} disabled={at === 0}>
+          ⏮ First
+        </button>
+        <button type="button" className={navClass} onClick={() => go(at - 1)} disabled={at === 0}>
+          ◀ Prev
+        </button>
+        <button
+          type="button"
+          className={navClass}
+          onClick={() => go(at + 1)}
+          disabled={at === last}
+        >
+          Next ▶
+        </button>
+        <button type="button" className={navClass} onClick={() => go(last)} disabled={at === last}>
+          Last ⏭
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={at}
+          onChange={(e) => go(Number(e.target.value))}
+          className="flex-1 min-w-[120px]"
+          aria-label="Replay step"
+        />
+        <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+          Step {at + 1} / {frames.length}
+        </span>
+      </div>
+      <div className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}>
+        {describeEvent(frame, rows)}
+      </div>
+      <PracticePlayfield
+        rows={rows}
+        selectedIdx={frame.prompt?.idx ?? 0}
+        selectedSide={frame.prompt?.side ?? 'L'}
+        lastRecall={frame.attempt}
+        darkMode={darkMode}
+        animationEnabled={false}
+        awaitingNextShot={Boolean(frame.attempt)}
+      />
+      <div className="overflow-auto border rounded-2xl">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className={GetTableHeadClass(darkMode)}>
+              <th className="p-1.5 text-left">Shot</th>
+              <th className="p-1.5 text-right">Truth L</th>
+              <th className="p-1.5 text-right">Truth R</th>
+              <th className="p-1.5 text-right">Recall L / R</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => {
+              const movedClass = (side) =>
+                frame.moved.some((m) => m.idx === i && m.side === side)
+                  ? 'font-semibold text-amber-600'
+                  : '';
+              return (
+                <tr key={r.id} className="border-t">
+                  <td className="p-1.5">{rowDisplay(r)}</td>
+                  <td className={`p-1.5 text-right ${movedClass('L')}`}>
+                    {formatInitValue(frame.hiddenL[i])}
+                  </td>
+                  <td className={`p-1.5 text-right ${movedClass('R')}`}>
+                    {formatInitValue(frame.hiddenR[i])}
+                  </td>
+                  <td className="p-1.5 text-right">
+                    {formatInitValue(frame.recallL[i])} / {formatInitValue(frame.recallR[i])}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+SessionReplay.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.number.isRequired })).isRequired,
+  events: PropTypes.arrayOf(PropTypes.shape({ type: PropTypes.string.isRequired })).isRequired,
+  darkMode: PropTypes.bool,
+};
+
+// Actions a toast can offer (handled by the App's undo/redo of attempts)
+const TOAST_ACTIONS = {
+  undo: { label: 'Undo', title: 'Undo (Ctrl+Z)' },
+  redo: { label: 'Redo', title: 'Redo (Ctrl+Shift+Z)' },
+};
+
+// ---------- main component ----------
+// eslint-disable-next-line sonarjs/cognitive-complexity, complexity, max-lines-per-function
+const App = () => {
+  const [toasts, setToasts] = useState([]); // {id,msg,action?} (action: 'undo' | 'redo')
+  const toastTimersRef = useRef(new Set());
+  const _pushToast = useCallback((msg, action) => {
+    const id = crypto.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random());
+    setToasts((t) => [...t, { id, msg, action }]);
+    const timerId = setTimeout(() => {
+      setToasts((t) => t.filter((x) => x.id !== id));
+      toastTimersRef.current.delete(timerId);
+    }, 3200);
+    toastTimersRef.current.add(timerId);
+  }, []);
+
+  // Cleanup all toast timers on unmount
+  useEffect(() => {
+    const timers = toastTimersRef.current;
+    return () => {
+      for (const timerId of timers) {
+        clearTimeout(timerId);
+      }
+      timers.clear();
+    };
+  }, []);
+
+  // Setup state
+  // Start with no shots by default; user must explicitly add via + Add shot.
+  const [rowsRaw, setRowsRaw] = useLocalStorage('pinball_rows_v1', []);
+  const rows = rowsRaw; // direct
+  const setRows = useCallback(
+    (updater) => {
+      setRowsRaw((prev) => (typeof updater === 'function' ? updater(prev) : updater));
+    },
+    [setRowsRaw]
+  );
+  // Popup menus for new shot/location selector
+  const [openShotMenuId, setOpenShotMenuId] = useState(null); // row id currently showing shot list
+  const [openLocMenuId, setOpenLocMenuId] = useState(null); // row id currently showing location list
+  const [shotMenuAnchor, setShotMenuAnchor] = useState(null); // {id,x,y}
+  const [locMenuAnchor, setLocMenuAnchor] = useState(null); // {id,x,y}
+  // Anchor for multi-add popup when list is empty
+  const [addCountAnchor, setAddCountAnchor] = useState(null); // {x,y} or null
+  // Available presets loaded from /presets/index.json - array of {name, filename} objects
+  const [availablePresets, setAvailablePresets] = useState([]);
+  // Compact preset popup state
+  const [presetOpen, setPresetOpen] = useState(false);
+  const [selectedPresetName, setSelectedPresetName] = useState(null);
+  // Load available presets on mount
+  useEffect(() => {
+    // Check if we have embedded presets (standalone mode)
+    if (typeof window !== 'undefined' && window.EMBEDDED_PRESET_INDEX) {
+      // Use the embedded preset index
+      // eslint-disable-next-line react-hooks/set-state-in-effect -- one-shot load of embedded presets on mount
+      setAvailablePresets(window.EMBEDDED_PRESET_INDEX);
+    } else if (typeof window !== 'undefined' && window.EMBEDDED_PRESETS) {
+      // Fallback: generate index from embedded preset filenames
+      const presetList = Object.keys(window.EMBEDDED_PRESETS).map((filename) => {
+        // Generate display name from filename
+        const name = filename
+          .replace('.json', '')
+          .split('-')
+          .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+          .join(' ');
+        return { name, filename };
+      });
+      setAvailablePresets(presetList);
+    } else {
+      // Fetch the index.json file which lists all available presets
+      (async () => {
+        try {
+          const response = await fetch('./presets/index.json');
+          const presets = await response.json();
+          setAvailablePresets(presets);
+        } catch {
+          setAvailablePresets([]);
+        }
+      })();
+    }
+  }, []);
+  // Keep popup anchored to triggering chip while scrolling/resizing
+  useEffect(() => {
+    if (openShotMenuId === null && openLocMenuId === null && !addCountAnchor) {
+      // eslint-disable-next-line no-empty-function
+      return () => {};
+    }
+    let raf = null;
+    const update = () => {
+      if (raf) {
+        return;
       }
       raf = requestAnimationFrame(() => {
         raf = null;
@@ -3111,40 +4516,111 @@ const App = () => {
     return () => window.removeEventListener('keydown', handler);
   }, [openShotMenuId, openLocMenuId, addCountAnchor, presetOpen]);
   const [driftEvery, setDriftEvery] = useLocalStorage('pinball_driftEvery_v1', 4);
-  const [driftMag, setDriftMag] = useLocalStorage('pinball_driftMag_v1', 2); // magnitude in 5% steps
-  // Initial correct values randomization steps (each step = 5 percentage points). Previously fixed at 4 (±20).
+  const [driftMag, setDriftMag] = useLocalStorage('pinball_driftMag_v1', 2); // magnitude in resolution steps
+  // Auto difficulty: drift frequency & magnitude follow a level picked from recent accuracy
+  const [autoProgress, setAutoProgress] = useLocalStorage('pinball_autoProgress_v1', false);
+  const [driftModel, setDriftModel] = useLocalStorage('pinball_driftModel_v1', DEFAULT_DRIFT_MODEL);
+  // Extra drift triggers: every N minutes of practice, and a % chance per attempt (0 = off)
+  const [driftMinutes, setDriftMinutes] = useLocalStorage('pinball_driftMinutes_v1', 0);
+  const [driftChance, setDriftChance] = useLocalStorage('pinball_driftChance_v1', 0);
+  // Initial correct values randomization steps (each step = one resolution step, 5 percentage points by default). Previously fixed at 4 (±20).
   const [initRandSteps, setInitRandSteps] = useLocalStorage('pinball_initRandSteps_v1', 2);
 
-  const [initialized, setInitialized] = useLocalStorage('pinball_initialized_v1', false);
-  // Hidden & mental per side
-  const [hiddenL, setHiddenL] = useLocalStorage('pinball_hiddenL_v1', []);
-  const [hiddenR, setHiddenR] = useLocalStorage('pinball_hiddenR_v1', []);
-  // Starting (anchor) values captured at session start to constrain correct values drift (±20 max, i.e. 4*5 steps)
-  const [baseL, setBaseL] = useLocalStorage('pinball_baseL_v1', []);
-  const [baseR, setBaseR] = useLocalStorage('pinball_baseR_v1', []);
-  const [mentalL, setMentalL] = useLocalStorage('pinball_mentalL_v1', []);
-  const [mentalR, setMentalR] = useLocalStorage('pinball_mentalR_v1', []);
-  const [orderAscL, setOrderAscL] = useLocalStorage('pinball_initialOrderL_v1', []);
-  const [orderAscR, setOrderAscR] = useLocalStorage('pinball_initialOrderR_v1', []);
-
-  const [mode, setMode] = useLocalStorage('pinball_mode_v1', 'random'); // 'manual' | 'random'
+  const [mode, setMode] = useLocalStorage('pinball_mode_v1', 'random'); // 'manual' | 'random' | 'adaptive'
+  // First guess per shot & flipper is an unscored calibration attempt
+  const [calibrateFirst, setCalibrateFirst] = useLocalStorage('pinball_calibrateFirst_v1', false);
+  // Timed mode: seconds per prompt (0 = untimed) and max bonus points for an instant answer
+  const [timeLimit, setTimeLimit] = useLocalStorage('pinball_timeLimit_v1', 0);
+  const [speedBonus, setSpeedBonus] = useLocalStorage('pinball_speedBonus_v1', 20);
+  // Sprint length: practice enters final recall by itself after N attempts and/or minutes (0 = off)
+  const [sprintAttempts, setSprintAttempts] = useLocalStorage('pinball_sprintAttempts_v1', 0);
+  const [sprintMinutes, setSprintMinutes] = useLocalStorage('pinball_sprintMinutes_v1', 0);
+  // Session filters: one flipper, a subset of shots (row ids, null = all) and skipping NP pairs
+  const [flipperFilter, setFlipperFilter] = useLocalStorage('pinball_flipperFilter_v1', 'both');
+  const [shotFilter, setShotFilter] = useLocalStorage('pinball_shotFilter_v1', null);
+  const [excludeNP, setExcludeNP] = useLocalStorage('pinball_excludeNP_v1', false);
+  // Shots close (turn NP) after N hits and reopen after a random number of attempts (0 = off)
+  const [closeAfterHits, setCloseAfterHits] = useLocalStorage('pinball_closeAfterHits_v1', 0);
+  const [reopenMin, setReopenMin] = useLocalStorage('pinball_reopenMin_v1', 3);
+  const [reopenMax, setReopenMax] = useLocalStorage('pinball_reopenMax_v1', 8);
+  // Minimum gap between neighbouring values per flipper (0 allows ties)
+  const [minGapL, setMinGapL] = useLocalStorage('pinball_minGapL_v1', 5);
+  const [minGapR, setMinGapR] = useLocalStorage('pinball_minGapR_v1', 5);
+  // Value grid in percent (1, 2.5, 5 or 10), also the size of a randomization & drift step;
+  // anything stored before the setting existed (or unknown) reads as 5
+  const [storedResolution, setStoredResolution] = useLocalStorage(
+    'pinball_resolution_v1',
+    DEFAULT_RESOLUTION
+  );
+  const resolution = parseResolution(storedResolution);
+  const [scoringProfile, setScoringProfile] = useLocalStorage(
+    'pinball_scoringProfile_v1',
+    DEFAULT_PROFILE
+  );
   const [useSeededRandom, setUseSeededRandom] = useLocalStorage(
     'pinball_useSeededRandom_v1',
     false
   );
+  // Seed used for new sessions while "Seeded" is on (kept as typed; parsed when a session starts)
+  const [seedInput, setSeedInput] = useLocalStorage('pinball_seed_v1', String(FIXED_SEED));
+  const [replayConfirm, setReplayConfirm] = useState(false);
+  const [showReplay, setShowReplay] = useState(false);
+  // Setup table selection (the practice prompt lives on the session)
   const [selectedIdx, setSelectedIdx] = useLocalStorage('pinball_sel_v1', 0);
   const [guess, setGuess] = useLocalStorage('pinball_guess_v1', '');
-  const [selectedSide, setSelectedSide] = useLocalStorage('pinball_selSide_v1', 'L');
-  const [attempts, setAttempts] = useLocalStorage('pinball_attempts_v1', []);
-  const [attemptCount, setAttemptCount] = useLocalStorage('pinball_attemptCount_v1', 0);
   const [showTruth, setShowTruth] = useLocalStorage('pinball_showTruth_v1', false);
-  const [finalPhase, setFinalPhase] = useLocalStorage('pinball_finalPhase_v1', false);
-  const [finalRecallL, setFinalRecallL] = useLocalStorage('pinball_finalRecallL_v1', []);
-  const [finalRecallR, setFinalRecallR] = useLocalStorage('pinball_finalRecallR_v1', []);
+  // Engine session state (null until a session starts). See ./engine/session.js for the shape.
+  const [session, setSession] = useLocalStorage('pinball_session_v1', readLegacySession);
+  // Drop the old per-field keys once the migrated session has been written under its own key
+  useEffect(() => {
+    try {
+      if (localStorage.getItem('pinball_session_v1') !== null) {
+        for (const key of LEGACY_SESSION_KEYS) {
+          localStorage.removeItem(key);
+        }
+      }
+    } catch {
+      /* noop storage failure */
+    }
+  }, []);
+  // Undo/redo snapshots of the session around each attempt (in memory only)
+  const [attemptHistory, setAttemptHistory] = useState(createHistory);
+  const initialized = session !== null;
+  const {
+    hiddenL,
+    hiddenR,
+    baseL, // Starting (anchor) values captured at session start to constrain drift
+    baseR,
+    mentalL,
+    mentalR,
+    attempts,
+    attemptCount,
+    finalPhase,
+    finalRecallL,
+    finalRecallR,
+    selectedIdx: promptIdx,
+    selectedSide: promptSide,
+    selectedBall: promptBall = null,
+    pendingNext,
+  } = session ?? IDLE_SESSION;
+  // Click-to-continue flow: after a guess is made, we wait for user to click playfield before showing next shot
+  const awaitingNextShot = pendingNext !== null;
   const [showMentalModel, setShowMentalModel] = useLocalStorage(
     'pinball_showMentalModel_v1',
     false
   ); // visibility toggle for guess values
+  // Belief estimates behind the guess values: confidence bands and shots drifting from the truth
+  const beliefs = useMemo(() => beliefBands(session ?? IDLE_SESSION), [session]);
+  const playfieldBeliefs = useMemo(() => {
+    if (!showMentalModel) {
+      return {};
+    }
+    const band = beliefs[promptSide]?.[promptIdx];
+    return {
+      beliefBand: band?.n ? { side: promptSide, ...band } : null,
+      driftingShots: beliefs.L.flatMap((b, i) => (b.drifting || beliefs.R[i]?.drifting ? [i] : [])),
+    };
+  }, [showMentalModel, beliefs, promptIdx, promptSide]);
   const [showBaseValues, setShowBaseValues] = useLocalStorage('pinball_showBaseValues_v1', true); // visibility toggle for starting/original values
   const [showAttemptHistory, setShowAttemptHistory] = useLocalStorage(
     'pinball_showAttemptHistory_v1',
@@ -3154,14 +4630,15 @@ const App = () => {
     'pinball_showFeedback_v1',
     false
   ); // new toggle for Feedback table
+  const [showDriftLog, setShowDriftLog] = useLocalStorage('pinball_showDriftLog_v1', false);
+  const [showRanking, setShowRanking] = useState(false); // shot ranking drill panel
+  const [showReverse, setShowReverse] = useState(false); // reverse identification drill panel
+  const [showCombo, setShowCombo] = useState(false); // combo drill panel
+  const [combos, setCombos] = useLocalStorage('pinball_combos_v1', []); // combos defined for the table, steps by row id
   // Restore stacks removed (Not Possible is neutral now)
-  // State for click-to-continue flow: after a guess is made, we wait for user to click playfield before showing next shot
-  const [awaitingNextShot, setAwaitingNextShot] = useState(false);
-  // Pending next shot values (stored until user clicks to continue)
-  const [pendingNextIdx, setPendingNextIdx] = useState(null);
-  const [pendingNextSide, setPendingNextSide] = useState(null);
   // UI local (non-persisted) state: collapsed shot type rows (store ids)
   const [collapsedTypes, setCollapsedTypes] = useState([]); // Only shot type collapsing retained; flipper collapsing removed.
+  const [variantRowIds, setVariantRowIds] = useState([]); // setup rows with the ball state editor open
   // Playfield editor is always visible now; toggle removed
   // const [showPlayfield, setShowPlayfield] = useState(true);
   const [selectedBlockId, setSelectedBlockId] = useState(null);
@@ -3218,24 +4695,22 @@ const App = () => {
       } // nothing to select
       return idx >= rows.length ? Math.max(0, rows.length - 1) : idx;
     });
-    setSelectedSide((s) => (s === 'L' || s === 'R' ? s : 'L'));
     // No restore stacks to invalidate.
-  }, [rows.length, setSelectedIdx, setSelectedSide]);
-
-  // Update seeded random generator when checkbox changes
-  useEffect(() => {
-    setSeed(useSeededRandom);
-  }, [useSeededRandom]);
+  }, [rows.length, setSelectedIdx]);
 
   // Derived
-  const totalPoints = useMemo(() => attempts.reduce((sum, a) => sum + a.points, 0), [attempts]);
+  const driftLog = session?.driftLog ?? [];
+  const driftReport = useMemo(() => driftAdaptation(session ?? IDLE_SESSION), [session]);
+  const { totalPoints, avgAbsErr, firstPass, repeat, timeouts, avgLatency } = useMemo(
+    () => sessionStats({ attempts }),
+    [attempts]
+  );
 
-  const avgAbsErr = useMemo(() => {
-    if (attempts.length === 0) {
-      return 0;
-    }
-    return attempts.reduce((s, a) => s + Math.abs(a.delta), 0) / attempts.length;
-  }, [attempts]);
+  // Ordering gap per flipper for the setup sliders (0 between rows sharing an aim point)
+  const setupGaps = useMemo(() => {
+    const pairs = aimPairs(rows);
+    return { L: gapRule(minGapL, pairs, resolution), R: gapRule(minGapR, pairs, resolution) };
+  }, [rows, minGapL, minGapR, resolution]);
 
   // Session can start only if every row has a shot type (base chosen), location, and both flipper values
   const canStart = useMemo(() => {
@@ -3277,8 +4752,14 @@ const App = () => {
           presetData = await response.json();
         }
 
+        // Exported presets carry their resolution ({resolution, shots}); plain arrays are on the 5% grid
+        const shots = Array.isArray(presetData) ? presetData : presetData.shots;
+        const presetResolution = Array.isArray(presetData)
+          ? DEFAULT_RESOLUTION
+          : parseResolution(presetData.resolution);
+
         // Parse preset data and create rows
-        const newRows = presetData.map((shot, idx) => {
+        const newRows = shots.map((shot, idx) => {
           // Parse shot type to extract base and location
           const typeStr = shot.shotType || '';
           let base;
@@ -3295,14 +4776,9 @@ const App = () => {
           }
 
           // Parse flipper values (handle "NP" for Not Possible)
-          const leftVal =
-            shot.leftFlipper === 'NP' || shot.leftFlipper === 'np'
-              ? 0
-              : snap5(Number(shot.leftFlipper) || 0);
-          const rightVal =
-            shot.rightFlipper === 'NP' || shot.rightFlipper === 'np'
-              ? 0
-              : snap5(Number(shot.rightFlipper) || 0);
+          const leftVal = parsePresetValue(shot.leftFlipper, presetResolution);
+          const rightVal = parsePresetValue(shot.rightFlipper, presetResolution);
+          const variants = variantsFromPreset(shot.variants, presetResolution);
 
           return newRow(
             {
@@ -3310,29 +4786,66 @@ const App = () => {
               location,
               initL: leftVal,
               initR: rightVal,
+              // Optional per-shot drift settings
+              ...(typeof shot.volatility === 'number' && { volatility: shot.volatility }),
+              ...(shot.locked === true && { locked: true }),
+              // Optional ball-arrival variants
+              ...(variants && { variants }),
             },
             idx
           );
         });
+        // Same aim point partners are written as the index of the other shot in the preset
+        for (const [idx, shot] of shots.entries()) {
+          const partner = newRows[shot.sameAimAs];
+          if (Number.isInteger(shot.sameAimAs) && partner && shot.sameAimAs !== idx) {
+            newRows[idx].aimWith = partner.id;
+          }
+        }
 
+        // Combos belong to the table: the preset's own replace the previous table's
+        setCombos(combosFromPreset(presetData.combos, newRows));
+        // Values off the current grid switch to the preset's resolution instead of being snapped
+        const fits = newRows.every((r) => rowFitsGrid(r, resolution));
+        if (!fits) {
+          setStoredResolution(presetResolution);
+        }
         setRows(newRows);
         setAddCountAnchor(null);
-        _pushToast(`Loaded preset: ${preset.name}`);
+        _pushToast(
+          fits
+            ? `Loaded preset: ${preset.name}`
+            : `Loaded preset: ${preset.name} (resolution set to ${presetResolution}%)`
+        );
       } catch {
         _pushToast(`Failed to load preset: ${preset.name}`);
       }
     },
-    [setRows, _pushToast]
+    [setRows, _pushToast, resolution, setStoredResolution, setCombos]
   );
 
   // Export current rows as preset-compatible JSON and download file
   const exportPreset = useCallback(() => {
     try {
-      const data = rows.map((r) => ({
+      const shots = rows.map((r) => ({
         shotType: r.type || buildType(r.base, r.location) || '',
-        leftFlipper: r.initL === 0 ? 'NP' : r.initL,
-        rightFlipper: r.initR === 0 ? 'NP' : r.initR,
+        leftFlipper: presetValue(r.initL),
+        rightFlipper: presetValue(r.initR),
+        // Drift settings are only written when they differ from the defaults
+        ...(r.volatility !== undefined && r.volatility !== 1 && { volatility: r.volatility }),
+        ...(r.locked && { locked: true }),
+        ...(variantsToPreset(r.variants) && { variants: variantsToPreset(r.variants) }),
+        ...(rows.some((x) => x.id === r.aimWith) && {
+          sameAimAs: rows.findIndex((x) => x.id === r.aimWith),
+        }),
       }));
+      // A plain list of shots, as older builds read it, unless the preset carries more: a resolution
+      // other than the default (so the values load on the same grid) or the table's combos
+      const tableCombos = combosToPreset(combos, rows);
+      const data =
+        resolution === DEFAULT_RESOLUTION && tableCombos.length === 0
+          ? shots
+          : { resolution, shots, ...(tableCombos.length > 0 && { combos: tableCombos }) };
       const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -3346,7 +4859,7 @@ const App = () => {
     } catch {
       _pushToast('Export failed');
     }
-  }, [rows, _pushToast]);
+  }, [rows, resolution, combos, _pushToast]);
 
   // Download the current standalone HTML file
   const downloadStandalone = useCallback(() => {
@@ -3363,254 +4876,110 @@ const App = () => {
       URL.revokeObjectURL(url);
       _pushToast('Downloaded standalone HTML file');
     } catch {
-      _pushToast('Download failed');
-    }
-  }, [_pushToast]);
-
-  // Check if running in standalone mode
-  const isStandalone = typeof window !== 'undefined' && window.EMBEDDED_IMAGES;
-
-  // Initialize hidden matrix (wrapped so effects & handlers can depend on stable reference)
-  const startSession = useCallback(() => {
-    if (rows.length === 0) {
-      return;
-    }
-    // Capture bases directly
-    const bL = rows.map((r) => snap5(r.initL));
-    const bR = rows.map((r) => snap5(r.initR));
-    setBaseL(bL);
-    setBaseR(bR);
-    // Determine original ordering by starting values
-    const ascL = rows
-      .map((r, i) => ({ i, v: r.initL }))
-      .sort((a, b) => a.v - b.v)
-      .map((x) => x.i);
-    const ascR = rows
-      .map((r, i) => ({ i, v: r.initR }))
-      .sort((a, b) => a.v - b.v)
-      .map((x) => x.i);
-    // Candidate random offsets (independent) within allowed band using configurable steps
-    const steps = Math.min(4, Math.max(0, Number(initRandSteps) || 0)); // still capped at 4 for initial randomization.
-    // Edge case note: if initRandSteps exceeds the eventual drift usableSteps (floor(driftMag)) then
-    // the initial hidden offsets may land outside the subsequent drift band, making early large
-    // deviations unreachable until drift magnitude increases. For now we allow this (gives a
-    // slightly broader initial challenge) but we could alternatively clamp:
-    //   steps = Math.min(steps, Math.floor(Number(driftMag)||0));
-    // if consistent bands are preferred.
-    const candL = bL.map((v) => {
-      // If "Not Possible" (0), keep it at 0 - no randomization
-      if (v === 0) {
-        return 0;
-      }
-      const off = rndInt(-steps, steps) * 5;
-      const lo = Math.max(0, v - 20);
-      const hi = Math.min(100, v + 20);
-      return snap5(Math.min(hi, Math.max(lo, v + off)));
-    });
-    const candR = bR.map((v) => {
-      // If "Not Possible" (0), keep it at 0 - no randomization
-      if (v === 0) {
-        return 0;
-      }
-      const off = rndInt(-steps, steps) * 5;
-      const lo = Math.max(0, v - 20);
-      const hi = Math.min(100, v + 20);
-      return snap5(Math.min(hi, Math.max(lo, v + off)));
-    });
-    // Enforce ordering via bounded isotonic regression
-    const hiddenInitL = strictlyIncrease(
-      isotonicWithBounds(candL, bL, ascL).map((v) => snap5(v)),
-      bL,
-      ascL
-    );
-    const hiddenInitR = strictlyIncrease(
-      isotonicWithBounds(candR, bR, ascR).map((v) => snap5(v)),
-      bR,
-      ascR
-    );
-    setHiddenL(hiddenInitL);
-    setHiddenR(hiddenInitR);
-    setOrderAscL(ascL);
-    setOrderAscR(ascR);
-    setMentalL(rows.map((r) => r.initL));
-    setMentalR(rows.map((r) => r.initR));
-    setAttempts([]);
-    setAttemptCount(0);
-    setFinalPhase(false);
-    setFinalRecallL(rows.map((r) => r.initL));
-    setFinalRecallR(rows.map((r) => r.initR));
-    setInitialized(true);
-    // Pick a random starting shot & flipper for both modes so manual mode doesn't always start at first row
-    if (rows.length > 0) {
-      const randIdx = rndInt(0, rows.length - 1);
-      setSelectedIdx(randIdx);
-      setSelectedSide(seededRandom() < 0.5 ? 'L' : 'R');
-    }
-  }, [
-    rows,
-    initRandSteps,
-    setBaseL,
-    setBaseR,
-    setHiddenL,
-    setHiddenR,
-    setOrderAscL,
-    setOrderAscR,
-    setMentalL,
-    setMentalR,
-    setAttempts,
-    setAttemptCount,
-    setFinalPhase,
-    setFinalRecallL,
-    setFinalRecallR,
-    setInitialized,
-    setSelectedIdx,
-    setSelectedSide,
-  ]);
-
-  // Allow pressing Enter anywhere on setup screen to start the session (if valid)
-  useEffect(() => {
-    if (initialized) {
-      // eslint-disable-next-line no-empty-function
-      return () => {};
-    }
-    function handleKey(e) {
-      if (e.key === 'Enter' && !initialized && canStart) {
-        if (e.shiftKey || e.altKey || e.metaKey || e.ctrlKey) {
-          return;
-        }
-        e.preventDefault();
-        startSession();
-      }
-    }
-    window.addEventListener('keydown', handleKey);
-    return () => {
-      window.removeEventListener('keydown', handleKey);
-    };
-  }, [initialized, canStart, startSession]);
-
-  // Apply drift every N attempts
-  useEffect(() => {
-    if (!initialized) {
-      // eslint-disable-next-line no-empty-function
-      return () => {};
-    }
-    if (attemptCount === 0) {
-      // eslint-disable-next-line no-empty-function
-      return () => {};
-    }
-    if (driftEvery <= 0) {
-      // eslint-disable-next-line no-empty-function
-      return () => {};
-    }
-    if (attemptCount % driftEvery !== 0) {
-      // eslint-disable-next-line no-empty-function
-      return () => {};
-    }
-    // Drift logic:
-    // New rule: The drift band around each base value is dynamic: ± (driftMag * 5) percentage points.
-    // We still preserve ordering via isotonic regression after applying random steps.
-    // driftMag itself can be fractional (step input 0.5); we interpret usable integer steps as floor(driftMag),
-    // which determines both the maximum random step distance and the per-attempt clamp band.
-    const driftMagNum = Number(driftMag);
-    const usableSteps = Math.max(
-      0,
-      Math.min(4, Math.floor(Number.isFinite(driftMagNum) ? driftMagNum : 0))
-    ); // retain legacy overall hard ceiling of 4 steps (±20)
-    const stepDrift = () => {
-      if (usableSteps === 0) {
-        return 0;
-      }
-      const k = rndInt(0, usableSteps);
-      const dir = seededRandom() < 0.5 ? -1 : 1;
-      return dir * k * 5;
-    };
-
-    setHiddenL((prev) => {
-      if (prev.length === 0 || baseL.length === 0) {
-        return prev;
-      }
-      const drifted = prev.map((v, i) => {
-        // If already "Not Possible" (0), it should not drift and remain 0
-        if (v === 0) {
-          return 0;
-        }
-        const b = baseL[i];
-        const lo = Math.max(0, b - usableSteps * 5);
-        const hi = Math.min(100, b + usableSteps * 5);
-        const candidate = snap5(v + stepDrift());
-        // If drift brings value to 0, it becomes "Not Possible" and will stay 0
-        return Math.min(hi, Math.max(lo, candidate));
-      });
-      const ordered = isotonicWithBounds(drifted, baseL, orderAscL);
-      return strictlyIncrease(ordered, baseL, orderAscL);
-    });
-    setHiddenR((prev) => {
-      if (prev.length === 0 || baseR.length === 0) {
-        return prev;
-      }
-      const drifted = prev.map((v, i) => {
-        // If already "Not Possible" (0), it should not drift and remain 0
-        if (v === 0) {
-          return 0;
-        }
-        const b = baseR[i];
-        const lo = Math.max(0, b - usableSteps * 5);
-        const hi = Math.min(100, b + usableSteps * 5);
-        const candidate = snap5(v + stepDrift());
-        // If drift brings value to 0, it becomes "Not Possible" and will stay 0
-        return Math.min(hi, Math.max(lo, candidate));
-      });
-      const ordered = isotonicWithBounds(drifted, baseR, orderAscR);
-      return strictlyIncrease(ordered, baseR, orderAscR);
-    });
-    // eslint-disable-next-line no-empty-function
-    return () => {};
-  }, [
-    attemptCount,
-    driftEvery,
-    driftMag,
-    orderAscL,
-    orderAscR,
-    initialized,
-    baseL,
-    baseR,
-    setHiddenL,
-    setHiddenR,
-  ]);
-
-  function validatePercent(numLike) {
-    const x = Number(numLike);
-    if (!Number.isFinite(x)) {
-      return null;
+      _pushToast('Download failed');
     }
-    return snap5(Math.max(0, Math.min(100, x)));
-  }
+  }, [_pushToast]);
+
+  // Check if running in standalone mode
+  const isStandalone = typeof window !== 'undefined' && window.EMBEDDED_IMAGES;
+
+  // Engine options for new sessions, from the advanced setup settings
+  const sessionOptions = useMemo(
+    () => ({
+      initRandSteps,
+      driftEvery,
+      driftMinutes,
+      driftChance,
+      driftMag,
+      driftModel,
+      mode,
+      calibrateFirst,
+      closeAfterHits,
+      reopenMin,
+      reopenMax,
+      scoringProfile,
+      timeLimit,
+      speedBonus,
+      sprintAttempts,
+      sprintMinutes,
+      flipper: flipperFilter,
+      // Shots are picked by row id so the subset survives reordering; the engine works on indexes
+      shots:
+        shotFilter === null ? null : rows.flatMap((r, i) => (shotFilter.includes(r.id) ? [i] : [])),
+      excludeNP,
+      autoProgress,
+      minGapL,
+      minGapR,
+      resolution,
+      seed: useSeededRandom ? parseSeed(seedInput) : null,
+    }),
+    [
+      initRandSteps,
+      driftEvery,
+      driftMinutes,
+      driftChance,
+      driftMag,
+      driftModel,
+      mode,
+      calibrateFirst,
+      closeAfterHits,
+      reopenMin,
+      reopenMax,
+      scoringProfile,
+      timeLimit,
+      speedBonus,
+      sprintAttempts,
+      sprintMinutes,
+      flipperFilter,
+      shotFilter,
+      rows,
+      excludeNP,
+      autoProgress,
+      minGapL,
+      minGapR,
+      resolution,
+      useSeededRandom,
+      seedInput,
+    ]
+  );
 
-  function pickRandomIdx() {
+  // Start a new engine session from the setup rows (wrapped so effects & handlers can depend on stable reference)
+  const startSession = useCallback(() => {
     if (rows.length === 0) {
-      return 0;
+      return;
     }
-    if (rows.length === 1) {
-      return 0;
+    setSession(createSession(rows, sessionOptions));
+    setAttemptHistory(createHistory());
+  }, [rows, sessionOptions, setSession]);
+
+  // Allow pressing Enter anywhere on setup screen to start the session (if valid)
+  useEffect(() => {
+    if (initialized) {
+      // eslint-disable-next-line no-empty-function
+      return () => {};
     }
-    let idx = rndInt(0, rows.length - 1);
-    // avoid immediate repeats
-    let tries = 0;
-    while (idx === selectedIdx && tries < 5) {
-      idx = rndInt(0, rows.length - 1);
-      tries++;
+    function handleKey(e) {
+      if (e.key === 'Enter' && !initialized && canStart) {
+        if (e.shiftKey || e.altKey || e.metaKey || e.ctrlKey) {
+          return;
+        }
+        e.preventDefault();
+        startSession();
+      }
     }
-    return idx;
-  }
+    window.addEventListener('keydown', handleKey);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [initialized, canStart, startSession]);
 
-  // eslint-disable-next-line sonarjs/cognitive-complexity
-  function submitAttempt(overrideVal) {
+  // Record a guess for the current prompt (drift & next prompt selection happen in the engine)
+  function recordAttempt(overrideVal) {
     if (!initialized) {
       return;
     }
-    const idx = mode === 'random' ? selectedIdx : selectedIdx;
     const usingOverride = overrideVal !== null && overrideVal !== undefined;
-    const val = validatePercent(usingOverride ? overrideVal : guess);
+    const val = validatePercent(usingOverride ? overrideVal : guess, resolutionOf(session));
     if (!usingOverride && (guess === '' || val === null)) {
       setRecallError('0–100 (0 - Not Possible)');
       setTimeout(() => {
@@ -3623,199 +4992,366 @@ const App = () => {
       return;
     } // ignore invalid override silently
     setRecallError('');
-    const truth = (selectedSide === 'L' ? hiddenL[idx] : hiddenR[idx]) ?? 0;
-    // Determine previous attempt for same shot & side to assess adjustment quality
-    const prevSame = attempts.find((a) => a.idx === idx && a.side === selectedSide);
-    const prevInput = prevSame ? prevSame.input : null;
-    const delta = Math.round(val - truth);
-    const abs = Math.abs(delta);
-    // Classification now fixed to 5% increments:
-    // 0 => perfect, 5 => slight, 10 => fairly, >=15 => very (early/late determined by sign)
-    let label;
-    if (abs === 0) {
-      label = 'perfect';
-    } else {
-      label = delta < 0 ? 'early' : 'late';
+    // eslint-disable-next-line react-hooks/purity -- timestamp captured inside event-handler invocation, not render
+    const t = Date.now();
+    const next = withSessionRandom(session, (random) =>
+      submitAttempt(session, { value: val, t }, random)
+    );
+    if (next === session) {
+      return;
     }
-    let severity;
-    if (abs === 0) {
-      severity = 'perfect';
-    } else if (abs === 5) {
-      severity = 'slight';
-    } else if (abs === 10) {
-      severity = 'fairly';
-    } else {
-      severity = 'very';
-    } // abs >= 15
-    const basePoints = Math.max(0, Math.round(100 - abs));
-    // Adjustment logic:
-    // If previous attempt existed and was 'late' (prev delta > 0), user should decrease number this time.
-    // If previous attempt existed and was 'early' (prev delta < 0), user should increase number.
-    // If previous attempt was within tolerance, no adjustment required.
-    let adjustRequired = false;
-    let requiredDir = 0; // -1 means should go lower, +1 higher, 0 none
-    let adjustCorrect = true; // default true if no requirement
-    if (prevSame) {
-      const prevDelta = prevSame.delta;
-      if (prevDelta > 0) {
-        adjustRequired = true;
-        requiredDir = -1;
-      } else if (prevDelta < 0) {
-        adjustRequired = true;
-        requiredDir = 1;
-      }
-      if (adjustRequired) {
-        if (requiredDir === -1 && val >= prevSame.input) {
-          adjustCorrect = false;
-        }
-        if (requiredDir === 1 && val <= prevSame.input) {
-          adjustCorrect = false;
-        }
-      }
+    setSession(next);
+    setAttemptHistory((h) => recordChange(h, session));
+    const last = next.attempts[0];
+    _pushToast(`Recorded ${formatPct(val)}`, 'undo');
+    // Let the player know when a shot closes or comes back
+    if (last.shotClosed) {
+      _pushToast(`${rowDisplayWithSide(rows[last.idx], last.side)} closed (Not Possible for now)`);
     }
-    // Adjustment penalty only if required and incorrect. Penalty magnitude scaled by how strongly you went the wrong way or failed to move.
-    let adjustPenalty = 0;
-    if (adjustRequired && !adjustCorrect && prevInput !== null) {
-      const diff = Math.abs(val - prevInput); // wrong direction or zero movement
-      // 5 points base penalty + 1 per 5% of (wrong or zero) adjustment up to 25
-      adjustPenalty = Math.min(25, 5 + Math.round(diff / 5));
+    for (const o of last.reopened ?? []) {
+      _pushToast(`${rowDisplayWithSide(rows[o.idx], o.side)} reopened`);
     }
-    const points = Math.max(0, basePoints - adjustPenalty);
-    const rec = {
-      // eslint-disable-next-line react-hooks/purity -- timestamp captured inside event-handler invocation, not render
-      t: Date.now(),
-      idx,
-      side: selectedSide,
-      input: val,
-      truth,
-      delta,
-      label,
-      severity,
-      points,
-      basePoints,
-      prevInput,
-      adjustRequired,
-      requiredDir,
-      adjustCorrect,
-      adjustPenalty,
-    };
-    setAttempts((a) => [rec, ...a].slice(0, 200));
-    setAttemptCount((c) => c + 1);
-    // Update guess values toward the input guess (still adjusts background values)
-    if (selectedSide === 'L') {
-      setMentalL((m) => {
-        const n = [...m];
-        n[idx] = val;
-        return n;
-      });
-    } else {
-      setMentalR((m) => {
-        const n = [...m];
-        n[idx] = val;
-        return n;
-      });
+    if (next.level !== session.level) {
+      _pushToast(describeLevelChange(session.level, next.level));
     }
-
-    // Store pending next shot values (will be applied when user clicks to continue)
-    if (mode === 'random') {
-      setPendingNextIdx(pickRandomIdx());
-      setPendingNextSide(seededRandom() < 0.5 ? 'L' : 'R');
-    } else {
-      // In manual mode, keep the same shot/side
-      setPendingNextIdx(selectedIdx);
-      setPendingNextSide(selectedSide);
+    if (next.sprintEnded) {
+      _pushToast(SPRINT_OVER);
     }
-    // Set awaiting state - user must click to advance to next shot
-    setAwaitingNextShot(true);
-
     // Clear guess so input resets for next attempt
     setGuess('');
-    setRecallError('');
   }
 
-  // Function to advance to the next shot when user clicks on playfield
-  const advanceToNextShot = useCallback(() => {
-    if (!awaitingNextShot) {
+  // Take back the last attempt, restoring its practice state from before it (drift & pending shot
+  // included) while keeping drills, mode and scoring profile changed since
+  const undoAttempt = useCallback(() => {
+    const step = undo(attemptHistory, session);
+    if (!step) {
+      _pushToast('Nothing to undo');
+      return;
+    }
+    setAttemptHistory(step.history);
+    setSession(stopPromptTimer(restorePractice(session, step.state)));
+    _pushToast('Undone', 'redo');
+  }, [attemptHistory, session, setSession, _pushToast]);
+
+  const redoAttempt = useCallback(() => {
+    const step = redo(attemptHistory, session);
+    if (!step) {
+      _pushToast('Nothing to redo');
+      return;
+    }
+    setAttemptHistory(step.history);
+    setSession(stopPromptTimer(restorePractice(session, step.state)));
+    _pushToast('Redone', 'undo');
+  }, [attemptHistory, session, setSession, _pushToast]);
+
+  // Ctrl/Cmd+Z undoes the last attempt, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes it (practice only)
+  useEffect(() => {
+    if (!initialized || finalPhase) {
+      // eslint-disable-next-line no-empty-function
+      return () => {};
+    }
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+        return;
+      }
+      // Leave native text undo alone while the player is typing
+      const { tagName, type, value } = e.target ?? {};
+      const typing =
+        tagName === 'TEXTAREA' || (tagName === 'INPUT' && type !== 'checkbox' && value !== '');
+      if (typing) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoAttempt();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoAttempt();
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [initialized, finalPhase, undoAttempt, redoAttempt]);
+
+  // Switch Manual/Random both for future sessions and the running one
+  const changeMode = useCallback(
+    (m) => {
+      setMode(m);
+      setSession((s) => s && updateOptions(s, { mode: m }));
+    },
+    [setMode, setSession]
+  );
+
+  // Switch scoring profile for future sessions and re-score the running one under it
+  const changeScoringProfile = useCallback(
+    (id) => {
+      setScoringProfile(id);
+      setSession((s) => s && rescoreSession(s, id));
+    },
+    [setScoringProfile, setSession]
+  );
+
+  // "Machine changed" button: drift now and log it as a manual event
+  const machineChanged = useCallback(() => {
+    const t = Date.now();
+    const next = withSessionRandom(session, (random) => triggerDrift(session, { t }, random));
+    if (next === session) {
+      return;
+    }
+    setSession(next);
+    setAttemptHistory((h) => recordChange(h, session));
+    _pushToast('Machine changed: hidden values shifted', 'undo');
+  }, [session, setSession, _pushToast]);
+
+  // Final recall quiz: ask every shot & flipper once, in random order, on the playfield
+  const startQuiz = useCallback(() => {
+    setSession(withSessionRandom(session, (random) => startRecallQuiz(session, random)));
+  }, [session, setSession]);
+
+  const answerQuiz = useCallback(
+    (value) => {
+      const next = answerRecallQuiz(session, value);
+      if (next === session) {
+        return;
+      }
+      setSession(next);
+      if (quizDone(next)) {
+        _pushToast('Quiz done: your answers are graded below');
+      }
+    },
+    [session, setSession, _pushToast]
+  );
+
+  // Shot ranking drill: order a random handful of one flipper's shots from tip to base
+  const startRanking = useCallback(() => {
+    const next = withSessionRandom(session, (random) => startRankingDrill(session, {}, random));
+    if (next === session) {
+      _pushToast('Not enough possible shots on a flipper to rank');
+      return;
+    }
+    setSession(next);
+    setShowReverse(false);
+    setShowCombo(false);
+    setShowRanking(true);
+  }, [session, setSession, _pushToast]);
+
+  const checkRanking = useCallback(
+    (order) => {
+      setSession(submitRanking(session, order, Date.now()));
+    },
+    [session, setSession]
+  );
+
+  const closeRanking = useCallback(() => {
+    setSession((st) => st && cancelRankingDrill(st));
+    setShowRanking(false);
+  }, [setSession]);
+
+  // Reverse identification drill: pick the shot that plays from a marked flipper point
+  const startReverse = useCallback(() => {
+    const next = withSessionRandom(session, (random) => startReverseDrill(session, random));
+    if (next === session) {
+      _pushToast('No possible shots to drill');
+      return;
+    }
+    setSession(next);
+    setShowRanking(false);
+    setShowCombo(false);
+    setShowReverse(true);
+  }, [session, setSession, _pushToast]);
+
+  const pickReverse = useCallback(
+    (idx) => {
+      setSession(submitReverse(session, idx, Date.now()));
+    },
+    [session, setSession]
+  );
+
+  const closeReverse = useCallback(() => {
+    setSession((st) => st && cancelReverseDrill(st));
+    setShowReverse(false);
+  }, [setSession]);
+
+  // Combo drill: recall two to four shot & flipper pairs in order (random, or one of the table's combos)
+  const playCombo = useCallback(
+    (steps) => {
+      setSession(startCombo(session, steps));
+      setShowRanking(false);
+      setShowReverse(false);
+      setShowCombo(true);
+    },
+    [session, setSession]
+  );
+
+  const startRandomCombo = useCallback(() => {
+    const next = withSessionRandom(session, (random) =>
+      startCombo(session, generateCombo(session, {}, random))
+    );
+    if (next === session) {
+      _pushToast('Not enough possible shots for a combo');
       return;
     }
-    // Apply pending next shot values
-    if (pendingNextIdx !== null) {
-      setSelectedIdx(pendingNextIdx);
+    setSession(next);
+    setShowRanking(false);
+    setShowReverse(false);
+    setShowCombo(true);
+  }, [session, setSession, _pushToast]);
+
+  const answerCombo = useCallback(
+    (value) => {
+      setSession(answerComboStep(session, value, Date.now()));
+    },
+    [session, setSession]
+  );
+
+  const closeCombo = useCallback(() => {
+    setSession((st) => st && cancelCombo(st));
+    setShowCombo(false);
+  }, [setSession]);
+
+  const saveCombo = useCallback(
+    (steps) => {
+      setCombos((list) => [...list, { id: Date.now(), steps }]);
+      _pushToast('Combo saved');
+    },
+    [setCombos, _pushToast]
+  );
+
+  const deleteCombo = useCallback(
+    (id) => {
+      setCombos((list) => list.filter((c) => c.id !== id));
+    },
+    [setCombos]
+  );
+
+  // Restart a seeded session from scratch with the same seed & settings (same values, drift and prompts)
+  const replaySession = useCallback(() => {
+    setSession(createSession(rows, session.options));
+    setAttemptHistory(createHistory());
+    setReplayConfirm(false);
+    _pushToast(`Replaying seed ${session.options.seed}`);
+  }, [rows, session, setSession, _pushToast]);
+
+  // Timed mode: the prompt ran out of time, record it as a miss
+  const promptTimedOut = useCallback(
+    (deadline) => {
+      // Timers can fire a few ms early; the miss is recorded at the deadline at the earliest
+      const t = Math.max(Date.now(), deadline);
+      const next = withSessionRandom(session, (random) => submitTimeout(session, { t }, random));
+      if (next === session) {
+        return;
+      }
+      setSession(next);
+      setAttemptHistory((h) => recordChange(h, session));
+      setGuess('');
+      _pushToast("Time's up", 'undo');
+      if (next.level !== session.level) {
+        _pushToast(describeLevelChange(session.level, next.level));
+      }
+      if (next.sprintEnded) {
+        _pushToast(SPRINT_OVER);
+      }
+    },
+    [session, setSession, setGuess, _pushToast]
+  );
+
+  // Answer clock of the current prompt: cleared after a reload (the stored start time is stale),
+  // started once the prompt is on screen and timed out at its deadline
+  // (a drill holds the clock until it closes)
+  const promptedAt = session?.promptedAt ?? null;
+  const deadline = session ? promptDeadline(session) : null;
+  const drillOpen = session ? drillInProgress(session) : false;
+  useEffect(() => {
+    setSession((s) => s && stopPromptTimer(s));
+  }, [setSession]);
+  useEffect(() => {
+    if (initialized && !finalPhase && !awaitingNextShot && !drillOpen && promptedAt === null) {
+      setSession((s) => s && startPromptTimer(s, Date.now()));
+    }
+  }, [initialized, finalPhase, awaitingNextShot, drillOpen, promptedAt, setSession]);
+  useEffect(() => {
+    if (deadline === null) {
+      // eslint-disable-next-line no-empty-function
+      return () => {};
     }
-    if (pendingNextSide !== null) {
-      setSelectedSide(pendingNextSide);
+    const id = setTimeout(() => promptTimedOut(deadline), Math.max(0, deadline - Date.now()));
+    return () => clearTimeout(id);
+  }, [deadline, promptTimedOut]);
+
+  // Sprint sessions with a length in minutes move to final recall by themselves when time is up
+  const sprintEndsAt = session && !finalPhase ? sprintDeadline(session) : null;
+  useEffect(() => {
+    if (sprintEndsAt === null) {
+      // eslint-disable-next-line no-empty-function
+      return () => {};
     }
-    // Clear pending and awaiting states
-    setPendingNextIdx(null);
-    setPendingNextSide(null);
-    setAwaitingNextShot(false);
-  }, [awaitingNextShot, pendingNextIdx, pendingNextSide]); // eslint-disable-line react-hooks/exhaustive-deps -- setState functions are stable
+    const id = setTimeout(
+      () => {
+        setSession((s) => s && endSprintIfDue(s, Math.max(Date.now(), sprintEndsAt)));
+        _pushToast(SPRINT_OVER);
+      },
+      Math.max(0, sprintEndsAt - Date.now())
+    );
+    return () => clearTimeout(id);
+  }, [sprintEndsAt, setSession, _pushToast]);
+
+  // Function to advance to the next shot when user clicks on playfield
+  const advanceToNextShot = useCallback(() => {
+    setSession((s) => s && advancePrompt(s));
+  }, [setSession]);
 
   const endSession = useCallback(() => {
-    setFinalPhase(true);
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps -- setState functions are stable
+    setSession((s) => s && enterFinalRecall(s));
+  }, [setSession]);
 
   const resetAll = useCallback(() => {
-    setInitialized(false);
-    setHiddenL([]);
-    setHiddenR([]);
-    setMentalL([]);
-    setMentalR([]);
-    setAttempts([]);
-    setAttemptCount(0);
-    setFinalPhase(false);
-    setFinalRecallL([]);
-    setFinalRecallR([]);
+    setSession(null);
+    setAttemptHistory(createHistory());
     // Clear any stale selection so overlay lines don't render before canvas measures
     setSelectedBlockId(null);
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps -- setState functions are stable
+  }, [setSession]);
+
+  // Shot & flipper pairs the session covers (session filters)
+  const pool = useMemo(() => promptPool(session ?? IDLE_SESSION), [session]);
+  const promptSides = poolSides(pool, promptIdx);
+  // Ball states the prompted shot & flipper has variants for
+  const promptBalls = ballStatesOf(session ?? IDLE_SESSION, promptIdx, promptSide);
 
   // Final grading
-  const finalScore = useMemo(() => {
-    if (
-      !finalPhase ||
-      rows.length === 0 ||
-      hiddenL.length === 0 ||
-      hiddenR.length === 0 ||
-      finalRecallL.length === 0 ||
-      finalRecallR.length === 0
-    ) {
-      return 0;
-    }
-    let total = 0;
-    let count = 0;
-    for (let i = 0; i < rows.length; i++) {
-      const tL = hiddenL[i] ?? 0;
-      const tR = hiddenR[i] ?? 0;
-      const gL = clamp(finalRecallL[i] ?? 0);
-      const gR = clamp(finalRecallR[i] ?? 0);
-      total += Math.abs(gL - tL);
-      count++;
-      total += Math.abs(gR - tR);
-      count++;
-    }
-    if (!count) {
-      return 0;
-    }
-    const mae = total / count;
-    return Math.max(0, Math.round(100 - mae));
-  }, [finalPhase, rows, hiddenL, hiddenR, finalRecallL, finalRecallR]);
+  const finalGrade = useMemo(() => grade(session ?? IDLE_SESSION), [session]);
+  const finalScore = finalPhase ? finalGrade.score : 0;
+  // Final recall quiz in progress (the table and grades stay hidden until it is done)
+  const quizActive = Boolean(session?.recallQuiz) && !quizDone(session);
 
-  // One-time snapping of any legacy non-5 values after load
+  // One-time snapping of any legacy off-grid values after load (rows to the resolution setting,
+  // a stored session to its own resolution: 5 for sessions from before the setting)
   useEffect(() => {
     setRows((prev) =>
       prev.map((r) => ({
         ...r,
-        initL: r.initL === null || r.initL === undefined ? null : snap5(r.initL),
-        initR: r.initR === null || r.initR === undefined ? null : snap5(r.initR),
+        initL: r.initL === null || r.initL === undefined ? null : snapTo(r.initL, resolution),
+        initR: r.initR === null || r.initR === undefined ? null : snapTo(r.initR, resolution),
       }))
     );
-    setMentalL((m) => m.map((v) => snap5(v ?? 0)));
-    setMentalR((m) => m.map((v) => snap5(v ?? 0)));
-    setHiddenL((h) => h.map((v) => snap5(v ?? 0)));
-    setHiddenR((h) => h.map((v) => snap5(v ?? 0)));
-    setFinalRecallL((r) => r.map((v) => snap5(v ?? 0)));
-    setFinalRecallR((r) => r.map((v) => snap5(v ?? 0)));
+    setSession((s) => {
+      if (!s) {
+        return s;
+      }
+      const snap = (v) => snapTo(v ?? 0, resolutionOf(s));
+      return {
+        ...s,
+        mentalL: s.mentalL.map(snap),
+        mentalR: s.mentalR.map(snap),
+        hiddenL: s.hiddenL.map(snap),
+        hiddenR: s.hiddenR.map(snap),
+        finalRecallL: s.finalRecallL.map(snap),
+        finalRecallR: s.finalRecallR.map(snap),
+      };
+    });
     // Update ROW_ID_SEED to avoid ID conflicts with loaded rows
     if (rows.length > 0) {
       const maxId = Math.max(...rows.map((r) => r.id));
@@ -3829,48 +5365,67 @@ const App = () => {
   // (Section & NumberInput hoisted above)
   // --- Reordering helpers (only active pre-session) ---
   const [dragRowIdx, setDragRowIdx] = useState(null);
-  function normalizeRowPercents(rowsArr) {
-    // Left side normalization: non-decreasing; zeros allowed until first positive; after first positive, strictly increasing (>= +5); no zeros allowed below first positive.
+  function normalizeRowPercents(rowsArr, step = resolution) {
+    // Values snap to the resolution grid; neighbours keep each flipper's minimum gap (0 between rows sharing an aim point)
+    const pairs = aimPairs(rowsArr);
+    const gapL = gapRule(minGapL, pairs, step);
+    const gapR = gapRule(minGapR, pairs, step);
+    // Left side normalization: non-decreasing; zeros allowed until first positive; after first positive, increasing by at least the gap; no zeros allowed below first positive.
     let lastNonZero = 0;
+    let lastNonZeroIdx = -1;
     const out = rowsArr.map((r) => ({ ...r }));
-    for (const element of out) {
+    for (const [k, element] of out.entries()) {
       const raw = element.initL;
       if (raw === null || raw === undefined) {
         continue;
       } // leave nulls/undefined untouched
-      let v = snap5(raw);
+      let v = snapTo(raw, step);
       if (v < 0) {
         v = 0;
       }
       if (lastNonZero === 0) {
         // zeros allowed; any positive establishes lastNonZero
-      } else if (v === 0 || v <= lastNonZero) {
-        v = Math.min(100, lastNonZero + 5);
+      } else if (v === 0 || v - lastNonZero < gapL(lastNonZeroIdx, k)) {
+        v = Math.min(100, lastNonZero + gapL(lastNonZeroIdx, k));
       }
       element.initL = v;
       if (v > 0) {
         lastNonZero = v;
+        lastNonZeroIdx = k;
       }
     }
-    // Right side normalization: strictly decreasing top -> bottom.
-    let prevR = 105; // greater than max
-    for (const element of out) {
+    // Right side normalization: decreasing top -> bottom by at least the gap.
+    let prevR = null;
+    let prevRIdx = -1;
+    for (const [k, element] of out.entries()) {
       const raw = element.initR;
       if (raw === null || raw === undefined) {
         continue;
       } // leave nulls/undefined untouched
-      let v = snap5(raw);
-      if (v >= prevR) {
-        v = prevR - 5;
+      let v = snapTo(raw, step);
+      if (prevR !== null && prevR - v < gapR(prevRIdx, k)) {
+        v = prevR - gapR(prevRIdx, k);
       }
       if (v < 0) {
         v = 0;
       }
       element.initR = v;
       prevR = v;
+      prevRIdx = k;
     }
     return out;
   }
+  // Switch the value grid; setup rows and their ball-arrival variants snap to the new one
+  function changeResolution(next) {
+    const step = parseResolution(next);
+    setStoredResolution(step);
+    setRows((prev) =>
+      normalizeRowPercents(
+        prev.map((r) => (r.variants ? { ...r, variants: snapVariants(r.variants, step) } : r)),
+        step
+      )
+    );
+  }
   function handleRowReorder(fromIdx, toIdx) {
     if (fromIdx === null || toIdx === null || fromIdx === toIdx) {
       setDragRowIdx(null);
@@ -4232,14 +5787,34 @@ const App = () => {
         ) : null}
         {/* Toast notifications */}
         <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex flex-col gap-2 items-center">
-          {toasts.map((t) => (
-            <div
-              key={t.id}
-              className="bg-slate-900 text-white text-xs px-3 py-2 rounded-lg shadow-lg animate-fadein"
-            >
-              {t.msg}
-            </div>
-          ))}
+          {toasts.map((t) => {
+            const action = TOAST_ACTIONS[t.action];
+            return (
+              <div
+                key={t.id}
+                className="bg-slate-900 text-white text-xs px-3 py-2 rounded-lg shadow-lg animate-fadein flex items-center gap-3"
+              >
+                <span>{t.msg}</span>
+                {action ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setToasts((list) => list.filter((x) => x.id !== t.id));
+                      if (t.action === 'undo') {
+                        undoAttempt();
+                      } else {
+                        redoAttempt();
+                      }
+                    }}
+                    className="font-semibold text-sky-300 hover:text-sky-200 underline"
+                    title={action.title}
+                  >
+                    {action.label}
+                  </button>
+                ) : null}
+              </div>
+            );
+          })}
         </div>
         {/* Detached popups (portals) for shot & location selection */}
         {shotMenuAnchor && openShotMenuId !== null
@@ -4402,19 +5977,7 @@ const App = () => {
                         const count = n;
                         // eslint-disable-next-line unicorn/consistent-function-scoping
                         const buildRows = (cnt) => {
-                          const asc = Array.from({ length: cnt }, (_, i) =>
-                            snap5(((i + 1) / (cnt + 1)) * 100)
-                          );
-                          for (let i = 1; i < asc.length; i++) {
-                            if (asc[i] <= asc[i - 1]) {
-                              asc[i] = Math.min(100, asc[i - 1] + 5);
-                            }
-                          }
-                          for (let i = asc.length - 2; i >= 0; i--) {
-                            if (asc[i] >= asc[i + 1]) {
-                              asc[i] = Math.max(5, asc[i + 1] - 5);
-                            }
-                          }
+                          const asc = evenlySpaced(cnt, resolution);
                           const desc = [...asc].reverse();
                           return asc.map((v, i) => newRow({ initL: v, initR: desc[i] }, i));
                         };
@@ -4685,8 +6248,8 @@ const App = () => {
                     <button
                       onClick={() => {
                         if (canStart) {
-                          startSession();
-                          setFinalPhase(true);
+                          setSession(enterFinalRecall(createSession(rows, sessionOptions)));
+                          setAttemptHistory(createHistory());
                         }
                       }}
                       disabled={!canStart}
@@ -4804,56 +6367,412 @@ const App = () => {
                           <div className="flex items-center justify-between gap-1">
                             <span
                               className={`${GetTextClass(darkMode, 'secondary')}`}
-                              title="How far each correct value can start from your initial guess (in 5% steps)"
+                              title="Value grid for shots, guesses and recall; also the size of a randomization & drift step"
+                            >
+                              Resolution (%)
+                            </span>
+                            <div
+                              className="flex items-center gap-1"
+                              role="group"
+                              aria-label="Resolution"
+                            >
+                              {RESOLUTIONS.map((r) => (
+                                <Chip
+                                  key={r}
+                                  active={resolution === r}
+                                  onClick={() => changeResolution(r)}
+                                  darkMode={darkMode}
+                                  className="text-[10px] px-2 py-0.5"
+                                >
+                                  {r}
+                                </Chip>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title={`How far each correct value can start from your initial guess (in ${resolution}% steps)`}
+                            >
+                              Initial random (×{resolution}%)
+                            </span>
+                            <NumberInput
+                              value={initRandSteps}
+                              onChange={setInitRandSteps}
+                              min={0}
+                              max={MAX_BAND / resolution}
+                              darkMode={darkMode}
+                            />
+                          </div>
+                          <label
+                            className={`flex items-center justify-between gap-1 ${GetTextClass(darkMode, 'secondary')}`}
+                            title="Start on a middle level and move up (more & bigger drift) or down every 10 attempts by accuracy; overrides drift every N attempts and drift magnitude"
+                          >
+                            <span>Auto difficulty</span>
+                            <input
+                              type="checkbox"
+                              checked={autoProgress}
+                              onChange={(e) => setAutoProgress(e.target.checked)}
+                              className={GetCheckboxClass(darkMode)}
+                            />
+                          </label>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title="How often hidden values shift after attempts"
+                            >
+                              Drift every N attempts
+                            </span>
+                            <div className="flex items-center gap-1">
+                              <NumberInput
+                                value={driftEvery}
+                                onChange={setDriftEvery}
+                                min={0}
+                                max={50}
+                                darkMode={darkMode}
+                              />
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title="Also shift hidden values every N minutes of practice (0 = off)"
+                            >
+                              Drift every N minutes
+                            </span>
+                            <NumberInput
+                              value={driftMinutes}
+                              onChange={setDriftMinutes}
+                              min={0}
+                              max={60}
+                              darkMode={darkMode}
+                            />
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title="Also shift hidden values at random with this chance per attempt (0 = off)"
+                            >
+                              Drift chance (%)
+                            </span>
+                            <NumberInput
+                              value={driftChance}
+                              onChange={setDriftChance}
+                              min={0}
+                              max={100}
+                              step={5}
+                              darkMode={darkMode}
+                            />
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title={`Maximum distance (in ${resolution}% steps) a value can wander from its base during drift`}
+                            >
+                              Drift magnitude (×{resolution}%)
+                            </span>
+                            <NumberInput
+                              value={driftMag}
+                              onChange={setDriftMag}
+                              min={0}
+                              max={10}
+                              step={0.5}
+                              darkMode={darkMode}
+                            />
+                          </div>
+                          <div>
+                            <div
+                              className={`mb-1 ${GetTextClass(darkMode, 'secondary')}`}
+                              title={DRIFT_MODELS[driftModel]?.description}
+                            >
+                              Drift model
+                            </div>
+                            <div className="grid grid-cols-2 gap-1">
+                              {Object.entries(DRIFT_MODELS).map(([id, m]) => (
+                                <Chip
+                                  key={id}
+                                  active={driftModel === id}
+                                  onClick={() => setDriftModel(id)}
+                                  darkMode={darkMode}
+                                  className="text-[10px] px-2 py-0.5"
+                                >
+                                  {m.label}
+                                </Chip>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title="Smallest distance between neighbouring shots on the left / right flipper (0 allows ties; rows marked Same aim may always tie)"
+                            >
+                              Min gap L / R
+                            </span>
+                            <div className="flex items-center gap-1">
+                              <NumberInput
+                                value={minGapL}
+                                onChange={setMinGapL}
+                                min={0}
+                                max={20}
+                                step={resolution}
+                                darkMode={darkMode}
+                                ariaLabel="Left flipper minimum gap"
+                              />
+                              <span className={GetTextClass(darkMode, 'muted')}>/</span>
+                              <NumberInput
+                                value={minGapR}
+                                onChange={setMinGapR}
+                                min={0}
+                                max={20}
+                                step={resolution}
+                                darkMode={darkMode}
+                                ariaLabel="Right flipper minimum gap"
+                              />
+                            </div>
+                          </div>
+                          <div className="flex items-center justify-between gap-1">
+                            <span
+                              className={`${GetTextClass(darkMode, 'secondary')}`}
+                              title="A shot & flipper turns Not Possible after this many hits, then reopens (0 = off)"
                             >
-                              Initial random (×5%)
+                              Close after N hits
                             </span>
                             <NumberInput
-                              value={initRandSteps}
-                              onChange={setInitRandSteps}
+                              value={closeAfterHits}
+                              onChange={setCloseAfterHits}
                               min={0}
-                              max={4}
+                              max={20}
                               darkMode={darkMode}
                             />
                           </div>
+                          {Number(closeAfterHits) > 0 && (
+                            <div className="flex items-center justify-between gap-1">
+                              <span
+                                className={`${GetTextClass(darkMode, 'secondary')}`}
+                                title="A closed shot reopens after a random number of attempts in this range"
+                              >
+                                Reopen after
+                              </span>
+                              <div className="flex items-center gap-1">
+                                <NumberInput
+                                  value={reopenMin}
+                                  onChange={setReopenMin}
+                                  min={1}
+                                  max={50}
+                                  darkMode={darkMode}
+                                />
+                                <span className={GetTextClass(darkMode, 'muted')}>–</span>
+                                <NumberInput
+                                  value={reopenMax}
+                                  onChange={setReopenMax}
+                                  min={1}
+                                  max={50}
+                                  darkMode={darkMode}
+                                />
+                              </div>
+                            </div>
+                          )}
+                          <label
+                            className={`flex items-center justify-between gap-1 ${GetTextClass(darkMode, 'secondary')}`}
+                            title="First guess for each shot & flipper gives feedback but is not scored"
+                          >
+                            <span>Calibration first pass</span>
+                            <input
+                              type="checkbox"
+                              checked={calibrateFirst}
+                              onChange={(e) => setCalibrateFirst(e.target.checked)}
+                              className={GetCheckboxClass(darkMode)}
+                            />
+                          </label>
                           <div className="flex items-center justify-between gap-1">
                             <span
                               className={`${GetTextClass(darkMode, 'secondary')}`}
-                              title="How often hidden values shift after attempts"
+                              title="Seconds to answer each prompt; running out counts as a miss (0 = untimed)"
                             >
-                              Drift every N attempts
+                              Time limit (s)
                             </span>
-                            <div className="flex items-center gap-1">
+                            <NumberInput
+                              value={timeLimit}
+                              onChange={setTimeLimit}
+                              min={0}
+                              max={60}
+                              darkMode={darkMode}
+                            />
+                          </div>
+                          {Number(timeLimit) > 0 && (
+                            <div className="flex items-center justify-between gap-1">
+                              <span
+                                className={`${GetTextClass(darkMode, 'secondary')}`}
+                                title="Bonus points for an instant answer, falling to 0 at the time limit (only for guesses within two resolution steps, ±10% by default)"
+                              >
+                                Speed bonus
+                              </span>
                               <NumberInput
-                                value={driftEvery}
-                                onChange={setDriftEvery}
+                                value={speedBonus}
+                                onChange={setSpeedBonus}
                                 min={0}
                                 max={50}
+                                step={5}
                                 darkMode={darkMode}
                               />
                             </div>
+                          )}
+                          <div className={`pt-1.5 border-t ${GetBorderClass(darkMode)}`}>
+                            <div className="flex items-center justify-between gap-1 mb-1.5">
+                              <span
+                                className={`${GetTextClass(darkMode, 'secondary')}`}
+                                title="Prompts and the final recall only cover this flipper"
+                              >
+                                Flipper
+                              </span>
+                              <div className="flex gap-1">
+                                {FLIPPER_FILTERS.map((f) => (
+                                  <Chip
+                                    key={f.value}
+                                    active={flipperFilter === f.value}
+                                    onClick={() => setFlipperFilter(f.value)}
+                                    darkMode={darkMode}
+                                    className="text-[10px] px-2 py-0.5"
+                                  >
+                                    {f.label}
+                                  </Chip>
+                                ))}
+                              </div>
+                            </div>
+                            <div
+                              className={`mb-1 ${GetTextClass(darkMode, 'secondary')}`}
+                              title="Prompts and the final recall only cover the checked shots"
+                            >
+                              Shots
+                            </div>
+                            <div className="max-h-28 overflow-auto space-y-0.5 mb-1.5">
+                              {rows.map((r) => (
+                                <label
+                                  key={r.id}
+                                  className={`flex items-center gap-2 ${GetTextClass(darkMode, 'muted')}`}
+                                >
+                                  <input
+                                    type="checkbox"
+                                    checked={shotFilter === null || shotFilter.includes(r.id)}
+                                    onChange={(e) => {
+                                      const current = shotFilter ?? rows.map((x) => x.id);
+                                      const next = e.target.checked
+                                        ? [...current, r.id]
+                                        : current.filter((id) => id !== r.id);
+                                      // Every shot checked is the same as no shot filter
+                                      setShotFilter(
+                                        rows.every((x) => next.includes(x.id)) ? null : next
+                                      );
+                                    }}
+                                    className={GetCheckboxClass(darkMode)}
+                                  />
+                                  <span className="truncate">{rowDisplay(r)}</span>
+                                </label>
+                              ))}
+                            </div>
+                            <label
+                              className={`flex items-center justify-between gap-1 ${GetTextClass(darkMode, 'secondary')}`}
+                              title="Never prompt (or recall) a shot & flipper whose value is Not Possible"
+                            >
+                              <span>Exclude NP prompts</span>
+                              <input
+                                type="checkbox"
+                                checked={excludeNP}
+                                onChange={(e) => setExcludeNP(e.target.checked)}
+                                className={GetCheckboxClass(darkMode)}
+                              />
+                            </label>
+                          </div>
+                          <div className={`pt-1.5 border-t ${GetBorderClass(darkMode)}`}>
+                            <div
+                              className={`mb-1.5 ${GetTextClass(darkMode, 'secondary')}`}
+                              title="Fixed session length: practice ends by itself and shows a summary with the final recall"
+                            >
+                              Sprint
+                            </div>
+                            <div className="grid grid-cols-2 gap-1">
+                              <Chip
+                                active={!Number(sprintAttempts) && !Number(sprintMinutes)}
+                                onClick={() => {
+                                  setSprintAttempts(0);
+                                  setSprintMinutes(0);
+                                }}
+                                darkMode={darkMode}
+                                className="text-[10px] px-2 py-0.5"
+                              >
+                                Off
+                              </Chip>
+                              {SPRINT_LENGTHS.map((l) => (
+                                <Chip
+                                  key={l.id}
+                                  active={
+                                    Number(sprintAttempts) === l.sprintAttempts &&
+                                    Number(sprintMinutes) === l.sprintMinutes
+                                  }
+                                  onClick={() => {
+                                    setSprintAttempts(l.sprintAttempts);
+                                    setSprintMinutes(l.sprintMinutes);
+                                  }}
+                                  darkMode={darkMode}
+                                  className="text-[10px] px-2 py-0.5"
+                                >
+                                  {l.label}
+                                </Chip>
+                              ))}
+                            </div>
+                            <div className="flex items-center justify-between gap-1 mt-1.5">
+                              <span
+                                className={`${GetTextClass(darkMode, 'secondary')}`}
+                                title="Custom sprint length (0 = no limit); with both set, whichever runs out first ends it"
+                              >
+                                Attempts / minutes
+                              </span>
+                              <div className="flex items-center gap-1">
+                                <NumberInput
+                                  value={sprintAttempts}
+                                  onChange={setSprintAttempts}
+                                  min={0}
+                                  max={200}
+                                  step={5}
+                                  darkMode={darkMode}
+                                />
+                                <span className={GetTextClass(darkMode, 'muted')}>/</span>
+                                <NumberInput
+                                  value={sprintMinutes}
+                                  onChange={setSprintMinutes}
+                                  min={0}
+                                  max={60}
+                                  darkMode={darkMode}
+                                />
+                              </div>
+                            </div>
                           </div>
-                          <div className="flex items-center justify-between gap-1">
-                            <span
-                              className={`${GetTextClass(darkMode, 'secondary')}`}
-                              title="Maximum distance (in 5% steps) a value can wander from its base during drift"
+                          <div className={`pt-1.5 border-t ${GetBorderClass(darkMode)}`}>
+                            <div
+                              className={`mb-1.5 ${GetTextClass(darkMode, 'secondary')}`}
+                              title={SCORING_PROFILES[scoringProfile]?.description}
                             >
-                              Drift magnitude (×5%)
-                            </span>
-                            <NumberInput
-                              value={driftMag}
-                              onChange={setDriftMag}
-                              min={0}
-                              max={10}
-                              step={0.5}
-                              darkMode={darkMode}
-                            />
+                              Scoring
+                            </div>
+                            <div className="grid grid-cols-2 gap-1">
+                              {Object.entries(SCORING_PROFILES).map(([id, p]) => (
+                                <Chip
+                                  key={id}
+                                  active={scoringProfile === id}
+                                  onClick={() => setScoringProfile(id)}
+                                  darkMode={darkMode}
+                                  className="text-[10px] px-2 py-0.5"
+                                >
+                                  {p.label}
+                                </Chip>
+                              ))}
+                            </div>
                           </div>
                           <div className={`pt-1.5 border-t ${GetBorderClass(darkMode)}`}>
                             <div className="flex items-center justify-between gap-1 mb-1.5">
                               <span
                                 className={`${GetTextClass(darkMode, 'secondary')}`}
-                                title="Manual lets you pick any shot & flipper; Random picks one for you"
+                                title="Manual lets you pick any shot & flipper; Random picks one for you; Adaptive favors the shots you miss most"
                               >
                                 Mode
                               </span>
@@ -4874,12 +6793,20 @@ const App = () => {
                                 >
                                   Random
                                 </Chip>
+                                <Chip
+                                  active={mode === 'adaptive'}
+                                  onClick={() => setMode('adaptive')}
+                                  darkMode={darkMode}
+                                  className="text-[10px] px-2 py-0.5"
+                                >
+                                  Adaptive
+                                </Chip>
                               </div>
                             </div>
-                            {mode === 'random' && (
-                              <label
-                                className={`flex items-center justify-end gap-2 ${GetTextClass(darkMode, 'muted')}`}
-                              >
+                            <div
+                              className={`flex items-center justify-end gap-2 ${GetTextClass(darkMode, 'muted')}`}
+                            >
+                              <label className="flex items-center gap-2">
                                 <span>Seeded</span>
                                 <input
                                   type="checkbox"
@@ -4888,7 +6815,28 @@ const App = () => {
                                   className={GetCheckboxClass(darkMode)}
                                 />
                               </label>
-                            )}
+                              {Boolean(useSeededRandom) && (
+                                <>
+                                  <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    value={seedInput}
+                                    onChange={(e) => setSeedInput(e.target.value.trim())}
+                                    className={`w-20 px-1.5 py-0.5 rounded border text-[10px] ${parseSeed(seedInput) === null ? 'border-red-500' : GetBorderClass(darkMode)} ${darkMode ? 'bg-slate-800 text-slate-200' : 'bg-white text-slate-700'}`}
+                                    aria-label="Seed"
+                                    title="Same seed + same shots & settings = same hidden values, drift and prompt order"
+                                  />
+                                  <button
+                                    type="button"
+                                    onClick={() => setSeedInput(String(randomSeed()))}
+                                    className={`px-1.5 py-0.5 rounded border text-[10px] ${darkMode ? CHIP_BTN_DARK : 'bg-slate-100 hover:bg-slate-200 text-slate-700 border-slate-300'}`}
+                                    title="Generate a new seed"
+                                  >
+                                    New
+                                  </button>
+                                </>
+                              )}
+                            </div>
                           </div>
                           <div className={`pt-1.5 border-t ${GetBorderClass(darkMode)}`}>
                             <button
@@ -4896,9 +6844,26 @@ const App = () => {
                               onClick={() => {
                                 setInitRandSteps(2);
                                 setDriftEvery(4);
+                                setDriftMinutes(0);
+                                setDriftChance(0);
                                 setDriftMag(2);
+                                setDriftModel(DEFAULT_DRIFT_MODEL);
                                 setMode('random');
+                                setCalibrateFirst(false);
+                                setCloseAfterHits(0);
+                                setReopenMin(3);
+                                setReopenMax(8);
+                                setScoringProfile(DEFAULT_PROFILE);
+                                setTimeLimit(0);
+                                setSpeedBonus(20);
+                                setSprintAttempts(0);
+                                setSprintMinutes(0);
+                                setFlipperFilter('both');
+                                setShotFilter(null);
+                                setExcludeNP(false);
+                                setAutoProgress(false);
                                 setUseSeededRandom(false);
+                                setSeedInput(String(FIXED_SEED));
                                 _pushToast('Advanced settings reset to defaults');
                               }}
                               className={`w-full text-center py-1 rounded-md text-[10px] ${darkMode ? 'bg-slate-700/90 hover:bg-slate-600 text-slate-200 border border-slate-600' : 'bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-300'}`}
@@ -5000,7 +6965,6 @@ const App = () => {
                               tabIndex={0}
                               onClick={() => {
                                 if (selectedBlockId !== 'FLIPPER_L') {
-                                  setSelectedSide('L');
                                   setSelectedBlockId('FLIPPER_L');
                                 }
                               }}
@@ -5009,7 +6973,6 @@ const App = () => {
                                   (e.key === 'Enter' || e.key === ' ') &&
                                   selectedBlockId !== 'FLIPPER_L'
                                 ) {
-                                  setSelectedSide('L');
                                   setSelectedBlockId('FLIPPER_L');
                                 }
                               }}
@@ -5030,19 +6993,7 @@ const App = () => {
                                     if (!n) {
                                       return prev;
                                     }
-                                    const asc = Array.from({ length: n }, (_, i) =>
-                                      snap5(((i + 1) / (n + 1)) * 100)
-                                    );
-                                    for (let k = 1; k < asc.length; k++) {
-                                      if (asc[k] <= asc[k - 1]) {
-                                        asc[k] = Math.min(100, asc[k - 1] + 5);
-                                      }
-                                    }
-                                    for (let k = asc.length - 2; k >= 0; k--) {
-                                      if (asc[k] >= asc[k + 1]) {
-                                        asc[k] = Math.max(5, asc[k + 1] - 5);
-                                      }
-                                    }
+                                    const asc = evenlySpaced(n, resolution);
                                     return prev.map((rw, idx) => ({ ...rw, initL: asc[idx] }));
                                   });
                                 }}
@@ -5073,7 +7024,6 @@ const App = () => {
                               tabIndex={0}
                               onClick={() => {
                                 if (selectedBlockId !== 'FLIPPER_R') {
-                                  setSelectedSide('R');
                                   setSelectedBlockId('FLIPPER_R');
                                 }
                               }}
@@ -5082,7 +7032,6 @@ const App = () => {
                                   (e.key === 'Enter' || e.key === ' ') &&
                                   selectedBlockId !== 'FLIPPER_R'
                                 ) {
-                                  setSelectedSide('R');
                                   setSelectedBlockId('FLIPPER_R');
                                 }
                               }}
@@ -5103,19 +7052,7 @@ const App = () => {
                                     if (!n) {
                                       return prev;
                                     }
-                                    const asc = Array.from({ length: n }, (_, i) =>
-                                      snap5(((i + 1) / (n + 1)) * 100)
-                                    );
-                                    for (let k = 1; k < asc.length; k++) {
-                                      if (asc[k] <= asc[k - 1]) {
-                                        asc[k] = Math.min(100, asc[k - 1] + 5);
-                                      }
-                                    }
-                                    for (let k = asc.length - 2; k >= 0; k--) {
-                                      if (asc[k] >= asc[k + 1]) {
-                                        asc[k] = Math.max(5, asc[k + 1] - 5);
-                                      }
-                                    }
+                                    const asc = evenlySpaced(n, resolution);
                                     const desc = [...asc].reverse();
                                     return prev.map((rw, idx) => ({ ...rw, initR: desc[idx] }));
                                   });
@@ -5369,6 +7306,107 @@ const App = () => {
                                   </div>
                                 );
                               })()}
+                              {!initialized && (
+                                <div className="flex items-center justify-center gap-1 mt-1">
+                                  <button
+                                    type="button"
+                                    disabled={Boolean(r.locked)}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      const current = VOLATILITY_LEVELS.findIndex(
+                                        (lv) => lv.value === (r.volatility ?? 1)
+                                      );
+                                      const next =
+                                        VOLATILITY_LEVELS[(current + 1) % VOLATILITY_LEVELS.length];
+                                      setRows((prev) =>
+                                        prev.map((x) =>
+                                          x.id === r.id ? { ...x, volatility: next.value } : x
+                                        )
+                                      );
+                                    }}
+                                    className={`text-[10px] px-1.5 py-0.5 rounded-md border disabled:opacity-40 ${darkMode ? CHIP_BTN_DARK : 'bg-white hover:bg-slate-50 text-slate-600 border-slate-300'}`}
+                                    title="Drift volatility of this shot (click to change)"
+                                  >
+                                    Drift:{' '}
+                                    {VOLATILITY_LEVELS.find(
+                                      (lv) => lv.value === (r.volatility ?? 1)
+                                    )?.label ?? `${r.volatility}×`}
+                                  </button>
+                                  <button
+                                    type="button"
+                                    aria-pressed={Boolean(r.locked)}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      setRows((prev) =>
+                                        prev.map((x) =>
+                                          x.id === r.id ? { ...x, locked: !x.locked } : x
+                                        )
+                                      );
+                                    }}
+                                    className={`text-[10px] px-1.5 py-0.5 rounded-md border ${
+                                      /* eslint-disable-next-line no-nested-ternary */
+                                      r.locked
+                                        ? 'bg-amber-500 text-white border-amber-600'
+                                        : darkMode
+                                          ? CHIP_BTN_DARK
+                                          : 'bg-white hover:bg-slate-50 text-slate-600 border-slate-300'
+                                    }`}
+                                    title="Locked shots keep their starting value: no start randomization and no drift"
+                                  >
+                                    {r.locked ? 'Locked' : 'Lock'}
+                                  </button>
+                                  <button
+                                    type="button"
+                                    aria-pressed={variantRowIds.includes(r.id)}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      setVariantRowIds((ids) =>
+                                        ids.includes(r.id)
+                                          ? ids.filter((x) => x !== r.id)
+                                          : [...ids, r.id]
+                                      );
+                                    }}
+                                    className={`text-[10px] px-1.5 py-0.5 rounded-md border ${darkMode ? CHIP_BTN_DARK : 'bg-white hover:bg-slate-50 text-slate-600 border-slate-300'}`}
+                                    title="Values by how the ball arrives on the flipper (cradled, live catch, drop catch)"
+                                  >
+                                    Ball
+                                    {r.variants ? ` ·${Object.keys(r.variants).length}` : ''}
+                                  </button>
+                                  {i > 0 && (
+                                    <button
+                                      type="button"
+                                      aria-pressed={r.aimWith === rows[i - 1].id}
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        const above = rows[i - 1].id;
+                                        setRows((prev) =>
+                                          prev.map((x) => {
+                                            if (x.id !== r.id) {
+                                              return x;
+                                            }
+                                            const next = { ...x, aimWith: above };
+                                            if (x.aimWith === above) {
+                                              delete next.aimWith;
+                                            }
+                                            return next;
+                                          })
+                                        );
+                                      }}
+                                      className={`text-[10px] px-1.5 py-0.5 rounded-md border ${
+                                        /* eslint-disable-next-line no-nested-ternary */
+                                        r.aimWith === rows[i - 1].id
+                                          ? 'bg-sky-600 text-white border-sky-700'
+                                          : darkMode
+                                            ? CHIP_BTN_DARK
+                                            : 'bg-white hover:bg-slate-50 text-slate-600 border-slate-300'
+                                      }`}
+                                      title="Same aim point as the shot above: the two may share a value on either flipper"
+                                    >
+                                      Same aim
+                                    </button>
+                                  )}
+                                </div>
+                              )}
                             </td>
                             <td
                               className={`p-2 ${
@@ -5385,30 +7423,42 @@ const App = () => {
                             >
                               <div className="flex flex-col gap-1 w-full px-[10px]">
                                 {(() => {
-                                  const range = computeAllowedRange(rows, 'L', i);
-                                  const rawAllowedMin = range ? range[0] : 5;
+                                  const range = computeAllowedRange(
+                                    rows,
+                                    'L',
+                                    i,
+                                    setupGaps.L,
+                                    resolution
+                                  );
+                                  const rawAllowedMin = range ? range[0] : resolution;
                                   const rawAllowedMax = range ? range[1] : 100;
-                                  // Clamp to new visual/domain max of 95
-                                  const allowedMin = Math.max(5, Math.min(95, rawAllowedMin));
-                                  const allowedMax = Math.max(5, Math.min(95, rawAllowedMax));
+                                  // Clamp to the visual/domain max of 100 - resolution (95 by default)
+                                  const allowedMin = Math.max(
+                                    resolution,
+                                    Math.min(100 - resolution, rawAllowedMin)
+                                  );
+                                  const allowedMax = Math.max(
+                                    resolution,
+                                    Math.min(100 - resolution, rawAllowedMax)
+                                  );
                                   let actual = r.initL && r.initL > 0 ? r.initL : null;
                                   if (actual === null) {
                                     // No value set
                                   } else {
                                     if (actual > allowedMax) {
                                       actual = allowedMax;
-                                    } // clamp any legacy 100s down to 95 visually
+                                    } // clamp any legacy 100s down to the max visually
                                     if (actual < allowedMin) {
                                       actual = allowedMin;
                                     }
                                   }
-                                  const sliderMin = 5;
-                                  const sliderMax = 95;
+                                  const sliderMin = resolution;
+                                  const sliderMax = 100 - resolution;
                                   const displayVal = actual === null ? 50 : actual;
-                                  // Ascending visual (05 -> 95). Grey before allowedMin and after allowedMax.
-                                  const span = 95 - 5; // 90
-                                  const leftGreyPct = ((allowedMin - 5) / span) * 100;
-                                  const rightGreyStartPct = ((allowedMax - 5) / span) * 100;
+                                  // Ascending visual (low -> high). Grey before allowedMin and after allowedMax.
+                                  const span = sliderMax - sliderMin;
+                                  const leftGreyPct = ((allowedMin - sliderMin) / span) * 100;
+                                  const rightGreyStartPct = ((allowedMax - sliderMin) / span) * 100;
                                   const trackBg = range
                                     ? `linear-gradient(to right,
                                 rgba(55,65,81,0.70) 0%,
@@ -5421,8 +7471,8 @@ const App = () => {
                                   return (
                                     <div className="flex flex-col gap-1">
                                       <div className="flex justify-between text-[10px] text-slate-500 -mb-1">
-                                        <span>05</span>
-                                        <span>95</span>
+                                        <span>{format2(sliderMin)}</span>
+                                        <span>{format2(sliderMax)}</span>
                                       </div>
                                       <div className="relative">
                                         <input
@@ -5430,7 +7480,7 @@ const App = () => {
                                           type="range"
                                           min={sliderMin}
                                           max={sliderMax}
-                                          step={5}
+                                          step={resolution}
                                           value={Math.min(
                                             Math.max(
                                               actual === null ? displayVal : actual,
@@ -5465,7 +7515,8 @@ const App = () => {
                                           style={{ background: trackBg }}
                                           className="w-full appearance-none focus:outline-none [&::-webkit-slider-runnable-track]:rounded-full [&::-webkit-slider-runnable-track]:h-2 [&::-moz-range-track]:rounded-full [&::-moz-range-track]:h-2 [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-0 [&::-webkit-slider-thumb]:h-0 [&::-webkit-slider-thumb]:bg-transparent [&::-webkit-slider-thumb]:shadow-none [&::-moz-range-thumb]:appearance-none [&::-moz-range-thumb]:w-0 [&::-moz-range-thumb]:h-0 [&::-moz-range-thumb]:border-0 [&::-moz-range-thumb]:bg-transparent"
                                         />
-                                        {range && !(allowedMin === 5 && allowedMax === 95)
+                                        {range &&
+                                        !(allowedMin === sliderMin && allowedMax === sliderMax)
                                           ? (() => {
                                               return (
                                                 <>
@@ -5487,7 +7538,7 @@ const App = () => {
                                           : null}
                                         {actual !== null && range
                                           ? (() => {
-                                              const pct = ((actual - 5) / span) * 100;
+                                              const pct = ((actual - sliderMin) / span) * 100;
                                               return (
                                                 <div
                                                   className="pointer-events-none absolute top-1/2 -translate-y-1/2 translate-x-[-50%] text-[10px] font-medium bg-sky-600 text-white px-2 py-1 rounded-md shadow min-w-[30px] text-center"
@@ -5507,10 +7558,16 @@ const App = () => {
                                     active={r.initL === 0}
                                     darkMode={darkMode}
                                     onClick={() => {
-                                      const range = computeAllowedRange(rows, 'L', i);
+                                      const range = computeAllowedRange(
+                                        rows,
+                                        'L',
+                                        i,
+                                        setupGaps.L,
+                                        resolution
+                                      );
                                       if (r.initL === 0) {
                                         if (range) {
-                                          const mid = Math.round((range[0] + range[1]) / 2 / 5) * 5;
+                                          const mid = snapTo((range[0] + range[1]) / 2, resolution);
                                           setRows((prev) => {
                                             const next = [...prev];
                                             next[i] = { ...next[i], initL: mid };
@@ -5547,12 +7604,24 @@ const App = () => {
                             >
                               <div className="flex flex-col gap-1 w-full px-[10px]">
                                 {(() => {
-                                  const range = computeAllowedRange(rows, 'R', i);
-                                  const rawAllowedMin = range ? range[0] : 5;
+                                  const range = computeAllowedRange(
+                                    rows,
+                                    'R',
+                                    i,
+                                    setupGaps.R,
+                                    resolution
+                                  );
+                                  const rawAllowedMin = range ? range[0] : resolution;
                                   const rawAllowedMax = range ? range[1] : 100;
-                                  // Clamp both ends to 95 domain
-                                  const allowedMin = Math.max(5, Math.min(95, rawAllowedMin));
-                                  const allowedMax = Math.max(5, Math.min(95, rawAllowedMax));
+                                  // Clamp both ends to the resolution..100 - resolution domain
+                                  const allowedMin = Math.max(
+                                    resolution,
+                                    Math.min(100 - resolution, rawAllowedMin)
+                                  );
+                                  const allowedMax = Math.max(
+                                    resolution,
+                                    Math.min(100 - resolution, rawAllowedMax)
+                                  );
                                   let actual = r.initR && r.initR > 0 ? r.initR : null;
                                   if (actual === null) {
                                     // No value set
@@ -5564,13 +7633,13 @@ const App = () => {
                                       actual = allowedMin;
                                     }
                                   }
-                                  const sliderMin = 5;
-                                  const sliderMax = 95; // reversed visual
+                                  const sliderMin = resolution;
+                                  const sliderMax = 100 - resolution; // reversed visual
                                   const displayVal = actual === null ? 50 : actual;
-                                  // Descending visual (95 -> 05). Grey left (values > allowedMax after reversal) and right (values < allowedMin).
-                                  const span = 95 - 5; // 90
-                                  const leftStopPct = ((95 - allowedMax) / span) * 100;
-                                  const rightStartPct = ((95 - allowedMin) / span) * 100;
+                                  // Descending visual (high -> low). Grey left (values > allowedMax after reversal) and right (values < allowedMin).
+                                  const span = sliderMax - sliderMin;
+                                  const leftStopPct = ((sliderMax - allowedMax) / span) * 100;
+                                  const rightStartPct = ((sliderMax - allowedMin) / span) * 100;
                                   const trackBg = range
                                     ? `linear-gradient(to right,
                                 rgba(55,65,81,0.70) 0%,
@@ -5583,8 +7652,8 @@ const App = () => {
                                   return (
                                     <div className="flex flex-col gap-1">
                                       <div className="flex justify-between text-[10px] text-slate-500 -mb-1">
-                                        <span>95</span>
-                                        <span>05</span>
+                                        <span>{format2(sliderMax)}</span>
+                                        <span>{format2(sliderMin)}</span>
                                       </div>
                                       <div className="relative">
                                         <input
@@ -5592,7 +7661,7 @@ const App = () => {
                                           type="range"
                                           min={sliderMin}
                                           max={sliderMax}
-                                          step={5}
+                                          step={resolution}
                                           value={Math.min(
                                             Math.max(
                                               100 - (actual === null ? displayVal : actual),
@@ -5628,7 +7697,8 @@ const App = () => {
                                           style={{ background: trackBg }}
                                           className="w-full appearance-none focus:outline-none [&::-webkit-slider-runnable-track]:rounded-full [&::-webkit-slider-runnable-track]:h-2 [&::-moz-range-track]:rounded-full [&::-moz-range-track]:h-2 [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-0 [&::-webkit-slider-thumb]:h-0 [&::-webkit-slider-thumb]:bg-transparent [&::-webkit-slider-thumb]:shadow-none [&::-moz-range-thumb]:appearance-none [&::-moz-range-thumb]:w-0 [&::-moz-range-thumb]:h-0 [&::-moz-range-thumb]:border-0 [&::-moz-range-thumb]:bg-transparent"
                                         />
-                                        {range && !(allowedMin === 5 && allowedMax === 95)
+                                        {range &&
+                                        !(allowedMin === sliderMin && allowedMax === sliderMax)
                                           ? (() => {
                                               return (
                                                 <>
@@ -5650,7 +7720,7 @@ const App = () => {
                                           : null}
                                         {actual !== null && range
                                           ? (() => {
-                                              const pct = ((95 - actual) / span) * 100;
+                                              const pct = ((sliderMax - actual) / span) * 100;
                                               return (
                                                 <div
                                                   className="pointer-events-none absolute top-1/2 -translate-y-1/2 translate-x-[-50%] text-[10px] font-medium bg-rose-600 text-white px-2 py-1 rounded-md shadow min-w-[30px] text-center"
@@ -5670,10 +7740,16 @@ const App = () => {
                                     active={r.initR === 0}
                                     darkMode={darkMode}
                                     onClick={() => {
-                                      const range = computeAllowedRange(rows, 'R', i);
+                                      const range = computeAllowedRange(
+                                        rows,
+                                        'R',
+                                        i,
+                                        setupGaps.R,
+                                        resolution
+                                      );
                                       if (r.initR === 0) {
                                         if (range) {
-                                          const mid = Math.round((range[0] + range[1]) / 2 / 5) * 5;
+                                          const mid = snapTo((range[0] + range[1]) / 2, resolution);
                                           setRows((prev) => {
                                             const next = [...prev];
                                             next[i] = { ...next[i], initR: mid };
@@ -5863,27 +7939,27 @@ const App = () => {
                                               if (aboveVal <= 0) {
                                                 return 0;
                                               }
-                                              if (aboveVal === 95) {
+                                              if (aboveVal === 100 - resolution) {
                                                 return 100;
                                               }
                                               if (aboveVal === 100) {
                                                 return 0;
                                               }
                                               const gap = 100 - aboveVal;
-                                              if (gap <= 5) {
+                                              if (gap <= resolution) {
                                                 return 0;
                                               }
-                                              let mid = Math.round((aboveVal + 100) / 2 / 5) * 5;
+                                              let mid = snapTo((aboveVal + 100) / 2, resolution);
                                               if (mid <= aboveVal) {
-                                                mid = aboveVal + 5;
+                                                mid = aboveVal + resolution;
                                               }
                                               if (mid >= 100) {
-                                                mid = 95;
+                                                mid = 100 - resolution;
                                               }
                                               if (mid <= aboveVal || mid >= 100) {
                                                 return 0;
                                               }
-                                              return clamp(mid, 5, 100);
+                                              return clamp(mid, resolution, 100);
                                             }
                                             if (!haveUpper && haveLower) {
                                               return 0;
@@ -5891,20 +7967,23 @@ const App = () => {
                                             const aboveVal = prev[upIdx].initL;
                                             const belowVal = prev[downIdx].initL;
                                             const gap = belowVal - aboveVal;
-                                            if ((aboveVal <= 0 && belowVal <= 0) || gap <= 5) {
+                                            if (
+                                              (aboveVal <= 0 && belowVal <= 0) ||
+                                              gap <= resolution
+                                            ) {
                                               return 0;
                                             }
-                                            let mid = Math.round((aboveVal + belowVal) / 2 / 5) * 5;
+                                            let mid = snapTo((aboveVal + belowVal) / 2, resolution);
                                             if (mid <= aboveVal) {
-                                              mid = aboveVal + 5;
+                                              mid = aboveVal + resolution;
                                             }
                                             if (mid >= belowVal) {
-                                              mid = belowVal - 5;
+                                              mid = belowVal - resolution;
                                             }
                                             if (mid <= aboveVal || mid >= belowVal) {
                                               return 0;
                                             }
-                                            return clamp(mid, 5, 100);
+                                            return clamp(mid, resolution, 100);
                                           } else {
                                             let upIdx = aboveIdx;
                                             while (upIdx >= 0 && prev[upIdx].initR <= 0) {
@@ -5929,27 +8008,30 @@ const App = () => {
                                               if (aboveVal <= 0) {
                                                 return 0;
                                               }
-                                              if (aboveVal === 10) {
-                                                return 5;
+                                              if (aboveVal === 2 * resolution) {
+                                                return resolution;
                                               }
-                                              if (aboveVal === 5) {
+                                              if (aboveVal === resolution) {
                                                 return 0;
                                               }
-                                              const gap = aboveVal - 5;
-                                              if (gap <= 5) {
+                                              const gap = aboveVal - resolution;
+                                              if (gap <= resolution) {
                                                 return 0;
                                               }
-                                              let mid = Math.round((aboveVal + 5) / 2 / 5) * 5;
+                                              let mid = snapTo(
+                                                (aboveVal + resolution) / 2,
+                                                resolution
+                                              );
                                               if (mid >= aboveVal) {
-                                                mid = aboveVal - 5;
+                                                mid = aboveVal - resolution;
                                               }
-                                              if (mid <= 5) {
-                                                mid = 10;
+                                              if (mid <= resolution) {
+                                                mid = 2 * resolution;
                                               }
-                                              if (mid >= aboveVal || mid <= 5) {
+                                              if (mid >= aboveVal || mid <= resolution) {
                                                 return 0;
                                               }
-                                              return clamp(mid, 5, 100);
+                                              return clamp(mid, resolution, 100);
                                             }
                                             if (!haveUpper && haveLower) {
                                               return 0;
@@ -5957,20 +8039,23 @@ const App = () => {
                                             const aboveVal = prev[upIdx].initR;
                                             const belowVal = prev[downIdx].initR;
                                             const gap = aboveVal - belowVal;
-                                            if ((aboveVal <= 0 && belowVal <= 0) || gap <= 5) {
+                                            if (
+                                              (aboveVal <= 0 && belowVal <= 0) ||
+                                              gap <= resolution
+                                            ) {
                                               return 0;
                                             }
-                                            let mid = Math.round((aboveVal + belowVal) / 2 / 5) * 5;
+                                            let mid = snapTo((aboveVal + belowVal) / 2, resolution);
                                             if (mid >= aboveVal) {
-                                              mid = aboveVal - 5;
+                                              mid = aboveVal - resolution;
                                             }
                                             if (mid <= belowVal) {
-                                              mid = belowVal + 5;
+                                              mid = belowVal + resolution;
                                             }
                                             if (!(mid < aboveVal && mid > belowVal)) {
                                               return 0;
                                             }
-                                            return clamp(mid, 5, 100);
+                                            return clamp(mid, resolution, 100);
                                           }
                                         };
                                         const midL = computeInsertValue('L');
@@ -6006,6 +8091,23 @@ const App = () => {
                               </div>
                             </td>
                           </tr>
+                          {!initialized && variantRowIds.includes(r.id) && (
+                            <tr>
+                              <td />
+                              <td colSpan={4} className="px-2 pb-2">
+                                <VariantEditor
+                                  row={r}
+                                  onChange={(variants) =>
+                                    setRows((prev) =>
+                                      prev.map((x) => (x.id === r.id ? { ...x, variants } : x))
+                                    )
+                                  }
+                                  resolution={resolution}
+                                  darkMode={darkMode}
+                                />
+                              </td>
+                            </tr>
+                          )}
                           {/* If dragging to end: show marker after last row */}
                           {dragRowIdx !== null &&
                             i === rows.length - 1 &&
@@ -6209,6 +8311,17 @@ const App = () => {
                           />
                           Attempt history
                         </label>
+                        <label
+                          className={`flex items-center gap-2 text-xs ${GetTextClass(darkMode, 'secondary')}`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={showDriftLog}
+                            onChange={(e) => setShowDriftLog(e.target.checked)}
+                            className={GetCheckboxClass(darkMode)}
+                          />
+                          Drift log
+                        </label>
                         <label
                           className={`flex items-center gap-2 text-xs ${GetTextClass(darkMode, 'secondary')}`}
                         >
@@ -6236,7 +8349,7 @@ const App = () => {
                         <div className="flex gap-2 flex-wrap items-center">
                           <Chip
                             active={mode === 'manual'}
-                            onClick={() => setMode('manual')}
+                            onClick={() => changeMode('manual')}
                             darkMode={darkMode}
                           >
                             Manual
@@ -6244,35 +8357,36 @@ const App = () => {
                           <div className="flex items-center gap-2">
                             <Chip
                               active={mode === 'random'}
-                              onClick={() => setMode('random')}
+                              onClick={() => changeMode('random')}
                               darkMode={darkMode}
                             >
                               Random
                             </Chip>
-                            {mode === 'random' && (
-                              <>
-                                <button
-                                  onClick={() => {
-                                    setSelectedIdx(pickRandomIdx());
-                                    setSelectedSide(seededRandom() < 0.5 ? 'L' : 'R');
-                                  }}
-                                  className={`w-8 h-8 rounded-full border flex items-center justify-center text-lg ${darkMode ? 'border-slate-600 bg-slate-700 hover:bg-slate-600 text-slate-300' : 'border-slate-300 bg-white hover:bg-slate-100 text-slate-700'}`}
-                                  title="Random new shot & flipper"
-                                >
-                                  ↻
-                                </button>
-                                <label
-                                  className={`flex items-center gap-2 text-xs ml-2 ${GetTextClass(darkMode, 'secondary')}`}
-                                >
-                                  <input
-                                    type="checkbox"
-                                    checked={useSeededRandom}
-                                    onChange={(e) => setUseSeededRandom(e.target.checked)}
-                                    className={GetCheckboxClass(darkMode)}
-                                  />
-                                  Seeded
-                                </label>
-                              </>
+                            <Chip
+                              active={mode === 'adaptive'}
+                              onClick={() => changeMode('adaptive')}
+                              darkMode={darkMode}
+                            >
+                              Adaptive
+                            </Chip>
+                            {mode !== 'manual' && (
+                              <button
+                                onClick={() =>
+                                  setSession(
+                                    withSessionRandom(session, (random) =>
+                                      randomizePrompt(session, random)
+                                    )
+                                  )
+                                }
+                                className={`w-8 h-8 rounded-full border flex items-center justify-center text-lg ${GetControlClass(darkMode)}`}
+                                title={
+                                  mode === 'adaptive'
+                                    ? 'New shot & flipper, weighted toward your misses'
+                                    : 'Random new shot & flipper'
+                                }
+                              >
+                                ↻
+                              </button>
                             )}
                           </div>
                         </div>
@@ -6291,9 +8405,13 @@ const App = () => {
                             {rows.map((r, i) => (
                               <Chip
                                 key={r.id}
-                                active={selectedIdx === i}
-                                onClick={() => (mode === 'manual' ? setSelectedIdx(i) : undefined)}
-                                disabled={mode === 'random'}
+                                active={promptIdx === i}
+                                onClick={() =>
+                                  mode === 'manual'
+                                    ? setSession(selectPrompt(session, { idx: i }))
+                                    : undefined
+                                }
+                                disabled={mode !== 'manual' || poolSides(pool, i).length === 0}
                                 darkMode={darkMode}
                               >
                                 {r.type}
@@ -6309,25 +8427,173 @@ const App = () => {
                         >
                           Flipper
                         </span>
-                        <div className="flex gap-2">
-                          <Chip
-                            active={selectedSide === 'L'}
-                            onClick={() => (mode === 'manual' ? setSelectedSide('L') : undefined)}
-                            disabled={mode === 'random'}
-                            darkMode={darkMode}
+                        <div className="flex gap-2">
+                          <Chip
+                            active={promptSide === 'L'}
+                            onClick={() =>
+                              mode === 'manual'
+                                ? setSession(selectPrompt(session, { side: 'L' }))
+                                : undefined
+                            }
+                            disabled={mode !== 'manual' || !promptSides.includes('L')}
+                            darkMode={darkMode}
+                          >
+                            Left
+                          </Chip>
+                          <Chip
+                            active={promptSide === 'R'}
+                            onClick={() =>
+                              mode === 'manual'
+                                ? setSession(selectPrompt(session, { side: 'R' }))
+                                : undefined
+                            }
+                            disabled={mode !== 'manual' || !promptSides.includes('R')}
+                            darkMode={darkMode}
+                          >
+                            Right
+                          </Chip>
+                        </div>
+                      </div>
+                      {promptBalls.length > 0 && (
+                        <div className="flex items-start gap-3 mt-2">
+                          <span
+                            className={`w-28 flex-shrink-0 text-sm font-medium mt-1 ${GetTextClass(darkMode, 'secondary')}`}
+                          >
+                            Ball
+                          </span>
+                          <div className="flex gap-2 flex-wrap">
+                            {[null, ...promptBalls].map((ball) => (
+                              <Chip
+                                key={ball ?? 'own'}
+                                active={promptBall === ball}
+                                onClick={() =>
+                                  mode === 'manual'
+                                    ? setSession(selectPrompt(session, { ball }))
+                                    : undefined
+                                }
+                                disabled={mode !== 'manual'}
+                                darkMode={darkMode}
+                              >
+                                {ball === null
+                                  ? 'Any'
+                                  : BALL_STATES.find((b) => b.id === ball).label}
+                              </Chip>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      <div
+                        className={`flex items-center justify-between gap-3 mt-3 pt-3 border-t-2 ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}
+                      >
+                        <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+                          {(session.level ?? null) === null ? null : (
+                            <span
+                              className={`mr-2 px-2 py-0.5 rounded-full border font-medium ${GetBorderClass(darkMode)} ${GetTextClass(darkMode, 'secondary')}`}
+                              title={`Auto difficulty: drift every ${session.options.driftEvery} attempts, magnitude ×${session.options.driftMag}`}
+                            >
+                              Level {session.level} · {levelInfo(session.level).label}
+                            </span>
+                          )}
+                          {driftLog.length === 0
+                            ? 'No drift yet'
+                            : `${driftLog.length} drift event${driftLog.length === 1 ? '' : 's'}`}
+                        </span>
+                        <div className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={startRanking}
+                            className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                            title="Drill: put a few shots of one flipper in order from tip to base"
                           >
-                            Left
-                          </Chip>
-                          <Chip
-                            active={selectedSide === 'R'}
-                            onClick={() => (mode === 'manual' ? setSelectedSide('R') : undefined)}
-                            disabled={mode === 'random'}
-                            darkMode={darkMode}
+                            Rank shots
+                          </button>
+                          <button
+                            type="button"
+                            onClick={startReverse}
+                            className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                            title="Drill: a point on a flipper is marked, pick the shot that plays from it"
                           >
-                            Right
-                          </Chip>
+                            Which shot?
+                          </button>
+                          <button
+                            type="button"
+                            onClick={startRandomCombo}
+                            className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                            title="Drill: recall a sequence of two to four shots in order"
+                          >
+                            Combo
+                          </button>
+                          <button
+                            type="button"
+                            onClick={machineChanged}
+                            className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                            title="Something on the machine changed (rubber, leveling, coil...): shift the hidden values now"
+                          >
+                            Machine changed
+                          </button>
                         </div>
                       </div>
+                      {session.options.seed !== null && session.options.seed !== undefined && (
+                        <div className="flex items-center justify-between gap-3 mt-2">
+                          <span className={`text-xs ${GetTextClass(darkMode, 'muted')}`}>
+                            Seed <span className="font-mono">{session.options.seed}</span>
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() =>
+                              replayConfirm ? replaySession() : setReplayConfirm(true)
+                            }
+                            onBlur={() => setReplayConfirm(false)}
+                            className={`px-3 py-1.5 rounded-full border text-xs font-medium ${
+                              replayConfirm
+                                ? 'border-red-500 bg-red-600 hover:bg-red-500 text-white'
+                                : GetControlClass(darkMode)
+                            }`}
+                            title="Start this session over with the same seed and settings (attempts are discarded)"
+                          >
+                            {replayConfirm ? 'Confirm replay?' : 'Replay seed'}
+                          </button>
+                        </div>
+                      )}
+                      {showRanking && (session.rankingDrill || session.rankings?.[0]) ? (
+                        <RankingDrill
+                          key={`${session.rankings?.length ?? 0}-${session.rankingDrill?.shots.join('-')}`}
+                          rows={rows}
+                          drill={session.rankingDrill}
+                          result={session.rankings?.[0] ?? null}
+                          onSubmit={checkRanking}
+                          onNext={startRanking}
+                          onClose={closeRanking}
+                          darkMode={darkMode}
+                        />
+                      ) : null}
+                      {showReverse && (session.reverseDrill || session.reverses?.[0]) ? (
+                        <ReverseDrill
+                          rows={rows}
+                          drill={session.reverseDrill}
+                          result={session.reverses?.[0] ?? null}
+                          onPick={pickReverse}
+                          onNext={startReverse}
+                          onClose={closeReverse}
+                          darkMode={darkMode}
+                        />
+                      ) : null}
+                      {showCombo && (session.comboDrill || session.comboRuns?.[0]) ? (
+                        <ComboDrill
+                          rows={rows}
+                          drill={session.comboDrill}
+                          result={session.comboRuns?.[0] ?? null}
+                          combos={combos}
+                          onAnswer={answerCombo}
+                          onNext={startRandomCombo}
+                          onPlay={playCombo}
+                          onSave={saveCombo}
+                          onDelete={deleteCombo}
+                          onClose={closeCombo}
+                          resolution={resolutionOf(session)}
+                          darkMode={darkMode}
+                        />
+                      ) : null}
                     </div>
                   </div>
 
@@ -6347,6 +8613,7 @@ const App = () => {
                           {(() => {
                             const a = attempts[0];
                             const has = Boolean(a);
+                            const answered = has && !a.timedOut;
                             return (
                               <>
                                 <div className="flex justify-between mb-1">
@@ -6364,7 +8631,7 @@ const App = () => {
                                         : undefined,
                                     }}
                                   >
-                                    {has ? rowDisplayWithSide(rows[a.idx], a.side) : '—'}
+                                    {has ? rowDisplayWithSide(rows[a.idx], a.side, a.ball) : '—'}
                                   </div>
                                 </div>
                                 <div className="flex justify-between mb-1">
@@ -6374,7 +8641,7 @@ const App = () => {
                                     Result
                                   </div>
                                   <div className="font-medium capitalize">
-                                    {has ? (
+                                    {answered ? (
                                       <>
                                         {a.label}{' '}
                                         <span
@@ -6399,17 +8666,39 @@ const App = () => {
                                         </span>
                                       </>
                                     ) : (
-                                      'N/A'
+                                      <span className={has ? 'text-red-600' : undefined}>
+                                        {has ? 'Timed out' : 'N/A'}
+                                      </span>
                                     )}
                                   </div>
                                 </div>
+                                {has && a.shotClosed ? (
+                                  <div className="flex justify-between mb-1">
+                                    <div
+                                      className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                    >
+                                      Shot status
+                                    </div>
+                                    <div className="font-medium text-amber-500">
+                                      Closed (Not Possible for now)
+                                    </div>
+                                  </div>
+                                ) : null}
                                 <div className="flex justify-between mb-1">
                                   <div
                                     className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
                                   >
                                     Guess
                                   </div>
-                                  <div>{has ? formatPct(a.input) : '—'}</div>
+                                  <div>{answered ? formatPct(a.input) : '—'}</div>
+                                </div>
+                                <div className="flex justify-between mb-1">
+                                  <div
+                                    className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                  >
+                                    Answer time
+                                  </div>
+                                  <div>{has ? formatLatency(a.latency) : '—'}</div>
                                 </div>
                                 <div className="flex justify-between mb-1">
                                   <div
@@ -6462,11 +8751,15 @@ const App = () => {
                                       if (!a.adjustRequired) {
                                         return 'N/A';
                                       }
+                                      // Attempts recorded before corrections were sized only have a direction
+                                      const by = a.adjustment
+                                        ? ` by ${formatPct(Math.abs(a.adjustment.expected))}`
+                                        : '';
                                       if (a.requiredDir === -1) {
-                                        return 'Lower';
+                                        return `Lower${by}`;
                                       }
                                       if (a.requiredDir === 1) {
-                                        return 'Higher';
+                                        return `Higher${by}`;
                                       }
                                       return 'None';
                                     })()}
@@ -6497,6 +8790,21 @@ const App = () => {
                                     })()}
                                   </div>
                                 </div>
+                                <div className="flex justify-between mb-1">
+                                  <div
+                                    className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                    title="Direction, how much of the expected correction was left out (under) and how far past it the guess went (over)"
+                                  >
+                                    Adjustment grades
+                                  </div>
+                                  <div>
+                                    {has && a.adjustment ? (
+                                      <AdjustmentGrades adjustment={a.adjustment} />
+                                    ) : (
+                                      'N/A'
+                                    )}
+                                  </div>
+                                </div>
                                 <div className="flex justify-between mb-1">
                                   <div
                                     className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
@@ -6511,8 +8819,14 @@ const App = () => {
                                       if (!has) {
                                         return '—';
                                       }
+                                      // Variant prompts started from the variant's setup value
+                                      const variant = (
+                                        a.side === 'L' ? session.variantsL : session.variantsR
+                                      )?.[a.idx]?.[a.ball];
                                       return formatPct(
-                                        (a.side === 'L' ? baseL[a.idx] : baseR[a.idx]) ?? 0
+                                        variant ??
+                                          (a.side === 'L' ? baseL[a.idx] : baseR[a.idx]) ??
+                                          0
                                       );
                                     })()}
                                   </div>
@@ -6543,16 +8857,69 @@ const App = () => {
                                   </div>
                                   <div className="text-right">
                                     <div>{has ? `${a.points} pts` : '—'}</div>
-                                    {has && a.basePoints !== null ? (
-                                      <div className="text-[11px] text-slate-500">
-                                        Base {a.basePoints}
-                                        {a.adjustPenalty ? ` − Adj Penalty ${a.adjustPenalty}` : ''}
-                                      </div>
-                                    ) : (
-                                      <div className="text-[11px] text-slate-400">
-                                        Awaiting first attempt
-                                      </div>
-                                    )}
+                                    {(() => {
+                                      if (!has || a.basePoints === null) {
+                                        return (
+                                          <div className="text-[11px] text-slate-400">
+                                            Awaiting first attempt
+                                          </div>
+                                        );
+                                      }
+                                      if (a.calibration) {
+                                        return (
+                                          <div className="text-[11px] text-slate-500">
+                                            Calibration (not scored)
+                                          </div>
+                                        );
+                                      }
+                                      return (
+                                        <div className="text-[11px] text-slate-500">
+                                          Base {a.basePoints}
+                                          {a.adjustPenalty
+                                            ? ` − Adj Penalty ${a.adjustPenalty}`
+                                            : ''}
+                                          {a.speedBonus ? ` + Speed ${a.speedBonus}` : ''}
+                                        </div>
+                                      );
+                                    })()}
+                                  </div>
+                                </div>
+                                <div className="flex justify-between mt-2 pt-2 border-t mb-1">
+                                  <div
+                                    className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                    title="Average absolute error of the first guess for each shot & flipper"
+                                  >
+                                    First-pass error
+                                  </div>
+                                  <div>
+                                    {firstPass.count
+                                      ? `${firstPass.avgAbsErr.toFixed(1)} (${firstPass.count})`
+                                      : '—'}
+                                  </div>
+                                </div>
+                                <div className="flex justify-between mb-1">
+                                  <div
+                                    className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                    title="Average absolute error of later guesses for shots already seen"
+                                  >
+                                    Repeat error
+                                  </div>
+                                  <div>
+                                    {repeat.count
+                                      ? `${repeat.avgAbsErr.toFixed(1)} (${repeat.count})`
+                                      : '—'}
+                                  </div>
+                                </div>
+                                <div className="flex justify-between mb-1">
+                                  <div
+                                    className={`text-sm font-medium ${GetTextClass(darkMode, 'secondary')}`}
+                                    title="Average time from prompt to answer, and prompts that ran out of time"
+                                  >
+                                    Avg answer time
+                                  </div>
+                                  <div>
+                                    {formatLatency(avgLatency)}
+                                    {timeouts > 0 ? ` · ${timeouts} timed out` : ''}
                                   </div>
                                 </div>
                                 <div className="mt-4 pt-4 border-t">
@@ -6689,7 +9056,7 @@ const App = () => {
                                             {rows.map((r, i) => (
                                               <tr key={r.id} className="border-t">
                                                 <td
-                                                  className="p-1.5 whitespace-nowrap max-w-[120px] truncate"
+                                                  className={`p-1.5 whitespace-nowrap max-w-[120px] truncate ${showMentalModel && (beliefs.L[i]?.drifting || beliefs.R[i]?.drifting) ? 'text-amber-600 font-medium' : ''}`}
                                                   title={r.type}
                                                 >
                                                   {r.type}
@@ -6704,6 +9071,12 @@ const App = () => {
                                                 {showMentalModel ? (
                                                   <td className="p-1.5 text-right">
                                                     {formatPct(mentalL[i] ?? 0)}
+                                                    {beliefs.L[i] ? (
+                                                      <BeliefBar
+                                                        band={beliefs.L[i]}
+                                                        darkMode={darkMode}
+                                                      />
+                                                    ) : null}
                                                   </td>
                                                 ) : null}
                                                 {showTruth ? (
@@ -6723,6 +9096,12 @@ const App = () => {
                                                 {showMentalModel ? (
                                                   <td className="p-1.5 text-right">
                                                     {formatPct(mentalR[i] ?? 0)}
+                                                    {beliefs.R[i] ? (
+                                                      <BeliefBar
+                                                        band={beliefs.R[i]}
+                                                        darkMode={darkMode}
+                                                      />
+                                                    ) : null}
                                                   </td>
                                                 ) : null}
                                                 {showTruth ? (
@@ -6844,70 +9223,74 @@ const App = () => {
                         </div>
                       </div>
                     </div>
+                    <div className="absolute top-2 left-2 z-30 text-xs sm:top-4 sm:left-4">
+                      <SprintProgress session={session} darkMode={darkMode} />
+                    </div>
+                    {deadline !== null && (
+                      <div className="absolute top-2 left-1/2 -translate-x-1/2 z-30 min-w-[72px] text-sm sm:top-4">
+                        <PromptCountdown
+                          key={promptedAt}
+                          deadline={deadline}
+                          limitMs={deadline - promptedAt}
+                          darkMode={darkMode}
+                        />
+                      </div>
+                    )}
                     <PracticePlayfield
                       rows={rows}
-                      selectedIdx={selectedIdx}
-                      selectedSide={selectedSide}
+                      selectedIdx={promptIdx}
+                      selectedSide={promptSide}
                       lastRecall={attempts[0] || null}
                       darkMode={darkMode}
                       awaitingNextShot={awaitingNextShot}
                       onAdvanceToNextShot={advanceToNextShot}
+                      {...playfieldBeliefs}
                     />
                   </div>
-                  {/* Quick recall chips (values 05..95) with centered rectangular Not Possible below - responsive sizing */}
+                  {promptBall === null ? null : (
+                    <p className="text-center text-sm font-medium mb-1" data-prompt-text>
+                      {promptText(rows[promptIdx], promptSide, promptBall)}
+                    </p>
+                  )}
+                  {/* Quick recall chips (the resolution grid, 05..95 by default) with centered rectangular Not Possible below - responsive sizing */}
                   <div className="w-full overflow-x-auto">
-                    {(() => {
-                      const values = Array.from({ length: 19 }, (_, k) => (k + 1) * 5); // 5..95
-                      const ordered = selectedSide === 'L' ? values : [...values].reverse();
-                      // Responsive font size using clamp for smooth scaling
-                      return (
-                        <div className="select-none flex flex-col items-stretch min-w-[320px]">
-                          <div
-                            className="grid w-full gap-[2px]"
-                            style={{
-                              gridTemplateColumns: `repeat(${ordered.length}, minmax(0, 1fr))`,
-                            }}
-                          >
-                            {ordered.map((v) => (
-                              <button
-                                key={v}
-                                type="button"
-                                onClick={() => submitAttempt(v)}
-                                disabled={awaitingNextShot}
-                                className={`aspect-square rounded-full border shadow active:scale-[0.95] transition-transform flex items-center justify-center font-semibold text-[clamp(10px,2.2vw,24px)] ${awaitingNextShot ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
-                                aria-label={`Recall ${format2(v)}`}
-                              >
-                                <span className="relative" style={{ top: '-1px' }}>
-                                  {format2(v)}
-                                </span>
-                              </button>
-                            ))}
-                          </div>
-                          <div className="flex justify-center mt-1">
-                            <button
-                              type="button"
-                              onClick={() => submitAttempt(0)}
-                              disabled={awaitingNextShot}
-                              className={`px-2 py-0.5 rounded-xl border shadow active:scale-[0.95] transition-transform font-semibold text-[clamp(10px,2.2vw,24px)] ${awaitingNextShot ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-100'}`}
-                            >
-                              <span className="relative" style={{ top: '-1px' }}>
-                                <span className="min-[500px]:hidden">NP</span>
-                                <span className="hidden min-[500px]:inline">Not Possible</span>
-                              </span>
-                            </button>
-                          </div>
-                        </div>
-                      );
-                    })()}
+                    <QuickRecallChips
+                      side={promptSide}
+                      onPick={(v) => recordAttempt(v)}
+                      resolution={resolutionOf(session)}
+                      disabled={awaitingNextShot}
+                      darkMode={darkMode}
+                    />
                   </div>
                   {showAttemptHistory ? (
                     <>
                       {/* Attempt history below playfield */}
-                      <h3
-                        className={`font-medium mb-2 ${darkMode ? 'text-slate-200' : 'text-slate-900'}`}
-                      >
-                        Attempt history
-                      </h3>
+                      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                        <h3
+                          className={`font-medium ${darkMode ? 'text-slate-200' : 'text-slate-900'}`}
+                        >
+                          Attempt history
+                        </h3>
+                        <div className="flex flex-wrap items-center gap-1">
+                          <span
+                            className={`text-xs mr-1 ${GetTextClass(darkMode, 'secondary')}`}
+                            title="Re-score every attempt of this session under another scoring profile"
+                          >
+                            Score as
+                          </span>
+                          {Object.entries(SCORING_PROFILES).map(([id, p]) => (
+                            <Chip
+                              key={id}
+                              active={(session?.options.scoringProfile ?? DEFAULT_PROFILE) === id}
+                              onClick={() => changeScoringProfile(id)}
+                              darkMode={darkMode}
+                              className="text-xs px-2 py-0.5"
+                            >
+                              {p.label}
+                            </Chip>
+                          ))}
+                        </div>
+                      </div>
                       <div className="overflow-auto border rounded-2xl">
                         <table className="w-full text-sm">
                           <thead>
@@ -6921,11 +9304,20 @@ const App = () => {
                               <th className="p-2 text-left">Time</th>
                               <th className="p-2 text-left">Shot</th>
                               <th className="p-2 text-right">Recall</th>
+                              <th className="p-2 text-right" title="Time from prompt to answer">
+                                Latency
+                              </th>
                               <th className="p-2 text-right">Truth</th>
                               <th className="p-2 text-right">Prev</th>
                               <th className="p-2 text-right">Delta</th>
                               <th className="p-2 text-right">Adj?</th>
                               <th className="p-2 text-right">Dir</th>
+                              <th
+                                className="p-2 text-right"
+                                title="Correction graded against undoing the previous miss"
+                              >
+                                Correction
+                              </th>
                               <th className="p-2 text-right">AdjPen</th>
                               <th className="p-2 text-right">Label</th>
                               <th className="p-2 text-right">Points</th>
@@ -6935,15 +9327,20 @@ const App = () => {
                             {attempts.map((a) => (
                               <tr key={a.t} className="border-t">
                                 <td className="p-2">{new Date(a.t).toLocaleTimeString()}</td>
-                                <td className="p-2">{rowDisplayWithSide(rows[a.idx], a.side)}</td>
-                                <td className="p-2 text-right">{formatPct(a.input)}</td>
+                                <td className="p-2">
+                                  {rowDisplayWithSide(rows[a.idx], a.side, a.ball)}
+                                </td>
+                                <td className="p-2 text-right">
+                                  {a.timedOut ? '—' : formatPct(a.input)}
+                                </td>
+                                <td className="p-2 text-right">{formatLatency(a.latency)}</td>
                                 <td className="p-2 text-right">{formatPct(a.truth)}</td>
                                 <td className="p-2 text-right">
                                   {a.prevInput === null ? '—' : formatPct(a.prevInput)}
                                 </td>
                                 <td className="p-2 text-right">
                                   {a.delta > 0 ? '+' : ''}
-                                  {a.delta}
+                                  {a.delta ?? '—'}
                                 </td>
                                 <td className="p-2 text-right">
                                   {(() => {
@@ -6967,11 +9364,104 @@ const App = () => {
                                     return '';
                                   })()}
                                 </td>
+                                <td className="p-2 text-right">
+                                  {a.adjustment ? (
+                                    <AdjustmentGrades adjustment={a.adjustment} />
+                                  ) : (
+                                    '—'
+                                  )}
+                                </td>
                                 <td className="p-2 text-right">
                                   {a.adjustPenalty ? a.adjustPenalty : 0}
                                 </td>
                                 <td className="p-2 text-right capitalize">{a.label}</td>
-                                <td className="p-2 text-right">{a.points}</td>
+                                <td
+                                  className={`p-2 text-right ${a.calibration ? 'text-slate-400' : ''}`}
+                                  title={
+                                    a.calibration ? 'Calibration attempt (not scored)' : undefined
+                                  }
+                                >
+                                  {a.calibration ? `(${a.points})` : a.points}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  ) : null}
+                  {showDriftLog ? (
+                    <>
+                      {/* Drift events and how quickly the player re-adapted */}
+                      <h3
+                        className={`font-medium mt-4 mb-2 ${darkMode ? 'text-slate-200' : 'text-slate-900'}`}
+                      >
+                        Drift log
+                      </h3>
+                      <div className="overflow-auto border rounded-2xl">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr
+                              className={
+                                darkMode
+                                  ? 'bg-slate-700 text-slate-300 font-semibold'
+                                  : 'bg-slate-100 text-slate-700 font-semibold'
+                              }
+                            >
+                              <th className="p-2 text-left">Time</th>
+                              <th className="p-2 text-left">Cause</th>
+                              <th className="p-2 text-right">After attempt</th>
+                              <th className="p-2 text-left">Changes</th>
+                              <th
+                                className="p-2 text-right"
+                                title="Attempts on changed shots until one landed within a resolution step (±5 by default)"
+                              >
+                                To adapt
+                              </th>
+                              <th
+                                className="p-2 text-right"
+                                title="Average absolute error of the next 5 attempts"
+                              >
+                                Err after
+                              </th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {driftReport.length === 0 ? (
+                              <tr className="border-t">
+                                <td
+                                  colSpan={6}
+                                  className={`p-2 text-center ${GetTextClass(darkMode, 'muted')}`}
+                                >
+                                  No drift events yet
+                                </td>
+                              </tr>
+                            ) : null}
+                            {driftReport.map(({ entry, moved, attemptsToAdapt, errorAfter }) => (
+                              <tr key={`${entry.t}-${entry.attemptCount}`} className="border-t">
+                                <td className="p-2">{new Date(entry.t).toLocaleTimeString()}</td>
+                                <td className="p-2 capitalize">{entry.cause}</td>
+                                <td className="p-2 text-right">{entry.attemptCount}</td>
+                                <td className="p-2">
+                                  {(() => {
+                                    if (moved.length === 0) {
+                                      return '—';
+                                    }
+                                    if (!showTruth) {
+                                      return `${moved.length} shot${moved.length === 1 ? '' : 's'} moved`;
+                                    }
+                                    return moved
+                                      .map(
+                                        (m) =>
+                                          `${rows[m.idx]?.type ?? `#${m.idx + 1}`} ${m.side} ${format2(m.from)}→${format2(m.to)}`
+                                      )
+                                      .join(', ');
+                                  })()}
+                                </td>
+                                <td className="p-2 text-right">{attemptsToAdapt ?? '—'}</td>
+                                <td className="p-2 text-right">
+                                  {errorAfter === null ? '—' : errorAfter.toFixed(1)}
+                                </td>
                               </tr>
                             ))}
                           </tbody>
@@ -7068,6 +9558,25 @@ const App = () => {
 
                             return (
                               <>
+                                <div
+                                  className="absolute z-30"
+                                  style={{ top: margin, left: margin, fontSize: labelFont + 3 }}
+                                >
+                                  <SprintProgress session={session} darkMode={darkMode} />
+                                </div>
+                                {deadline !== null && (
+                                  <div
+                                    className="absolute z-30 left-1/2 -translate-x-1/2"
+                                    style={{ top: margin, minWidth: boxSize, fontSize: valueFont }}
+                                  >
+                                    <PromptCountdown
+                                      key={promptedAt}
+                                      deadline={deadline}
+                                      limitMs={deadline - promptedAt}
+                                      darkMode={darkMode}
+                                    />
+                                  </div>
+                                )}
                                 <div
                                   className="absolute z-30 flex"
                                   style={{ bottom: margin, left: margin, gap }}
@@ -7184,21 +9693,27 @@ const App = () => {
                           <PracticePlayfield
                             fullscreen
                             rows={rows}
-                            selectedIdx={selectedIdx}
-                            selectedSide={selectedSide}
+                            selectedIdx={promptIdx}
+                            selectedSide={promptSide}
                             lastRecall={attempts[0] || null}
                             onScale={(s) => setFullscreenScale(s)}
                             darkMode={darkMode}
                             awaitingNextShot={awaitingNextShot}
                             onAdvanceToNextShot={advanceToNextShot}
+                            {...playfieldBeliefs}
                           />
                         </div>
+                        {promptBall === null ? null : (
+                          <p className="text-center text-sm font-medium" data-prompt-text>
+                            {promptText(rows[promptIdx], promptSide, promptBall)}
+                          </p>
+                        )}
                         <div className="w-full px-1">
                           {/* Quick recall chips duplicated for fullscreen - uses CSS grid to guarantee fit */}
                           {(() => {
-                            const values = Array.from({ length: 19 }, (_, k) => (k + 1) * 5); // 5..95
-                            const ordered = selectedSide === 'L' ? values : [...values].reverse();
-                            const totalChips = 19;
+                            const values = gridValues(resolutionOf(session));
+                            const ordered = promptSide === 'L' ? values : [...values].reverse();
+                            const totalChips = Math.min(values.length, RECALL_CHIP_COLUMNS);
                             // Reference diameter for font sizing only (actual size determined by CSS grid)
                             const refDiameter = Math.max(
                               20,
@@ -7217,7 +9732,7 @@ const App = () => {
                                     <button
                                       key={v}
                                       type="button"
-                                      onClick={() => submitAttempt(v)}
+                                      onClick={() => recordAttempt(v)}
                                       disabled={awaitingNextShot}
                                       className={`aspect-square rounded-full border shadow active:scale-[0.95] transition-transform flex items-center justify-center ${awaitingNextShot ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
                                       style={{
@@ -7236,7 +9751,7 @@ const App = () => {
                                 <div className="mt-[2px] flex justify-center">
                                   <button
                                     type="button"
-                                    onClick={() => submitAttempt(0)}
+                                    onClick={() => recordAttempt(0)}
                                     disabled={awaitingNextShot}
                                     className={`px-1 rounded-xl border shadow active:scale-[0.97] transition-transform text-sm font-medium ${awaitingNextShot ? DISABLED_CLASS : ''} ${darkMode ? 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
                                     style={{
@@ -7366,9 +9881,12 @@ const App = () => {
                     <span className="hidden sm:inline">Setup</span>
                   </button>
                   <button
-                    onClick={() => setFinalPhase(false)}
-                    className={`px-2 py-2 sm:px-4 rounded-2xl text-white flex items-center gap-2 ${darkMode ? BTN_SUCCESS : BTN_SUCCESS}`}
-                    title="Return to practice session"
+                    onClick={() => setSession((st) => st && resumePractice(st))}
+                    disabled={session.sprintEnded}
+                    className={`px-2 py-2 sm:px-4 rounded-2xl text-white flex items-center gap-2 ${darkMode ? BTN_SUCCESS : BTN_SUCCESS} ${session.sprintEnded ? DISABLED_CLASS : ''}`}
+                    title={
+                      session.sprintEnded ? 'The sprint is over' : 'Return to practice session'
+                    }
                   >
                     <svg
                       viewBox="0 0 24 24"
@@ -7406,90 +9924,134 @@ const App = () => {
                 </div>
               }
             >
-              <p className="text-sm text-slate-600 mb-4">
-                Enter your best recall for each shot. Higher score means closer to the correct
-                values.
-              </p>
-              <div className="overflow-auto border rounded-2xl">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr
-                      className={
-                        darkMode ? 'bg-slate-700 text-slate-300' : 'bg-slate-50 text-slate-600'
-                      }
+              {quizActive ? (
+                <RecallQuiz
+                  rows={rows}
+                  session={session}
+                  onAnswer={answerQuiz}
+                  onStop={() => setSession((st) => st && stopRecallQuiz(st))}
+                  darkMode={darkMode}
+                />
+              ) : (
+                <>
+                  {session.sprintEnded ? (
+                    <SprintSummary rows={rows} session={session} darkMode={darkMode} />
+                  ) : null}
+                  <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+                    <p className="text-sm text-slate-600">
+                      Enter your best recall for each shot. Higher score means closer to the correct
+                      values.
+                    </p>
+                    <button
+                      type="button"
+                      onClick={startQuiz}
+                      className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                      title="Recall each shot & flipper on its own, in random order on the playfield, with no feedback until the end"
                     >
-                      <th className="p-2 text-left">Shot</th>
-                      <th className="p-2 text-right">Your L</th>
-                      <th className="p-2 text-right">Your R</th>
-                      <th className="p-2 text-right">Correct L / R</th>
-                      <th className="p-2 text-right">Error</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {rows.map((r, i) => (
-                      <tr key={r.id} className="border-t">
-                        <td className="p-2">{r.type}</td>
-                        <td className="p-2 text-right">
-                          <NumberInput
-                            value={finalRecallL[i] ?? 0}
-                            onChange={(v) =>
-                              setFinalRecallL((arr) => {
-                                const next = [...arr];
-                                next[i] = validatePercent(v) ?? next[i] ?? 0;
-                                return next;
-                              })
-                            }
-                            darkMode={darkMode}
-                          />
-                        </td>
-                        <td className="p-2 text-right">
-                          <NumberInput
-                            value={finalRecallR[i] ?? 0}
-                            onChange={(v) =>
-                              setFinalRecallR((arr) => {
-                                const next = [...arr];
-                                next[i] = validatePercent(v) ?? next[i] ?? 0;
-                                return next;
-                              })
-                            }
-                            darkMode={darkMode}
-                          />
-                        </td>
-                        <td className="p-2 text-right">
-                          {formatPct(hiddenL[i] ?? 0)} / {formatPct(hiddenR[i] ?? 0)}
-                        </td>
-                        <td className="p-2 text-right">
-                          {(
-                            Math.abs(clamp(finalRecallL[i] ?? 0) - (hiddenL[i] ?? 0)) +
-                            Math.abs(clamp(finalRecallR[i] ?? 0) - (hiddenR[i] ?? 0))
-                          ).toFixed(0)}{' '}
-                          pts
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-              <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
-                <div
-                  className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
-                >
-                  <div className={GetTextClass(darkMode, 'secondary')}>Final score</div>
-                  <div className="text-3xl font-semibold">{finalScore}</div>
-                </div>
-                <div
-                  className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
-                >
-                  <div className={GetTextClass(darkMode, 'secondary')}>Shots</div>
-                  <div className="text-3xl font-semibold">{rows.length}</div>
-                </div>
-                <div
-                  className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
-                >
-                  <div className={GetTextClass(darkMode, 'secondary')}>Total attempts</div>
-                  <div className="text-3xl font-semibold">{attemptCount}</div>
-                </div>
-              </div>
+                      Quiz me one at a time
+                    </button>
+                  </div>
+                  <div className="overflow-auto border rounded-2xl">
+                    <table className="w-full text-sm" aria-label="Final recall">
+                      <thead>
+                        <tr className={GetTableHeadClass(darkMode)}>
+                          <th className="p-2 text-left">Shot</th>
+                          <th className="p-2 text-right">Your L</th>
+                          <th className="p-2 text-right">Your R</th>
+                          <th className="p-2 text-right">Correct L / R</th>
+                          <th className="p-2 text-right">Error</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {/* Only the shots & flippers the session covered (session filters) */}
+                        {rows.map((r, i) => {
+                          const { inL, inR, truthL, truthR } = finalGrade.shots[i];
+                          if (!inL && !inR) {
+                            return null;
+                          }
+                          return (
+                            <tr key={r.id} className="border-t">
+                              <td className="p-2">{r.type}</td>
+                              <td className="p-2 text-right">
+                                {inL ? (
+                                  <NumberInput
+                                    value={finalRecallL[i] ?? 0}
+                                    onChange={(v) =>
+                                      setSession((st) => st && setFinalRecallValue(st, 'L', i, v))
+                                    }
+                                    darkMode={darkMode}
+                                  />
+                                ) : (
+                                  '—'
+                                )}
+                              </td>
+                              <td className="p-2 text-right">
+                                {inR ? (
+                                  <NumberInput
+                                    value={finalRecallR[i] ?? 0}
+                                    onChange={(v) =>
+                                      setSession((st) => st && setFinalRecallValue(st, 'R', i, v))
+                                    }
+                                    darkMode={darkMode}
+                                  />
+                                ) : (
+                                  '—'
+                                )}
+                              </td>
+                              <td className="p-2 text-right">
+                                {inL ? formatPct(truthL) : '—'} / {inR ? formatPct(truthR) : '—'}
+                              </td>
+                              <td className="p-2 text-right">
+                                {finalGrade.shots[i].error.toFixed(0)} pts
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <GradeBreakdown breakdown={finalGrade.breakdown} darkMode={darkMode} />
+                  <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <div
+                      className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
+                    >
+                      <div className={GetTextClass(darkMode, 'secondary')}>Final score</div>
+                      <div className="text-3xl font-semibold">{finalScore}</div>
+                      <div className={`text-xs mt-1 ${GetTextClass(darkMode, 'muted')}`}>
+                        {describeSubset(finalGrade.subset, rows)}
+                      </div>
+                    </div>
+                    <div
+                      className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
+                    >
+                      <div className={GetTextClass(darkMode, 'secondary')}>Shots</div>
+                      <div className="text-3xl font-semibold">{rows.length}</div>
+                    </div>
+                    <div
+                      className={`border rounded-2xl p-3 ${darkMode ? 'border-slate-700' : 'border-slate-300'}`}
+                    >
+                      <div className={GetTextClass(darkMode, 'secondary')}>Total attempts</div>
+                      <div className="text-3xl font-semibold">{attemptCount}</div>
+                    </div>
+                  </div>
+                  <div className="mt-4">
+                    <button
+                      type="button"
+                      onClick={() => setShowReplay((v) => !v)}
+                      className={`px-3 py-1.5 rounded-full border text-xs font-medium ${GetControlClass(darkMode)}`}
+                      aria-expanded={showReplay}
+                      title="Step through every prompt, attempt, drift and recall of this session"
+                    >
+                      {showReplay ? 'Hide replay' : 'Replay session'}
+                    </button>
+                    {showReplay ? (
+                      <div className="mt-3">
+                        <SessionReplay rows={rows} events={eventsOf(session)} darkMode={darkMode} />
+                      </div>
+                    ) : null}
+                  </div>
+                </>
+              )}
             </Section>
           ) : null}
         </div>
@@ -0,0 +1,97 @@
+/**
+ * Belief estimates
+ * A running estimate of what the player believes each shot & flipper value is, with an
+ * uncertainty, built from their guesses and the feedback they got. mentalL/mentalR only keep the
+ * last guess, so a lucky guess looks the same as steady knowledge; here a single guess leaves a
+ * wide band that narrows as consistent guesses follow, and guesses that jump around widen it again.
+ *
+ * Each guess moves the estimate toward the guess (recent guesses weigh more), then the feedback
+ * pulls it part of the way toward the truth the player was just shown to be off from. The spread
+ * is an exponentially weighted variance of how far each guess landed from the estimate before it.
+ * A temporarily closed shot keeps its belief: guesses while it is closed don't update it, and its
+ * band is compared against the parked real value rather than the 0 it shows while closed.
+ */
+
+import { openHidden } from './closing.js';
+
+const PRIOR_SD = 10; // before any guess the player only knows the starting values, roughly ±10%
+const RECENT_WEIGHT = 0.4; // minimum weight of the newest guess in the estimate
+const FEEDBACK_PULL = 0.5; // share of the shown error the player is assumed to correct
+const CONFIDENCE_Z = 2; // band half-width in standard deviations (about 95%)
+
+const clampPct = (v) => Math.min(100, Math.max(0, v));
+
+/**
+ * Estimate before any guess: the starting value
+ * @param {number} value - Starting value of the shot & flipper
+ * @returns {{mean: number, spread: number, n: number, gap: number|null}} Belief (gap null until the first guess)
+ */
+const priorBelief = (value) => ({ mean: value ?? 0, spread: 0, n: 0, gap: null });
+
+/**
+ * Fold one scored guess into a belief
+ * @param {object} belief - Belief before the guess (see priorBelief)
+ * @param {{input: number, truth: number}} attempt - Guess and the hidden value it was scored against
+ * @returns {object} Belief after the guess and its feedback (gap = estimate minus that truth)
+ */
+function updateBelief(belief, { input, truth }) {
+  const weight = Math.max(1 / (belief.n + 1), RECENT_WEIGHT);
+  const surprise = belief.n === 0 ? 0 : input - belief.mean;
+  const guessed = belief.mean + weight * (input - belief.mean);
+  const mean = clampPct(guessed - FEEDBACK_PULL * (input - truth));
+  return {
+    mean,
+    spread: (1 - weight) * (belief.spread + weight * surprise ** 2),
+    n: belief.n + 1,
+    gap: mean - truth,
+  };
+}
+
+/**
+ * Standard deviation of a belief: guess spread plus what is left of the prior uncertainty
+ * @param {object} belief - Belief (see priorBelief)
+ * @returns {number} Standard deviation in percent
+ */
+const beliefSd = (belief) => Math.sqrt(belief.spread + PRIOR_SD ** 2 / (belief.n + 1));
+
+/**
+ * Beliefs of one flipper, falling back to the starting values for sessions stored before they existed
+ * @param {object} state - Session state
+ * @param {string} side - 'L' or 'R'
+ * @returns {Array<object>} Belief per shot
+ */
+const beliefsOf = (state, side) =>
+  (side === 'L' ? state.beliefL : state.beliefR) ??
+  (side === 'L' ? state.baseL : state.baseR).map(priorBelief);
+
+/**
+ * Confidence bands of every shot & flipper against the current hidden values (closed shots: their parked value)
+ * A shot is drifting when the truth has left the band and the estimate is no closer to it than
+ * right after the last guess (the truth drifted away, or the guesses aren't following it).
+ * @param {object} state - Session state
+ * @returns {{L: Array<object>, R: Array<object>}} Per shot {mean, sd, low, high, n, gap, drifting} (gap = estimate minus current truth)
+ */
+function beliefBands(state) {
+  const bands = (side) => {
+    const hidden = openHidden(state, side);
+    return beliefsOf(state, side).map((belief, idx) => {
+      const sd = beliefSd(belief);
+      const gap = belief.mean - (hidden[idx] ?? 0);
+      return {
+        mean: belief.mean,
+        sd,
+        low: clampPct(belief.mean - CONFIDENCE_Z * sd),
+        high: clampPct(belief.mean + CONFIDENCE_Z * sd),
+        n: belief.n,
+        gap,
+        drifting:
+          belief.n > 0 &&
+          Math.abs(gap) > CONFIDENCE_Z * sd &&
+          Math.abs(gap) >= Math.abs(belief.gap),
+      };
+    });
+  };
+  return { L: bands('L'), R: bands('R') };
+}
+
+export { CONFIDENCE_Z, beliefBands, beliefSd, beliefsOf, priorBelief, updateBelief };
@@ -0,0 +1,124 @@
+/**
+ * Temporarily closing shots
+ * Optional mechanic where a shot & flipper turns "Not Possible" after being hit a number of times
+ * and reopens a random number of attempts later, like a lit shot that closes and comes back.
+ * While closed the hidden value is 0 so drift and ordering skip it; the real value is parked in
+ * closedL/closedR and restored (re-fitted to the current ordering) when the shot reopens.
+ */
+
+import { orderingBands, orderingGaps } from './drift.js';
+import { isotonicWithBounds, resolutionOf, strictlyIncrease } from './ordering.js';
+import { rndInt, seededRandom } from './random.js';
+
+const SIDE_KEYS = {
+  L: { hidden: 'hiddenL', base: 'baseL', order: 'orderAscL', hits: 'hitsL', closed: 'closedL' },
+  R: { hidden: 'hiddenR', base: 'baseR', order: 'orderAscR', hits: 'hitsR', closed: 'closedR' },
+};
+
+// Closing state is absent on sessions stored before this mechanic existed
+const closedList = (state, side) => state[SIDE_KEYS[side].closed] ?? [];
+
+/**
+ * Whether a shot & flipper is currently closed
+ * @param {object} state - Session state
+ * @param {string} side - 'L' or 'R'
+ * @param {number} idx - Shot index
+ * @returns {boolean} True while the shot is temporarily Not Possible
+ */
+function isClosed(state, side, idx) {
+  return Boolean(closedList(state, side)[idx]);
+}
+
+/**
+ * Hidden values with any closed shots' parked values put back (for grading the real values)
+ * @param {object} state - Session state
+ * @param {string} side - 'L' or 'R'
+ * @returns {Array<number>} Hidden values per shot index
+ */
+function openHidden(state, side) {
+  const closed = closedList(state, side);
+  return state[SIDE_KEYS[side].hidden].map((v, i) => (closed[i] ? closed[i].value : v));
+}
+
+/**
+ * Count a hit on the prompted shot and close it once it reaches the configured hit count
+ * @param {object} state - Session state (attemptCount already includes this hit)
+ * @param {number} idx - Shot index
+ * @param {string} side - 'L' or 'R'
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {{state: object, closed: boolean}} Updated state and whether the shot just closed
+ */
+function recordHit(state, idx, side, random = seededRandom) {
+  const every = Number(state.options.closeAfterHits);
+  const keys = SIDE_KEYS[side];
+  // Fixed NP shots and already closed ones don't count hits
+  if (
+    !Number.isFinite(every) ||
+    every <= 0 ||
+    !state[keys.hidden][idx] ||
+    isClosed(state, side, idx)
+  ) {
+    return { state, closed: false };
+  }
+  const hits = [...(state[keys.hits] ?? state[keys.hidden].map(() => 0))];
+  hits[idx] = (hits[idx] ?? 0) + 1;
+  if (hits[idx] < every) {
+    return { state: { ...state, [keys.hits]: hits }, closed: false };
+  }
+  hits[idx] = 0;
+  const lo = Math.max(1, Math.round(Number(state.options.reopenMin) || 1));
+  const hi = Math.max(lo, Math.round(Number(state.options.reopenMax) || lo));
+  const closed = [...closedList(state, side)];
+  closed[idx] = {
+    value: state[keys.hidden][idx],
+    reopenAt: state.attemptCount + rndInt(lo, hi, random),
+  };
+  const hidden = [...state[keys.hidden]];
+  hidden[idx] = 0;
+  return {
+    state: { ...state, [keys.hits]: hits, [keys.closed]: closed, [keys.hidden]: hidden },
+    closed: true,
+  };
+}
+
+/**
+ * Reopen every closed shot whose reopen attempt has been reached
+ * @param {object} state - Session state
+ * @returns {{state: object, reopened: Array<{idx: number, side: string}>}} Updated state and the shots that reopened
+ */
+function reopenDue(state) {
+  let next = state;
+  const reopened = [];
+  for (const side of ['L', 'R']) {
+    const keys = SIDE_KEYS[side];
+    const closed = [...closedList(next, side)];
+    const hidden = [...next[keys.hidden]];
+    let changed = false;
+    for (const [idx, c] of closed.entries()) {
+      if (c && next.attemptCount >= c.reopenAt) {
+        hidden[idx] = c.value;
+        closed[idx] = null;
+        reopened.push({ idx, side });
+        changed = true;
+      }
+    }
+    if (changed) {
+      // Neighbours may have drifted while the shot was closed: fit the restored value back into order
+      const bands = orderingBands(next);
+      const gap = orderingGaps(next, side);
+      const resolution = resolutionOf(next);
+      const ordered = strictlyIncrease(
+        isotonicWithBounds(hidden, next[keys.base], next[keys.order], bands, gap, resolution),
+        next[keys.base],
+        next[keys.order],
+        bands,
+        gap,
+        resolution
+      );
+      next = { ...next, [keys.hidden]: ordered, [keys.closed]: closed };
+    }
+  }
+  return { state: next, reopened };
+}
+
+export { isClosed, openHidden, recordHit, reopenDue };
@@ -0,0 +1,143 @@
+/**
+ * Combo drills
+ * Tournament play runs through shot sequences (a left orbit feeding the right flipper for a ramp),
+ * so a combo asks two to four shot & flipper pairs together and the player recalls each value in
+ * order. Every step is scored on its own under the session's profile, then the whole sequence gets
+ * a total and the step where the combo broke (the first step off by more than a slight miss).
+ * Combos are either generated from the session's pool or defined by the player for the table,
+ * where steps name shots by row id so they survive reordering the rows.
+ */
+
+import { appendEvent } from './events.js';
+import { promptPool } from './filters.js';
+import { resolutionOf } from './ordering.js';
+import { seededRandom, shuffle } from './random.js';
+import { scoreAttempt } from './scoring.js';
+import { stopPromptTimer, validatePercent } from './session.js';
+
+const COMBO_MIN = 2;
+const COMBO_MAX = 4;
+
+const hiddenOf = (state, side) => (side === 'L' ? state.hiddenL : state.hiddenR);
+const BROKEN = new Set(['fairly', 'very']);
+
+/**
+ * Steps of a combo defined for the table, as shot indexes of the current rows
+ * @param {Array<{id: number}>} rows - Setup rows
+ * @param {Array<{id: number, side: string}>} steps - Steps by row id
+ * @returns {Array<{idx: number, side: string}>|null} Steps (null when a shot is no longer on the table)
+ */
+function resolveCombo(rows, steps) {
+  const resolved = steps.map(({ id, side }) => ({ idx: rows.findIndex((r) => r.id === id), side }));
+  return resolved.some((s) => s.idx < 0) ? null : resolved;
+}
+
+/**
+ * Random combo of distinct shots from the session's pool
+ * @param {object} state - Session state
+ * @param {{length?: number}} [options] - Number of steps (random from 2 to 4 when not set)
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {Array<{idx: number, side: string}>} Steps (shorter when the pool has fewer shots, empty below two)
+ */
+function generateCombo(state, options = {}, random = seededRandom) {
+  const length = options.length ?? COMBO_MIN + Math.floor(random() * (COMBO_MAX - COMBO_MIN + 1));
+  const steps = [];
+  for (const pair of shuffle(promptPool(state), random)) {
+    if (steps.length < length && !steps.some((s) => s.idx === pair.idx)) {
+      steps.push(pair);
+    }
+  }
+  return steps.length < COMBO_MIN ? [] : steps;
+}
+
+/**
+ * Start a combo drill (practice only)
+ * @param {object} state - Session state
+ * @param {Array<{idx: number, side: string}>} steps - Two to four shot & flipper pairs in order
+ * @returns {object} Session state with comboDrill {steps, results: []} and the prompt clock stopped (unchanged outside practice or for invalid steps)
+ */
+function startCombo(state, steps) {
+  const count = state.hiddenL.length;
+  const valid =
+    Array.isArray(steps) &&
+    steps.length >= COMBO_MIN &&
+    steps.length <= COMBO_MAX &&
+    steps.every(
+      (s) => Number.isInteger(s.idx) && s.idx >= 0 && s.idx < count && ['L', 'R'].includes(s.side)
+    );
+  if (state.finalPhase || !valid) {
+    return state;
+  }
+  return stopPromptTimer({
+    ...state,
+    comboDrill: { steps: steps.map(({ idx, side }) => ({ idx, side })), results: [] },
+  });
+}
+
+/**
+ * Step the combo is asking about
+ * @param {object} state - Session state
+ * @returns {{idx: number, side: string}|null} Current step (null without a combo)
+ */
+const comboStep = (state) => state.comboDrill?.steps[state.comboDrill.results.length] ?? null;
+
+/**
+ * Score the current step; the last step scores the whole combo and logs it
+ * @param {object} state - Session state
+ * @param {number|string} value - Recalled percentage (0 = NP)
+ * @param {number} t - Timestamp of the answer
+ * @returns {object} Session state with the step result, or without the drill and with the run first in comboRuns (unchanged for invalid input or without a combo)
+ */
+function answerComboStep(state, value, t) {
+  const step = comboStep(state);
+  const input = validatePercent(value, resolutionOf(state));
+  if (step === null || input === null) {
+    return state;
+  }
+  const truth = hiddenOf(state, step.side)[step.idx] ?? 0;
+  const { delta, label, severity, basePoints } = scoreAttempt(
+    input,
+    truth,
+    undefined,
+    state.options.scoringProfile,
+    resolutionOf(state)
+  );
+  const results = [
+    ...state.comboDrill.results,
+    { ...step, input, truth, delta, label, severity, points: basePoints },
+  ];
+  if (results.length < state.comboDrill.steps.length) {
+    return { ...state, comboDrill: { ...state.comboDrill, results } };
+  }
+  const broke = results.findIndex((r) => BROKEN.has(r.severity));
+  const run = {
+    t,
+    steps: results,
+    points: results.reduce((sum, r) => sum + r.points, 0),
+    mae: results.reduce((sum, r) => sum + Math.abs(r.delta), 0) / results.length,
+    brokeAt: broke < 0 ? null : broke,
+    attemptCount: state.attemptCount,
+  };
+  return appendEvent(
+    { ...state, comboDrill: null, comboRuns: [run, ...(state.comboRuns ?? [])] },
+    { type: 'combo', ...run }
+  );
+}
+
+/**
+ * Drop the current combo without scoring it
+ * @param {object} state - Session state
+ * @returns {object} Session state without a combo
+ */
+const cancelCombo = (state) => ({ ...state, comboDrill: null });
+
+export {
+  COMBO_MAX,
+  COMBO_MIN,
+  answerComboStep,
+  cancelCombo,
+  comboStep,
+  generateCombo,
+  resolveCombo,
+  startCombo,
+};
@@ -0,0 +1,201 @@
+/**
+ * Drift models
+ * How hidden values wander between drift events. Every model only proposes steps (in units of
+ * the session resolution, 5% by default) per shot; the caller clamps them to the drift band and restores ordering afterwards, so no
+ * model can break the flipper ordering constraints.
+ * Setup rows can scale their own drift with a volatility multiplier or be locked (volatility 0),
+ * which keeps them at their starting value for the whole session.
+ */
+
+import { DEFAULT_RESOLUTION, MAX_BAND, clamp, gapRule, resolutionOf } from './ordering.js';
+import { rndInt } from './random.js';
+import { isHit } from './scoring.js';
+
+const DEFAULT_DRIFT_MODEL = 'independent';
+const TREND_CARRY = 0.8; // share of the previous velocity kept at each drift (momentum)
+const TREND_PUSH = 0.5; // max random change of velocity per drift, in steps
+const MAX_VOLATILITY = 2; // per-shot multiplier ceiling (steps are still capped at the ±20 band)
+const VOLATILITY_LEVELS = [
+  { value: 0.5, label: 'Low' },
+  { value: 1, label: 'Normal' },
+  { value: 2, label: 'High' },
+];
+
+// Random walk of a flipper's velocity (in steps), kept within the usable band
+const nextVelocity = (velocity, usableSteps, random) =>
+  clamp(TREND_CARRY * velocity + (random() * 2 - 1) * TREND_PUSH, -usableSteps, usableSteps);
+
+// Same shift for every possible shot on the flipper
+const shiftAll = (values, step) => values.map((v) => (v === 0 ? 0 : step));
+
+const DRIFT_MODELS = {
+  independent: {
+    label: 'Independent',
+    description: 'Each shot wanders on its own',
+    steps: (values, usableSteps, velocity, random) => ({
+      steps: values.map((v) => {
+        if (v === 0) {
+          return 0;
+        }
+        const k = rndInt(0, usableSteps, random);
+        const dir = random() < 0.5 ? -1 : 1;
+        return dir * k;
+      }),
+      velocity,
+    }),
+  },
+  correlated: {
+    label: 'Whole flipper',
+    description: 'Every shot on a flipper shifts the same way (e.g. a weakening coil)',
+    steps: (values, usableSteps, velocity, random) => {
+      const k = rndInt(0, usableSteps, random);
+      const dir = random() < 0.5 ? -1 : 1;
+      return { steps: shiftAll(values, dir * k), velocity };
+    },
+  },
+  trend: {
+    label: 'Trend',
+    description: 'A slow push in one direction that builds up and fades (e.g. a leveling change)',
+    steps: (values, usableSteps, velocity, random) => {
+      const next = nextVelocity(velocity, usableSteps, random);
+      return { steps: shiftAll(values, Math.round(next)), velocity: next };
+    },
+  },
+  mix: {
+    label: 'Mix',
+    description: 'A flipper-wide trend with a little independent jitter per shot',
+    steps: (values, usableSteps, velocity, random) => {
+      const next = nextVelocity(velocity, usableSteps, random);
+      const shift = Math.round(next);
+      return {
+        steps: values.map((v) => (v === 0 ? 0 : shift + rndInt(-1, 1, random))),
+        velocity: next,
+      };
+    },
+  },
+};
+
+/**
+ * Propose drift steps for one flipper
+ * @param {string} modelId - Drift model id (unknown ids use the independent model)
+ * @param {Array<number>} values - Current hidden values (0 = Not Possible, never moves)
+ * @param {number} usableSteps - Max distance from base, in resolution steps
+ * @param {number} velocity - Flipper velocity carried between drifts (trend models)
+ * @param {Function} random - Random generator returning [0, 1)
+ * @returns {{steps: Array<number>, velocity: number}} Step offset per shot and the new velocity
+ */
+function driftSteps(modelId, values, usableSteps, velocity, random) {
+  if (usableSteps === 0) {
+    return { steps: values.map(() => 0), velocity };
+  }
+  const model = DRIFT_MODELS[modelId] ?? DRIFT_MODELS[DEFAULT_DRIFT_MODEL];
+  return model.steps(values, usableSteps, velocity, random);
+}
+
+/**
+ * Drift volatility of a setup row
+ * @param {{volatility?: number|null, locked?: boolean}} row - Setup row
+ * @returns {number} 0 for locked rows, otherwise the row's multiplier (1 when unset) within 0..MAX_VOLATILITY
+ */
+function shotVolatility(row) {
+  if (row.locked) {
+    return 0;
+  }
+  const v = Number(row.volatility ?? 1);
+  return Number.isFinite(v) ? clamp(v, 0, MAX_VOLATILITY) : 1;
+}
+
+/**
+ * Scale a step offset by a shot's volatility, rounding towards zero and capped at the ±20 band
+ * @param {number} steps - Offset in resolution steps
+ * @param {number} volatility - Shot volatility (see shotVolatility)
+ * @param {number} [resolution] - Step size in percent (4 steps of 5% by default)
+ * @returns {number} Scaled offset in resolution steps
+ */
+function scaleSteps(steps, volatility, resolution = DEFAULT_RESOLUTION) {
+  const scaled = Math.min(MAX_BAND / resolution, Math.floor(Math.abs(steps) * volatility));
+  return scaled === 0 ? 0 : Math.sign(steps) * scaled;
+}
+
+/**
+ * Per-shot ordering bands of a session: locked shots (volatility 0) may not move at all
+ * @param {object} state - Session state (volatility is absent on sessions stored before it existed)
+ * @returns {Array<number>} Max distance from base per shot index, for isotonicWithBounds / strictlyIncrease
+ */
+function orderingBands(state) {
+  return (state.volatility ?? []).map((v) => (v === 0 ? 0 : MAX_BAND));
+}
+
+/**
+ * Ordering gap rule of one flipper of a session: its minimum gap, 0 between same aim point rows
+ * @param {object} state - Session state (sessions stored before gaps existed keep the 5% gap)
+ * @param {string} side - 'L' or 'R'
+ * @returns {Function} (i, j) => minimum gap, for isotonicWithBounds / strictlyIncrease
+ */
+function orderingGaps(state, side) {
+  return gapRule(
+    side === 'L' ? state.options?.minGapL : state.options?.minGapR,
+    state.sameAim,
+    resolutionOf(state)
+  );
+}
+
+// Shot & flipper pairs whose hidden value changed in a drift event
+function movedShots(entry) {
+  const moved = [];
+  for (const side of ['L', 'R']) {
+    const before = entry[`before${side}`];
+    const after = entry[`after${side}`];
+    for (const [idx, v] of after.entries()) {
+      if (v !== before[idx]) {
+        moved.push({ idx, side, from: before[idx], to: v });
+      }
+    }
+  }
+  return moved;
+}
+
+/**
+ * How quickly the player adapted after each logged drift event
+ * Only attempts made before the next drift count towards an event.
+ * @param {object} state - Session state (attempts and driftLog, both newest first)
+ * @param {number} [window] - Number of attempts after the event averaged for errorAfter
+ * @returns {Array<{entry: object, moved: Array<object>, attemptsToAdapt: number|null, errorAfter: number|null}>} Per event (newest first): changed shots, attempts on changed shots until one landed within a grid step (null while not yet), mean absolute error of the next attempts (null when none)
+ */
+function driftAdaptation(state, window = 5) {
+  const log = state.driftLog ?? [];
+  // Attempt numbers: attempts[k] is attempt #(attemptCount - k)
+  const numbered = state.attempts.map((a, k) => ({ a, n: state.attemptCount - k })).reverse();
+  return log.map((entry, i) => {
+    const until = i > 0 ? log[i - 1].attemptCount : Infinity;
+    const after = numbered
+      .filter(({ n }) => n > entry.attemptCount && n <= until)
+      .map(({ a }) => a);
+    const moved = movedShots(entry);
+    const onMoved = after.filter((a) => moved.some((m) => m.idx === a.idx && m.side === a.side));
+    // Timed-out prompts count as attempts but never as a hit, and have no error to average
+    const hit = onMoved.findIndex((a) => isHit(a, resolutionOf(state)));
+    const next = after.slice(0, window).filter((a) => !a.timedOut);
+    return {
+      entry,
+      moved,
+      attemptsToAdapt: hit === -1 ? null : hit + 1,
+      errorAfter:
+        next.length === 0 ? null : next.reduce((s, a) => s + Math.abs(a.delta), 0) / next.length,
+    };
+  });
+}
+
+export {
+  DEFAULT_DRIFT_MODEL,
+  DRIFT_MODELS,
+  MAX_VOLATILITY,
+  VOLATILITY_LEVELS,
+  driftAdaptation,
+  driftSteps,
+  movedShots,
+  orderingBands,
+  orderingGaps,
+  scaleSteps,
+  shotVolatility,
+};
@@ -0,0 +1,106 @@
+/**
+ * Session event log
+ * Append-only record of what happened in a session, oldest first: the start (bases and initial
+ * hidden values), every prompt shown, every attempt, every drift, difficulty level changes (auto
+ * progression), shot ranking, reverse identification and combo drills and the final recall answers.
+ * Unlike attempts (capped at MAX_ATTEMPTS) and the drift log (capped at MAX_DRIFT_LOG) it is never
+ * trimmed, so a finished session can be stepped through from the first prompt.
+ */
+
+import { movedShots } from './drift.js';
+
+const EVENT_TYPES = [
+  'start',
+  'prompt',
+  'attempt',
+  'drift',
+  'level',
+  'ranking',
+  'reverse',
+  'combo',
+  'recall',
+];
+
+// Events are absent on sessions stored before the log existed
+const eventsOf = (state) => state.events ?? [];
+
+/**
+ * Append an event to the session log
+ * Consecutive edits of the same final recall answer (typing "7" then "75") collapse into one event.
+ * @param {object} state - Session state
+ * @param {{type: string}} event - Event record (type is one of EVENT_TYPES)
+ * @returns {object} Session state with the event appended
+ */
+function appendEvent(state, event) {
+  const events = eventsOf(state);
+  const last = events.at(-1);
+  if (
+    event.type === 'recall' &&
+    last?.type === 'recall' &&
+    last.idx === event.idx &&
+    last.side === event.side
+  ) {
+    return { ...state, events: [...events.slice(0, -1), event] };
+  }
+  return { ...state, events: [...events, event] };
+}
+
+/**
+ * Replay an event log into one frame per event
+ * @param {Array<object>} events - Session events, oldest first
+ * @returns {Array<object>} Frames: {event, hiddenL, hiddenR, prompt ({idx, side} or null), attempt (attempt event on attempt frames, else null), moved (changed shots on drift frames), recallL, recallR}
+ */
+function replayFrames(events) {
+  const frames = [];
+  let hiddenL = [];
+  let hiddenR = [];
+  let prompt = null;
+  let recallL = [];
+  let recallR = [];
+  for (const event of events) {
+    let moved = [];
+    switch (event.type) {
+      case 'start': {
+        ({ hiddenL, hiddenR } = event);
+        recallL = hiddenL.map(() => null);
+        recallR = hiddenR.map(() => null);
+        break;
+      }
+      case 'prompt': {
+        prompt = { idx: event.idx, side: event.side };
+        break;
+      }
+      case 'drift': {
+        moved = movedShots({ beforeL: hiddenL, beforeR: hiddenR, ...event });
+        hiddenL = event.afterL;
+        hiddenR = event.afterR;
+        break;
+      }
+      case 'recall': {
+        const set = (list) => list.map((v, i) => (i === event.idx ? event.value : v));
+        if (event.side === 'L') {
+          recallL = set(recallL);
+        } else {
+          recallR = set(recallR);
+        }
+        break;
+      }
+      default: {
+        break;
+      }
+    }
+    frames.push({
+      event,
+      hiddenL,
+      hiddenR,
+      prompt,
+      attempt: event.type === 'attempt' ? event : null,
+      moved,
+      recallL,
+      recallR,
+    });
+  }
+  return frames;
+}
+
+export { EVENT_TYPES, appendEvent, eventsOf, replayFrames };
@@ -0,0 +1,69 @@
+/**
+ * Session filters
+ * Restrict a session to part of the table: one flipper, a subset of shots and/or only the shot &
+ * flipper pairs that are possible (base value other than NP). Prompt selection, manual selection
+ * and the final recall all use the same pool of pairs, and the grade records which subset it covers.
+ */
+
+const FLIPPER_FILTERS = [
+  { value: 'both', label: 'Both' },
+  { value: 'L', label: 'Left only' },
+  { value: 'R', label: 'Right only' },
+];
+
+const SIDES = ['L', 'R'];
+
+/**
+ * Normalized filter options of a session
+ * @param {object} state - Session state (only options and baseL are read)
+ * @returns {{flipper: string, shots: Array<number>|null, excludeNP: boolean}} Flipper ('both', 'L' or 'R'), sorted shot indexes (null = every shot) and whether NP pairs are left out
+ */
+function sessionSubset(state) {
+  const { flipper, shots, excludeNP } = state.options;
+  const count = state.baseL.length;
+  const picked = Array.isArray(shots)
+    ? [...new Set(shots.filter((i) => Number.isInteger(i) && i >= 0 && i < count))].sort(
+        (a, b) => a - b
+      )
+    : null;
+  return {
+    flipper: flipper === 'L' || flipper === 'R' ? flipper : 'both',
+    // Every shot picked is the same as no shot filter
+    shots: picked === null || picked.length === count ? null : picked,
+    excludeNP: Boolean(excludeNP),
+  };
+}
+
+/**
+ * Shot & flipper pairs a session covers
+ * Filters that leave nothing fall back to every pair, so a session can always prompt.
+ * @param {object} state - Session state (options, baseL and baseR)
+ * @returns {Array<{idx: number, side: string}>} Pairs by shot then flipper
+ */
+function promptPool(state) {
+  const { flipper, shots, excludeNP } = sessionSubset(state);
+  const all = [];
+  const pool = [];
+  for (const [idx] of state.baseL.entries()) {
+    for (const side of SIDES) {
+      all.push({ idx, side });
+      const base = side === 'L' ? state.baseL[idx] : state.baseR[idx];
+      if (
+        (flipper === 'both' || flipper === side) &&
+        (shots === null || shots.includes(idx)) &&
+        !(excludeNP && base === 0)
+      ) {
+        pool.push({ idx, side });
+      }
+    }
+  }
+  return pool.length === 0 ? all : pool;
+}
+
+// Shot indexes with at least one flipper in a pool
+const poolShots = (pool) => [...new Set(pool.map((p) => p.idx))];
+
+// Flippers of one shot in a pool ('L' and/or 'R', empty when the shot is filtered out)
+const poolSides = (pool, idx) => pool.filter((p) => p.idx === idx).map((p) => p.side);
+
+export { FLIPPER_FILTERS, poolShots, poolSides, promptPool, sessionSubset };
@@ -0,0 +1,106 @@
+/**
+ * Final recall grading breakdown
+ * The plain final score treats Not Possible as the number 0, so calling a 5% shot NP costs almost
+ * nothing while guessing a value for an NP shot costs a lot. The breakdown grades three things on
+ * their own instead: numeric accuracy (only where both the truth and the recall are possible), NP
+ * classification (which pairs were recalled as NP) and ordering consistency (whether the recalled
+ * values keep each flipper's order). A weighted combined grade sums them up.
+ */
+
+// Share of the combined grade per part (re-weighted over the parts that can be graded)
+const GRADE_WEIGHTS = { numeric: 0.6, np: 0.2, ordering: 0.2 };
+const LETTER_GRADES = [
+  { min: 90, letter: 'A' },
+  { min: 80, letter: 'B' },
+  { min: 70, letter: 'C' },
+  { min: 60, letter: 'D' },
+  { min: 0, letter: 'F' },
+];
+
+const letterFor = (score) => LETTER_GRADES.find((g) => score >= g.min).letter;
+
+/**
+ * Numeric accuracy of the values recalled for possible shots
+ * @param {Array<{truth: number, recall: number}>} pairs - Graded shot & flipper pairs
+ * @returns {{score: number|null, mae: number|null, count: number}} 100 - MAE over the pairs where neither value is NP (null without such pairs)
+ */
+function numericAccuracy(pairs) {
+  const possible = pairs.filter((p) => p.truth !== 0 && p.recall !== 0);
+  if (possible.length === 0) {
+    return { score: null, mae: null, count: 0 };
+  }
+  const mae = possible.reduce((s, p) => s + Math.abs(p.recall - p.truth), 0) / possible.length;
+  return { score: Math.max(0, Math.round(100 - mae)), mae, count: possible.length };
+}
+
+/**
+ * How many pairs were rightly recalled as NP or as a value
+ * @param {Array<{truth: number, recall: number}>} pairs - Graded shot & flipper pairs
+ * @returns {{score: number|null, correct: number, count: number, missedNP: number, falseNP: number}} Share of correct classifications, NP pairs recalled with a value and possible pairs recalled as NP
+ */
+function npClassification(pairs) {
+  const missedNP = pairs.filter((p) => p.truth === 0 && p.recall !== 0).length;
+  const falseNP = pairs.filter((p) => p.truth !== 0 && p.recall === 0).length;
+  const correct = pairs.length - missedNP - falseNP;
+  return {
+    score: pairs.length === 0 ? null : Math.round((100 * correct) / pairs.length),
+    correct,
+    count: pairs.length,
+    missedNP,
+    falseNP,
+  };
+}
+
+/**
+ * How well the recalled values keep each flipper's order
+ * Every two possible shots on the same flipper with different truths form a pair; it is in order
+ * when the recall puts them the same way round (a tie counts half).
+ * @param {Array<{side: string, truth: number, recall: number}>} pairs - Graded shot & flipper pairs
+ * @returns {{score: number|null, inOrder: number, count: number}} Share of shot pairs in order (null with fewer than two possible shots on a flipper)
+ */
+function orderingConsistency(pairs) {
+  let inOrder = 0;
+  let count = 0;
+  for (const side of ['L', 'R']) {
+    const possible = pairs.filter((p) => p.side === side && p.truth !== 0 && p.recall !== 0);
+    for (const [i, a] of possible.entries()) {
+      for (const b of possible.slice(i + 1)) {
+        if (a.truth === b.truth) {
+          continue;
+        }
+        count++;
+        const recalled = Math.sign(b.recall - a.recall);
+        if (recalled === 0) {
+          inOrder += 0.5;
+        } else if (recalled === Math.sign(b.truth - a.truth)) {
+          inOrder++;
+        }
+      }
+    }
+  }
+  return { score: count === 0 ? null : Math.round((100 * inOrder) / count), inOrder, count };
+}
+
+/**
+ * Grade a final recall part by part, with a combined grade
+ * @param {Array<{side: string, truth: number, recall: number}>} pairs - Graded shot & flipper pairs (truth and recall 0 = NP)
+ * @returns {{numeric: object, np: object, ordering: object, combined: {score: number, letter: string}}} Each part (see numericAccuracy, npClassification, orderingConsistency) and the weighted combined grade
+ */
+function gradeBreakdown(pairs) {
+  const parts = {
+    numeric: numericAccuracy(pairs),
+    np: npClassification(pairs),
+    ordering: orderingConsistency(pairs),
+  };
+  const graded = Object.entries(parts).filter(([, part]) => part.score !== null);
+  const weight = graded.reduce((s, [key]) => s + GRADE_WEIGHTS[key], 0);
+  const score =
+    weight === 0
+      ? 0
+      : Math.round(
+          graded.reduce((s, [key, part]) => s + GRADE_WEIGHTS[key] * part.score, 0) / weight
+        );
+  return { ...parts, combined: { score, letter: letterFor(score) } };
+}
+
+export { GRADE_WEIGHTS, gradeBreakdown, npClassification, numericAccuracy, orderingConsistency };
@@ -0,0 +1,134 @@
+/**
+ * Undo / redo history of session snapshots
+ * Engine transitions never mutate, so the session object from before an attempt holds everything
+ * the attempt changed: attempts, counters, guesses, hidden values (including any drift the attempt
+ * triggered) and the pending next shot. restorePractice brings those fields back from a snapshot
+ * while keeping what the player did since: drills and their results, the mode and scoring profile.
+ */
+
+import { eventsOf } from './events.js';
+import { resolutionOf } from './ordering.js';
+import { DEFAULT_PROFILE, rescoreAttempts } from './scoring.js';
+
+const MAX_UNDO = 50; // snapshots kept on each stack
+
+// Session fields written by attempts and drift (see recordAttempt and logDrift in ./session.js)
+const PRACTICE_FIELDS = [
+  'attempts',
+  'attemptCount',
+  'hiddenL',
+  'hiddenR',
+  'mentalL',
+  'mentalR',
+  'beliefL',
+  'beliefR',
+  'hitsL',
+  'hitsR',
+  'closedL',
+  'closedR',
+  'driftVelocity',
+  'driftLog',
+  'lastDriftAt',
+  'level',
+  'levelLog',
+  'selectedIdx',
+  'selectedSide',
+  'selectedBall',
+  'pendingNext',
+  'promptedAt',
+  'startedAt',
+  'sprintEnded',
+  'rngState',
+];
+// Options auto difficulty sets with the level
+const LEVEL_OPTIONS = ['driftEvery', 'driftMag'];
+// Events logged by attempts, drift and prompts
+const PRACTICE_EVENTS = new Set(['prompt', 'attempt', 'drift', 'level']);
+
+/**
+ * Empty history
+ * @returns {{past: Array<object>, future: Array<object>}} History with nothing to undo or redo
+ */
+function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Remember the state from before a change; a new change drops anything that could be redone
+ * @param {{past: Array<object>, future: Array<object>}} history - Current history
+ * @param {object} previous - Session state before the change
+ * @returns {{past: Array<object>, future: Array<object>}} Updated history
+ */
+function recordChange(history, previous) {
+  return { past: [...history.past, previous].slice(-MAX_UNDO), future: [] };
+}
+
+/**
+ * Step back to the most recent snapshot
+ * @param {{past: Array<object>, future: Array<object>}} history - Current history
+ * @param {object} present - Current session state (becomes redoable)
+ * @returns {{history: object, state: object}|null} Updated history and state to restore, or null when there is nothing to undo
+ */
+function undo(history, present) {
+  if (history.past.length === 0) {
+    return null;
+  }
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [present, ...history.future].slice(0, MAX_UNDO),
+    },
+    state: history.past.at(-1),
+  };
+}
+
+/**
+ * Re-apply the most recently undone snapshot
+ * @param {{past: Array<object>, future: Array<object>}} history - Current history
+ * @param {object} present - Current session state (becomes undoable)
+ * @returns {{history: object, state: object}|null} Updated history and state to restore, or null when there is nothing to redo
+ */
+function redo(history, present) {
+  if (history.future.length === 0) {
+    return null;
+  }
+  return {
+    history: {
+      past: [...history.past, present].slice(-MAX_UNDO),
+      future: history.future.slice(1),
+    },
+    state: history.future[0],
+  };
+}
+
+/**
+ * Bring back the practice state of a snapshot (from undo or redo), keeping later drills and settings
+ * Attempts are re-scored when the scoring profile changed since the snapshot, and the final recall
+ * an attempt started by ending the sprint goes with it.
+ * @param {object} present - Current session state
+ * @param {object} snapshot - Session state returned by undo or redo
+ * @returns {object} Session state with the snapshot's attempts, hidden values and prompt
+ */
+function restorePractice(present, snapshot) {
+  const practice = Object.fromEntries(PRACTICE_FIELDS.map((key) => [key, snapshot[key]]));
+  const levelOptions = Object.fromEntries(LEVEL_OPTIONS.map((key) => [key, snapshot.options[key]]));
+  const profile = present.options.scoringProfile ?? DEFAULT_PROFILE;
+  const attempts =
+    profile === (snapshot.options.scoringProfile ?? DEFAULT_PROFILE)
+      ? snapshot.attempts
+      : rescoreAttempts(snapshot.attempts, profile, resolutionOf(present));
+  // Drill and recall events logged since stay, after the snapshot's own events
+  const logged = new Set(eventsOf(snapshot));
+  const later = eventsOf(present).filter((e) => !logged.has(e) && !PRACTICE_EVENTS.has(e.type));
+  return {
+    ...present,
+    ...practice,
+    attempts,
+    options: { ...present.options, ...levelOptions },
+    events: [...eventsOf(snapshot), ...later],
+    finalPhase:
+      present.sprintEnded === snapshot.sprintEnded ? present.finalPhase : snapshot.finalPhase,
+  };
+}
+
+export { MAX_UNDO, createHistory, recordChange, redo, restorePractice, undo };
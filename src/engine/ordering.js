@@ -0,0 +1,317 @@
+/**
+ * Value snapping and flipper ordering constraints
+ * Values sit on a grid set by the resolution (1, 2.5, 5 or 10%; 5 by default and for anything
+ * stored before the setting existed): 0 or resolution..100 - resolution.
+ * Left flipper values strictly increase top->bottom, right flipper values strictly decrease.
+ * 0 means "Not Possible" (NP) and never takes part in ordering.
+ * Neighbouring values keep a minimum gap (5 by default). A gap rule (see gapRule) sets it per
+ * flipper and drops it to 0 for rows marked as sharing an aim point, so those may tie.
+ */
+
+const clamp = (v, lo = 0, hi = 100) => Math.max(lo, Math.min(hi, v));
+const MAX_BAND = 20; // hidden values never leave base ± 20
+
+// Allowed distance from base for index i (bands are optional per-index overrides, e.g. 0 for locked shots)
+const bandAt = (bands, i) => bands?.[i] ?? MAX_BAND;
+const RESOLUTIONS = [1, 2.5, 5, 10]; // value grids in percent
+const DEFAULT_RESOLUTION = 5;
+const DEFAULT_GAP = 5; // minimum distance between neighbouring values
+const defaultGap = () => DEFAULT_GAP;
+const isPos = (v) => v !== null && v !== undefined && v > 0;
+
+/**
+ * Resolution from a stored setting
+ * @param {number|string} value - Stored resolution
+ * @returns {number} One of RESOLUTIONS (DEFAULT_RESOLUTION for missing or unknown values)
+ */
+function parseResolution(value) {
+  const r = Number(value);
+  return RESOLUTIONS.includes(r) ? r : DEFAULT_RESOLUTION;
+}
+
+// Resolution of a session (sessions stored before the setting existed use 5%)
+const resolutionOf = (state) => parseResolution(state?.options?.resolution);
+
+// Round to the grid without clamping (isotonic fits run on values shifted by their gaps)
+const stepTo = (v, resolution) => Math.round(v / resolution) * resolution;
+
+/**
+ * Snap a value to the resolution grid
+ * @param {number} v - Value in percent
+ * @param {number} [resolution] - Grid step (see RESOLUTIONS)
+ * @returns {number} Nearest grid value within 0..100
+ */
+function snapTo(v, resolution = DEFAULT_RESOLUTION) {
+  return Math.min(100, Math.max(0, stepTo(v, parseResolution(resolution))));
+}
+
+/**
+ * Possible (non-NP) values of a resolution, lowest first
+ * @param {number} [resolution] - Grid step (see RESOLUTIONS)
+ * @returns {Array<number>} resolution, 2 * resolution, ... up to 100 - resolution (5..95 by default)
+ */
+function gridValues(resolution = DEFAULT_RESOLUTION) {
+  const r = parseResolution(resolution);
+  return Array.from({ length: Math.round(100 / r) - 1 }, (_, k) => (k + 1) * r);
+}
+
+/**
+ * Index pairs of setup rows that share an aim point (row.aimWith holds the partner row's id)
+ * @param {Array<{id: number, aimWith?: number}>} rows - Setup rows
+ * @returns {Array<Array<number>>} [i, j] row index pairs (i < j), for gapRule
+ */
+function aimPairs(rows) {
+  const pairs = [];
+  for (const [i, r] of rows.entries()) {
+    const j = r.aimWith === undefined ? -1 : rows.findIndex((x) => x.id === r.aimWith);
+    if (j !== -1 && j !== i) {
+      pairs.push([Math.min(i, j), Math.max(i, j)]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Minimum gap between two neighbouring values of a flipper
+ * @param {number} [minGap] - Flipper's minimum gap (0 allows ties; defaults to 5 when missing)
+ * @param {Array<Array<number>>} [sameAim] - Row index pairs sharing an aim point (see aimPairs)
+ * @param {number} [resolution] - Grid step the gap is fitted to
+ * @returns {Function} (i, j) => gap between rows i and j (0 for a same aim point pair)
+ */
+function gapRule(minGap, sameAim = [], resolution = DEFAULT_RESOLUTION) {
+  const wanted = Math.max(0, Number.isFinite(Number(minGap)) ? Number(minGap) : DEFAULT_GAP);
+  const step = parseResolution(resolution);
+  // A positive gap is at least one grid step (the closest two values can be) and otherwise rounds
+  // down, so a coarser resolution never asks for more than the flipper's minimum gap
+  const gap = wanted === 0 ? 0 : Math.max(step, Math.floor(wanted / step + 1e-9) * step);
+  const same = new Set(sameAim.map(([i, j]) => `${Math.min(i, j)}:${Math.max(i, j)}`));
+  return (i, j) => (same.has(`${Math.min(i, j)}:${Math.max(i, j)}`) ? 0 : gap);
+}
+
+// Compute inclusive min/max positive (>= resolution) range for slider given ordering constraints (0 neutral/not part of ordering)
+// Left flipper: INCREASING top->bottom (low -> high), at least gap(j, index) above every earlier value
+// Right flipper: DECREASING top->bottom (high -> low)
+function computeAllowedRange(rows, side, index, gap = defaultGap, resolution = DEFAULT_RESOLUTION) {
+  const lowest = parseResolution(resolution);
+  const vals = side === 'L' ? rows.map((r) => r.initL) : rows.map((r) => r.initR);
+  // Positive neighbours pushed out by their gap to this row
+  const earlierPos = vals
+    .slice(0, index)
+    .flatMap((v, j) => (isPos(v) ? [{ v, g: gap(j, index) }] : []));
+  const laterPos = vals
+    .slice(index + 1)
+    .flatMap((v, k) => (isPos(v) ? [{ v, g: gap(index, index + 1 + k) }] : []));
+  if (side === 'L') {
+    let minAllowed = earlierPos.length > 0 ? Math.max(...earlierPos.map((e) => e.v + e.g)) : lowest; // above largest earlier
+    let maxAllowed = laterPos.length > 0 ? Math.min(...laterPos.map((e) => e.v - e.g)) : 100; // below smallest later
+    minAllowed = Math.max(lowest, minAllowed);
+    maxAllowed = Math.min(100, maxAllowed);
+    if (minAllowed > maxAllowed) {
+      return null;
+    }
+    return [minAllowed, maxAllowed];
+  } else {
+    // Right: descending
+    // For descending: value[i] below all earlier positives AND above all later positives.
+    let maxAllowed = earlierPos.length > 0 ? Math.min(...earlierPos.map((e) => e.v - e.g)) : 100; // below smallest earlier
+    let minAllowed = laterPos.length > 0 ? Math.max(...laterPos.map((e) => e.v + e.g)) : lowest; // above largest later
+    maxAllowed = Math.min(100, maxAllowed);
+    minAllowed = Math.max(lowest, minAllowed);
+    if (minAllowed > maxAllowed) {
+      return null;
+    }
+    return [minAllowed, maxAllowed];
+  }
+}
+
+// Bounded isotonic regression preserving initial ordering defined by orderAsc.
+// Each point i constrained within base[i] ± 20 (or ± bands[i]) and 0..100; values snapped to the resolution.
+// Special handling: 0 ("Not Possible") values are never modified and don't participate in ordering.
+// With a gap rule, neighbours are projected at least gap(i, j) apart (fit on values minus the
+// cumulative gaps, which only needs to be non-decreasing); without one the fit is non-decreasing.
+function isotonicWithBounds(
+  current,
+  base,
+  orderAsc,
+  bands,
+  gap = () => 0,
+  resolution = DEFAULT_RESOLUTION
+) {
+  const res = parseResolution(resolution);
+  if (current.length === 0) {
+    return current;
+  }
+  const lower = base.map((v, i) => Math.max(0, v - bandAt(bands, i)));
+  const upper = base.map((v, i) => Math.min(100, v + bandAt(bands, i)));
+  const inOrderIdx = orderAsc;
+  const isNP = inOrderIdx.map((i) => current[i] === 0 || base[i] === 0);
+  // Cumulative gap up to each position (NP values don't take part in ordering, so they break the chain)
+  const offsets = [];
+  for (const [k, i] of inOrderIdx.entries()) {
+    const linked = k > 0 && !isNP[k] && !isNP[k - 1];
+    offsets.push(k === 0 ? 0 : offsets[k - 1] + (linked ? gap(inOrderIdx[k - 1], i) : 0));
+  }
+  const values = inOrderIdx.map((i, k) => current[i] - offsets[k]);
+  const lowers = inOrderIdx.map((i, k) => lower[i] - offsets[k]);
+  const uppers = inOrderIdx.map((i, k) => upper[i] - offsets[k]);
+  const blocks = [];
+  for (const [i, sum] of values.entries()) {
+    // Skip "Not Possible" (0) values - they never change
+    if (isNP[i]) {
+      blocks.push({ sum: 0, count: 1, lb: 0, ub: 0, value: 0, isNotPossible: true });
+      continue;
+    }
+    const count = 1;
+    const lb = lowers[i];
+    const ub = uppers[i];
+    let mean = sum / count;
+    if (mean < lb) {
+      mean = lb;
+    } else if (mean > ub) {
+      mean = ub;
+    }
+    const val = stepTo(mean, res);
+    blocks.push({ sum, count, lb, ub, value: val, isNotPossible: false });
+    while (
+      blocks.length >= 2 &&
+      !blocks.at(-2).isNotPossible &&
+      !blocks.at(-1).isNotPossible &&
+      blocks.at(-2).value > blocks.at(-1).value
+    ) {
+      const b = blocks.pop();
+      const a = blocks.pop();
+      const merged = {
+        sum: a.sum + b.sum,
+        count: a.count + b.count,
+        lb: Math.max(a.lb, b.lb),
+        ub: Math.min(a.ub, b.ub),
+        value: 0,
+        isNotPossible: false,
+      };
+      let m = merged.sum / merged.count;
+      if (m < merged.lb) {
+        m = merged.lb;
+      } else if (m > merged.ub) {
+        m = merged.ub;
+      }
+      merged.value = stepTo(m, res);
+      blocks.push(merged);
+    }
+  }
+  const adjusted = Array.from({ length: values.length });
+  let k = 0;
+  for (const bl of blocks) {
+    for (let j = 0; j < bl.count; j++) {
+      adjusted[k] = bl.isNotPossible
+        ? 0
+        : snapTo(stepTo(Math.min(bl.ub, Math.max(bl.lb, bl.value)), res) + offsets[k], res);
+      k++;
+    }
+  }
+  const next = [...current];
+  for (const [i, element] of inOrderIdx.entries()) {
+    next[element] = adjusted[i];
+  }
+  return next;
+}
+
+// Ensure strict increasing / decreasing ordering (depending on provided index order) within ±20 (or ± bands[i]) bounds and snapping to the resolution.
+// Neighbours end up at least gap(i, j) apart (5 by default; a gap of 0 allows ties).
+// Special handling: 0 ("Not Possible") values are never modified and don't participate in ordering constraints.
+// eslint-disable-next-line sonarjs/cognitive-complexity
+function strictlyIncrease(
+  values,
+  base,
+  orderAsc,
+  bands,
+  gap = defaultGap,
+  resolution = DEFAULT_RESOLUTION
+) {
+  if (values.length === 0) {
+    return values;
+  }
+  const res = parseResolution(resolution);
+  const snap = (v) => snapTo(v, res);
+  const idxs = orderAsc;
+  const arr = idxs.map((i) => values[i]);
+  const bases = idxs.map((i) => base[i]);
+  const spans = idxs.map((i) => bandAt(bands, i));
+  const gapAt = (k) => gap(idxs[k - 1], idxs[k]); // gap between order positions k - 1 and k
+  for (let i = 1; i < arr.length; i++) {
+    // Skip if current or previous value is "Not Possible" (0)
+    if (arr[i] === 0 || bases[i] === 0 || arr[i - 1] === 0 || bases[i - 1] === 0) {
+      continue;
+    }
+    const g = gapAt(i);
+    if (arr[i] - arr[i - 1] < g) {
+      const b = bases[i];
+      const hi = Math.min(100, b + spans[i]);
+      let candidate = snap(arr[i - 1] + g);
+      if (candidate > hi) {
+        let j = i - 1;
+        while (j >= 0 && candidate > hi) {
+          const bj = bases[j];
+          const loPrev = Math.max(0, bj - spans[j]);
+          const lowered = snap(arr[j] - res);
+          if (lowered >= loPrev && (j === 0 || lowered - arr[j - 1] >= gapAt(j))) {
+            arr[j] = lowered;
+          } else {
+            break;
+          }
+          candidate = snap(arr[i - 1] + g);
+          j--;
+        }
+        candidate = Math.min(hi, candidate);
+      }
+      if (candidate - arr[i - 1] < g) {
+        candidate = arr[i - 1] + g;
+      }
+      arr[i] = candidate;
+    }
+  }
+  const out = [...values];
+  for (const [k, idx] of idxs.entries()) {
+    out[idx] = arr[k];
+  }
+  for (let k = 0; k < idxs.length; k++) {
+    const i = idxs[k];
+    const b = base[i];
+    // Never modify "Not Possible" (0) values
+    if (out[i] === 0 || b === 0) {
+      continue;
+    }
+    const lo = Math.max(0, b - bandAt(bands, i)),
+      hi = Math.min(100, b + bandAt(bands, i));
+    out[i] = snap(Math.min(hi, Math.max(lo, out[i])));
+    if (k > 0) {
+      const prevIdx = idxs[k - 1];
+      const g = gapAt(k);
+      // Only enforce ordering if neither current nor previous is "Not Possible" (0)
+      if (out[prevIdx] !== 0 && base[prevIdx] !== 0 && out[i] - out[prevIdx] < g) {
+        let nv = snap(out[prevIdx] + g);
+        if (nv > hi) {
+          nv = hi;
+        }
+        out[i] = nv;
+      }
+    }
+  }
+  return out;
+}
+
+export {
+  DEFAULT_GAP,
+  DEFAULT_RESOLUTION,
+  MAX_BAND,
+  RESOLUTIONS,
+  aimPairs,
+  clamp,
+  computeAllowedRange,
+  gapRule,
+  gridValues,
+  isotonicWithBounds,
+  parseResolution,
+  resolutionOf,
+  snapTo,
+  strictlyIncrease,
+};
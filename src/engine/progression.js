@@ -0,0 +1,102 @@
+/**
+ * Automatic difficulty progression
+ * Optional mode where the session picks its own drift frequency and magnitude from a ladder of
+ * difficulty levels. After every attempt it looks at the accuracy of the most recent attempts:
+ * a good run moves one level up (drift more often and further), a poor one moves one level down.
+ * Each change starts a fresh window, so the player gets a full window at the new level first.
+ */
+
+import { appendEvent } from './events.js';
+import { resolutionOf } from './ordering.js';
+import { isHit } from './scoring.js';
+
+// Drift magnitudes are whole steps: applyDrift only moves floor(driftMag) steps
+const DIFFICULTY_LEVELS = [
+  { level: 1, label: 'Easy', driftEvery: 8, driftMag: 1 },
+  { level: 2, label: 'Steady', driftEvery: 6, driftMag: 2 },
+  { level: 3, label: 'Normal', driftEvery: 4, driftMag: 2 },
+  { level: 4, label: 'Hard', driftEvery: 3, driftMag: 3 },
+  { level: 5, label: 'Expert', driftEvery: 2, driftMag: 4 },
+];
+const START_LEVEL = 3; // same drift as the default options
+const PROGRESSION_WINDOW = 10; // attempts judged before a level can change
+const LEVEL_UP_ACCURACY = 0.7; // share of hits (within a grid step, ±5% by default) that moves a level up
+const LEVEL_DOWN_ACCURACY = 0.3; // ... and at or below which it moves a level down
+
+// Level definition for a level number (clamped to the ladder)
+const levelInfo = (level) =>
+  DIFFICULTY_LEVELS[Math.min(DIFFICULTY_LEVELS.length, Math.max(1, level)) - 1];
+
+/**
+ * Session fields that start a session on a difficulty level
+ * @param {number} [level] - Starting level (1..DIFFICULTY_LEVELS.length)
+ * @returns {{level: number, options: {driftEvery: number, driftMag: number}}} Level and the drift options it sets
+ */
+function startLevel(level = START_LEVEL) {
+  const info = levelInfo(level);
+  return { level: info.level, options: { driftEvery: info.driftEvery, driftMag: info.driftMag } };
+}
+
+/**
+ * Share of hits among the attempts made at the current level, once a full window has been played
+ * Timed-out prompts count as misses; calibration attempts don't count.
+ * @param {object} state - Session state
+ * @returns {number|null} Accuracy of the latest PROGRESSION_WINDOW attempts (null while the window isn't full)
+ */
+function recentAccuracy(state) {
+  const since = state.levelLog?.[0]?.attemptCount ?? 0;
+  const window = state.attempts
+    .slice(0, state.attemptCount - since)
+    .filter((a) => !a.calibration)
+    .slice(0, PROGRESSION_WINDOW);
+  if (window.length < PROGRESSION_WINDOW) {
+    return null;
+  }
+  return window.filter((a) => isHit(a, resolutionOf(state))).length / window.length;
+}
+
+/**
+ * Move the session one level up or down when the recent accuracy calls for it
+ * @param {object} state - Session state
+ * @param {number} t - Timestamp of the attempt that was just recorded
+ * @returns {object} Session state on its new level, with the change logged (unchanged without auto progression or when no change is due)
+ */
+function progressDifficulty(state, t) {
+  if ((state.level ?? null) === null) {
+    return state;
+  }
+  const accuracy = recentAccuracy(state);
+  if (accuracy === null) {
+    return state;
+  }
+  let step = 0;
+  if (accuracy >= LEVEL_UP_ACCURACY) {
+    step = 1;
+  } else if (accuracy <= LEVEL_DOWN_ACCURACY) {
+    step = -1;
+  }
+  const to = levelInfo(state.level + step).level;
+  if (to === state.level) {
+    return state;
+  }
+  const { driftEvery, driftMag } = levelInfo(to);
+  const entry = { t, attemptCount: state.attemptCount, from: state.level, to, accuracy };
+  return appendEvent(
+    {
+      ...state,
+      level: to,
+      options: { ...state.options, driftEvery, driftMag },
+      levelLog: [entry, ...(state.levelLog ?? [])],
+    },
+    { type: 'level', ...entry }
+  );
+}
+
+export {
+  DIFFICULTY_LEVELS,
+  PROGRESSION_WINDOW,
+  levelInfo,
+  progressDifficulty,
+  recentAccuracy,
+  startLevel,
+};
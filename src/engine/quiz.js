@@ -0,0 +1,64 @@
+/**
+ * Final recall quiz
+ * Alternative to the final recall table, where every shot is visible at once and values can be
+ * recalled from their neighbours' order. The quiz asks each shot & flipper pair the session
+ * covered one at a time, in random order. Answers fill the final recall exactly like table edits
+ * and are graded the same way; nothing about them is shown until the last pair is answered.
+ */
+
+import { promptPool } from './filters.js';
+import { resolutionOf } from './ordering.js';
+import { seededRandom, shuffle } from './random.js';
+import { setFinalRecallValue, validatePercent } from './session.js';
+
+/**
+ * Start the quiz over every pair of the session (final recall only)
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Session state with recallQuiz {order: Array<{idx, side}>, pos: 0} (unchanged outside final recall)
+ */
+function startRecallQuiz(state, random = seededRandom) {
+  if (!state.finalPhase) {
+    return state;
+  }
+  return { ...state, recallQuiz: { order: shuffle(promptPool(state), random), pos: 0 } };
+}
+
+/**
+ * Pair the quiz is asking about
+ * @param {object} state - Session state
+ * @returns {{idx: number, side: string}|null} Current pair (null without a quiz or once it is done)
+ */
+const quizPrompt = (state) => state.recallQuiz?.order[state.recallQuiz.pos] ?? null;
+
+/**
+ * Whether every pair of a started quiz has been answered
+ * @param {object} state - Session state
+ * @returns {boolean} True once the quiz is complete
+ */
+const quizDone = (state) =>
+  Boolean(state.recallQuiz) && state.recallQuiz.pos >= state.recallQuiz.order.length;
+
+/**
+ * Answer the current pair and move on to the next
+ * @param {object} state - Session state
+ * @param {number|string} value - Recalled percentage (0 = NP)
+ * @returns {object} Session state with the answer in the final recall (unchanged for invalid input or without a current pair)
+ */
+function answerRecallQuiz(state, value) {
+  const prompt = quizPrompt(state);
+  if (prompt === null || validatePercent(value, resolutionOf(state)) === null) {
+    return state;
+  }
+  const next = setFinalRecallValue(state, prompt.side, prompt.idx, value);
+  return { ...next, recallQuiz: { ...state.recallQuiz, pos: state.recallQuiz.pos + 1 } };
+}
+
+/**
+ * Leave the quiz for the final recall table (answers given so far are kept)
+ * @param {object} state - Session state
+ * @returns {object} Session state without a quiz
+ */
+const stopRecallQuiz = (state) => ({ ...state, recallQuiz: null });
+
+export { answerRecallQuiz, quizDone, quizPrompt, startRecallQuiz, stopRecallQuiz };
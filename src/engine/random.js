@@ -0,0 +1,101 @@
+/**
+ * Seeded random number generator (Mulberry32)
+ * Shared source of randomness for the session engine. When seeding is disabled it falls back to Math.random.
+ * Seeded sessions use their own generator (createRandom) whose state is stored on the session, so
+ * nothing else drawing from the shared one can shift their sequence.
+ */
+
+const FIXED_SEED = 42; // Fixed seed value for reproducible randomness
+const MAX_SEED = 1e6 - 1; // generated seeds stay short enough to read out to a teammate
+let rngState = null;
+
+// One generator step: next state and the value in [0, 1) it yields
+function mulberry32(state) {
+  let t = state + 0x6d2b79f5;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { state: t, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+/**
+ * Enable or disable the fixed seed
+ * @param {boolean} enabled - Whether to use the fixed seed
+ */
+function setSeed(enabled) {
+  rngState = enabled ? FIXED_SEED >>> 0 : null; // Convert to 32-bit unsigned integer if enabled
+}
+
+/**
+ * Next random number in [0, 1)
+ * @returns {number} Seeded value when seeding is enabled, otherwise Math.random()
+ */
+function seededRandom() {
+  if (rngState === null) {
+    return Math.random();
+  }
+  const step = mulberry32(rngState);
+  rngState = step.state;
+  return step.value;
+}
+
+/**
+ * Independent seeded generator
+ * @param {number} seed - 32-bit seed (or a state previously read from generator.state())
+ * @returns {Function} Generator returning [0, 1); its `state()` method returns the current state
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    const step = mulberry32(state);
+    ({ state } = step);
+    return step.value;
+  };
+  random.state = () => state;
+  return random;
+}
+
+/**
+ * Parse a user supplied seed
+ * @param {number|string|null} value - Raw seed
+ * @returns {number|null} Non-negative integer seed below 2^32, or null when empty or invalid
+ */
+function parseSeed(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n < 2 ** 32 ? n : null;
+}
+
+/**
+ * Fresh seed for a new challenge (drawn from Math.random so it never disturbs a seeded sequence)
+ * @returns {number} Integer seed in 1..MAX_SEED
+ */
+function randomSeed() {
+  return 1 + Math.floor(Math.random() * MAX_SEED);
+}
+
+// Inclusive random integer; `random` lets callers (tests, scripts) supply their own generator.
+const rndInt = (a, b, random = seededRandom) => Math.floor(random() * (b - a + 1)) + a;
+
+// Shuffled copy of a list (Fisher-Yates)
+function shuffle(items, random = seededRandom) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export {
+  FIXED_SEED,
+  MAX_SEED,
+  createRandom,
+  parseSeed,
+  randomSeed,
+  rndInt,
+  seededRandom,
+  setSeed,
+  shuffle,
+};
@@ -0,0 +1,132 @@
+/**
+ * Shot ranking drill
+ * Trains the relative map of a flipper rather than its absolute numbers: a random handful of the
+ * flipper's possible shots is shown in random order and the player puts them in order from the
+ * flipper tip (highest value) to the base. The order is scored with Spearman's rank correlation
+ * against the hidden values, and every drill is logged on the session.
+ */
+
+import { appendEvent } from './events.js';
+import { promptPool } from './filters.js';
+import { seededRandom, shuffle } from './random.js';
+import { stopPromptTimer } from './session.js';
+
+const RANKING_SIZE = 5; // shots per drill (fewer when the flipper has fewer possible shots)
+
+const hiddenOf = (state, side) => (side === 'L' ? state.hiddenL : state.hiddenR);
+
+// Shots of one flipper that can be ranked: in the session subset and currently possible
+const rankableShots = (state, side) =>
+  promptPool(state)
+    .filter((p) => p.side === side && hiddenOf(state, side)[p.idx] !== 0)
+    .map((p) => p.idx);
+
+// Rank of each item (0 = first); items of the same value share the average of their positions
+function sharedRanks(list, value) {
+  const positions = new Map();
+  for (const [rank, item] of list.entries()) {
+    const key = value(item);
+    positions.set(key, [...(positions.get(key) ?? []), rank]);
+  }
+  return new Map(
+    list.map((item) => {
+      const group = positions.get(value(item));
+      return [item, group.reduce((s, r) => s + r, 0) / group.length];
+    })
+  );
+}
+
+/**
+ * Spearman's rank correlation of two orderings of the same items
+ * Items tied in truth share their average rank in both orderings, so either order of a tie is right.
+ * @param {Array<number>} order - Ranked items
+ * @param {Array<number>} truthOrder - Same items in their true order
+ * @param {Function} [value] - True value of an item (equal values are ties; default: no ties)
+ * @returns {number} Correlation from -1 (reversed) to 1 (identical)
+ */
+function rankCorrelation(order, truthOrder, value = (item) => item) {
+  const n = order.length;
+  if (n < 2) {
+    return 1;
+  }
+  // Pearson correlation of the ranks (equals 1 - 6 * sum(d^2) / (n * (n^2 - 1)) without ties)
+  const ranks = sharedRanks(order, value);
+  const truthRanks = sharedRanks(truthOrder, value);
+  const mean = (n - 1) / 2;
+  let cov = 0;
+  let varRanks = 0;
+  let varTruth = 0;
+  for (const item of order) {
+    const x = ranks.get(item) - mean;
+    const y = truthRanks.get(item) - mean;
+    cov += x * y;
+    varRanks += x * x;
+    varTruth += y * y;
+  }
+  // All shots tied: any order is right
+  return varTruth === 0 ? 1 : cov / Math.sqrt(varRanks * varTruth);
+}
+
+/**
+ * Start a ranking drill on a random flipper (practice only)
+ * @param {object} state - Session state
+ * @param {{size?: number}} [options] - Number of shots to rank
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Session state with rankingDrill {side, shots} (shots in the order shown) and the prompt clock stopped (unchanged when no flipper has two possible shots)
+ */
+function startRankingDrill(state, options = {}, random = seededRandom) {
+  if (state.finalPhase) {
+    return state;
+  }
+  const sides = ['L', 'R'].filter((side) => rankableShots(state, side).length >= 2);
+  if (sides.length === 0) {
+    return state;
+  }
+  const side = sides.length === 1 ? sides[0] : sides[Math.floor(random() * sides.length)];
+  const size = Math.max(2, options.size ?? RANKING_SIZE);
+  const shots = shuffle(rankableShots(state, side), random).slice(0, size);
+  return stopPromptTimer({ ...state, rankingDrill: { side, shots } });
+}
+
+/**
+ * Score the player's order of the drill's shots and log it
+ * @param {object} state - Session state
+ * @param {Array<number>} order - The drill's shot indexes from flipper tip to base
+ * @param {number} t - Timestamp of the answer
+ * @returns {object} Session state without the drill and with the result first in rankings (unchanged without a drill or when the order doesn't hold exactly its shots)
+ */
+function submitRanking(state, order, t) {
+  const drill = state.rankingDrill;
+  if (
+    !drill ||
+    order.length !== drill.shots.length ||
+    !drill.shots.every((idx) => order.includes(idx))
+  ) {
+    return state;
+  }
+  const hidden = hiddenOf(state, drill.side);
+  const truthOrder = [...drill.shots].sort((a, b) => hidden[b] - hidden[a]);
+  const rho = rankCorrelation(order, truthOrder, (idx) => hidden[idx]);
+  const entry = {
+    t,
+    side: drill.side,
+    order: [...order],
+    truthOrder,
+    rho,
+    score: Math.round(50 * (rho + 1)),
+    attemptCount: state.attemptCount,
+  };
+  return appendEvent(
+    { ...state, rankingDrill: null, rankings: [entry, ...(state.rankings ?? [])] },
+    { type: 'ranking', ...entry }
+  );
+}
+
+/**
+ * Drop the current ranking drill without scoring it
+ * @param {object} state - Session state
+ * @returns {object} Session state without a drill
+ */
+const cancelRankingDrill = (state) => ({ ...state, rankingDrill: null });
+
+export { RANKING_SIZE, cancelRankingDrill, rankCorrelation, startRankingDrill, submitRanking };
@@ -0,0 +1,95 @@
+/**
+ * Reverse identification drill
+ * The practice prompt turned around: instead of naming the value of a shot, the player is shown a
+ * point on one flipper (the hidden value of a random shot) and picks the shot that plays from it.
+ * Picks are scored by how far the picked shot sits from the answer in that flipper's order, so a
+ * neighbour still earns partial credit, and every drill is logged on the session.
+ */
+
+import { appendEvent } from './events.js';
+import { promptPool } from './filters.js';
+import { seededRandom } from './random.js';
+import { stopPromptTimer } from './session.js';
+
+// Credit by distance in the flipper's order: exact shot, then a neighbour; anything further is a miss
+const REVERSE_CREDIT = [
+  { severity: 'perfect', points: 100 },
+  { severity: 'slight', points: 50 },
+];
+const REVERSE_MISS = { severity: 'very', points: 0 };
+
+const hiddenOf = (state, side) => (side === 'L' ? state.hiddenL : state.hiddenR);
+
+/**
+ * Distance between two shots in a flipper's order
+ * Shots with the same value share a place and NP shots are not in the order at all.
+ * @param {Array<number>} hidden - Hidden values of the flipper
+ * @param {number} idx - Answer shot index
+ * @param {number} picked - Picked shot index
+ * @returns {number|null} Number of places between the two values (null when the picked shot is NP)
+ */
+function orderDistance(hidden, idx, picked) {
+  if (!hidden[picked]) {
+    return null;
+  }
+  const places = [...new Set(hidden.filter((v) => v !== 0))].sort((a, b) => a - b);
+  return Math.abs(places.indexOf(hidden[picked]) - places.indexOf(hidden[idx]));
+}
+
+/**
+ * Start a reverse drill on a random possible shot & flipper pair (practice only)
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Session state with reverseDrill {idx, side, value} and the prompt clock stopped (unchanged when no pair is possible)
+ */
+function startReverseDrill(state, random = seededRandom) {
+  if (state.finalPhase) {
+    return state;
+  }
+  const pairs = promptPool(state).filter((p) => hiddenOf(state, p.side)[p.idx] !== 0);
+  if (pairs.length === 0) {
+    return state;
+  }
+  const { idx, side } = pairs[Math.floor(random() * pairs.length)];
+  return stopPromptTimer({
+    ...state,
+    reverseDrill: { idx, side, value: hiddenOf(state, side)[idx] },
+  });
+}
+
+/**
+ * Score the shot the player picked for the drill's flipper point and log it
+ * @param {object} state - Session state
+ * @param {number} picked - Picked shot index
+ * @param {number} t - Timestamp of the pick
+ * @returns {object} Session state without the drill and with the result first in reverses (unchanged without a drill or for an unknown shot)
+ */
+function submitReverse(state, picked, t) {
+  const drill = state.reverseDrill;
+  if (!drill || !Number.isInteger(picked) || picked < 0 || picked >= state.hiddenL.length) {
+    return state;
+  }
+  const distance = orderDistance(hiddenOf(state, drill.side), drill.idx, picked);
+  const credit = (distance === null ? null : REVERSE_CREDIT[distance]) ?? REVERSE_MISS;
+  const entry = {
+    t,
+    ...drill,
+    picked,
+    distance,
+    ...credit,
+    attemptCount: state.attemptCount,
+  };
+  return appendEvent(
+    { ...state, reverseDrill: null, reverses: [entry, ...(state.reverses ?? [])] },
+    { type: 'reverse', ...entry }
+  );
+}
+
+/**
+ * Drop the current reverse drill without scoring it
+ * @param {object} state - Session state
+ * @returns {object} Session state without a drill
+ */
+const cancelReverseDrill = (state) => ({ ...state, reverseDrill: null });
+
+export { REVERSE_CREDIT, cancelReverseDrill, orderDistance, startReverseDrill, submitReverse };
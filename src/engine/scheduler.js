@@ -0,0 +1,84 @@
+/**
+ * Adaptive shot scheduler
+ * Leitner-style boxes per shot & flipper pair, derived from the session's attempt records.
+ * Hits (within a grid step) promote a pair towards the top box, misses send it back to the first box;
+ * lower boxes are drawn more often so weak shots come back sooner than mastered ones.
+ */
+
+import { promptPool } from './filters.js';
+import { DEFAULT_RESOLUTION, resolutionOf } from './ordering.js';
+import { seededRandom } from './random.js';
+import { isHit } from './scoring.js';
+
+const LEITNER_BOXES = 5; // box 1 = needs work ... box 5 = mastered
+
+// Relative draw weight per box: each box up is half as likely as the one below it
+const boxWeight = (box) => 2 ** (LEITNER_BOXES - box);
+
+// Box movement for one graded attempt
+function nextBox(box, attempt, resolution) {
+  if (attempt.timedOut) {
+    return 1;
+  }
+  if (isHit(attempt, resolution)) {
+    // within a grid step: promote
+    return Math.min(LEITNER_BOXES, box + 1);
+  }
+  if (attempt.severity === 'very') {
+    return 1;
+  }
+  // fairly: drop back one box
+  return Math.max(1, box - 1);
+}
+
+/**
+ * Replay attempt records (newest first) into a Leitner box per shot & flipper
+ * @param {Array<object>} attempts - Attempt records with idx, side, delta and severity
+ * @param {number} count - Number of shots in the session
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {{L: Array<number>, R: Array<number>}} Box (1..LEITNER_BOXES) per shot index and side
+ */
+function leitnerBoxes(attempts, count, resolution = DEFAULT_RESOLUTION) {
+  const boxes = {
+    L: Array.from({ length: count }, () => 1),
+    R: Array.from({ length: count }, () => 1),
+  };
+  for (let k = attempts.length - 1; k >= 0; k--) {
+    const a = attempts[k];
+    const side = boxes[a.side];
+    if (side && a.idx < count) {
+      side[a.idx] = nextBox(side[a.idx], a, resolution);
+    }
+  }
+  return boxes;
+}
+
+/**
+ * Draw the next shot & flipper within the session filters, weighted towards low boxes and avoiding
+ * an immediate repeat
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {{idx: number, side: string}} Next prompt
+ */
+function pickAdaptivePrompt(state, random = seededRandom) {
+  const count = state.baseL.length;
+  const boxes = leitnerBoxes(state.attempts, count, resolutionOf(state));
+  const candidates = promptPool(state)
+    .filter(({ idx, side }) => idx !== state.selectedIdx || side !== state.selectedSide)
+    .map(({ idx, side }) => ({ idx, side, weight: boxWeight(boxes[side][idx]) }));
+  if (candidates.length === 0) {
+    return { idx: state.selectedIdx, side: state.selectedSide };
+  }
+  const total = candidates.reduce((s, c) => s + c.weight, 0);
+  let r = random() * total;
+  for (const c of candidates) {
+    r -= c.weight;
+    if (r < 0) {
+      return { idx: c.idx, side: c.side };
+    }
+  }
+  const last = candidates.at(-1);
+  return { idx: last.idx, side: last.side };
+}
+
+export { LEITNER_BOXES, leitnerBoxes, pickAdaptivePrompt };
@@ -0,0 +1,278 @@
+/**
+ * Scoring profiles for practice attempts
+ * A profile decides how many points a guess earns from its absolute error, which severity bucket
+ * it lands in, and how hard a missed adjustment is penalized. After a miss the next guess for the
+ * same shot & side is expected to undo the previous error; the correction is graded on direction,
+ * undershoot and overshoot, and one that goes the wrong way, doesn't move, or misses the expected
+ * size by more than two steps costs a penalty scaled by how far the correction was off.
+ * The profile id is stored on every attempt so a session can later be re-scored under another one.
+ * Severity thresholds and adjustment grades are set for the default 5% grid and scale with the
+ * session resolution, so one grid step off stays a slight miss at 1% or 10% too.
+ * Timed mode adds a speed bonus on top of the profile's points and turns prompts that run out of
+ * time into misses without a guess (input and delta null).
+ */
+
+import { DEFAULT_RESOLUTION, parseResolution } from './ordering.js';
+
+const DEFAULT_PROFILE = 'linear';
+const SPEED_BONUS_WINDOW = 10; // only guesses within ±10% earn a speed bonus
+const HIT_WINDOW = 5; // guesses within ±5% count as hits (scheduler, auto difficulty, drift report)
+
+// Thresholds below are in percent on the 5% grid; other resolutions scale them by this factor
+const gridScale = (resolution) => parseResolution(resolution) / DEFAULT_RESOLUTION;
+
+/**
+ * Largest error that still counts as a hit: one grid step
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {number} Hit window in percent (±5 on the default grid)
+ */
+const hitWindow = (resolution = DEFAULT_RESOLUTION) => HIT_WINDOW * gridScale(resolution);
+
+/**
+ * Whether an attempt landed within a grid step of the truth
+ * @param {{delta: number|null, timedOut?: boolean}} attempt - Attempt record
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {boolean} True for a hit (timed-out prompts never are)
+ */
+const isHit = (attempt, resolution = DEFAULT_RESOLUTION) =>
+  !attempt.timedOut && Math.abs(attempt.delta) <= hitWindow(resolution);
+
+// Adjustment grades by how many percent a correction fell short or went past: within a step, two, more
+const ADJUST_GRADES = { good: 5, fair: 10 };
+const gradeAmount = (amount, scale) => {
+  if (amount <= ADJUST_GRADES.good * scale) {
+    return 'good';
+  }
+  return amount <= ADJUST_GRADES.fair * scale ? 'fair' : 'poor';
+};
+
+// Severity buckets by absolute error: <= perfect, <= slight, <= fairly, otherwise very
+const severityFor = (abs, { perfect, slight, fairly }, scale) => {
+  if (abs <= perfect * scale) {
+    return 'perfect';
+  }
+  if (abs <= slight * scale) {
+    return 'slight';
+  }
+  return abs <= fairly * scale ? 'fairly' : 'very';
+};
+
+const SCORING_PROFILES = {
+  linear: {
+    label: 'Linear',
+    description: '100 minus the error; 5 + 1 per 5% penalty (max 25) for a missed adjustment',
+    thresholds: { perfect: 0, slight: 5, fairly: 10 },
+    points: (abs) => 100 - abs,
+    adjustPenalty: (diff) => Math.min(25, 5 + Math.round(diff / 5)),
+  },
+  tolerance: {
+    label: 'Tolerance band',
+    description: 'Full points within ±5%, then 2 points lost per 1% outside the band',
+    thresholds: { perfect: 5, slight: 10, fairly: 15 },
+    points: (abs) => (abs <= 5 ? 100 : 100 - 2 * (abs - 5)),
+    adjustPenalty: (diff) => Math.min(15, 3 + Math.round(diff / 5)),
+  },
+  exponential: {
+    label: 'Exponential decay',
+    description: 'Points fall off quickly with error (halved about every 10%)',
+    thresholds: { perfect: 0, slight: 5, fairly: 10 },
+    points: (abs) => Math.round(100 * 0.5 ** (abs / 10)),
+    adjustPenalty: (diff) => Math.min(25, 5 + Math.round(diff / 5)),
+  },
+  strict: {
+    label: 'Tournament strict',
+    description:
+      'Only exact guesses score well: 4 points lost per 1% and doubled adjustment penalties',
+    thresholds: { perfect: 0, slight: 5, fairly: 5 },
+    points: (abs) => 100 - 4 * abs,
+    adjustPenalty: (diff) => Math.min(50, 10 + 2 * Math.round(diff / 5)),
+  },
+};
+
+// Unknown ids (e.g. from an older or newer build) fall back to the default profile
+const profileFor = (id) => SCORING_PROFILES[id] ?? SCORING_PROFILES[DEFAULT_PROFILE];
+
+/**
+ * Grade how a guess corrected the previous miss on the same shot & side
+ * The expected correction undoes the previous error (truth unchanged as far as the player knows).
+ * Direction is right, none (didn't move) or wrong; undershoot is how much of the expected
+ * correction was left out and overshoot how far the move went past it, each graded good (within
+ * one grid step), fair (two) or poor. Direction grades good, fair when not moving, poor when wrong.
+ * @param {number} input - Guessed percentage
+ * @param {{input: number|null, delta: number|null}|undefined} prevSame - Previous attempt for the same shot & side
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {{expected: number, actual: number, direction: string, undershoot: number, overshoot: number, grades: {direction: string, undershoot: string, overshoot: string}}|null} Grades (null when no correction was needed)
+ */
+function gradeAdjustment(input, prevSame, resolution = DEFAULT_RESOLUTION) {
+  if (!prevSame || !prevSame.delta || prevSame.input === null) {
+    return null;
+  }
+  const expected = -prevSame.delta;
+  const actual = input - prevSame.input;
+  let direction = 'none';
+  if (actual !== 0) {
+    direction = Math.sign(actual) === Math.sign(expected) ? 'right' : 'wrong';
+  }
+  const right = direction === 'right';
+  const undershoot = right
+    ? Math.max(0, Math.abs(expected) - Math.abs(actual))
+    : Math.abs(expected);
+  const overshoot = right ? Math.max(0, Math.abs(actual) - Math.abs(expected)) : 0;
+  const directionGrades = { right: 'good', none: 'fair', wrong: 'poor' };
+  return {
+    expected,
+    actual,
+    direction,
+    undershoot,
+    overshoot,
+    grades: {
+      direction: directionGrades[direction],
+      undershoot: gradeAmount(undershoot, gridScale(resolution)),
+      overshoot: gradeAmount(overshoot, gridScale(resolution)),
+    },
+  };
+}
+
+/**
+ * Score a single guess against the truth, including the adjustment check against the previous
+ * guess for the same shot & side
+ * @param {number} input - Guessed percentage
+ * @param {number} truth - Hidden value at the time of the guess
+ * @param {{input: number, delta: number}|undefined} prevSame - Previous attempt for the same shot & side
+ * @param {string} [profileId] - Scoring profile id
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {object} Scoring fields of an attempt record (delta, label, severity, points, adjustment grades and penalty, profile)
+ */
+function scoreAttempt(
+  input,
+  truth,
+  prevSame,
+  profileId = DEFAULT_PROFILE,
+  resolution = DEFAULT_RESOLUTION
+) {
+  const profile = profileFor(profileId);
+  const prevInput = prevSame ? prevSame.input : null;
+  // Rounded to a tenth so half-percent grids (2.5%) keep exact deltas
+  const delta = Math.round((input - truth) * 10) / 10;
+  const abs = Math.abs(delta);
+  const severity = severityFor(abs, profile.thresholds, gridScale(resolution));
+  let label;
+  if (severity === 'perfect') {
+    label = 'perfect';
+  } else {
+    label = delta < 0 ? 'early' : 'late';
+  }
+  const basePoints = Math.max(0, Math.round(profile.points(abs)));
+  const adjustment = gradeAdjustment(input, prevSame, resolution);
+  const adjustRequired = adjustment !== null;
+  const adjustCorrect =
+    !adjustRequired ||
+    (adjustment.direction === 'right' &&
+      adjustment.grades.undershoot !== 'poor' &&
+      adjustment.grades.overshoot !== 'poor');
+  // Penalty scaled by how far the correction was from the expected one
+  const adjustPenalty = adjustCorrect
+    ? 0
+    : profile.adjustPenalty(Math.abs(adjustment.actual - adjustment.expected));
+  return {
+    input,
+    truth,
+    delta,
+    label,
+    severity,
+    points: Math.max(0, basePoints - adjustPenalty),
+    basePoints,
+    prevInput,
+    adjustRequired,
+    requiredDir: adjustRequired ? Math.sign(adjustment.expected) : 0, // -1 should go lower, +1 higher
+    adjustCorrect,
+    adjustPenalty,
+    adjustment,
+    profile: SCORING_PROFILES[profileId] ? profileId : DEFAULT_PROFILE,
+  };
+}
+
+/**
+ * Scoring fields of a prompt that ran out of time: a miss without a guess
+ * @param {number} truth - Hidden value at the time of the prompt
+ * @param {string} [profileId] - Scoring profile id
+ * @returns {object} Scoring fields of an attempt record (input and delta null, no points)
+ */
+function timeoutAttempt(truth, profileId = DEFAULT_PROFILE) {
+  return {
+    input: null,
+    truth,
+    delta: null,
+    label: 'timeout',
+    severity: 'very',
+    points: 0,
+    basePoints: 0,
+    prevInput: null,
+    adjustRequired: false,
+    requiredDir: 0,
+    adjustCorrect: true,
+    adjustPenalty: 0,
+    adjustment: null,
+    profile: SCORING_PROFILES[profileId] ? profileId : DEFAULT_PROFILE,
+    timedOut: true,
+  };
+}
+
+/**
+ * Bonus for answering quickly in timed mode
+ * @param {number|null} latency - Milliseconds from prompt to answer (null when not measured)
+ * @param {number} limitMs - Time limit per prompt in milliseconds
+ * @param {number} maxBonus - Bonus for an instant answer
+ * @param {number} delta - Signed error of the guess
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {number} Bonus falling linearly from maxBonus to 0 at the time limit (0 for guesses off by more than two grid steps, ±10% by default)
+ */
+function speedBonus(latency, limitMs, maxBonus, delta, resolution = DEFAULT_RESOLUTION) {
+  if (latency === null || !(limitMs > 0 && maxBonus > 0)) {
+    return 0;
+  }
+  if (Math.abs(delta) > SPEED_BONUS_WINDOW * gridScale(resolution)) {
+    return 0;
+  }
+  return Math.round(maxBonus * Math.max(0, 1 - latency / limitMs));
+}
+
+/**
+ * Re-score attempt records (newest first) under another profile, keeping guesses and truths as recorded
+ * (adjustments are checked against the previous answered guess for the same shot, side & ball state, as when recorded)
+ * @param {Array<object>} attempts - Attempt records, newest first
+ * @param {string} profileId - Scoring profile id
+ * @param {number} [resolution] - Session resolution (grid step in percent)
+ * @returns {Array<object>} Re-scored attempt records, newest first
+ */
+function rescoreAttempts(attempts, profileId, resolution = DEFAULT_RESOLUTION) {
+  const rescored = [];
+  // Oldest first so each attempt sees the already re-scored previous guess for its shot & side
+  for (let k = attempts.length - 1; k >= 0; k--) {
+    const a = attempts[k];
+    if (a.timedOut) {
+      rescored.unshift({ ...a, ...timeoutAttempt(a.truth, profileId) });
+      continue;
+    }
+    const prevSame = rescored.find(
+      (p) =>
+        !p.timedOut && p.idx === a.idx && p.side === a.side && (p.ball ?? null) === (a.ball ?? null)
+    );
+    const score = scoreAttempt(a.input, a.truth, prevSame, profileId, resolution);
+    // The speed bonus was earned by the answer time, whatever the profile
+    rescored.unshift({ ...a, ...score, points: score.points + (a.speedBonus ?? 0) });
+  }
+  return rescored;
+}
+
+export {
+  DEFAULT_PROFILE,
+  SCORING_PROFILES,
+  gradeAdjustment,
+  hitWindow,
+  isHit,
+  rescoreAttempts,
+  scoreAttempt,
+  speedBonus,
+  timeoutAttempt,
+};
@@ -0,0 +1,931 @@
+/**
+ * Headless training session engine
+ * Pure state transitions for a practice session: no React, no DOM, no storage.
+ * Callers hold a plain serializable state object and replace it with the value each
+ * transition returns, so sessions can be driven from the UI, tests, workers or scripts.
+ * Functions that need randomness take an optional `random` generator (defaults to the shared seeded one).
+ * Sessions started with a seed carry their own generator state instead: run transitions through
+ * withSessionRandom so the same seed and settings always replay the same session.
+ * With auto progression the drift options follow the player's difficulty level.
+ * Sprint sessions have a fixed length (attempts and/or minutes) and enter final recall by
+ * themselves once it is used up. Prompts of shots with ball-arrival variants may ask about a
+ * variant (selectedBall, see ./variants.js) and are scored against its value.
+ * Values, start randomization and drift steps follow the session resolution (options.resolution,
+ * see RESOLUTIONS in ./ordering.js); sessions stored before it existed keep the 5% grid.
+ */
+
+import { beliefsOf, priorBelief, updateBelief } from './belief.js';
+import { isClosed, openHidden, recordHit, reopenDue } from './closing.js';
+import {
+  DEFAULT_DRIFT_MODEL,
+  driftSteps,
+  orderingBands,
+  orderingGaps,
+  scaleSteps,
+  shotVolatility,
+} from './drift.js';
+import { appendEvent } from './events.js';
+import { poolShots, poolSides, promptPool, sessionSubset } from './filters.js';
+import { gradeBreakdown } from './grading.js';
+import {
+  DEFAULT_RESOLUTION,
+  MAX_BAND,
+  aimPairs,
+  clamp,
+  isotonicWithBounds,
+  parseResolution,
+  resolutionOf,
+  snapTo,
+  strictlyIncrease,
+} from './ordering.js';
+import { progressDifficulty, startLevel } from './progression.js';
+import { createRandom, parseSeed, rndInt, seededRandom } from './random.js';
+import { pickAdaptivePrompt } from './scheduler.js';
+import {
+  DEFAULT_PROFILE,
+  rescoreAttempts,
+  scoreAttempt,
+  speedBonus,
+  timeoutAttempt,
+} from './scoring.js';
+import { ballStatesOf, pickBall, variantBases, variantTruth } from './variants.js';
+
+const MAX_ATTEMPTS = 200; // attempt records kept on the session (newest first)
+const MAX_DRIFT_LOG = 100; // drift events kept on the session (newest first)
+const DEFAULT_OPTIONS = {
+  resolution: DEFAULT_RESOLUTION, // value grid & drift step in percent: 1, 2.5, 5 or 10
+  initRandSteps: 2, // initial hidden offset from base, in resolution steps (capped at the ±20 band)
+  driftEvery: 4, // drift after every N attempts (0 disables)
+  driftMinutes: 0, // also drift every N minutes of practice, checked at each attempt (0 disables)
+  driftChance: 0, // also drift at random with this % chance per attempt (0 disables)
+  driftMag: 2, // max drift distance from base, in resolution steps (capped at the ±20 band)
+  driftModel: DEFAULT_DRIFT_MODEL, // see DRIFT_MODELS in ./drift.js
+  mode: 'random', // 'manual' | 'random' | 'adaptive'
+  calibrateFirst: false, // first guess per shot & flipper is an unscored calibration attempt
+  closeAfterHits: 0, // shot & flipper turns NP after N hits (0 disables)
+  reopenMin: 3, // closed shots reopen after reopenMin..reopenMax attempts
+  reopenMax: 8,
+  scoringProfile: DEFAULT_PROFILE, // see SCORING_PROFILES in ./scoring.js
+  seed: null, // session seed for exact reproduction (null = unseeded)
+  timeLimit: 0, // seconds to answer each prompt (0 = untimed); running out counts as a miss
+  speedBonus: 20, // max bonus points for an instant answer in timed mode
+  sprintAttempts: 0, // sprint length in attempts (0 = no limit)
+  sprintMinutes: 0, // sprint length in minutes from the first prompt (0 = no limit)
+  flipper: 'both', // session filters (see ./filters.js): 'both' | 'L' | 'R'
+  shots: null, // shot indexes to practice (null = every shot)
+  excludeNP: false, // leave out shot & flipper pairs whose base value is Not Possible
+  autoProgress: false, // pick driftEvery & driftMag from difficulty levels by recent accuracy (see ./progression.js)
+  minGapL: 5, // minimum gap between neighbouring hidden values per flipper (0 allows ties)
+  minGapR: 5,
+};
+// Standard sprint lengths, so results stay comparable from day to day
+const SPRINT_LENGTHS = [
+  { id: 'a25', label: '25 attempts', sprintAttempts: 25, sprintMinutes: 0 },
+  { id: 'a50', label: '50 attempts', sprintAttempts: 50, sprintMinutes: 0 },
+  { id: 'm5', label: '5 minutes', sprintAttempts: 0, sprintMinutes: 5 },
+  { id: 'm10', label: '10 minutes', sprintAttempts: 0, sprintMinutes: 10 },
+];
+
+const randomSide = (random) => (random() < 0.5 ? 'L' : 'R');
+// Prompt with its ball state, which is only set for variant prompts
+const withBall = (prompt, ball) => (ball === null ? prompt : { ...prompt, ball });
+const promptEvent = (n, { idx, side, ball = null }) =>
+  withBall({ type: 'prompt', n, idx, side }, ball);
+// Random flipper among the ones a shot may be prompted on (no draw when only one is allowed)
+const pickSide = (sides, random) => (sides.length === 1 ? sides[0] : randomSide(random));
+
+// Indexes sorted by ascending starting value (original ordering the isotonic projection preserves)
+function ascendingOrder(values) {
+  return values
+    .map((v, i) => ({ i, v }))
+    .sort((a, b) => a.v - b.v)
+    .map((x) => x.i);
+}
+
+/**
+ * Parse a user supplied percentage
+ * @param {number|string} numLike - Raw input value
+ * @param {number} [resolution] - Value grid step (see RESOLUTIONS in ./ordering.js)
+ * @returns {number|null} Value clamped to 0..100 and snapped to the grid, or null when not numeric
+ */
+function validatePercent(numLike, resolution = DEFAULT_RESOLUTION) {
+  const x = Number(numLike);
+  if (!Number.isFinite(x)) {
+    return null;
+  }
+  return snapTo(Math.max(0, Math.min(100, x)), resolution);
+}
+
+/**
+ * Start a new session from setup rows
+ * @param {Array<{initL: number, initR: number, volatility?: number, locked?: boolean, variants?: object}>} rows - Setup rows (starting values per flipper, optional drift volatility & lock, ball-arrival variants)
+ * @param {object} [options] - Session options (see DEFAULT_OPTIONS)
+ * @param {Function} [random] - Random generator returning [0, 1) (ignored when options.seed is set)
+ * @returns {object} Fresh session state
+ */
+function createSession(rows, options = {}, random = seededRandom) {
+  const seed = parseSeed(options.seed);
+  const resolution = parseResolution(options.resolution);
+  const merged = { ...DEFAULT_OPTIONS, ...options, seed, resolution };
+  // Auto progression starts on its own level, which sets the drift options
+  const progression = merged.autoProgress ? startLevel() : null;
+  const opts = progression ? { ...merged, ...progression.options } : merged;
+  // A seeded session draws everything from its own generator, starting from the seed
+  const rng = seed === null ? random : createRandom(seed);
+  // Capture bases directly
+  const baseL = rows.map((r) => snapTo(r.initL, resolution));
+  const baseR = rows.map((r) => snapTo(r.initR, resolution));
+  // Determine original ordering by starting values
+  const orderAscL = ascendingOrder(rows.map((r) => r.initL));
+  const orderAscR = ascendingOrder(rows.map((r) => r.initR));
+  // Per-shot drift volatility (0 = locked at its starting value)
+  const volatility = rows.map((r) => shotVolatility(r));
+  const bands = orderingBands({ volatility });
+  // Rows sharing an aim point may tie on either flipper
+  const sameAim = aimPairs(rows);
+  const gapL = orderingGaps({ options: opts, sameAim }, 'L');
+  const gapR = orderingGaps({ options: opts, sameAim }, 'R');
+  // Candidate random offsets (independent) within allowed band using configurable steps
+  const steps = Math.min(MAX_BAND / resolution, Math.max(0, Number(opts.initRandSteps) || 0)); // still capped at the ±20 band for initial randomization.
+  // Edge case note: if initRandSteps exceeds the eventual drift usableSteps (floor(driftMag)) then
+  // the initial hidden offsets may land outside the subsequent drift band, making early large
+  // deviations unreachable until drift magnitude increases. For now we allow this (gives a
+  // slightly broader initial challenge).
+  const randomize = (v, i) => {
+    // If "Not Possible" (0), keep it at 0 - no randomization
+    if (v === 0) {
+      return 0;
+    }
+    const off = scaleSteps(rndInt(-steps, steps, rng), volatility[i], resolution) * resolution;
+    const lo = Math.max(0, v - 20);
+    const hi = Math.min(100, v + 20);
+    return snapTo(Math.min(hi, Math.max(lo, v + off)), resolution);
+  };
+  const candL = baseL.map(randomize);
+  const candR = baseR.map(randomize);
+  // Enforce ordering via bounded isotonic regression
+  const hiddenL = strictlyIncrease(
+    isotonicWithBounds(candL, baseL, orderAscL, bands, gapL, resolution),
+    baseL,
+    orderAscL,
+    bands,
+    gapL,
+    resolution
+  );
+  const hiddenR = strictlyIncrease(
+    isotonicWithBounds(candR, baseR, orderAscR, bands, gapR, resolution),
+    baseR,
+    orderAscR,
+    bands,
+    gapR,
+    resolution
+  );
+  // Random starting shot & flipper for both modes so manual mode doesn't always start at first row
+  // (within the session filters)
+  let selectedIdx = 0;
+  let selectedSide = 'L';
+  let selectedBall = null;
+  const variantsL = variantBases(rows, 'L', resolution);
+  const variantsR = variantBases(rows, 'R', resolution);
+  const scope = { options: opts, baseL, baseR, variantsL, variantsR };
+  if (rows.length > 0) {
+    const pool = promptPool(scope);
+    const shots = poolShots(pool);
+    selectedIdx = shots[rndInt(0, shots.length - 1, rng)];
+    selectedSide = pickSide(poolSides(pool, selectedIdx), rng);
+    selectedBall = pickBall(scope, { idx: selectedIdx, side: selectedSide }, rng);
+  }
+  return {
+    options: opts,
+    baseL,
+    baseR,
+    orderAscL,
+    orderAscR,
+    volatility,
+    sameAim, // row index pairs sharing an aim point (see aimPairs in ./ordering.js)
+    hiddenL,
+    hiddenR,
+    variantsL, // ball-arrival variant values per shot {ballId: value} (see ./variants.js)
+    variantsR,
+    mentalL: rows.map((r) => r.initL),
+    mentalR: rows.map((r) => r.initR),
+    beliefL: baseL.map(priorBelief), // running belief estimate per shot (see ./belief.js)
+    beliefR: baseR.map(priorBelief),
+    hitsL: rows.map(() => 0), // hits since the shot last (re)opened
+    hitsR: rows.map(() => 0),
+    closedL: rows.map(() => null), // {value, reopenAt} while temporarily NP
+    closedR: rows.map(() => null),
+    driftVelocity: { L: 0, R: 0 }, // per-flipper momentum of the trend drift models
+    driftLog: [], // drift events, newest first: {t, cause, attemptCount, beforeL/R, afterL/R}
+    level: progression ? progression.level : null, // difficulty level (null without auto progression)
+    levelLog: [], // level changes, newest first: {t, attemptCount, from, to, accuracy}
+    // Full event log, oldest first (see ./events.js)
+    events: [
+      { type: 'start', seed, subset: sessionSubset(scope), baseL, baseR, hiddenL, hiddenR },
+      ...(rows.length > 0
+        ? [promptEvent(0, { idx: selectedIdx, side: selectedSide, ball: selectedBall })]
+        : []),
+    ],
+    lastDriftAt: null, // timestamp of the last drift (or of the first attempt) for the time trigger
+    attempts: [],
+    attemptCount: 0,
+    selectedIdx,
+    selectedSide,
+    selectedBall, // ball state of the prompt (null = the shot's own value)
+    pendingNext: null, // {idx, side, ball} chosen after an attempt, applied by advancePrompt
+    promptedAt: null, // when the current prompt was first shown (see startPromptTimer)
+    startedAt: null, // when the first prompt was shown (sprint clock)
+    finalPhase: false,
+    sprintEnded: false, // the sprint length ran out (practice can't be resumed)
+    finalRecallL: rows.map((r) => r.initL),
+    finalRecallR: rows.map((r) => r.initR),
+    recallQuiz: null, // one-at-a-time final recall (see ./quiz.js)
+    rankingDrill: null, // shot ranking drill in progress (see ./ranking.js)
+    rankings: [], // scored ranking drills, newest first: {t, side, order, truthOrder, rho, score, attemptCount}
+    reverseDrill: null, // reverse identification drill in progress (see ./reverse.js)
+    reverses: [], // scored reverse drills, newest first: {t, idx, side, value, picked, distance, severity, points, attemptCount}
+    comboDrill: null, // combo drill in progress (see ./combo.js)
+    comboRuns: [], // scored combos, newest first: {t, steps, points, mae, brokeAt, attemptCount}
+    rngState: seed === null ? null : rng.state(), // generator state of a seeded session
+  };
+}
+
+/**
+ * Run a transition with the session's own generator when it was started with a seed
+ * The generator state after the transition is stored on the returned session, so undo/redo and
+ * reloads continue the exact same sequence. Unseeded sessions use the shared generator.
+ * @param {object} state - Session state
+ * @param {Function} transition - (random) => next session state
+ * @returns {object} Next session state
+ */
+function withSessionRandom(state, transition) {
+  if (state.rngState === null || state.rngState === undefined) {
+    return transition(seededRandom);
+  }
+  const random = createRandom(state.rngState);
+  const next = transition(random);
+  return next === state ? state : { ...next, rngState: random.state() };
+}
+
+/**
+ * Merge option changes into a running session (e.g. switching Manual/Random/Adaptive mid-session)
+ * @param {object} state - Session state
+ * @param {object} patch - Options to override
+ * @returns {object} Updated session state
+ */
+function updateOptions(state, patch) {
+  return { ...state, options: { ...state.options, ...patch } };
+}
+
+/**
+ * Pick a random shot index within the session filters, avoiding an immediate repeat of the current prompt
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {number} Shot index
+ */
+function pickRandomIdx(state, random = seededRandom) {
+  const shots = poolShots(promptPool(state));
+  if (shots.length <= 1) {
+    return shots[0] ?? 0;
+  }
+  const draw = () => shots[rndInt(0, shots.length - 1, random)];
+  let idx = draw();
+  // avoid immediate repeats
+  let tries = 0;
+  while (idx === state.selectedIdx && tries < 5) {
+    idx = draw();
+    tries++;
+  }
+  return idx;
+}
+
+// Next prompt chosen for the player: uniform in random mode, weighted by error history in adaptive
+// mode, then one of the shot's ball states when it has variants
+function drawPrompt(state, random) {
+  let prompt;
+  if (state.options.mode === 'adaptive') {
+    prompt = pickAdaptivePrompt(state, random);
+  } else {
+    const idx = pickRandomIdx(state, random);
+    prompt = { idx, side: pickSide(poolSides(promptPool(state), idx), random) };
+  }
+  return withBall(prompt, pickBall(state, prompt, random));
+}
+
+// Drift every N attempts (driftEvery may arrive as a string from the options form)
+function isDriftDue(state) {
+  const every = Number(state.options.driftEvery);
+  if (!Number.isFinite(every) || every <= 0 || state.attemptCount === 0) {
+    return false;
+  }
+  return state.attemptCount % every === 0;
+}
+
+// Which trigger fires a drift after an attempt at time t, if any (at most one drift per attempt).
+// The chance roll only consumes randomness when the chance trigger is enabled.
+function driftCause(state, t, random) {
+  if (isDriftDue(state)) {
+    return 'attempts';
+  }
+  const chance = Number(state.options.driftChance);
+  if (Number.isFinite(chance) && chance > 0 && random() < chance / 100) {
+    return 'chance';
+  }
+  const minutes = Number(state.options.driftMinutes);
+  if (
+    Number.isFinite(minutes) &&
+    minutes > 0 &&
+    state.lastDriftAt !== null &&
+    t - state.lastDriftAt >= minutes * 60 * 1000
+  ) {
+    return 'time';
+  }
+  return null;
+}
+
+// Drift and log the event with the hidden values before and after
+function logDrift(state, cause, t, random) {
+  const drifted = applyDrift(state, random);
+  const entry = {
+    t,
+    cause, // 'attempts' | 'time' | 'chance' | 'manual'
+    attemptCount: state.attemptCount, // attempts made before the change took effect
+    beforeL: state.hiddenL,
+    beforeR: state.hiddenR,
+    afterL: drifted.hiddenL,
+    afterR: drifted.hiddenR,
+  };
+  // The event log keeps the real values of temporarily closed shots
+  return appendEvent(
+    {
+      ...drifted,
+      lastDriftAt: t,
+      driftLog: [entry, ...(state.driftLog ?? [])].slice(0, MAX_DRIFT_LOG),
+    },
+    {
+      type: 'drift',
+      n: state.attemptCount,
+      t,
+      cause,
+      afterL: openHidden(drifted, 'L'),
+      afterR: openHidden(drifted, 'R'),
+    }
+  );
+}
+
+/**
+ * Move every hidden value around its base following the session's drift model, preserving ordering
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Session state with drifted hidden values
+ */
+function applyDrift(state, random = seededRandom) {
+  // The drift band around each base value is dynamic: ± (driftMag * resolution) percentage points.
+  // Ordering is preserved via isotonic regression after applying the model's steps.
+  // driftMag itself can be fractional (step input 0.5); usable integer steps are floor(driftMag),
+  // which determines both the maximum random step distance and the per-attempt clamp band.
+  const driftMagNum = Number(state.options.driftMag);
+  const resolution = resolutionOf(state);
+  const usableSteps = Math.max(
+    0,
+    Math.min(MAX_BAND / resolution, Math.floor(Number.isFinite(driftMagNum) ? driftMagNum : 0))
+  ); // retain legacy overall hard ceiling of ±20 (4 steps of 5%)
+  const velocity = state.driftVelocity ?? { L: 0, R: 0 };
+  // Per-shot volatility scales both the proposed step and the band (absent on older sessions)
+  const volatility = state.volatility ?? [];
+  const bands = orderingBands(state);
+  const driftSide = (side, prev, base, orderAsc) => {
+    if (prev.length === 0 || base.length === 0) {
+      return { values: prev, velocity: velocity[side] };
+    }
+    const proposal = driftSteps(
+      state.options.driftModel,
+      prev,
+      usableSteps,
+      velocity[side],
+      random
+    );
+    const drifted = prev.map((v, i) => {
+      // "Not Possible" (0) never drifts
+      if (v === 0) {
+        return 0;
+      }
+      const b = base[i];
+      const shotVol = volatility[i] ?? 1;
+      const band = scaleSteps(usableSteps, shotVol, resolution) * resolution;
+      const lo = Math.max(0, b - band);
+      const hi = Math.min(100, b + band);
+      const candidate = snapTo(
+        v + scaleSteps(proposal.steps[i], shotVol, resolution) * resolution,
+        resolution
+      );
+      return Math.min(hi, Math.max(lo, candidate));
+    });
+    const gap = orderingGaps(state, side);
+    const ordered = isotonicWithBounds(drifted, base, orderAsc, bands, gap, resolution);
+    return {
+      values: strictlyIncrease(ordered, base, orderAsc, bands, gap, resolution),
+      velocity: proposal.velocity,
+    };
+  };
+  const left = driftSide('L', state.hiddenL, state.baseL, state.orderAscL);
+  const right = driftSide('R', state.hiddenR, state.baseR, state.orderAscR);
+  return {
+    ...state,
+    hiddenL: left.values,
+    hiddenR: right.values,
+    driftVelocity: { L: left.velocity, R: right.velocity },
+  };
+}
+
+// Time limit per prompt in milliseconds (0 when untimed)
+function timeLimitMs(state) {
+  const seconds = Number(state.options.timeLimit);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Whether a ranking, reverse or combo drill is open (the practice prompt waits behind it)
+ * @param {object} state - Session state
+ * @returns {boolean} True while a drill is in progress
+ */
+function drillInProgress(state) {
+  return Boolean(state.rankingDrill || state.reverseDrill || state.comboDrill);
+}
+
+/**
+ * Start the answer clock of the current prompt once it is on screen
+ * @param {object} state - Session state
+ * @param {number} t - Timestamp the prompt became visible
+ * @returns {object} Session state with promptedAt set (unchanged when already running, awaiting the next shot, during a drill or in final recall)
+ */
+function startPromptTimer(state, t) {
+  if (
+    state.finalPhase ||
+    state.pendingNext ||
+    drillInProgress(state) ||
+    (state.promptedAt ?? null) !== null
+  ) {
+    return state;
+  }
+  return { ...state, promptedAt: t, startedAt: state.startedAt ?? t };
+}
+
+/**
+ * Stop the answer clock so the prompt is timed afresh when next shown (after a reload or an undo,
+ * where the stored start time no longer says when the player saw it)
+ * @param {object} state - Session state
+ * @returns {object} Session state with promptedAt cleared (unchanged when not running)
+ */
+function stopPromptTimer(state) {
+  return (state.promptedAt ?? null) === null ? state : { ...state, promptedAt: null };
+}
+
+/**
+ * When the current prompt runs out of time in timed mode
+ * @param {object} state - Session state
+ * @returns {number|null} Deadline timestamp, or null when untimed, during a drill or the clock isn't running
+ */
+function promptDeadline(state) {
+  const limit = timeLimitMs(state);
+  if (
+    limit === 0 ||
+    state.pendingNext ||
+    drillInProgress(state) ||
+    (state.promptedAt ?? null) === null
+  ) {
+    return null;
+  }
+  return state.promptedAt + limit;
+}
+
+// Score the current prompt (val null = ran out of time), then close/reopen shots, pick the pending
+// next prompt and drift when due
+function recordAttempt(state, val, t, random) {
+  const idx = state.selectedIdx;
+  const side = state.selectedSide;
+  const ball = state.selectedBall ?? null;
+  const truth = variantTruth(state, { idx, side, ball });
+  const limit = timeLimitMs(state);
+  const latency = (state.promptedAt ?? null) === null ? null : Math.max(0, t - state.promptedAt);
+  // Answers arriving after the deadline count as a timeout too
+  const timedOut = val === null || (limit > 0 && latency !== null && latency > limit);
+  // Previous answered attempt for same shot, side & ball state to assess adjustment quality
+  // (a timeout is no sighting: the first real guess after one is still a first pass)
+  const prevSame = state.attempts.find(
+    (a) => !a.timedOut && a.idx === idx && a.side === side && (a.ball ?? null) === ball
+  );
+  const scoring = timedOut
+    ? timeoutAttempt(truth, state.options.scoringProfile)
+    : scoreAttempt(val, truth, prevSame, state.options.scoringProfile, resolutionOf(state));
+  // Calibration attempts get full feedback but stay out of the running totals
+  const calibration = Boolean(state.options.calibrateFirst) && !prevSame && !timedOut;
+  const bonus =
+    timedOut || calibration
+      ? 0
+      : speedBonus(
+          latency,
+          limit,
+          Number(state.options.speedBonus),
+          scoring.delta,
+          resolutionOf(state)
+        );
+  const rec = {
+    t,
+    idx,
+    side,
+    ball,
+    ...scoring,
+    points: scoring.points + bonus,
+    speedBonus: bonus,
+    latency, // ms from prompt to answer (null when the clock wasn't running)
+    firstPass: !prevSame,
+    calibration,
+  };
+  // Update guess values toward the input guess
+  const mentalKey = side === 'L' ? 'mentalL' : 'mentalR';
+  const mental = [...state[mentalKey]];
+  // Belief estimate: the guess and the feedback on it (a timeout shows no guess). Both only follow
+  // the shot's own value, not its ball-arrival variants, and skip shots answered while closed (truth 0).
+  const beliefKey = side === 'L' ? 'beliefL' : 'beliefR';
+  const beliefs = [...beliefsOf(state, side)];
+  if (!timedOut && ball === null) {
+    mental[idx] = val;
+    if (!isClosed(state, side, idx)) {
+      beliefs[idx] = updateBelief(beliefs[idx], rec);
+    }
+  }
+  const counted = {
+    ...state,
+    attemptCount: state.attemptCount + 1,
+    [mentalKey]: mental,
+    [beliefKey]: beliefs,
+    promptedAt: null,
+  };
+  // Close the shot once it has been hit often enough, reopen the ones whose time has come
+  const hit = recordHit(counted, idx, side, random);
+  const reopen = reopenDue(hit.state);
+  const record = { ...rec, shotClosed: hit.closed, reopened: reopen.reopened };
+  const attempts = [record, ...state.attempts].slice(0, MAX_ATTEMPTS);
+  // Pending next shot (applied when the player continues); manual mode keeps the same shot/side
+  const pendingNext =
+    state.options.mode === 'manual'
+      ? withBall({ idx, side }, ball)
+      : drawPrompt({ ...state, attempts }, random);
+  const next = appendEvent(
+    {
+      ...reopen.state,
+      attempts,
+      pendingNext,
+      lastDriftAt: state.lastDriftAt ?? rec.t, // practice clock starts at the first attempt
+    },
+    { type: 'attempt', n: counted.attemptCount, ...record }
+  );
+  const cause = driftCause(next, rec.t, random);
+  const drifted = cause ? logDrift(next, cause, rec.t, random) : next;
+  return endSprintIfDue(progressDifficulty(drifted, rec.t), rec.t);
+}
+
+// Sprint length of a session: attempts and milliseconds (0 = no limit)
+function sprintLimits(state) {
+  const attempts = Math.floor(Number(state.options.sprintAttempts));
+  const minutes = Number(state.options.sprintMinutes);
+  return {
+    attempts: Number.isFinite(attempts) && attempts > 0 ? attempts : 0,
+    ms: Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0,
+  };
+}
+
+/**
+ * When a sprint with a length in minutes runs out
+ * @param {object} state - Session state
+ * @returns {number|null} Timestamp, or null without a minute limit or before the first prompt
+ */
+function sprintDeadline(state) {
+  const { ms } = sprintLimits(state);
+  if (ms === 0 || (state.startedAt ?? null) === null) {
+    return null;
+  }
+  return state.startedAt + ms;
+}
+
+/**
+ * What is left of a sprint session
+ * @param {object} state - Session state
+ * @param {number} t - Current timestamp
+ * @returns {{attempts: number|null, ms: number|null}|null} Attempts and milliseconds left (null for a limit that isn't set), or null when the session isn't a sprint
+ */
+function sprintRemaining(state, t) {
+  const limits = sprintLimits(state);
+  if (limits.attempts === 0 && limits.ms === 0) {
+    return null;
+  }
+  // The clock starts with the first prompt on screen
+  const deadline = sprintDeadline(state);
+  let ms = null;
+  if (limits.ms > 0) {
+    ms = deadline === null ? limits.ms : Math.max(0, deadline - t);
+  }
+  return {
+    attempts: limits.attempts === 0 ? null : Math.max(0, limits.attempts - state.attemptCount),
+    ms,
+  };
+}
+
+/**
+ * End a sprint whose length has run out: switch to final recall for good
+ * @param {object} state - Session state
+ * @param {number} t - Current timestamp
+ * @returns {object} Session state in final recall with sprintEnded set (unchanged when not due)
+ */
+function endSprintIfDue(state, t) {
+  const left = sprintRemaining(state, t);
+  if (state.finalPhase || left === null || (left.attempts !== 0 && left.ms !== 0)) {
+    return state;
+  }
+  return { ...state, finalPhase: true, sprintEnded: true, promptedAt: null };
+}
+
+/**
+ * Record a guess for the current prompt, choose the pending next prompt and drift when due
+ * @param {object} state - Session state
+ * @param {{value: number|string, t?: number}} input - Guessed percentage (0 = Not Possible) and timestamp
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Updated session state (unchanged when the value is invalid or the session is over)
+ */
+function submitAttempt(state, input, random = seededRandom) {
+  const val = validatePercent(input.value, resolutionOf(state));
+  if (val === null || state.finalPhase) {
+    return state;
+  }
+  return recordAttempt(state, val, input.t ?? Date.now(), random);
+}
+
+/**
+ * Record the current prompt as a miss because its time ran out (timed mode)
+ * @param {object} state - Session state
+ * @param {{t?: number}} [event] - Timestamp of the timeout
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Updated session state (unchanged when untimed, not yet due, or the session is over)
+ */
+function submitTimeout(state, event = {}, random = seededRandom) {
+  const t = event.t ?? Date.now();
+  const deadline = promptDeadline(state);
+  if (state.finalPhase || deadline === null || t < deadline) {
+    return state;
+  }
+  return recordAttempt(state, null, t, random);
+}
+
+/**
+ * Drift right now because the machine changed (e.g. new rubber, re-leveled), logged as a manual event
+ * @param {object} state - Session state
+ * @param {{t?: number}} [event] - Timestamp of the change
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Drifted session state (unchanged during final recall)
+ */
+function triggerDrift(state, event = {}, random = seededRandom) {
+  if (state.finalPhase) {
+    return state;
+  }
+  return logDrift(state, 'manual', event.t ?? Date.now(), random);
+}
+
+/**
+ * Switch the session to another scoring profile and re-score every recorded attempt under it
+ * @param {object} state - Session state
+ * @param {string} profileId - Scoring profile id
+ * @returns {object} Updated session state (later attempts are scored with the new profile too)
+ */
+function rescoreSession(state, profileId) {
+  return {
+    ...updateOptions(state, { scoringProfile: profileId }),
+    attempts: rescoreAttempts(state.attempts, profileId, resolutionOf(state)),
+  };
+}
+
+// Make {idx, side, ball} the current prompt and log it as shown
+function showPrompt(state, { idx, side, ball = null }) {
+  return appendEvent(
+    { ...state, selectedIdx: idx, selectedSide: side, selectedBall: ball, promptedAt: null },
+    promptEvent(state.attemptCount, { idx, side, ball })
+  );
+}
+
+/**
+ * Apply the pending next prompt chosen by submitAttempt
+ * @param {object} state - Session state
+ * @returns {object} Updated session state
+ */
+function advancePrompt(state) {
+  if (!state.pendingNext) {
+    return state;
+  }
+  return showPrompt({ ...state, pendingNext: null }, state.pendingNext);
+}
+
+/**
+ * Choose the prompt explicitly (manual mode)
+ * A shot whose current flipper is filtered out switches to the flipper it may be prompted on.
+ * The ball state is kept while it exists for the chosen shot & flipper.
+ * @param {object} state - Session state
+ * @param {{idx?: number, side?: string, ball?: string|null}} prompt - Shot index, flipper side and/or ball state (null = the shot's own value)
+ * @returns {object} Updated session state (unchanged when the shot is outside the session filters)
+ */
+function selectPrompt(
+  state,
+  { idx = state.selectedIdx, side = state.selectedSide, ball = state.selectedBall ?? null }
+) {
+  const sides = poolSides(promptPool(state), idx);
+  const next = sides.includes(side) ? side : sides[0];
+  const nextBall = ballStatesOf(state, idx, next).includes(ball) ? ball : null;
+  if (
+    next === undefined ||
+    (idx === state.selectedIdx &&
+      next === state.selectedSide &&
+      nextBall === (state.selectedBall ?? null))
+  ) {
+    return state;
+  }
+  return showPrompt(state, { idx, side: next, ball: nextBall });
+}
+
+/**
+ * Re-roll the current prompt to a new shot & flipper (weighted by error history in adaptive mode)
+ * @param {object} state - Session state
+ * @param {Function} [random] - Random generator returning [0, 1)
+ * @returns {object} Updated session state
+ */
+function randomizePrompt(state, random = seededRandom) {
+  return showPrompt(state, drawPrompt(state, random));
+}
+
+/**
+ * Switch to the final recall phase
+ * @param {object} state - Session state
+ * @returns {object} Updated session state
+ */
+function enterFinalRecall(state) {
+  return { ...state, finalPhase: true };
+}
+
+/**
+ * Return from final recall to practice (dropping an unfinished recall quiz)
+ * @param {object} state - Session state
+ * @returns {object} Updated session state (unchanged once a sprint has ended)
+ */
+function resumePractice(state) {
+  return state.sprintEnded ? state : { ...state, finalPhase: false, recallQuiz: null };
+}
+
+/**
+ * Store one final recall answer
+ * @param {object} state - Session state
+ * @param {string} side - 'L' or 'R'
+ * @param {number} idx - Shot index
+ * @param {number|string} value - Recalled percentage
+ * @returns {object} Updated session state (unchanged value kept when input is not numeric)
+ */
+function setFinalRecallValue(state, side, idx, value) {
+  const key = side === 'L' ? 'finalRecallL' : 'finalRecallR';
+  const next = [...state[key]];
+  next[idx] = validatePercent(value, resolutionOf(state)) ?? next[idx] ?? 0;
+  if (next[idx] === state[key][idx]) {
+    return { ...state, [key]: next };
+  }
+  return appendEvent({ ...state, [key]: next }, { type: 'recall', idx, side, value: next[idx] });
+}
+
+// Mean absolute error of a list of attempts (0 when empty)
+const meanAbsErr = (list) =>
+  list.length === 0 ? 0 : list.reduce((s, a) => s + Math.abs(a.delta), 0) / list.length;
+
+/**
+ * Running practice totals
+ * @param {object} state - Session state
+ * @returns {{totalPoints: number, avgAbsErr: number, firstPass: {count: number, avgAbsErr: number}, repeat: {count: number, avgAbsErr: number}, timeouts: number, avgLatency: number|null}} Points and mean absolute error of scored attempts (timeouts have no error), accuracy of first sightings vs repeats, prompts that ran out of time and mean answer time in ms
+ */
+function sessionStats(state) {
+  const { attempts } = state;
+  const scored = attempts.filter((a) => !a.calibration);
+  const totalPoints = scored.reduce((sum, a) => sum + a.points, 0);
+  const answered = attempts.filter((a) => !a.timedOut);
+  const first = answered.filter((a) => a.firstPass);
+  const repeat = answered.filter((a) => !a.firstPass);
+  const timed = answered.filter((a) => Number.isFinite(a.latency));
+  return {
+    totalPoints,
+    avgAbsErr: meanAbsErr(scored.filter((a) => !a.timedOut)),
+    firstPass: { count: first.length, avgAbsErr: meanAbsErr(first) },
+    repeat: { count: repeat.length, avgAbsErr: meanAbsErr(repeat) },
+    timeouts: attempts.length - answered.length,
+    avgLatency:
+      timed.length === 0 ? null : timed.reduce((sum, a) => sum + a.latency, 0) / timed.length,
+  };
+}
+
+/**
+ * Practice results per shot & flipper, for the end-of-session summary
+ * Only attempts still on the session count (see MAX_ATTEMPTS).
+ * @param {object} state - Session state
+ * @returns {Array<{idx: number, side: string, attempts: number, timeouts: number, avgAbsErr: number|null, points: number}>} Shots & flippers that were prompted, by shot then flipper: attempts, timeouts, mean absolute error of the answered ones (null when none) and scored points
+ */
+function shotBreakdown(state) {
+  const rows = [];
+  for (const [idx] of state.hiddenL.entries()) {
+    for (const side of ['L', 'R']) {
+      const list = state.attempts.filter((a) => a.idx === idx && a.side === side);
+      if (list.length === 0) {
+        continue;
+      }
+      const answered = list.filter((a) => !a.timedOut);
+      rows.push({
+        idx,
+        side,
+        attempts: list.length,
+        timeouts: list.length - answered.length,
+        avgAbsErr: answered.length === 0 ? null : meanAbsErr(answered),
+        points: list.filter((a) => !a.calibration).reduce((sum, a) => sum + a.points, 0),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Grade a final recall against the hidden values, over the shot & flipper pairs the session covered
+ * @param {object} state - Session state
+ * @param {{L: Array<number>, R: Array<number>}} [recall] - Recalled values per side (defaults to the session's final recall)
+ * @returns {{score: number, mae: number, shots: Array<{truthL: number, truthR: number, inL: boolean, inR: boolean, errorL: number, errorR: number, error: number}>, subset: object, breakdown: object}} Score (100 - MAE), per-shot truth, whether each flipper was recalled and errors (0 when not), the session subset (see sessionSubset) and the numeric / NP / ordering breakdown (see gradeBreakdown)
+ */
+function grade(state, recall) {
+  const { L, R } = recall ?? { L: state.finalRecallL, R: state.finalRecallR };
+  // Temporarily closed shots are graded on their real value
+  const hiddenL = openHidden(state, 'L');
+  const hiddenR = openHidden(state, 'R');
+  // Only the shot & flipper pairs the session covered are recalled
+  const pool = promptPool(state);
+  const shots = hiddenL.map((_, i) => {
+    const sides = poolSides(pool, i);
+    const inL = sides.includes('L');
+    const inR = sides.includes('R');
+    const errorL = inL ? Math.abs(clamp(L[i] ?? 0) - (hiddenL[i] ?? 0)) : 0;
+    const errorR = inR ? Math.abs(clamp(R[i] ?? 0) - (hiddenR[i] ?? 0)) : 0;
+    return {
+      truthL: hiddenL[i] ?? 0,
+      truthR: hiddenR[i] ?? 0,
+      inL,
+      inR,
+      errorL,
+      errorR,
+      error: errorL + errorR,
+    };
+  });
+  const subset = sessionSubset(state);
+  const breakdown = gradeBreakdown(
+    pool.map(({ idx, side }) => ({
+      side,
+      truth: (side === 'L' ? hiddenL[idx] : hiddenR[idx]) ?? 0,
+      recall: clamp((side === 'L' ? L[idx] : R[idx]) ?? 0),
+    }))
+  );
+  const count = pool.length;
+  if (!count) {
+    return { score: 0, mae: 0, shots, subset, breakdown };
+  }
+  const mae = shots.reduce((s, x) => s + x.error, 0) / count;
+  return { score: Math.max(0, Math.round(100 - mae)), mae, shots, subset, breakdown };
+}
+
+export {
+  DEFAULT_OPTIONS,
+  MAX_ATTEMPTS,
+  MAX_DRIFT_LOG,
+  SPRINT_LENGTHS,
+  advancePrompt,
+  applyDrift,
+  createSession,
+  drillInProgress,
+  endSprintIfDue,
+  enterFinalRecall,
+  grade,
+  pickRandomIdx,
+  promptDeadline,
+  randomizePrompt,
+  rescoreSession,
+  resumePractice,
+  selectPrompt,
+  sessionStats,
+  setFinalRecallValue,
+  shotBreakdown,
+  sprintDeadline,
+  sprintRemaining,
+  startPromptTimer,
+  stopPromptTimer,
+  submitAttempt,
+  submitTimeout,
+  triggerDrift,
+  updateOptions,
+  validatePercent,
+  withSessionRandom,
+};
@@ -0,0 +1,108 @@
+/**
+ * Ball-arrival variants
+ * The right percentage for a shot often depends on how the ball arrives on the flipper, so setup
+ * rows may hold variant values keyed by ball state next to their own initL/initR, e.g.
+ * variants: { live: { initL: 40, initR: 55 }, drop: { initR: 60 } }. A missing (or null) value
+ * means the shot has no variant for that state on that flipper; 0 is NP.
+ * Prompts of a shot with variants ask about its own value or one of the variants at random.
+ *
+ * Variants have no hidden values of their own: they keep their setup offset from the shot's hidden
+ * value, so start randomization and drift move them along with the shot (a machine change shifts
+ * every way of making it). A variant of a shot that is NP on that flipper keeps its setup value.
+ */
+
+import { DEFAULT_RESOLUTION, resolutionOf, snapTo } from './ordering.js';
+
+const BALL_STATES = [
+  { id: 'cradle', label: 'Cradled', phrase: 'a cradle' },
+  { id: 'live', label: 'Live catch', phrase: 'a live catch' },
+  { id: 'drop', label: 'Drop catch', phrase: 'a drop catch' },
+];
+const BALL_IDS = new Set(BALL_STATES.map((b) => b.id));
+
+const sideKey = (side) => (side === 'L' ? 'initL' : 'initR');
+
+/**
+ * Variant values of one flipper per setup row, for the session
+ * @param {Array<object>} rows - Setup rows
+ * @param {string} side - 'L' or 'R'
+ * @param {number} [resolution] - Value grid step (see RESOLUTIONS in ./ordering.js)
+ * @returns {Array<object>} Per shot {ballId: value} of the variants set on that flipper (snapped to the grid)
+ */
+function variantBases(rows, side, resolution = DEFAULT_RESOLUTION) {
+  return rows.map((r) => {
+    const out = {};
+    for (const { id } of BALL_STATES) {
+      const value = r.variants?.[id]?.[sideKey(side)];
+      if (value !== null && value !== undefined && Number.isFinite(Number(value))) {
+        out[id] = snapTo(Math.min(100, Math.max(0, Number(value))), resolution);
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Ball states a shot & flipper has variants for (in BALL_STATES order)
+ * @param {object} state - Session state
+ * @param {number} idx - Shot index
+ * @param {string} side - 'L' or 'R'
+ * @returns {Array<string>} Ball state ids (empty for sessions stored before variants existed)
+ */
+function ballStatesOf(state, idx, side) {
+  const variants = (side === 'L' ? state.variantsL : state.variantsR)?.[idx] ?? {};
+  return BALL_STATES.filter((b) => b.id in variants).map((b) => b.id);
+}
+
+/**
+ * Hidden value a prompt is scored against
+ * @param {object} state - Session state
+ * @param {{idx: number, side: string, ball?: string|null}} prompt - Shot, flipper and ball state (null = the shot's own value)
+ * @returns {number} Hidden value of the shot, or of its variant kept at its setup offset (0 = NP)
+ */
+function variantTruth(state, { idx, side, ball = null }) {
+  const hidden = (side === 'L' ? state.hiddenL : state.hiddenR)[idx] ?? 0;
+  const value = (side === 'L' ? state.variantsL : state.variantsR)?.[idx]?.[ball ?? ''];
+  if (value === undefined) {
+    return hidden;
+  }
+  if (value === 0) {
+    return 0;
+  }
+  const base = (side === 'L' ? state.baseL : state.baseR)[idx] ?? 0;
+  if (base === 0) {
+    return value;
+  }
+  // A temporarily closed shot can't be made from any ball state either
+  if (hidden === 0) {
+    return 0;
+  }
+  const step = resolutionOf(state);
+  return Math.min(100 - step, Math.max(step, value + hidden - base));
+}
+
+/**
+ * Random ball state for a prompt: the shot's own value or one of its variants (no draw without variants)
+ * @param {object} state - Session state
+ * @param {{idx: number, side: string}} prompt - Shot & flipper
+ * @param {Function} random - Random generator returning [0, 1)
+ * @returns {string|null} Ball state id, or null for the shot's own value
+ */
+function pickBall(state, { idx, side }, random) {
+  const balls = ballStatesOf(state, idx, side);
+  if (balls.length === 0) {
+    return null;
+  }
+  const k = Math.floor(random() * (balls.length + 1));
+  return k === 0 ? null : balls[k - 1];
+}
+
+/**
+ * Ball state description for prompts, e.g. "from a live catch"
+ * @param {string|null} ball - Ball state id
+ * @returns {string} Phrase ('' for the shot's own value or an unknown state)
+ */
+const ballPhrase = (ball) =>
+  BALL_IDS.has(ball) ? `from ${BALL_STATES.find((b) => b.id === ball).phrase}` : '';
+
+export { BALL_STATES, ballPhrase, ballStatesOf, pickBall, variantBases, variantTruth };
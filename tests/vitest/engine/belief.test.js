@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  CONFIDENCE_Z,
+  beliefBands,
+  beliefSd,
+  priorBelief,
+  updateBelief,
+} from '../../../src/engine/belief.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  advancePrompt,
+  startPromptTimer,
+  submitAttempt,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+const ROWS = [
+  { initL: 30, initR: 70 },
+  { initL: 60, initR: 40 },
+];
+
+const session = (options) => quietSession({ mode: 'manual', seed: 1, ...options }, ROWS);
+const guesses = (inputs, truth = 50) =>
+  inputs.reduce((b, input) => updateBelief(b, { input, truth }), priorBelief(50));
+
+describe('Belief estimates', () => {
+  it('starts at the starting value with the prior uncertainty', () => {
+    const b = priorBelief(40);
+    expect(b).toEqual({ mean: 40, spread: 0, n: 0, gap: null });
+    expect(beliefSd(b)).toBe(10);
+  });
+
+  it('moves toward the guess and then part of the way toward the truth', () => {
+    const b = updateBelief(priorBelief(50), { input: 70, truth: 60 });
+    // The first guess replaces the prior, the feedback pulls back half the error
+    expect(b).toMatchObject({ mean: 65, n: 1, gap: 5 });
+  });
+
+  it('narrows with steady guesses and stays wide for scattered ones', () => {
+    const lucky = guesses([50]);
+    const steady = guesses([50, 50, 50, 50, 50, 50]);
+    const scattered = guesses([50, 30, 70, 35, 65, 50]);
+    expect(beliefSd(steady)).toBeLessThan(beliefSd(lucky));
+    expect(beliefSd(scattered)).toBeGreaterThan(beliefSd(steady) * 2);
+    expect(steady.mean).toBe(50);
+  });
+
+  it('is kept per shot & flipper by the session from guesses, not timeouts', () => {
+    let s = session({ timeLimit: 5 });
+    const { selectedIdx: idx, selectedSide: side } = s;
+    const key = side === 'L' ? 'beliefL' : 'beliefR';
+    expect(s[key][idx].n).toBe(0);
+    s = submitAttempt(startPromptTimer(s, 0), { value: 95, t: 1000 }, createRandom(1));
+    expect(s[key][idx].n).toBe(1);
+    expect(s[key][idx].gap).toBeGreaterThan(0);
+    const before = s[key];
+    // Manual mode asks the same pair again
+    s = submitTimeout(startPromptTimer(advancePrompt(s), 2000), { t: 9000 }, createRandom(1));
+    expect(s.attempts[0].timedOut).toBe(true);
+    expect(s[key]).toEqual(before);
+  });
+
+  it('flags shots whose truth drifted out of the band', () => {
+    let s = session();
+    const { selectedIdx: idx, selectedSide: side } = s;
+    const hiddenKey = side === 'L' ? 'hiddenL' : 'hiddenR';
+    const truth = s[hiddenKey][idx];
+    s = submitAttempt(s, { value: truth, t: 1 }, createRandom(1));
+    const band = beliefBands(s)[side][idx];
+    expect(band).toMatchObject({ mean: truth, gap: 0, n: 1, drifting: false });
+    expect(band.high - band.low).toBeCloseTo(2 * CONFIDENCE_Z * band.sd);
+
+    const moved = [...s[hiddenKey]];
+    moved[idx] = truth + 25;
+    expect(beliefBands({ ...s, [hiddenKey]: moved })[side][idx]).toMatchObject({
+      gap: -25,
+      drifting: true,
+    });
+    // Shots without a guess are never flagged
+    const other = side === 'L' ? 'R' : 'L';
+    expect(beliefBands(s)[other].every((b) => !b.drifting)).toBe(true);
+  });
+
+  it('keeps the belief of a temporarily closed shot', () => {
+    let s = session({ closeAfterHits: 1, reopenMin: 10, reopenMax: 10 });
+    const { selectedIdx: idx, selectedSide: side } = s;
+    const hiddenKey = side === 'L' ? 'hiddenL' : 'hiddenR';
+    const key = side === 'L' ? 'beliefL' : 'beliefR';
+    const truth = s[hiddenKey][idx];
+    s = submitAttempt(s, { value: truth, t: 1 }, createRandom(1));
+    expect(s[hiddenKey][idx]).toBe(0);
+    // Compared against the parked value, not the 0 shown while closed
+    expect(beliefBands(s)[side][idx]).toMatchObject({ gap: 0, drifting: false });
+    const before = s[key][idx];
+    // Answering NP to the closed shot doesn't pull the estimate toward 0
+    s = submitAttempt(advancePrompt(s), { value: 0, t: 2 }, createRandom(2));
+    expect(s.attempts[0].truth).toBe(0);
+    expect(s[key][idx]).toEqual(before);
+  });
+
+  it('falls back to the starting values for sessions stored without beliefs', () => {
+    const { beliefL, beliefR, ...old } = session();
+    expect(beliefL).toHaveLength(2);
+    expect(beliefR).toHaveLength(2);
+    expect(beliefBands(old).L.map((b) => b.mean)).toEqual([30, 60]);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+
+import { isClosed, openHidden, recordHit, reopenDue } from '../../../src/engine/closing.js';
+import {
+  advancePrompt,
+  applyDrift,
+  createSession,
+  grade,
+  selectPrompt,
+  submitAttempt,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+const mid = () => 0.5;
+const low = () => 0; // rndInt(lo, hi) => lo
+
+// Manual session prompting the middle shot on the left flipper, closing after two hits
+const closingSession = (options = {}) =>
+  selectPrompt(quietSession({ mode: 'manual', closeAfterHits: 2, ...options }, ROWS, mid), {
+    idx: 1,
+    side: 'L',
+  });
+
+describe('Closing shots', () => {
+  it('closes a shot after the configured number of hits', () => {
+    let s = submitAttempt(closingSession(), { value: 50, t: 1 }, low);
+    expect(isClosed(s, 'L', 1)).toBe(false);
+    expect(s.attempts[0].shotClosed).toBe(false);
+    s = submitAttempt(advancePrompt(s), { value: 50, t: 2 }, low);
+    expect(s.attempts[0].shotClosed).toBe(true);
+    expect(isClosed(s, 'L', 1)).toBe(true);
+    expect(s.hiddenL[1]).toBe(0);
+    expect(openHidden(s, 'L')[1]).toBe(50);
+  });
+
+  it('treats a closed shot as Not Possible until it reopens', () => {
+    let s = closingSession({ reopenMin: 2, reopenMax: 2 });
+    s = advancePrompt(submitAttempt(s, { value: 50, t: 1 }, low));
+    s = advancePrompt(submitAttempt(s, { value: 50, t: 2 }, low));
+    s = submitAttempt(s, { value: 0, t: 3 }, low);
+    expect(s.attempts[0]).toMatchObject({ truth: 0, severity: 'perfect' });
+    expect(s.attempts[0].reopened).toEqual([]);
+    s = submitAttempt(advancePrompt(s), { value: 0, t: 4 }, low);
+    expect(s.attempts[0].reopened).toEqual([{ idx: 1, side: 'L' }]);
+    expect(s.hiddenL[1]).toBe(50);
+  });
+
+  it('does nothing when closing is disabled or the shot is fixed Not Possible', () => {
+    const off = closingSession({ closeAfterHits: 0 });
+    expect(recordHit(off, 1, 'L', low).state).toBe(off);
+    const np = selectPrompt(
+      createSession(
+        [{ initL: 0, initR: 40 }, ...ROWS],
+        { initRandSteps: 0, closeAfterHits: 1 },
+        mid
+      ),
+      { idx: 0, side: 'L' }
+    );
+    expect(recordHit(np, 0, 'L', low).closed).toBe(false);
+  });
+
+  it('keeps closed shots out of drift and refits them into order when reopening', () => {
+    let s = closingSession({ closeAfterHits: 1, reopenMin: 1, reopenMax: 1, driftMag: 4 });
+    s = recordHit({ ...s, attemptCount: 1 }, 1, 'L', low).state;
+    for (let k = 0; k < 20; k++) {
+      s = applyDrift(s, Math.random);
+      expect(s.hiddenL[1]).toBe(0);
+    }
+    // Park a value that is now out of order with its drifted neighbour, then reopen
+    s = {
+      ...s,
+      hiddenL: [45, 0, 75],
+      closedL: [null, { value: 40, reopenAt: 2 }, null],
+      attemptCount: 5,
+    };
+    const { state, reopened } = reopenDue(s);
+    expect(reopened).toEqual([{ idx: 1, side: 'L' }]);
+    expect(state.hiddenL[0]).toBeLessThan(state.hiddenL[1]);
+    expect(state.hiddenL[1]).toBeLessThan(state.hiddenL[2]);
+  });
+
+  it('grades final recall against the real value of closed shots', () => {
+    let s = closingSession({ closeAfterHits: 1 });
+    s = submitAttempt(s, { value: 50, t: 1 }, low);
+    expect(s.hiddenL[1]).toBe(0);
+    expect(grade(s).shots[1]).toMatchObject({ truthL: 50, errorL: 0 });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  COMBO_MAX,
+  COMBO_MIN,
+  answerComboStep,
+  cancelCombo,
+  comboStep,
+  generateCombo,
+  resolveCombo,
+  startCombo,
+} from '../../../src/engine/combo.js';
+import { EVENT_TYPES } from '../../../src/engine/events.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  enterFinalRecall,
+  promptDeadline,
+  startPromptTimer,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+const ROWS = [
+  { id: 11, initL: 20, initR: 80 },
+  { id: 12, initL: 40, initR: 60 },
+  { id: 13, initL: 60, initR: 40 },
+  { id: 14, initL: 80, initR: 20 },
+];
+
+const session = (options) => quietSession(options, ROWS);
+const truthOf = (s, { idx, side }) => (side === 'L' ? s.hiddenL : s.hiddenR)[idx];
+
+describe('Combo drills', () => {
+  it('generates two to four distinct shots from the session pool', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const steps = generateCombo(session({}), {}, createRandom(seed));
+      expect(steps.length).toBeGreaterThanOrEqual(COMBO_MIN);
+      expect(steps.length).toBeLessThanOrEqual(COMBO_MAX);
+      expect(new Set(steps.map((s) => s.idx)).size).toBe(steps.length);
+    }
+    const right = generateCombo(
+      session({ flipper: 'R', shots: [1, 2] }),
+      { length: 4 },
+      createRandom(1)
+    );
+    expect(right.map((s) => `${s.idx}${s.side}`).sort()).toEqual(['1R', '2R']);
+    expect(generateCombo(session({ shots: [0] }), {}, createRandom(1))).toEqual([]);
+  });
+
+  it('resolves combos defined by row id against the current rows', () => {
+    expect(
+      resolveCombo(ROWS, [
+        { id: 14, side: 'L' },
+        { id: 11, side: 'R' },
+      ])
+    ).toEqual([
+      { idx: 3, side: 'L' },
+      { idx: 0, side: 'R' },
+    ]);
+    expect(resolveCombo(ROWS.slice(1), [{ id: 11, side: 'L' }])).toBeNull();
+  });
+
+  it('only starts valid combos during practice', () => {
+    const s = session({});
+    const steps = [
+      { idx: 0, side: 'L' },
+      { idx: 2, side: 'R' },
+    ];
+    expect(startCombo(s, steps).comboDrill).toEqual({ steps, results: [] });
+    expect(startCombo(s, steps.slice(0, 1))).toBe(s);
+    expect(startCombo(s, [...steps, ...steps, steps[0]])).toBe(s);
+    expect(startCombo(s, [steps[0], { idx: 9, side: 'L' }])).toBe(s);
+    const final = enterFinalRecall(s);
+    expect(startCombo(final, steps)).toBe(final);
+  });
+
+  it('scores each step and then the whole sequence', () => {
+    const steps = [
+      { idx: 0, side: 'L' },
+      { idx: 1, side: 'R' },
+      { idx: 3, side: 'L' },
+    ];
+    let s = startCombo(session({}), steps);
+    expect(answerComboStep(s, 'x', 1)).toBe(s);
+    s = answerComboStep(s, truthOf(s, steps[0]), 1);
+    expect(comboStep(s)).toEqual(steps[1]);
+    expect(s.comboDrill.results[0]).toMatchObject({ delta: 0, severity: 'perfect', points: 100 });
+    s = answerComboStep(s, truthOf(s, steps[1]) + 5, 2);
+    s = answerComboStep(s, truthOf(s, steps[2]) - 20, 3);
+
+    expect(s.comboDrill).toBeNull();
+    expect(comboStep(s)).toBeNull();
+    expect(s.comboRuns[0]).toMatchObject({ t: 3, points: 275, brokeAt: 2 });
+    expect(s.comboRuns[0].mae).toBeCloseTo(25 / 3);
+    expect(s.comboRuns[0].steps.map((r) => r.severity)).toEqual(['perfect', 'slight', 'very']);
+    expect(s.events.at(-1)).toMatchObject({ type: 'combo', points: 275 });
+    expect(EVENT_TYPES).toContain('combo');
+  });
+
+  it('leaves clean combos unbroken and can be cancelled', () => {
+    const steps = [
+      { idx: 1, side: 'L' },
+      { idx: 2, side: 'R' },
+    ];
+    let s = startCombo(session({}), steps);
+    expect(cancelCombo(s).comboDrill).toBeNull();
+    s = answerComboStep(s, truthOf(s, steps[0]), 1);
+    s = answerComboStep(s, truthOf(s, steps[1]), 2);
+    expect(s.comboRuns[0]).toMatchObject({ points: 200, mae: 0, brokeAt: null });
+    expect(answerComboStep(s, 50, 3)).toBe(s);
+  });
+
+  it('holds the timed prompt clock while the drill is open', () => {
+    const timed = startPromptTimer(session({ timeLimit: 10 }), 1000);
+    expect(promptDeadline(timed)).toBe(11_000);
+    const s = startCombo(timed, [
+      { idx: 0, side: 'L' },
+      { idx: 1, side: 'R' },
+    ]);
+    expect(s.comboDrill).not.toBeNull();
+    expect(s.promptedAt).toBeNull();
+    expect(startPromptTimer(s, 2000)).toBe(s);
+    expect(promptDeadline(s)).toBeNull();
+    expect(submitTimeout(s, { t: 20_000 })).toBe(s);
+    // The prompt is timed afresh once the combo is cancelled
+    const done = cancelCombo(s);
+    expect(promptDeadline(startPromptTimer(done, 4000))).toBe(14_000);
+  });
+});
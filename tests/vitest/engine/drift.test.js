@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  DRIFT_MODELS,
+  driftAdaptation,
+  driftSteps,
+  scaleSteps,
+  shotVolatility,
+} from '../../../src/engine/drift.js';
+import {
+  advancePrompt,
+  applyDrift,
+  createSession,
+  enterFinalRecall,
+  selectPrompt,
+  submitAttempt,
+  triggerDrift,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+const ROWS = [
+  { initL: 25, initR: 75 },
+  { initL: 50, initR: 50 },
+  { initL: 75, initR: 25 },
+  { initL: 0, initR: 10 },
+];
+const up = () => 0.99; // max steps, upward direction, max positive push
+
+// Manual session on the middle left shot with only the given triggers enabled
+const practice = (options) =>
+  selectPrompt(
+    quietSession({ driftMag: 2, mode: 'manual', ...options }, ROWS.slice(0, 3), () => 0.5),
+    { idx: 1, side: 'L' }
+  );
+const guess = (s, value, t, random = up) => submitAttempt(advancePrompt(s), { value, t }, random);
+
+describe('Drift models', () => {
+  it('moves nothing when there are no usable steps', () => {
+    for (const id of Object.keys(DRIFT_MODELS)) {
+      expect(driftSteps(id, [25, 50], 0, 0.7, up)).toEqual({ steps: [0, 0], velocity: 0.7 });
+    }
+  });
+
+  it('shifts the whole flipper the same way in the correlated model', () => {
+    const { steps } = driftSteps('correlated', [25, 0, 50, 75], 2, 0, up);
+    expect(steps).toEqual([2, 0, 2, 2]);
+  });
+
+  it('builds momentum in the trend model', () => {
+    let velocity = 0;
+    const seen = [];
+    for (let k = 0; k < 6; k++) {
+      const proposal = driftSteps('trend', [25, 50], 2, velocity, up);
+      ({ velocity } = proposal);
+      seen.push(proposal.steps[0]);
+    }
+    // a steady push accumulates, and every shot moves together
+    expect(seen[0]).toBe(0);
+    expect(seen.at(-1)).toBe(2);
+    expect(velocity).toBeGreaterThan(1.5);
+    expect(velocity).toBeLessThanOrEqual(2);
+  });
+
+  it('adds per-shot jitter to the trend in the mix model', () => {
+    const jitter = [0.5, 0, 0.99]; // velocity push ~0, then -1 and +1 jitter
+    let k = 0;
+    const { steps } = driftSteps('mix', [25, 50], 2, 0, () => jitter[k++]);
+    expect(steps).toEqual([-1, 1]);
+  });
+
+  it('falls back to the independent model for unknown ids', () => {
+    const { steps } = driftSteps('nope', [25, 50], 2, 0, up);
+    expect(steps).toEqual([2, 2]);
+  });
+
+  it.each(Object.keys(DRIFT_MODELS))('keeps ordering, bands and NP with the %s model', (id) => {
+    let s = createSession(ROWS, { initRandSteps: 0, driftMag: 3, driftModel: id }, () => 0.5);
+    for (let i = 0; i < 60; i++) {
+      s = applyDrift(s, Math.random);
+      for (const [k, v] of s.hiddenL.entries()) {
+        if (s.baseL[k] !== 0) {
+          expect(Math.abs(v - s.baseL[k])).toBeLessThanOrEqual(15);
+        }
+      }
+      expect(s.hiddenL[3]).toBe(0);
+      expect(s.hiddenL[0]).toBeLessThan(s.hiddenL[1]);
+      expect(s.hiddenL[1]).toBeLessThan(s.hiddenL[2]);
+      expect(s.hiddenR[0]).toBeGreaterThan(s.hiddenR[1]);
+      expect(s.hiddenR[1]).toBeGreaterThan(s.hiddenR[2]);
+    }
+  });
+
+  it('carries flipper velocity on the session between drifts', () => {
+    let s = createSession(ROWS, { initRandSteps: 0, driftMag: 2, driftModel: 'trend' }, () => 0.5);
+    s = applyDrift(s, up);
+    expect(s.driftVelocity.L).toBeCloseTo(0.49);
+    s = applyDrift(s, up);
+    expect(s.driftVelocity.L).toBeCloseTo(0.8 * 0.49 + 0.49);
+  });
+});
+
+describe('Drift triggers and log', () => {
+  it('logs attempt-count drifts with before and after values', () => {
+    let s = practice({ driftEvery: 2 });
+    s = guess(s, 50, 1000);
+    expect(s.driftLog).toEqual([]);
+    s = guess(s, 50, 2000);
+    expect(s.driftLog).toHaveLength(1);
+    expect(s.driftLog[0]).toMatchObject({
+      t: 2000,
+      cause: 'attempts',
+      attemptCount: 2,
+      beforeL: [25, 50, 75],
+      afterL: s.hiddenL,
+    });
+  });
+
+  it('drifts after N minutes of practice, counted from the first attempt', () => {
+    let s = practice({ driftMinutes: 2 });
+    s = guess(s, 50, 0);
+    s = guess(s, 50, 60_000);
+    expect(s.driftLog).toEqual([]);
+    s = guess(s, 50, 120_000);
+    expect(s.driftLog[0]).toMatchObject({ cause: 'time', t: 120_000 });
+    expect(s.lastDriftAt).toBe(120_000);
+    s = guess(s, 50, 200_000);
+    expect(s.driftLog).toHaveLength(1);
+  });
+
+  it('drifts at random with the configured chance', () => {
+    expect(guess(practice({ driftChance: 25 }), 50, 1, () => 0.2).driftLog[0].cause).toBe('chance');
+    expect(guess(practice({ driftChance: 25 }), 50, 1, () => 0.3).driftLog).toEqual([]);
+  });
+
+  it('drifts on demand when the machine changed', () => {
+    const s = triggerDrift(practice({}), { t: 5 }, up);
+    expect(s.driftLog[0]).toMatchObject({ cause: 'manual', t: 5, attemptCount: 0 });
+    expect(s.hiddenL).not.toEqual([25, 50, 75]);
+    const final = enterFinalRecall(practice({}));
+    expect(triggerDrift(final, { t: 5 }, up)).toBe(final);
+  });
+
+  it('reports how quickly the player adapted after each drift', () => {
+    let s = practice({});
+    s = guess(s, 50, 1);
+    s = triggerDrift(s, { t: 2 }, up); // every left value moves up 10
+    s = guess(s, 50, 3); // -10
+    s = guess(s, 55, 4); // -5: adapted on the 2nd attempt
+    s = guess(s, 60, 5);
+    const [report] = driftAdaptation(s, 2);
+    expect(report.moved).toContainEqual({ idx: 1, side: 'L', from: 50, to: 60 });
+    expect(report.attemptsToAdapt).toBe(2);
+    expect(report.errorAfter).toBe(7.5);
+  });
+
+  it('counts only attempts before the next drift towards an event', () => {
+    let s = practice({});
+    s = triggerDrift(s, { t: 1 }, up);
+    s = guess(s, 50, 2);
+    s = triggerDrift(s, { t: 3 }, () => 0.01);
+    s = guess(s, 50, 4);
+    const [newest, oldest] = driftAdaptation(s);
+    expect(oldest.errorAfter).toBe(10);
+    expect(oldest.attemptsToAdapt).toBeNull();
+    expect(newest.entry.attemptCount).toBe(1);
+  });
+});
+
+describe('Per-shot volatility and locks', () => {
+  it('reads the volatility of a setup row', () => {
+    expect(shotVolatility({ initL: 50, initR: 50 })).toBe(1);
+    expect(shotVolatility({ volatility: 0.5 })).toBe(0.5);
+    expect(shotVolatility({ volatility: 9 })).toBe(2);
+    expect(shotVolatility({ volatility: 'fast' })).toBe(1);
+    expect(shotVolatility({ volatility: 2, locked: true })).toBe(0);
+  });
+
+  it('scales steps towards zero within ±4', () => {
+    expect(scaleSteps(3, 0.5)).toBe(1);
+    expect(scaleSteps(-3, 0.5)).toBe(-1);
+    expect(scaleSteps(1, 0.5)).toBe(0);
+    expect(scaleSteps(-3, 2)).toBe(-4);
+    expect(scaleSteps(2, 0)).toBe(0);
+  });
+
+  it('keeps locked shots at their starting value when the session starts', () => {
+    const rows = [ROWS[0], { ...ROWS[1], locked: true }, ROWS[2]];
+    const s = createSession(rows, { initRandSteps: 2 }, up);
+    expect(s.volatility).toEqual([1, 0, 1]);
+    expect(s.hiddenL).toEqual([35, 50, 85]);
+    expect(s.hiddenR).toEqual([85, 50, 35]);
+  });
+
+  it('drifts each shot by its own volatility', () => {
+    const rows = [{ ...ROWS[0], volatility: 2 }, { ...ROWS[1], locked: true }, ROWS[2]];
+    const s = createSession(rows, { initRandSteps: 0, driftMag: 1 }, up);
+    const drifted = applyDrift(s, up);
+    expect(drifted.hiddenL).toEqual([35, 50, 80]);
+    expect(drifted.hiddenR).toEqual([85, 50, 30]);
+  });
+
+  it('never pushes a locked shot to restore ordering', () => {
+    const rows = [
+      { initL: 45, initR: 75 },
+      { initL: 50, initR: 50, locked: true },
+      { initL: 75, initR: 25 },
+    ];
+    const s = createSession(rows, { initRandSteps: 0, driftMag: 2 }, up);
+    const drifted = applyDrift(s, up);
+    expect(drifted.hiddenL).toEqual([45, 50, 85]);
+  });
+});
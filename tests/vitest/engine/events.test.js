@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+
+import { appendEvent, eventsOf, replayFrames } from '../../../src/engine/events.js';
+import {
+  MAX_ATTEMPTS,
+  advancePrompt,
+  enterFinalRecall,
+  selectPrompt,
+  setFinalRecallValue,
+  submitAttempt,
+  triggerDrift,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+const mid = () => 0.5; // no offsets, no drift direction bias
+const up = () => 0.99; // max steps upward
+
+// Manual session without randomization or automatic drift, prompting the middle left shot
+const start = () =>
+  selectPrompt(quietSession({ mode: 'manual' }, ROWS, mid), {
+    idx: 1,
+    side: 'L',
+  });
+
+describe('Session event log', () => {
+  it('records start, prompts, attempts, drift and final recall in order', () => {
+    let s = start();
+    s = submitAttempt(s, { value: 55, t: 1 }, mid);
+    s = advancePrompt(s);
+    s = triggerDrift(s, { t: 2 }, up);
+    s = setFinalRecallValue(enterFinalRecall(s), 'L', 0, 30);
+    expect(eventsOf(s).map((e) => e.type)).toEqual([
+      'start',
+      'prompt',
+      'prompt',
+      'attempt',
+      'prompt',
+      'drift',
+      'recall',
+    ]);
+    const [begin, , shown, attempt, , drift, recall] = eventsOf(s);
+    expect(begin).toMatchObject({ baseL: [25, 50, 75], hiddenL: [25, 50, 75] });
+    expect(shown).toMatchObject({ n: 0, idx: 1, side: 'L' });
+    expect(attempt).toMatchObject({ n: 1, idx: 1, side: 'L', input: 55, truth: 50, delta: 5 });
+    expect(drift).toMatchObject({ cause: 'manual', afterL: [35, 60, 85] });
+    expect(recall).toEqual({ type: 'recall', idx: 0, side: 'L', value: 30 });
+  });
+
+  it('collapses consecutive edits of the same recall answer', () => {
+    let s = enterFinalRecall(start());
+    s = setFinalRecallValue(s, 'L', 0, 5);
+    s = setFinalRecallValue(s, 'L', 0, 55);
+    s = setFinalRecallValue(s, 'R', 0, 60);
+    const recalls = eventsOf(s).filter((e) => e.type === 'recall');
+    expect(recalls.map((e) => e.value)).toEqual([55, 60]);
+  });
+
+  it('keeps every event beyond the attempt cap', () => {
+    let s = start();
+    for (let k = 0; k <= MAX_ATTEMPTS; k++) {
+      s = advancePrompt(submitAttempt(s, { value: 50, t: k }, mid));
+    }
+    expect(s.attempts).toHaveLength(MAX_ATTEMPTS);
+    expect(eventsOf(s).filter((e) => e.type === 'attempt')).toHaveLength(MAX_ATTEMPTS + 1);
+  });
+
+  it('treats sessions without a log as empty', () => {
+    const legacy = { ...start(), events: undefined };
+    expect(eventsOf(legacy)).toEqual([]);
+    expect(appendEvent(legacy, { type: 'prompt', n: 0, idx: 0, side: 'L' }).events).toHaveLength(1);
+  });
+
+  it('replays the truth, guess and drift at each step', () => {
+    let s = start();
+    s = submitAttempt(s, { value: 40, t: 1 }, mid);
+    s = triggerDrift(s, { t: 2 }, up);
+    s = setFinalRecallValue(enterFinalRecall(s), 'R', 2, 30);
+    const frames = replayFrames(eventsOf(s));
+    expect(frames).toHaveLength(eventsOf(s).length);
+    const attempt = frames.find((f) => f.attempt);
+    expect(attempt.attempt).toMatchObject({ input: 40, truth: 50 });
+    expect(attempt.prompt).toEqual({ idx: 1, side: 'L' });
+    expect(attempt.hiddenL).toEqual([25, 50, 75]);
+    const drift = frames.find((f) => f.event.type === 'drift');
+    expect(drift.hiddenL).toEqual([35, 60, 85]);
+    expect(drift.moved).toContainEqual({ idx: 1, side: 'L', from: 50, to: 60 });
+    expect(frames.at(-1).recallR).toEqual([null, null, 30]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+
+import { promptPool, sessionSubset } from '../../../src/engine/filters.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  advancePrompt,
+  randomizePrompt,
+  selectPrompt,
+  submitAttempt,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+// Shot 1 is Not Possible on the right flipper
+const ROWS = [
+  { initL: 25, initR: 75 },
+  { initL: 50, initR: 0 },
+  { initL: 75, initR: 25 },
+  { initL: 80, initR: 20 },
+];
+
+const session = (options) => quietSession(options, ROWS);
+const key = ({ idx, side }) => `${idx}${side}`;
+
+// Prompts seen over many random re-rolls and attempts
+function drawn(options) {
+  const random = createRandom(3);
+  let s = session(options);
+  const seen = new Set([key({ idx: s.selectedIdx, side: s.selectedSide })]);
+  for (let k = 0; k < 40; k++) {
+    s = randomizePrompt(s, random);
+    seen.add(key({ idx: s.selectedIdx, side: s.selectedSide }));
+    s = advancePrompt(submitAttempt(s, { value: 50, t: k }, random));
+    seen.add(key({ idx: s.selectedIdx, side: s.selectedSide }));
+  }
+  return [...seen].sort();
+}
+
+describe('Session filters', () => {
+  it('covers every shot & flipper by default', () => {
+    expect(promptPool(session({}))).toHaveLength(8);
+    expect(sessionSubset(session({}))).toEqual({ flipper: 'both', shots: null, excludeNP: false });
+  });
+
+  it('normalizes the subset options', () => {
+    const s = session({ flipper: 'X', shots: [3, 0, 0, 9, -1, 1.5], excludeNP: 1 });
+    expect(sessionSubset(s)).toEqual({ flipper: 'both', shots: [0, 3], excludeNP: true });
+    expect(sessionSubset(session({ shots: [0, 1, 2, 3] })).shots).toBeNull();
+  });
+
+  it('keeps one flipper, a subset of shots and possible pairs only', () => {
+    expect(promptPool(session({ flipper: 'R', shots: [1, 2], excludeNP: true }))).toEqual([
+      { idx: 2, side: 'R' },
+    ]);
+    expect(promptPool(session({ excludeNP: true })).map(key)).not.toContain('1R');
+  });
+
+  it('falls back to every pair when the filters leave nothing', () => {
+    expect(promptPool(session({ flipper: 'R', shots: [1], excludeNP: true }))).toHaveLength(8);
+  });
+
+  it('only prompts the chosen subset in random and adaptive modes', () => {
+    expect(drawn({ flipper: 'L', shots: [0, 2] })).toEqual(['0L', '2L']);
+    expect(drawn({ mode: 'adaptive', shots: [1, 3], excludeNP: true })).toEqual(['1L', '3L', '3R']);
+  });
+
+  it('keeps manual selection inside the subset', () => {
+    const s = selectPrompt(session({ mode: 'manual', flipper: 'R', shots: [0, 2] }), {
+      idx: 0,
+    });
+    expect(s.selectedSide).toBe('R');
+    expect(selectPrompt(s, { idx: 1 })).toBe(s);
+    expect(selectPrompt(s, { side: 'L' })).toBe(s);
+    expect(selectPrompt(s, { idx: 2 })).toMatchObject({ selectedIdx: 2, selectedSide: 'R' });
+  });
+
+  it('records the subset in the start event', () => {
+    expect(session({ flipper: 'L' }).events[0].subset).toEqual({
+      flipper: 'L',
+      shots: null,
+      excludeNP: false,
+    });
+  });
+});
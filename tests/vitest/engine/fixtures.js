@@ -0,0 +1,26 @@
+/**
+ * Shared fixtures for the engine tests: a small table and a session factory
+ * without start randomization or automatic drift, so hidden values stay put.
+ */
+
+import { seededRandom } from '../../../src/engine/random.js';
+import { createSession } from '../../../src/engine/session.js';
+
+const ROWS = [
+  { initL: 25, initR: 75 },
+  { initL: 50, initR: 50 },
+  { initL: 75, initR: 25 },
+];
+
+/**
+ * Create a session whose hidden values start at the row values and only move
+ * when a test drifts them explicitly.
+ * @param {object} [options] - Session options layered over the quiet defaults
+ * @param {Array<object>} [rows] - Table rows; the shared three-shot table by default
+ * @param {Function} [random] - Random generator passed to createSession
+ * @returns {object} New session state
+ */
+const quietSession = (options = {}, rows = ROWS, random = seededRandom) =>
+  createSession(rows, { initRandSteps: 0, driftEvery: 0, ...options }, random);
+
+export { ROWS, quietSession };
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  gradeBreakdown,
+  npClassification,
+  numericAccuracy,
+  orderingConsistency,
+} from '../../../src/engine/grading.js';
+import { createSession, grade, setFinalRecallValue } from '../../../src/engine/session.js';
+
+const pair = (side, truth, recall) => ({ side, truth, recall });
+
+describe('Final recall grading breakdown', () => {
+  it('grades values only where both the truth and the recall are possible', () => {
+    const result = numericAccuracy([pair('L', 20, 30), pair('L', 50, 50), pair('L', 0, 40)]);
+    expect(result).toEqual({ score: 95, mae: 5, count: 2 });
+    expect(numericAccuracy([pair('L', 0, 0)])).toEqual({ score: null, mae: null, count: 0 });
+  });
+
+  it('counts NP given a value and possible shots marked NP as misclassified', () => {
+    const result = npClassification([
+      pair('L', 0, 0),
+      pair('L', 0, 50),
+      pair('R', 5, 0),
+      pair('R', 60, 55),
+    ]);
+    expect(result).toEqual({ score: 50, correct: 2, count: 4, missedNP: 1, falseNP: 1 });
+  });
+
+  it('scores the share of shot pairs kept in order per flipper', () => {
+    // L: (20,50) in order, (20,80) in order, (50,80) swapped; R: one tie
+    const result = orderingConsistency([
+      pair('L', 20, 25),
+      pair('L', 50, 70),
+      pair('L', 80, 60),
+      pair('R', 30, 40),
+      pair('R', 60, 40),
+      pair('R', 0, 10),
+    ]);
+    expect(result).toEqual({ score: 63, inOrder: 2.5, count: 4 });
+    expect(orderingConsistency([pair('L', 20, 20), pair('R', 20, 20)]).score).toBeNull();
+  });
+
+  it('weights the parts into a combined grade with a letter', () => {
+    const perfect = gradeBreakdown([pair('L', 20, 20), pair('L', 60, 60), pair('L', 0, 0)]);
+    expect(perfect.combined).toEqual({ score: 100, letter: 'A' });
+    // 0.6 * 90 + 0.2 * 67 + 0.2 * 100 = 87.4
+    const result = gradeBreakdown([pair('L', 20, 30), pair('L', 60, 70), pair('L', 0, 30)]);
+    expect(result.combined).toEqual({ score: 87, letter: 'B' });
+  });
+
+  it('re-weights over the parts that can be graded', () => {
+    // No ordering pairs: 0.6 * 100 + 0.2 * 50 over 0.8
+    const result = gradeBreakdown([pair('L', 20, 20), pair('R', 40, 0)]);
+    expect(result.ordering.score).toBeNull();
+    expect(result.combined.score).toBe(88);
+    expect(gradeBreakdown([]).combined).toEqual({ score: 0, letter: 'F' });
+  });
+
+  it('is part of the session grade', () => {
+    const rows = [
+      { initL: 25, initR: 0 },
+      { initL: 50, initR: 50 },
+    ];
+    let s = createSession(rows, { initRandSteps: 0 }, () => 0.5);
+    s = setFinalRecallValue(s, 'R', 0, 10);
+    const { breakdown } = grade(s);
+    expect(breakdown.np).toMatchObject({ correct: 3, count: 4, missedNP: 1 });
+    expect(breakdown.numeric).toMatchObject({ score: 100, count: 3 });
+    expect(breakdown.ordering).toMatchObject({ score: 100, count: 1 });
+  });
+});
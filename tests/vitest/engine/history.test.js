@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  MAX_UNDO,
+  createHistory,
+  recordChange,
+  redo,
+  restorePractice,
+  undo,
+} from '../../../src/engine/history.js';
+import { startRankingDrill, submitRanking } from '../../../src/engine/ranking.js';
+import { startReverseDrill } from '../../../src/engine/reverse.js';
+import {
+  advancePrompt,
+  createSession,
+  rescoreSession,
+  selectPrompt,
+  submitAttempt,
+  updateOptions,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+const up = () => 0.99; // drift: max steps upward
+
+describe('Undo history', () => {
+  it('has nothing to undo or redo when empty', () => {
+    expect(undo(createHistory(), {})).toBeNull();
+    expect(redo(createHistory(), {})).toBeNull();
+  });
+
+  it('restores the full session from before an attempt, including drift it triggered', () => {
+    const before = selectPrompt(
+      createSession(ROWS, { initRandSteps: 0, driftEvery: 1, driftMag: 2 }, () => 0.5),
+      { idx: 1, side: 'L' }
+    );
+    const after = submitAttempt(before, { value: 65, t: 1 }, up);
+    expect(after.hiddenL).not.toEqual(before.hiddenL);
+    const history = recordChange(createHistory(), before);
+    const step = undo(history, after);
+    expect(step.state).toBe(before);
+    expect(step.state.attemptCount).toBe(0);
+    expect(step.state.pendingNext).toBeNull();
+    expect(step.state.mentalL[1]).toBe(50);
+    const again = redo(step.history, step.state);
+    expect(again.state).toBe(after);
+    expect(again.history.past).toEqual([before]);
+  });
+
+  it('keeps a ranking drill finished after the undone attempt', () => {
+    const before = selectPrompt(
+      quietSession({ mode: 'manual' }, ROWS, () => 0.5),
+      {
+        idx: 1,
+        side: 'L',
+      }
+    );
+    const attempted = advancePrompt(submitAttempt(before, { value: 65, t: 1 }, up));
+    const drill = startRankingDrill(attempted, { size: 3 }, () => 0);
+    const ranked = submitRanking(drill, [2, 1, 0], 2);
+    const step = undo(recordChange(createHistory(), before), ranked);
+    const undone = restorePractice(ranked, step.state);
+    expect(undone.attempts).toEqual([]);
+    expect(undone.attemptCount).toBe(0);
+    expect(undone.mentalL).toEqual(before.mentalL);
+    expect(undone.rankings).toEqual(ranked.rankings);
+    expect(undone.events.map((e) => e.type)).toEqual(['start', 'prompt', 'prompt', 'ranking']);
+    // Redo brings the attempt back, still after the ranking
+    const again = restorePractice(undone, redo(step.history, undone).state);
+    expect(again.attemptCount).toBe(1);
+    expect(again.rankings).toEqual(ranked.rankings);
+    expect(again.events.filter((e) => e.type === 'ranking')).toHaveLength(1);
+  });
+
+  it('keeps open drills, the mode and the scoring profile chosen after the undone attempt', () => {
+    const before = selectPrompt(
+      quietSession({ mode: 'manual' }, ROWS, () => 0.5),
+      {
+        idx: 1,
+        side: 'L',
+      }
+    );
+    const attempted = submitAttempt(before, { value: 55, t: 1 }, up);
+    const changed = startReverseDrill(
+      rescoreSession(updateOptions(attempted, { mode: 'random' }), 'strict'),
+      () => 0
+    );
+    const undone = restorePractice(changed, before);
+    expect(undone.reverseDrill).toEqual(changed.reverseDrill);
+    expect(undone.options).toMatchObject({ mode: 'random', scoringProfile: 'strict' });
+    // Attempts brought back by redo are scored under the profile now in use
+    const redone = restorePractice(undone, attempted);
+    expect(redone.attempts).toEqual(changed.attempts);
+    expect(redone.attempts[0].profile).toBe('strict');
+  });
+
+  it('walks back several attempts and drops redo after a new change', () => {
+    let h = createHistory();
+    h = recordChange(h, 'a');
+    h = recordChange(h, 'b');
+    const first = undo(h, 'c');
+    const second = undo(first.history, first.state);
+    expect([first.state, second.state]).toEqual(['b', 'a']);
+    expect(second.history.future).toEqual(['b', 'c']);
+    expect(recordChange(second.history, 'a').future).toEqual([]);
+  });
+
+  it('keeps at most MAX_UNDO snapshots', () => {
+    let h = createHistory();
+    for (let k = 0; k < MAX_UNDO + 5; k++) {
+      h = recordChange(h, k);
+    }
+    expect(h.past).toHaveLength(MAX_UNDO);
+    expect(h.past[0]).toBe(5);
+  });
+});
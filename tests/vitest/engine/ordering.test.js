@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  aimPairs,
+  computeAllowedRange,
+  gapRule,
+  gridValues,
+  isotonicWithBounds,
+  parseResolution,
+  resolutionOf,
+  snapTo,
+  strictlyIncrease,
+} from '../../../src/engine/ordering.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  applyDrift,
+  createSession,
+  setFinalRecallValue,
+  validatePercent,
+} from '../../../src/engine/session.js';
+
+const ROWS = [
+  { id: 1, initL: 20, initR: 80 },
+  { id: 2, initL: 40, initR: 60 },
+  { id: 3, initL: 40, initR: 60, aimWith: 2 },
+  { id: 4, initL: 70, initR: 30 },
+];
+const ORDER = [0, 1, 2, 3];
+const BASE = [20, 40, 40, 70];
+
+// Smallest distance between neighbours in the given order
+const minSpacing = (values, order) =>
+  Math.min(...order.slice(1).map((i, k) => values[i] - values[order[k]]));
+
+describe('Ordering gaps', () => {
+  it('pairs rows sharing an aim point and drops their gap', () => {
+    expect(aimPairs(ROWS)).toEqual([[1, 2]]);
+    expect(aimPairs([{ id: 1, aimWith: 9 }, { id: 2 }])).toEqual([]);
+    const gap = gapRule(10, aimPairs(ROWS));
+    expect(gap(0, 1)).toBe(10);
+    expect(gap(2, 1)).toBe(0);
+    // Missing settings keep the 5% gap
+    expect(gapRule()(0, 1)).toBe(5);
+    expect(gapRule(0)(0, 1)).toBe(0);
+  });
+
+  it('keeps ties only where the gap allows them', () => {
+    const values = [20, 40, 40, 70];
+    expect(strictlyIncrease(values, BASE, ORDER)).toEqual([20, 40, 45, 70]);
+    expect(strictlyIncrease(values, BASE, ORDER, undefined, gapRule(5, [[1, 2]]))).toEqual(values);
+    expect(strictlyIncrease(values, BASE, ORDER, undefined, gapRule(0))).toEqual(values);
+    expect(
+      minSpacing(strictlyIncrease(values, BASE, ORDER, undefined, gapRule(10)), ORDER)
+    ).toBeGreaterThanOrEqual(10);
+  });
+
+  it('projects neighbours at least the gap apart', () => {
+    const crossed = [30, 45, 40, 70];
+    expect(isotonicWithBounds(crossed, BASE, ORDER)).toEqual([30, 45, 45, 70]);
+    const spaced = isotonicWithBounds(crossed, BASE, ORDER, undefined, gapRule(10));
+    expect(minSpacing(spaced, ORDER)).toBeGreaterThanOrEqual(10);
+    expect(isotonicWithBounds(crossed, BASE, ORDER, undefined, gapRule(0, [[1, 2]]))).toEqual([
+      30, 45, 45, 70,
+    ]);
+  });
+
+  it('widens the setup ranges for ties and same aim point rows', () => {
+    expect(computeAllowedRange(ROWS, 'L', 2)).toEqual([45, 65]);
+    expect(computeAllowedRange(ROWS, 'L', 2, gapRule(5, aimPairs(ROWS)))).toEqual([40, 65]);
+    expect(computeAllowedRange(ROWS, 'R', 1, gapRule(0))).toEqual([60, 80]);
+    expect(computeAllowedRange(ROWS, 'R', 3, gapRule(10))).toEqual([5, 50]);
+  });
+
+  it('applies the per-flipper gaps to sessions and drift', () => {
+    let s = createSession(ROWS, { initRandSteps: 0, driftMag: 4, minGapR: 10, seed: 3 });
+    expect(s.sameAim).toEqual([[1, 2]]);
+    expect(s.hiddenL).toEqual([20, 40, 40, 70]);
+    for (let n = 0; n < 20; n++) {
+      s = applyDrift(s, createRandom(n));
+      expect(minSpacing(s.hiddenR, s.orderAscR)).toBeGreaterThanOrEqual(0);
+      expect(s.hiddenR[0] - s.hiddenR[1]).toBeGreaterThanOrEqual(10);
+      expect(s.hiddenR[2] - s.hiddenR[3]).toBeGreaterThanOrEqual(10);
+    }
+  });
+});
+
+// Every value of a session is NP or on its grid
+const onGrid = (values, resolution) =>
+  values.every((v) => v === 0 || Math.abs(v / resolution - Math.round(v / resolution)) < 1e-9);
+
+describe('Resolution', () => {
+  it('snaps values and lists the grid of each resolution', () => {
+    expect(parseResolution('2.5')).toBe(2.5);
+    expect(parseResolution(3)).toBe(5);
+    expect(parseResolution()).toBe(5);
+    expect(snapTo(37)).toBe(35);
+    expect(snapTo(37, 2.5)).toBe(37.5);
+    expect(snapTo(37, 1)).toBe(37);
+    expect(snapTo(104, 10)).toBe(100);
+    expect(gridValues()).toHaveLength(19);
+    expect(gridValues(10)).toEqual([10, 20, 30, 40, 50, 60, 70, 80, 90]);
+    expect(gridValues(2.5).slice(0, 2)).toEqual([2.5, 5]);
+    expect(gridValues(1)).toHaveLength(99);
+    expect(gapRule(5, [], 10)(0, 1)).toBe(10);
+    expect(computeAllowedRange(ROWS, 'L', 0, gapRule(0), 10)).toEqual([10, 40]);
+  });
+
+  it('fits gaps to a coarser grid without widening them past the minimum gap', () => {
+    const gap = (minGap) => gapRule(minGap, [], 10)(0, 1);
+    expect([0, 5, 10, 15, 20, 25].map(gap)).toEqual([0, 10, 10, 10, 20, 20]);
+    expect(gapRule(7.5, [], 2.5)(0, 1)).toBe(7.5);
+    expect(gapRule(8)(0, 1)).toBe(5);
+    // Neighbours one 10% step apart still fit a 15% gap
+    expect(computeAllowedRange(ROWS, 'L', 1, gapRule(15, [], 10), 10)).toEqual([30, 30]);
+  });
+
+  it('keeps sessions, drift and guesses on the session grid', () => {
+    const rows = [
+      { id: 1, initL: 21, initR: 79 },
+      { id: 2, initL: 52, initR: 48 },
+      { id: 3, initL: 78, initR: 23 },
+    ];
+    for (const resolution of [1, 2.5, 10]) {
+      let s = createSession(rows, { resolution, initRandSteps: 20, driftMag: 20, seed: 5 });
+      expect(resolutionOf(s)).toBe(resolution);
+      expect(onGrid(s.baseL, resolution) && onGrid(s.baseR, resolution)).toBe(true);
+      for (let n = 0; n < 10; n++) {
+        s = applyDrift(s, createRandom(n));
+        expect(onGrid([...s.hiddenL, ...s.hiddenR], resolution)).toBe(true);
+        // Drift steps are resolution steps, still within the ±20 band
+        const offsets = s.hiddenL.map((v, i) => Math.abs(v - s.baseL[i]));
+        expect(Math.max(...offsets)).toBeLessThanOrEqual(20);
+      }
+    }
+    expect(validatePercent('37', 2.5)).toBe(37.5);
+    const s = setFinalRecallValue(createSession(rows, { resolution: 10 }), 'L', 0, 44);
+    expect(s.finalRecallL[0]).toBe(40);
+  });
+
+  it('treats sessions stored before the setting as 5% sessions', () => {
+    const s = createSession(ROWS, { initRandSteps: 0, seed: 1 });
+    const { resolution: _dropped, ...legacyOptions } = s.options;
+    const legacy = { ...s, options: legacyOptions };
+    expect(resolutionOf(legacy)).toBe(5);
+    expect(setFinalRecallValue(legacy, 'R', 1, 62).finalRecallR[1]).toBe(60);
+    const drifted = applyDrift(
+      { ...legacy, options: { ...legacyOptions, driftMag: 4 } },
+      createRandom(2)
+    );
+    expect(onGrid(drifted.hiddenL, 5)).toBe(true);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  DIFFICULTY_LEVELS,
+  PROGRESSION_WINDOW,
+  progressDifficulty,
+  recentAccuracy,
+  startLevel,
+} from '../../../src/engine/progression.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  advancePrompt,
+  startPromptTimer,
+  submitAttempt,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+const session = (options) => quietSession({ autoProgress: true, ...options });
+
+// Hidden value of the current prompt
+const truthOf = (s) => (s.selectedSide === 'L' ? s.hiddenL : s.hiddenR)[s.selectedIdx];
+
+// Answer n prompts, off by `error` points each
+function play(start, n, error, random = createRandom(5)) {
+  let s = start;
+  for (let k = 0; k < n; k++) {
+    const value = Math.min(100, Math.max(0, truthOf(s) + error));
+    s = advancePrompt(submitAttempt(s, { value, t: s.attemptCount }, random));
+  }
+  return s;
+}
+
+describe('Auto difficulty progression', () => {
+  it('starts on the middle level with its drift options', () => {
+    const s = session({ driftEvery: 9, driftMag: 7 });
+    expect(s.level).toBe(3);
+    expect(s.levelLog).toEqual([]);
+    expect(s.options).toMatchObject({ driftEvery: 4, driftMag: 2 });
+  });
+
+  it('gives every level drift options of its own, in whole steps and getting harder', () => {
+    const drift = DIFFICULTY_LEVELS.map(({ level }) => startLevel(level).options);
+    for (const [k, { driftEvery, driftMag }] of drift.entries()) {
+      expect(Number.isInteger(driftMag)).toBe(true);
+      if (k > 0) {
+        expect(driftEvery).toBeLessThanOrEqual(drift[k - 1].driftEvery);
+        expect(driftMag).toBeGreaterThanOrEqual(drift[k - 1].driftMag);
+      }
+    }
+    const distinct = new Set(drift.map(({ driftEvery, driftMag }) => `${driftEvery}:${driftMag}`));
+    expect(distinct.size).toBe(DIFFICULTY_LEVELS.length);
+  });
+
+  it('leaves sessions without auto progression alone', () => {
+    const s = play(session({ autoProgress: false }), PROGRESSION_WINDOW, 0);
+    expect(s.level).toBeNull();
+    expect(s.levelLog).toEqual([]);
+    expect(progressDifficulty(s, 0)).toBe(s);
+  });
+
+  it('waits for a full window before judging accuracy', () => {
+    const s = play(session({}), PROGRESSION_WINDOW - 1, 0);
+    expect(recentAccuracy(s)).toBeNull();
+    expect(s.level).toBe(3);
+  });
+
+  it('moves a level up after a good run and logs the change', () => {
+    const s = play(session({}), PROGRESSION_WINDOW, 0);
+    expect(s.level).toBe(4);
+    expect(s.options).toMatchObject({ driftEvery: 3, driftMag: 3 });
+    expect(s.levelLog).toEqual([
+      { t: PROGRESSION_WINDOW - 1, attemptCount: PROGRESSION_WINDOW, from: 3, to: 4, accuracy: 1 },
+    ]);
+    expect(s.events.filter((e) => e.type === 'level')).toEqual([
+      expect.objectContaining({ type: 'level', from: 3, to: 4, accuracy: 1 }),
+    ]);
+  });
+
+  it('starts a fresh window after each change', () => {
+    const s = play(session({}), PROGRESSION_WINDOW + 3, 0);
+    expect(s.level).toBe(4);
+    expect(recentAccuracy(s)).toBeNull();
+  });
+
+  it('moves down after a poor run and stays within the ladder', () => {
+    const down = play(session({}), PROGRESSION_WINDOW * 4, 20);
+    expect(down.level).toBe(1);
+    expect(down.levelLog.map((e) => e.to)).toEqual([1, 2]);
+    const up = play(session({}), PROGRESSION_WINDOW * 4, 0);
+    expect(up.level).toBe(DIFFICULTY_LEVELS.length);
+  });
+
+  it('keeps the level when accuracy is in between', () => {
+    let s = session({});
+    for (let k = 0; k < PROGRESSION_WINDOW; k++) {
+      s = play(s, 1, k % 2 === 0 ? 0 : 20);
+    }
+    expect(recentAccuracy(s)).toBe(0.5);
+    expect(s.level).toBe(3);
+  });
+
+  it('counts timed-out prompts as misses', () => {
+    let s = session({ timeLimit: 5 });
+    const random = createRandom(1);
+    for (let k = 0; k < PROGRESSION_WINDOW; k++) {
+      const shown = startPromptTimer(s, k * 10000);
+      s = advancePrompt(submitTimeout(shown, { t: k * 10000 + 5000 }, random));
+    }
+    expect(s.levelLog[0]).toMatchObject({ from: 3, to: 2, accuracy: 0 });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  answerRecallQuiz,
+  quizDone,
+  quizPrompt,
+  startRecallQuiz,
+  stopRecallQuiz,
+} from '../../../src/engine/quiz.js';
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  createSession,
+  enterFinalRecall,
+  grade,
+  resumePractice,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+const final = (options) => enterFinalRecall(quietSession(options));
+const key = ({ idx, side }) => `${idx}${side}`;
+
+describe('Final recall quiz', () => {
+  it('only starts during final recall', () => {
+    const s = createSession(ROWS, { initRandSteps: 0 });
+    expect(s.recallQuiz).toBeNull();
+    expect(startRecallQuiz(s, createRandom(1))).toBe(s);
+  });
+
+  it('asks every pair of the session once in random order', () => {
+    const s = startRecallQuiz(final({}), createRandom(1));
+    const order = s.recallQuiz.order.map(key);
+    expect([...order].sort()).toEqual(['0L', '0R', '1L', '1R', '2L', '2R']);
+    expect(order).not.toEqual(['0L', '0R', '1L', '1R', '2L', '2R']);
+    expect(quizPrompt(s)).toEqual(s.recallQuiz.order[0]);
+    // Same generator, same order
+    expect(startRecallQuiz(final({}), createRandom(1)).recallQuiz.order).toEqual(
+      s.recallQuiz.order
+    );
+  });
+
+  it('only asks the pairs the session filters cover', () => {
+    const s = startRecallQuiz(final({ flipper: 'R', shots: [0, 2] }), createRandom(2));
+    expect(s.recallQuiz.order.map(key).sort()).toEqual(['0R', '2R']);
+  });
+
+  it('fills the final recall one answer at a time and grades it as usual', () => {
+    let s = startRecallQuiz(final({}), createRandom(3));
+    const first = quizPrompt(s);
+    expect(answerRecallQuiz(s, 'x')).toBe(s);
+    s = answerRecallQuiz(s, 0);
+    expect(s.recallQuiz.pos).toBe(1);
+    expect(first.side === 'L' ? s.finalRecallL : s.finalRecallR).toContain(0);
+    expect(s.events.at(-1)).toMatchObject({ type: 'recall', ...first, value: 0 });
+    while (!quizDone(s)) {
+      const { idx, side } = quizPrompt(s);
+      s = answerRecallQuiz(s, ROWS[idx][side === 'L' ? 'initL' : 'initR']);
+    }
+    expect(quizPrompt(s)).toBeNull();
+    expect(answerRecallQuiz(s, 50)).toBe(s);
+    const truth = ROWS[first.idx][first.side === 'L' ? 'initL' : 'initR'];
+    expect(grade(s).mae).toBeCloseTo(truth / 6);
+  });
+
+  it('keeps the answers when leaving for the table or practice', () => {
+    let s = answerRecallQuiz(startRecallQuiz(final({}), createRandom(4)), 95);
+    const stopped = stopRecallQuiz(s);
+    expect(stopped.recallQuiz).toBeNull();
+    expect(quizDone(stopped)).toBe(false);
+    expect(stopped.finalRecallL).toEqual(s.finalRecallL);
+    expect(stopped.finalRecallR).toEqual(s.finalRecallR);
+    s = resumePractice(s);
+    expect(s.recallQuiz).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  RANKING_SIZE,
+  cancelRankingDrill,
+  rankCorrelation,
+  startRankingDrill,
+  submitRanking,
+} from '../../../src/engine/ranking.js';
+import {
+  createSession,
+  enterFinalRecall,
+  promptDeadline,
+  startPromptTimer,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+// Left values increase, right values decrease; shot 2 is NP on the right
+const ROWS = [
+  { initL: 10, initR: 90 },
+  { initL: 30, initR: 70 },
+  { initL: 50, initR: 0 },
+  { initL: 60, initR: 40 },
+  { initL: 70, initR: 30 },
+  { initL: 80, initR: 20 },
+  { initL: 90, initR: 10 },
+];
+
+const session = (options) => quietSession(options, ROWS);
+const valuesOf = (s, side) => (side === 'L' ? s.hiddenL : s.hiddenR);
+// Drill shots sorted from flipper tip (highest value) to base
+const tipToBase = (s) =>
+  [...s.rankingDrill.shots].sort(
+    (a, b) => valuesOf(s, s.rankingDrill.side)[b] - valuesOf(s, s.rankingDrill.side)[a]
+  );
+// Values of four items where items 2 and 3 tie
+const tiedValue = (item) => ({ 1: 70, 2: 40, 3: 40, 4: 20 })[item];
+
+describe('Shot ranking drill', () => {
+  it('scores orderings with Spearman rank correlation', () => {
+    expect(rankCorrelation([1, 2, 3, 4], [1, 2, 3, 4])).toBe(1);
+    expect(rankCorrelation([4, 3, 2, 1], [1, 2, 3, 4])).toBe(-1);
+    // One adjacent swap of four: 1 - 6 * 2 / 60
+    expect(rankCorrelation([2, 1, 3, 4], [1, 2, 3, 4])).toBeCloseTo(0.8);
+  });
+
+  it('accepts either order of tied shots', () => {
+    expect(rankCorrelation([1, 3, 2, 4], [1, 2, 3, 4], tiedValue)).toBe(1);
+    expect(rankCorrelation([4, 3, 2, 1], [1, 2, 3, 4], tiedValue)).toBe(-1);
+    const tied = createSession(
+      [
+        { initL: 20, initR: 80 },
+        { initL: 40, initR: 60 },
+        { initL: 40, initR: 50 },
+        { initL: 70, initR: 30 },
+      ],
+      { initRandSteps: 0, driftEvery: 0, minGapL: 0 }
+    );
+    const drill = { ...tied, rankingDrill: { side: 'L', shots: [0, 1, 2, 3] } };
+    expect(submitRanking(drill, [3, 1, 2, 0], 1).rankings[0].score).toBe(100);
+    expect(submitRanking(drill, [3, 2, 1, 0], 1).rankings[0].score).toBe(100);
+  });
+
+  it('picks a random handful of possible shots on one flipper', () => {
+    const s = startRankingDrill(session({}), {}, createRandom(4));
+    const { side, shots } = s.rankingDrill;
+    expect(shots).toHaveLength(RANKING_SIZE);
+    expect(new Set(shots).size).toBe(RANKING_SIZE);
+    expect(shots.every((idx) => valuesOf(s, side)[idx] !== 0)).toBe(true);
+  });
+
+  it('stays inside the session filters', () => {
+    const s = startRankingDrill(
+      session({ flipper: 'R', shots: [0, 1, 2, 3] }),
+      { size: 9 },
+      createRandom(1)
+    );
+    expect(s.rankingDrill.side).toBe('R');
+    // Shot 2 is NP on the right
+    expect([...s.rankingDrill.shots].sort()).toEqual([0, 1, 3]);
+  });
+
+  it('needs two possible shots and stays out of the final recall', () => {
+    const single = session({ flipper: 'L', shots: [0] });
+    expect(startRankingDrill(single, {}, createRandom(1))).toBe(single);
+    const final = enterFinalRecall(session({}));
+    expect(startRankingDrill(final, {}, createRandom(1))).toBe(final);
+  });
+
+  it('logs a perfect and a reversed order', () => {
+    let s = startRankingDrill(session({}), {}, createRandom(2));
+    const truth = tipToBase(s);
+    s = submitRanking(s, truth, 5);
+    expect(s.rankingDrill).toBeNull();
+    expect(s.rankings[0]).toMatchObject({ t: 5, order: truth, truthOrder: truth, rho: 1 });
+    expect(s.rankings[0].score).toBe(100);
+    expect(s.events.at(-1)).toMatchObject({ type: 'ranking', score: 100 });
+
+    s = startRankingDrill(s, {}, createRandom(3));
+    s = submitRanking(s, tipToBase(s).reverse(), 6);
+    expect(s.rankings.map((r) => r.score)).toEqual([0, 100]);
+  });
+
+  it('ignores orders that are not the drill shots', () => {
+    const s = startRankingDrill(session({}), { size: 3 }, createRandom(5));
+    const [a, b] = s.rankingDrill.shots;
+    expect(submitRanking(s, [a, b], 1)).toBe(s);
+    expect(submitRanking(s, [a, b, b], 1)).toBe(s);
+    expect(submitRanking(session({}), [0, 1], 1).rankings).toEqual([]);
+    expect(cancelRankingDrill(s).rankingDrill).toBeNull();
+  });
+
+  it('holds the timed prompt clock while the drill is open', () => {
+    const timed = startPromptTimer(session({ timeLimit: 10 }), 1000);
+    expect(promptDeadline(timed)).toBe(11_000);
+    const s = startRankingDrill(timed, {}, createRandom(1));
+    expect(s.rankingDrill).not.toBeNull();
+    expect(s.promptedAt).toBeNull();
+    expect(startPromptTimer(s, 2000)).toBe(s);
+    expect(promptDeadline(s)).toBeNull();
+    expect(submitTimeout(s, { t: 20_000 })).toBe(s);
+    // The prompt is timed afresh once the drill is scored
+    const done = submitRanking(s, s.rankingDrill.shots, 3000);
+    expect(promptDeadline(startPromptTimer(done, 4000))).toBe(14_000);
+  });
+});
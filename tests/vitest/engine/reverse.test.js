@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  cancelReverseDrill,
+  orderDistance,
+  startReverseDrill,
+  submitReverse,
+} from '../../../src/engine/reverse.js';
+import {
+  enterFinalRecall,
+  promptDeadline,
+  startPromptTimer,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { quietSession } from './fixtures.js';
+
+// Left values increase; shot 2 is NP on the right
+const ROWS = [
+  { initL: 10, initR: 90 },
+  { initL: 30, initR: 70 },
+  { initL: 50, initR: 0 },
+  { initL: 60, initR: 40 },
+  { initL: 70, initR: 40 },
+  { initL: 80, initR: 20 },
+];
+
+const session = (options) => quietSession(options, ROWS);
+// Sessions keep hidden values strictly ordered; ties are forced here (shots 3 & 4 on the right)
+const drilled = (drill) => ({
+  ...session({}),
+  hiddenR: ROWS.map((r) => r.initR),
+  reverseDrill: drill,
+});
+
+describe('Reverse identification drill', () => {
+  it('measures distance in the flipper order, ties sharing a place', () => {
+    const right = drilled(null).hiddenR;
+    expect(orderDistance(right, 0, 0)).toBe(0);
+    expect(orderDistance(right, 0, 1)).toBe(1);
+    expect(orderDistance(right, 3, 4)).toBe(0);
+    // 20 -> 40 -> 70: NP shot 2 is skipped over
+    expect(orderDistance(right, 5, 1)).toBe(2);
+    expect(orderDistance(right, 0, 2)).toBeNull();
+  });
+
+  it('marks the hidden value of a random possible pair inside the filters', () => {
+    const s = startReverseDrill(session({ flipper: 'R', shots: [1, 2] }), createRandom(1));
+    expect(s.reverseDrill).toEqual({ idx: 1, side: 'R', value: 70 });
+    const only = session({ flipper: 'R', shots: [2] });
+    expect(startReverseDrill(only, createRandom(1))).toBe(only);
+    const final = enterFinalRecall(session({}));
+    expect(startReverseDrill(final, createRandom(1))).toBe(final);
+  });
+
+  it('gives full credit for the shot or a tie and partial credit for a neighbour', () => {
+    const drill = { idx: 3, side: 'R', value: 40 };
+    const exact = submitReverse(drilled(drill), 4, 7);
+    expect(exact.reverseDrill).toBeNull();
+    expect(exact.reverses[0]).toMatchObject({ t: 7, ...drill, picked: 4, distance: 0 });
+    expect(exact.reverses[0]).toMatchObject({ severity: 'perfect', points: 100 });
+    expect(exact.events.at(-1)).toMatchObject({ type: 'reverse', picked: 4, points: 100 });
+
+    expect(submitReverse(drilled(drill), 1, 7).reverses[0]).toMatchObject({
+      distance: 1,
+      severity: 'slight',
+      points: 50,
+    });
+  });
+
+  it('scores far picks and NP shots as misses', () => {
+    const drill = { idx: 5, side: 'R', value: 20 };
+    expect(submitReverse(drilled(drill), 0, 1).reverses[0]).toMatchObject({
+      distance: 3,
+      severity: 'very',
+      points: 0,
+    });
+    expect(submitReverse(drilled(drill), 2, 1).reverses[0]).toMatchObject({
+      distance: null,
+      severity: 'very',
+    });
+  });
+
+  it('ignores picks without a drill or of unknown shots', () => {
+    const s = drilled({ idx: 0, side: 'L', value: 10 });
+    expect(submitReverse(s, 6, 1)).toBe(s);
+    expect(submitReverse(s, -1, 1)).toBe(s);
+    expect(submitReverse(session({}), 0, 1).reverses).toEqual([]);
+    expect(cancelReverseDrill(s).reverseDrill).toBeNull();
+  });
+
+  it('holds the timed prompt clock while the drill is open', () => {
+    const timed = startPromptTimer(session({ timeLimit: 10 }), 1000);
+    expect(promptDeadline(timed)).toBe(11_000);
+    const s = startReverseDrill(timed, createRandom(1));
+    expect(s.reverseDrill).not.toBeNull();
+    expect(s.promptedAt).toBeNull();
+    expect(startPromptTimer(s, 2000)).toBe(s);
+    expect(promptDeadline(s)).toBeNull();
+    expect(submitTimeout(s, { t: 20_000 })).toBe(s);
+    // The prompt is timed afresh once the pick is scored
+    const done = submitReverse(s, s.reverseDrill.idx, 3000);
+    expect(promptDeadline(startPromptTimer(done, 4000))).toBe(14_000);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+
+import { LEITNER_BOXES, leitnerBoxes, pickAdaptivePrompt } from '../../../src/engine/scheduler.js';
+import {
+  advancePrompt,
+  createSession,
+  selectPrompt,
+  submitAttempt,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+// Attempt record as stored on the session (only the fields the scheduler reads)
+const attempt = (idx, side, delta) => {
+  const abs = Math.abs(delta);
+  let severity = 'very';
+  if (abs === 0) {
+    severity = 'perfect';
+  } else if (abs === 5) {
+    severity = 'slight';
+  } else if (abs === 10) {
+    severity = 'fairly';
+  }
+  return { idx, side, delta, severity };
+};
+
+// Draw many prompts and count how often each shot & flipper comes up
+const tally = (state, draws) => {
+  const counts = {};
+  for (let k = 0; k < draws; k++) {
+    const { idx, side } = pickAdaptivePrompt(state, () => (k + 0.5) / draws);
+    counts[`${idx}${side}`] = (counts[`${idx}${side}`] ?? 0) + 1;
+  }
+  return counts;
+};
+
+describe('Adaptive scheduler', () => {
+  describe('leitnerBoxes', () => {
+    it('starts every shot & flipper in the first box', () => {
+      expect(leitnerBoxes([], 3)).toEqual({ L: [1, 1, 1], R: [1, 1, 1] });
+    });
+
+    it('promotes accurate guesses and demotes misses, replaying oldest first', () => {
+      // newest first: a big miss after three good guesses on 0L
+      const attempts = [
+        attempt(0, 'L', 20),
+        attempt(0, 'L', 0),
+        attempt(0, 'L', 5),
+        attempt(0, 'L', -5),
+        attempt(1, 'R', -10),
+        attempt(1, 'R', 0),
+        attempt(1, 'R', 0),
+      ];
+      const boxes = leitnerBoxes(attempts, 3);
+      expect(boxes.L[0]).toBe(1);
+      expect(boxes.R[1]).toBe(2);
+    });
+
+    it('sends a shot back to the first box when its prompt timed out', () => {
+      const attempts = [
+        { idx: 0, side: 'L', delta: null, severity: 'very', timedOut: true },
+        attempt(0, 'L', 0),
+        attempt(0, 'L', 0),
+      ];
+      expect(leitnerBoxes(attempts, 3).L[0]).toBe(1);
+    });
+
+    it('scales the hit window with the resolution', () => {
+      const good = attempt(0, 'L', 0);
+      // Five steps off at 1% is a miss, one step off at 10% a hit
+      const fiveOff = [{ idx: 0, side: 'L', delta: 5, severity: 'very' }, good];
+      expect(leitnerBoxes(fiveOff, 3, 1).L[0]).toBe(1);
+      expect(leitnerBoxes(fiveOff, 3).L[0]).toBe(3);
+      const stepOff = [{ idx: 0, side: 'L', delta: 10, severity: 'slight' }, good];
+      expect(leitnerBoxes(stepOff, 3, 10).L[0]).toBe(3);
+    });
+
+    it('caps promotion at the top box', () => {
+      const attempts = Array.from({ length: 10 }, () => attempt(2, 'L', 0));
+      expect(leitnerBoxes(attempts, 3).L[2]).toBe(LEITNER_BOXES);
+    });
+  });
+
+  describe('pickAdaptivePrompt', () => {
+    it('never repeats the current shot & flipper', () => {
+      const s = selectPrompt(
+        createSession(ROWS, { initRandSteps: 0 }, () => 0.5),
+        {
+          idx: 1,
+          side: 'L',
+        }
+      );
+      const counts = tally(s, 100);
+      expect(counts['1L']).toBeUndefined();
+      expect(Object.keys(counts)).toHaveLength(5);
+    });
+
+    it('favors shots the player misses over mastered ones', () => {
+      const mastered = Array.from({ length: 4 }, () => attempt(0, 'L', 0));
+      const s = {
+        ...selectPrompt(
+          createSession(ROWS, { initRandSteps: 0 }, () => 0.5),
+          {
+            idx: 2,
+            side: 'R',
+          }
+        ),
+        attempts: [attempt(1, 'R', 25), ...mastered],
+      };
+      const counts = tally(s, 200);
+      expect(counts['1R']).toBeGreaterThan(counts['0L'] * 8);
+    });
+  });
+
+  it('drives the next prompt in adaptive mode', () => {
+    let s = quietSession({ mode: 'adaptive' }, ROWS, () => 0.5);
+    s = selectPrompt(s, { idx: 0, side: 'L' });
+    for (let k = 0; k < 20; k++) {
+      const current = { idx: s.selectedIdx, side: s.selectedSide };
+      s = advancePrompt(submitAttempt(s, { value: 50, t: k }, Math.random));
+      expect({ idx: s.selectedIdx, side: s.selectedSide }).not.toEqual(current);
+    }
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  DEFAULT_PROFILE,
+  SCORING_PROFILES,
+  gradeAdjustment,
+  isHit,
+  rescoreAttempts,
+  scoreAttempt,
+  speedBonus,
+  timeoutAttempt,
+} from '../../../src/engine/scoring.js';
+import {
+  advancePrompt,
+  rescoreSession,
+  selectPrompt,
+  startPromptTimer,
+  submitAttempt,
+  submitTimeout,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+const mid = () => 0.5;
+
+describe('Scoring profiles', () => {
+  it('keeps the original linear scoring as the default', () => {
+    expect(DEFAULT_PROFILE).toBe('linear');
+    expect(scoreAttempt(60, 50)).toMatchObject({
+      delta: 10,
+      label: 'late',
+      severity: 'fairly',
+      points: 90,
+      profile: 'linear',
+    });
+    expect(scoreAttempt(50, 50).label).toBe('perfect');
+    // late by 10 last time, then no movement: the correction is 10 off, 5 + 2 penalty
+    expect(scoreAttempt(60, 50, { input: 60, delta: 10 })).toMatchObject({
+      adjustCorrect: false,
+      adjustPenalty: 7,
+      points: 83,
+    });
+  });
+
+  it('gives full points inside the tolerance band', () => {
+    expect(scoreAttempt(55, 50, undefined, 'tolerance')).toMatchObject({
+      severity: 'perfect',
+      label: 'perfect',
+      points: 100,
+    });
+    expect(scoreAttempt(65, 50, undefined, 'tolerance')).toMatchObject({
+      severity: 'fairly',
+      points: 80,
+    });
+  });
+
+  it('decays points exponentially', () => {
+    expect(scoreAttempt(60, 50, undefined, 'exponential').points).toBe(50);
+    expect(scoreAttempt(70, 50, undefined, 'exponential').points).toBe(25);
+  });
+
+  it('is harsh in tournament strict mode', () => {
+    expect(scoreAttempt(60, 50, undefined, 'strict')).toMatchObject({
+      severity: 'very',
+      points: 60,
+    });
+    expect(scoreAttempt(60, 50, { input: 60, delta: 10 }, 'strict').adjustPenalty).toBe(14);
+  });
+
+  it('grades a correction against undoing the previous miss', () => {
+    const veryLate = { input: 80, delta: 30 };
+    // Right direction but only a step of the 30 needed
+    expect(gradeAdjustment(75, veryLate)).toEqual({
+      expected: -30,
+      actual: -5,
+      direction: 'right',
+      undershoot: 25,
+      overshoot: 0,
+      grades: { direction: 'good', undershoot: 'poor', overshoot: 'good' },
+    });
+    // 30 past the expected correction
+    expect(gradeAdjustment(20, veryLate)).toMatchObject({
+      overshoot: 30,
+      grades: { direction: 'good', undershoot: 'good', overshoot: 'poor' },
+    });
+    expect(gradeAdjustment(60, veryLate).grades).toEqual({
+      direction: 'good',
+      undershoot: 'fair',
+      overshoot: 'good',
+    });
+    expect(gradeAdjustment(80, veryLate).grades.direction).toBe('fair');
+    expect(gradeAdjustment(85, veryLate)).toMatchObject({ direction: 'wrong', undershoot: 30 });
+    expect(gradeAdjustment(80, { input: 80, delta: 0 })).toBeNull();
+    expect(gradeAdjustment(80, { input: null, delta: null })).toBeNull();
+    expect(gradeAdjustment(80)).toBeNull();
+  });
+
+  it('penalizes corrections of the wrong size, not only the wrong direction', () => {
+    const veryLate = { input: 80, delta: 30 };
+    expect(scoreAttempt(75, 50, veryLate)).toMatchObject({
+      adjustRequired: true,
+      requiredDir: -1,
+      adjustCorrect: false,
+      adjustPenalty: 10,
+    });
+    expect(scoreAttempt(20, 50, veryLate)).toMatchObject({
+      adjustCorrect: false,
+      adjustPenalty: 11,
+    });
+    // Within two steps of the expected correction either way
+    expect(scoreAttempt(60, 50, veryLate)).toMatchObject({ adjustCorrect: true, adjustPenalty: 0 });
+    expect(scoreAttempt(45, 50, veryLate)).toMatchObject({ adjustCorrect: true, adjustPenalty: 0 });
+    expect(timeoutAttempt(50).adjustment).toBeNull();
+  });
+
+  it('never returns negative points', () => {
+    for (const id of Object.keys(SCORING_PROFILES)) {
+      expect(scoreAttempt(100, 0, { input: 5, delta: 50 }, id).points).toBe(0);
+    }
+  });
+
+  it('scales severities and correction grades with the resolution', () => {
+    // One grid step off stays a slight miss
+    expect(scoreAttempt(51, 50, undefined, 'linear', 1).severity).toBe('slight');
+    expect(scoreAttempt(53, 50, undefined, 'linear', 1).severity).toBe('very');
+    expect(scoreAttempt(60, 50, undefined, 'linear', 10).severity).toBe('slight');
+    expect(scoreAttempt(52.5, 50, undefined, 'tolerance', 2.5)).toMatchObject({
+      delta: 2.5,
+      severity: 'perfect',
+    });
+    // Points still follow the error in percent
+    expect(scoreAttempt(60, 50, undefined, 'linear', 10).points).toBe(90);
+    // A correction 5 short is within a step on the 5% and 10% grids, but five steps at 1%
+    const late = { input: 70, delta: 10 };
+    expect(gradeAdjustment(65, late, 10).grades.undershoot).toBe('good');
+    expect(gradeAdjustment(65, late, 1).grades.undershoot).toBe('poor');
+    expect(gradeAdjustment(65, late).grades.undershoot).toBe('good');
+    // Hits and speed bonuses follow the grid too
+    expect(isHit({ delta: 10 }, 10)).toBe(true);
+    expect(isHit({ delta: 2 }, 1)).toBe(false);
+    expect(isHit({ delta: null, timedOut: true })).toBe(false);
+    expect(speedBonus(0, 10_000, 20, 15, 10)).toBe(20);
+    expect(speedBonus(0, 10_000, 20, 5, 2.5)).toBe(20);
+    expect(speedBonus(0, 10_000, 20, 3, 1)).toBe(0);
+  });
+
+  it('falls back to the default profile for unknown ids', () => {
+    expect(scoreAttempt(60, 50, undefined, 'nope')).toMatchObject({
+      points: 90,
+      profile: 'linear',
+    });
+  });
+
+  it('re-scores attempts in order, keeping guesses and truths', () => {
+    let s = quietSession({ mode: 'manual' }, ROWS, mid);
+    s = submitAttempt(selectPrompt(s, { idx: 1, side: 'L' }), { value: 60, t: 1 }, mid);
+    s = submitAttempt(advancePrompt(s), { value: 60, t: 2 }, mid);
+    const rescored = rescoreAttempts(s.attempts, 'strict');
+    expect(rescored.map((a) => a.t)).toEqual([2, 1]);
+    expect(rescored[1]).toMatchObject({ input: 60, truth: 50, points: 60, profile: 'strict' });
+    expect(rescored[0]).toMatchObject({ adjustPenalty: 14, points: 46, prevInput: 60 });
+  });
+
+  it('scales the speed bonus down to nothing at the time limit', () => {
+    expect(speedBonus(0, 10000, 20, 0)).toBe(20);
+    expect(speedBonus(5000, 10000, 20, -10)).toBe(10);
+    expect(speedBonus(10000, 10000, 20, 0)).toBe(0);
+    expect(speedBonus(1000, 10000, 20, 15)).toBe(0);
+    expect(speedBonus(null, 10000, 20, 0)).toBe(0);
+    expect(speedBonus(1000, 0, 20, 0)).toBe(0);
+  });
+
+  it('keeps speed bonuses and timeouts when re-scoring', () => {
+    let s = quietSession({ mode: 'manual', timeLimit: 10 }, ROWS, mid);
+    s = startPromptTimer(selectPrompt(s, { idx: 1, side: 'L' }), 0);
+    s = submitAttempt(s, { value: 55, t: 5000 }, mid);
+    s = startPromptTimer(advancePrompt(s), 6000);
+    s = submitTimeout(s, { t: 16000 }, mid);
+    const [timedOut, fast] = rescoreAttempts(s.attempts, 'tolerance');
+    expect(fast).toMatchObject({ basePoints: 100, speedBonus: 10, points: 110 });
+    expect(timedOut).toMatchObject({ timedOut: true, points: 0, profile: 'tolerance' });
+  });
+
+  it('switches a session to another profile for past and future attempts', () => {
+    let s = quietSession({ mode: 'manual' }, ROWS, mid);
+    s = submitAttempt(selectPrompt(s, { idx: 1, side: 'L' }), { value: 55, t: 1 }, mid);
+    s = rescoreSession(s, 'tolerance');
+    expect(s.options.scoringProfile).toBe('tolerance');
+    expect(s.attempts[0].points).toBe(100);
+    s = submitAttempt(advancePrompt(s), { value: 65, t: 2 }, mid);
+    expect(s.attempts[0].profile).toBe('tolerance');
+  });
+});
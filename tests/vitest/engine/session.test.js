@@ -0,0 +1,415 @@
+import { describe, it, expect } from 'vitest';
+
+import { createRandom, parseSeed, seededRandom } from '../../../src/engine/random.js';
+import {
+  advancePrompt,
+  applyDrift,
+  createSession,
+  endSprintIfDue,
+  enterFinalRecall,
+  grade,
+  pickRandomIdx,
+  promptDeadline,
+  selectPrompt,
+  sessionStats,
+  resumePractice,
+  setFinalRecallValue,
+  shotBreakdown,
+  sprintDeadline,
+  sprintRemaining,
+  startPromptTimer,
+  stopPromptTimer,
+  submitAttempt,
+  submitTimeout,
+  triggerDrift,
+  validatePercent,
+  withSessionRandom,
+} from '../../../src/engine/session.js';
+
+import { ROWS, quietSession } from './fixtures.js';
+
+// Deterministic generator cycling through the given values
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+const mid = () => 0.5; // rndInt(-n, n) => 0 offset, side => 'R'
+
+// Timed session (10 s per prompt) whose clock started at t = 1000
+const timed = (options = {}) =>
+  startPromptTimer(
+    selectPrompt(quietSession({ mode: 'manual', timeLimit: 10, ...options }, ROWS, mid), {
+      idx: 1,
+      side: 'L',
+    }),
+    1000
+  );
+
+const SEEDED = { initRandSteps: 2, driftEvery: 2, driftMag: 2, seed: 1234 };
+
+// Play a fixed list of guesses through a seeded session, with a manual drift halfway
+function play(options, interleave) {
+  let s = createSession(ROWS, options);
+  for (const [k, value] of [50, 30, 70, 55, 40, 65].entries()) {
+    interleave?.(); // e.g. unrelated UI code drawing from the shared generator
+    s = withSessionRandom(s, (random) => submitAttempt(s, { value, t: k }, random));
+    s = advancePrompt(s);
+    if (k === 2) {
+      s = withSessionRandom(s, (random) => triggerDrift(s, { t: k }, random));
+    }
+  }
+  return s;
+}
+
+// Session without randomization or drift, prompting the middle shot on the left flipper
+const start = () =>
+  selectPrompt(quietSession({}, ROWS, mid), {
+    idx: 1,
+    side: 'L',
+  });
+
+describe('Session engine', () => {
+  describe('createSession', () => {
+    it('captures bases and starts hidden values on them when there is no randomization', () => {
+      const s = createSession(ROWS, { initRandSteps: 0 }, mid);
+      expect(s.baseL).toEqual([25, 50, 75]);
+      expect(s.baseR).toEqual([75, 50, 25]);
+      expect(s.hiddenL).toEqual([25, 50, 75]);
+      expect(s.hiddenR).toEqual([75, 50, 25]);
+      expect(s.attempts).toEqual([]);
+      expect(s.attemptCount).toBe(0);
+      expect(s.finalPhase).toBe(false);
+      expect(s.pendingNext).toBeNull();
+    });
+
+    it('keeps hidden values ordered and within ±20 of the base', () => {
+      for (let run = 0; run < 25; run++) {
+        const s = createSession(ROWS, { initRandSteps: 4 }, Math.random);
+        for (const [i, v] of s.hiddenL.entries()) {
+          expect(Math.abs(v - s.baseL[i])).toBeLessThanOrEqual(20);
+          expect(v % 5).toBe(0);
+        }
+        expect(s.hiddenL[0]).toBeLessThan(s.hiddenL[1]);
+        expect(s.hiddenL[1]).toBeLessThan(s.hiddenL[2]);
+        expect(s.hiddenR[0]).toBeGreaterThan(s.hiddenR[1]);
+        expect(s.hiddenR[1]).toBeGreaterThan(s.hiddenR[2]);
+      }
+    });
+
+    it('never randomizes Not Possible (0) values', () => {
+      const s = createSession(
+        [{ initL: 0, initR: 40 }, ...ROWS],
+        { initRandSteps: 4 },
+        Math.random
+      );
+      expect(s.hiddenL[0]).toBe(0);
+    });
+
+    it('returns an empty session for no rows without consuming randomness', () => {
+      const s = createSession([], {}, () => {
+        throw new Error('random should not be called');
+      });
+      expect(s.hiddenL).toEqual([]);
+      expect(s.selectedIdx).toBe(0);
+    });
+  });
+
+  describe('submitAttempt', () => {
+    it('scores a guess against the hidden value and records it newest first', () => {
+      const s = submitAttempt(start(), { value: 60, t: 1 }, mid);
+      expect(s.attemptCount).toBe(1);
+      expect(s.attempts[0]).toMatchObject({
+        t: 1,
+        idx: 1,
+        side: 'L',
+        input: 60,
+        truth: 50,
+        delta: 10,
+        label: 'late',
+        severity: 'fairly',
+        points: 90,
+      });
+      expect(s.mentalL[1]).toBe(60);
+    });
+
+    it('penalizes adjusting in the wrong direction after a miss', () => {
+      const manual = { ...start(), options: { ...start().options, mode: 'manual' } };
+      const first = submitAttempt(manual, { value: 60, t: 1 }, mid);
+      const second = submitAttempt(advancePrompt(first), { value: 65, t: 2 }, mid);
+      expect(second.attempts[0]).toMatchObject({
+        adjustRequired: true,
+        requiredDir: -1,
+        adjustCorrect: false,
+        adjustPenalty: 8,
+        points: 77,
+      });
+    });
+
+    it('holds the next prompt until advancePrompt is applied', () => {
+      const manual = { ...start(), options: { ...start().options, mode: 'manual' } };
+      const s = submitAttempt(manual, { value: 50, t: 1 }, mid);
+      expect(s.pendingNext).toEqual({ idx: 1, side: 'L' });
+      const next = advancePrompt(s);
+      expect(next.pendingNext).toBeNull();
+      expect(next.selectedIdx).toBe(1);
+    });
+
+    it('ignores invalid values and attempts during final recall', () => {
+      const s = start();
+      expect(submitAttempt(s, { value: 'abc' }, mid)).toBe(s);
+      const final = enterFinalRecall(s);
+      expect(submitAttempt(final, { value: 50 }, mid)).toBe(final);
+    });
+
+    it('drifts hidden values every driftEvery attempts', () => {
+      let s = createSession(ROWS, { initRandSteps: 0, driftEvery: 2, driftMag: 2 }, mid);
+      const up = sequence(0.99); // max steps, upward
+      s = submitAttempt(s, { value: 50, t: 1 }, up);
+      expect(s.hiddenL).toEqual([25, 50, 75]);
+      s = submitAttempt(advancePrompt(s), { value: 50, t: 2 }, up);
+      expect(s.hiddenL).not.toEqual([25, 50, 75]);
+    });
+  });
+
+  describe('applyDrift', () => {
+    it('stays within the drift band and preserves ordering', () => {
+      let s = createSession(ROWS, { initRandSteps: 0, driftMag: 2 }, mid);
+      for (let i = 0; i < 50; i++) {
+        s = applyDrift(s, Math.random);
+        for (const [k, v] of s.hiddenL.entries()) {
+          expect(Math.abs(v - s.baseL[k])).toBeLessThanOrEqual(10);
+        }
+        expect(s.hiddenL[0]).toBeLessThan(s.hiddenL[1]);
+        expect(s.hiddenL[1]).toBeLessThan(s.hiddenL[2]);
+      }
+    });
+
+    it('does nothing when drift magnitude is zero', () => {
+      const s = createSession(ROWS, { initRandSteps: 0, driftMag: 0 }, mid);
+      expect(applyDrift(s, Math.random).hiddenL).toEqual(s.hiddenL);
+    });
+  });
+
+  describe('pickRandomIdx', () => {
+    it('avoids repeating the current shot', () => {
+      const s = selectPrompt(createSession(ROWS, {}, mid), { idx: 0 });
+      expect(pickRandomIdx(s, sequence(0, 0, 0.9))).toBe(2);
+    });
+  });
+
+  describe('grade and stats', () => {
+    it('grades final recall as 100 - MAE with per-shot errors', () => {
+      let s = createSession(ROWS, { initRandSteps: 0 }, mid);
+      expect(grade(s).score).toBe(100);
+      s = setFinalRecallValue(s, 'L', 0, 45);
+      const result = grade(s);
+      expect(result.shots[0]).toEqual({
+        truthL: 25,
+        truthR: 75,
+        inL: true,
+        inR: true,
+        errorL: 20,
+        errorR: 0,
+        error: 20,
+      });
+      expect(result.mae).toBeCloseTo(20 / 6);
+      expect(result.score).toBe(97);
+    });
+
+    it('grades only the shot & flipper pairs the session covered', () => {
+      let s = createSession(ROWS, { initRandSteps: 0, flipper: 'L', shots: [0, 2] }, mid);
+      s = setFinalRecallValue(s, 'L', 0, 45);
+      s = setFinalRecallValue(s, 'R', 0, 0);
+      const result = grade(s);
+      expect(result.shots[0]).toMatchObject({ inL: true, inR: false, errorR: 0, error: 20 });
+      expect(result.shots[1]).toMatchObject({ inL: false, inR: false, error: 0 });
+      expect(result.mae).toBe(10);
+      expect(result.subset).toEqual({ flipper: 'L', shots: [0, 2], excludeNP: false });
+    });
+
+    it('sums points and averages absolute error', () => {
+      let s = quietSession({}, ROWS, mid);
+      s = submitAttempt(selectPrompt(s, { idx: 0, side: 'L' }), { value: 35, t: 1 }, mid);
+      s = submitAttempt(advancePrompt(s), { value: 50, t: 2 }, mid);
+      const { totalPoints, avgAbsErr } = sessionStats(s);
+      expect(totalPoints).toBe(s.attempts[0].points + s.attempts[1].points);
+      expect(avgAbsErr).toBe((Math.abs(s.attempts[0].delta) + 10) / 2);
+    });
+
+    it('leaves calibration attempts out of the totals and splits first-pass from repeats', () => {
+      let s = quietSession({ mode: 'manual', calibrateFirst: true }, ROWS, mid);
+      s = submitAttempt(selectPrompt(s, { idx: 1, side: 'L' }), { value: 70, t: 1 }, mid);
+      expect(s.attempts[0]).toMatchObject({ firstPass: true, calibration: true, points: 80 });
+      s = submitAttempt(advancePrompt(s), { value: 55, t: 2 }, mid);
+      expect(s.attempts[0]).toMatchObject({ firstPass: false, calibration: false });
+      const stats = sessionStats(s);
+      expect(stats.totalPoints).toBe(s.attempts[0].points);
+      expect(stats.avgAbsErr).toBe(5);
+      expect(stats.firstPass).toEqual({ count: 1, avgAbsErr: 20 });
+      expect(stats.repeat).toEqual({ count: 1, avgAbsErr: 5 });
+    });
+
+    it('keeps calibration for the first guess after a timed-out prompt', () => {
+      let s = quietSession({ mode: 'manual', calibrateFirst: true, timeLimit: 5 }, ROWS, mid);
+      s = selectPrompt(s, { idx: 1, side: 'L' });
+      s = submitTimeout(startPromptTimer(s, 0), { t: 9000 }, mid);
+      expect(s.attempts[0]).toMatchObject({ timedOut: true, calibration: false });
+      s = submitAttempt(startPromptTimer(advancePrompt(s), 10_000), { value: 70, t: 11_000 }, mid);
+      expect(s.attempts[0]).toMatchObject({ firstPass: true, calibration: true, points: 80 });
+      expect(sessionStats(s).firstPass.count).toBe(1);
+    });
+
+    it('scores first sightings normally when calibration is off', () => {
+      const s = submitAttempt(start(), { value: 60, t: 1 }, mid);
+      expect(s.attempts[0]).toMatchObject({ firstPass: true, calibration: false });
+      expect(sessionStats(s).totalPoints).toBe(90);
+    });
+
+    it('validates and snaps percentages', () => {
+      expect(validatePercent('52')).toBe(50);
+      expect(validatePercent(140)).toBe(100);
+      expect(validatePercent('x')).toBeNull();
+    });
+  });
+
+  describe('timed mode', () => {
+    it('stores the answer latency and adds a speed bonus for close guesses', () => {
+      const s = submitAttempt(timed(), { value: 55, t: 3500 }, mid);
+      // 95 for the guess, 20 * (1 - 2.5 / 10) = 15 for the speed
+      expect(s.attempts[0]).toMatchObject({ latency: 2500, speedBonus: 15, points: 110 });
+      expect(s.promptedAt).toBeNull();
+      const far = submitAttempt(timed(), { value: 80, t: 1500 }, mid);
+      expect(far.attempts[0]).toMatchObject({ latency: 500, speedBonus: 0, points: 70 });
+    });
+
+    it('records latency without a bonus when untimed', () => {
+      const s = submitAttempt(timed({ timeLimit: 0 }), { value: 50, t: 1800 }, mid);
+      expect(s.attempts[0]).toMatchObject({ latency: 800, speedBonus: 0, points: 100 });
+      expect(promptDeadline(timed({ timeLimit: 0 }))).toBeNull();
+    });
+
+    it('counts a prompt that runs out of time as a miss', () => {
+      const s = timed();
+      expect(promptDeadline(s)).toBe(11000);
+      expect(submitTimeout(s, { t: 10999 }, mid)).toBe(s);
+      const next = submitTimeout(s, { t: 11000 }, mid);
+      expect(next.attempts[0]).toMatchObject({
+        input: null,
+        delta: null,
+        label: 'timeout',
+        points: 0,
+        timedOut: true,
+        latency: 10000,
+      });
+      expect(next.mentalL).toEqual(s.mentalL);
+      expect(next.pendingNext).toEqual({ idx: 1, side: 'L' });
+      expect(promptDeadline(next)).toBeNull();
+    });
+
+    it('treats an answer after the deadline as a timeout', () => {
+      const s = submitAttempt(timed(), { value: 50, t: 12000 }, mid);
+      expect(s.attempts[0]).toMatchObject({ timedOut: true, input: null, points: 0 });
+    });
+
+    it('only runs the clock while a prompt is waiting for an answer', () => {
+      const s = timed();
+      expect(startPromptTimer(s, 5000)).toBe(s);
+      const answered = submitAttempt(s, { value: 50, t: 2000 }, mid);
+      expect(startPromptTimer(answered, 3000)).toBe(answered);
+      expect(startPromptTimer(advancePrompt(answered), 3000).promptedAt).toBe(3000);
+      expect(stopPromptTimer(s).promptedAt).toBeNull();
+    });
+
+    it('leaves timeouts out of the error averages', () => {
+      let s = submitTimeout(timed(), { t: 11000 }, mid);
+      s = submitAttempt(startPromptTimer(advancePrompt(s), 20000), { value: 60, t: 22000 }, mid);
+      expect(sessionStats(s)).toMatchObject({
+        avgAbsErr: 10,
+        timeouts: 1,
+        avgLatency: 2000,
+        // A timeout is no sighting: the guess after it is still a first pass
+        firstPass: { count: 1, avgAbsErr: 10 },
+        repeat: { count: 0 },
+      });
+    });
+  });
+
+  describe('sprint sessions', () => {
+    it('enters final recall by itself after the last sprint attempt', () => {
+      let s = timed({ timeLimit: 0, sprintAttempts: 2 });
+      expect(sprintRemaining(s, 1000)).toEqual({ attempts: 2, ms: null });
+      s = submitAttempt(s, { value: 50, t: 2000 }, mid);
+      expect(s.finalPhase).toBe(false);
+      s = submitAttempt(advancePrompt(s), { value: 60, t: 3000 }, mid);
+      expect(s).toMatchObject({ finalPhase: true, sprintEnded: true });
+      expect(resumePractice(s)).toBe(s);
+    });
+
+    it('runs the minute clock from the first prompt', () => {
+      const s = timed({ timeLimit: 0, sprintMinutes: 5 });
+      expect(sprintDeadline(s)).toBe(1000 + 5 * 60 * 1000);
+      expect(sprintRemaining(s, 61000)).toEqual({ attempts: null, ms: 4 * 60 * 1000 });
+      expect(endSprintIfDue(s, 300000)).toBe(s);
+      expect(endSprintIfDue(s, 301000)).toMatchObject({ finalPhase: true, sprintEnded: true });
+      // No clock before the first prompt and no sprint without a length
+      expect(sprintDeadline(start())).toBeNull();
+      expect(sprintRemaining(start(), 0)).toBeNull();
+    });
+
+    it('breaks practice results down per shot & flipper', () => {
+      let s = submitAttempt(timed(), { value: 60, t: 2000 }, mid);
+      s = submitTimeout(startPromptTimer(advancePrompt(s), 3000), { t: 13000 }, mid);
+      s = selectPrompt(advancePrompt(s), { idx: 0, side: 'R' });
+      s = submitAttempt(s, { value: 75, t: 14000 }, mid);
+      expect(shotBreakdown(s)).toEqual([
+        { idx: 0, side: 'R', attempts: 1, timeouts: 0, avgAbsErr: 0, points: 100 },
+        { idx: 1, side: 'L', attempts: 2, timeouts: 1, avgAbsErr: 10, points: 90 + 18 },
+      ]);
+    });
+  });
+
+  describe('seeded sessions', () => {
+    it('parses seeds', () => {
+      expect(parseSeed('42')).toBe(42);
+      expect(parseSeed(0)).toBe(0);
+      expect(parseSeed('')).toBeNull();
+      expect(parseSeed('-1')).toBeNull();
+      expect(parseSeed('1.5')).toBeNull();
+      expect(parseSeed(2 ** 32)).toBeNull();
+    });
+
+    it('resumes a generator from its stored state', () => {
+      const a = createRandom(7);
+      a();
+      const b = createRandom(a.state());
+      expect(b()).toBe(a());
+    });
+
+    it('starts the same session from the same seed', () => {
+      const a = createSession(ROWS, SEEDED);
+      const b = createSession(ROWS, { ...SEEDED, seed: '1234' }, () => 0.99);
+      expect(b).toEqual(a);
+      expect(a.options.seed).toBe(1234);
+      expect(a.rngState).not.toBeNull();
+    });
+
+    it('replays hidden values, drift and prompts exactly', () => {
+      const first = play(SEEDED);
+      const replay = play(SEEDED, () => seededRandom());
+      expect(replay.attempts).toEqual(first.attempts);
+      expect(replay.driftLog).toEqual(first.driftLog);
+      expect(replay.hiddenL).toEqual(first.hiddenL);
+      expect(play({ ...SEEDED, seed: 99 }).attempts).not.toEqual(first.attempts);
+    });
+
+    it('leaves unseeded sessions on the shared generator', () => {
+      const s = createSession(ROWS, { seed: null }, mid);
+      expect(s.rngState).toBeNull();
+      const next = withSessionRandom(s, (random) => {
+        expect(random).toBe(seededRandom);
+        return triggerDrift(s, { t: 1 }, mid);
+      });
+      expect(next.rngState).toBeNull();
+    });
+  });
+});
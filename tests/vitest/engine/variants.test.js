@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+
+import { createRandom } from '../../../src/engine/random.js';
+import {
+  advancePrompt,
+  rescoreSession,
+  selectPrompt,
+  submitAttempt,
+} from '../../../src/engine/session.js';
+import {
+  ballPhrase,
+  ballStatesOf,
+  pickBall,
+  variantBases,
+  variantTruth,
+} from '../../../src/engine/variants.js';
+
+import { quietSession } from './fixtures.js';
+
+const ROWS = [
+  { initL: 30, initR: 70, variants: { live: { initL: 40, initR: null }, drop: { initR: 0 } } },
+  { initL: 60, initR: 0, variants: { cradle: { initR: 45 } } },
+  { initL: 80, initR: 20 },
+];
+
+const session = (options) => quietSession({ seed: 1, ...options }, ROWS);
+
+describe('Ball-arrival variants', () => {
+  it('keeps the variants set on each flipper', () => {
+    expect(variantBases(ROWS, 'L')).toEqual([{ live: 40 }, {}, {}]);
+    expect(variantBases(ROWS, 'R')).toEqual([{ drop: 0 }, { cradle: 45 }, {}]);
+    expect(variantBases([{ variants: { live: { initL: 42 } } }], 'L')).toEqual([{ live: 40 }]);
+    const s = session();
+    expect(ballStatesOf(s, 0, 'L')).toEqual(['live']);
+    expect(ballStatesOf(s, 2, 'L')).toEqual([]);
+    expect(ballPhrase('live')).toBe('from a live catch');
+    expect(ballPhrase(null)).toBe('');
+  });
+
+  it('scores variants at their setup offset from the hidden value', () => {
+    const s = { ...session(), hiddenL: [35, 60, 80] };
+    expect(variantTruth(s, { idx: 0, side: 'L' })).toBe(35);
+    expect(variantTruth(s, { idx: 0, side: 'L', ball: 'live' })).toBe(45);
+    // No variant for that state: the shot's own value
+    expect(variantTruth(s, { idx: 0, side: 'L', ball: 'drop' })).toBe(35);
+    expect(variantTruth(s, { idx: 0, side: 'R', ball: 'drop' })).toBe(0);
+    // NP on the flipper itself: the variant keeps its setup value
+    expect(variantTruth(s, { idx: 1, side: 'R', ball: 'cradle' })).toBe(45);
+    // Temporarily closed shots are NP from every ball state
+    expect(variantTruth({ ...s, hiddenL: [0, 60, 80] }, { idx: 0, side: 'L', ball: 'live' })).toBe(
+      0
+    );
+  });
+
+  it('draws a ball state only for shots with variants', () => {
+    const s = session();
+    const random = createRandom(3);
+    expect(pickBall(s, { idx: 2, side: 'L' }, random)).toBeNull();
+    const seen = new Set(
+      Array.from({ length: 30 }, () => pickBall(s, { idx: 0, side: 'L' }, random))
+    );
+    expect(seen).toEqual(new Set([null, 'live']));
+  });
+
+  it('prompts variants and scores the guess against them', () => {
+    let s = session({ mode: 'manual' });
+    s = selectPrompt(s, { idx: 0, side: 'L', ball: 'live' });
+    expect(s).toMatchObject({ selectedIdx: 0, selectedSide: 'L', selectedBall: 'live' });
+    expect(s.events.at(-1)).toMatchObject({ type: 'prompt', idx: 0, side: 'L', ball: 'live' });
+    const truth = variantTruth(s, { idx: 0, side: 'L', ball: 'live' });
+    s = submitAttempt(s, { value: truth, t: 1 }, createRandom(1));
+    expect(s.attempts[0]).toMatchObject({ ball: 'live', truth, delta: 0 });
+    // Guess values and beliefs only follow the shot's own value
+    expect(s.mentalL[0]).toBe(30);
+    expect(s.beliefL[0].n).toBe(0);
+    // Manual mode asks the same variant again
+    expect(advancePrompt(s).selectedBall).toBe('live');
+  });
+
+  it('keeps variant points when re-scored under the current profile', () => {
+    let s = selectPrompt(session({ mode: 'manual' }), { idx: 0, side: 'L' });
+    s = submitAttempt(s, { value: s.hiddenL[0] + 10, t: 1 }, createRandom(1));
+    s = selectPrompt(advancePrompt(s), { ball: 'live' });
+    const truth = variantTruth(s, { idx: 0, side: 'L', ball: 'live' });
+    s = submitAttempt(s, { value: truth, t: 2 }, createRandom(2));
+    expect(s.attempts[0]).toMatchObject({ points: 100, adjustRequired: false });
+    const rescored = rescoreSession(s, s.options.scoringProfile);
+    expect(rescored.attempts.map((a) => a.points)).toEqual(s.attempts.map((a) => a.points));
+    expect(rescored.attempts[0].adjustPenalty).toBe(0);
+  });
+
+  it('drops ball states the chosen shot & flipper has no variant for', () => {
+    const s = selectPrompt(session({ mode: 'manual' }), { idx: 0, side: 'L', ball: 'live' });
+    expect(selectPrompt(s, { idx: 2 }).selectedBall).toBeNull();
+    expect(selectPrompt(s, { ball: null }).selectedBall).toBeNull();
+    expect(selectPrompt(s, { ball: 'live' })).toBe(s);
+  });
+});
@@ -1,4 +1,4 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import React from 'react';
 import { describe, it, expect, beforeEach } from 'vitest';
@@ -133,28 +133,204 @@ describe('App - Practice Mode Comprehensive Tests', () => {
     expect(screen.getByRole('heading', { name: /practice shots/i })).toBeInTheDocument();
   }, 15000);
 
-  it('should toggle seeded random mode checkbox', async () => {
+  it('should offer recall chips on the resolution grid', async () => {
     const user = userEvent.setup();
+    localStorage.setItem('pinball_resolution_v1', '10');
     await setupAndGoToPractice(user);
 
-    // Switch to random mode first
-    const allButtons = screen.getAllByRole('button');
-    const randomButton = allButtons.find((btn) => btn.textContent === 'Random');
+    const chips = screen.getAllByRole('button', { name: /^Recall \d/ });
+    expect(chips.map((c) => c.getAttribute('aria-label'))).toContain('Recall 90');
+    expect(screen.queryByRole('button', { name: 'Recall 45' })).not.toBeInTheDocument();
+  }, 15000);
 
-    if (randomButton) {
-      await user.click(randomButton);
+  it('should show the session seed and replay it from the start', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_useSeededRandom_v1', 'true');
+    localStorage.setItem('pinball_seed_v1', JSON.stringify('777'));
+    await setupAndGoToPractice(user);
 
-      // Look for seeded checkbox
-      const checkboxes = screen.getAllByRole('checkbox');
-      const seededCheckbox = checkboxes.find((cb) => {
-        const label = cb.closest('label');
-        return label?.textContent.includes('Seeded');
-      });
+    expect(screen.getByText('777')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+    expect(screen.getByRole('button', { name: 'Recall 50' })).toBeDisabled();
 
-      if (seededCheckbox) {
-        await user.click(seededCheckbox);
-        await user.click(seededCheckbox);
-      }
+    await user.click(screen.getByRole('button', { name: 'Replay seed' }));
+    await user.click(screen.getByRole('button', { name: 'Confirm replay?' }));
+    expect(screen.getByText('Replaying seed 777')).toBeInTheDocument();
+    // Back to a fresh attempt on the same seed
+    expect(screen.getByRole('button', { name: 'Recall 50' })).toBeEnabled();
+  }, 15000);
+
+  it('should count down each prompt in timed mode and record a timeout as a miss', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_timeLimit_v1', '1');
+    await setupAndGoToPractice(user);
+
+    expect(await screen.findByRole('timer', { name: 'Time left' })).toBeInTheDocument();
+    expect(await screen.findByText("Time's up", {}, { timeout: 3000 })).toBeInTheDocument();
+    expect(screen.queryByRole('timer')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Recall 50' })).toBeDisabled();
+  }, 15000);
+
+  it('should end a sprint by itself and show the summary with the final recall', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_sprintAttempts_v1', '2');
+    await setupAndGoToPractice(user);
+
+    expect(screen.getByLabelText('Sprint progress')).toHaveTextContent('2 left');
+    await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+    expect(screen.getByLabelText('Sprint progress')).toHaveTextContent('1 left');
+    await user.click(screen.getByRole('button', { name: /next shot/i }));
+    await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+
+    expect(await screen.findByText('Sprint summary')).toBeInTheDocument();
+    expect(screen.getByText('Sprint over: recall every shot')).toBeInTheDocument();
+    expect(screen.getByTitle('The sprint is over')).toBeDisabled();
+  }, 15000);
+
+  it('should show the difficulty level with auto difficulty on', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_autoProgress_v1', 'true');
+    await setupAndGoToPractice(user);
+
+    expect(screen.getByText('Level 3 · Normal')).toBeInTheDocument();
+  }, 15000);
+
+  it('should rank a few shots from tip to base and score the order', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    await user.click(screen.getByRole('button', { name: 'Rank shots' }));
+    const list = screen.getByRole('list', { name: 'Ranking order' });
+    const items = within(list).getAllByRole('listitem');
+    expect(items.length).toBeGreaterThan(1);
+    // The first shot can only move down
+    const [up, down] = within(items[0]).getAllByRole('button');
+    expect(up).toBeDisabled();
+    await user.click(down);
+    await user.click(screen.getByRole('button', { name: 'Check order' }));
+
+    expect(screen.getByText(/^Ranking score/)).toBeInTheDocument();
+    expect(screen.getByText('Correct order')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(screen.queryByText('Correct order')).not.toBeInTheDocument();
+  }, 15000);
+
+  it('should mark a flipper point and score the shot picked for it', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    await user.click(screen.getByRole('button', { name: 'Which shot?' }));
+    expect(screen.getByText(/^Which shot\? · (Left|Right) flipper$/)).toBeInTheDocument();
+    expect(document.querySelector('[data-flipper-marker]')).not.toBeNull();
+    const picks = screen.getAllByRole('button', { name: /^Pick / });
+    expect(picks.length).toBeGreaterThan(1);
+    await user.click(picks[0]);
+
+    // Shot boxes stop being buttons once the answer is shown
+    expect(screen.queryAllByRole('button', { name: /^Pick / })).toHaveLength(0);
+    expect(screen.getByText(/^(Correct|You picked)/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next drill' })).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(document.querySelector('[data-flipper-marker]')).toBeNull();
+  }, 15000);
+
+  it('should run a combo step by step and replay combos saved for the table', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    await user.click(screen.getByRole('button', { name: 'Combo' }));
+    const steps = screen.getByRole('list', { name: 'Combo steps' });
+    const panel = () => screen.getByRole('list', { name: 'Combo steps' }).parentElement;
+    const count = within(steps).getAllByRole('listitem').length;
+    expect(count).toBeGreaterThanOrEqual(2);
+    expect(document.querySelectorAll('[data-sequence-step]')).toHaveLength(count);
+    for (let k = 0; k < count; k++) {
+      expect(within(panel()).getByText(`Step ${k + 1} of ${count}`)).toBeInTheDocument();
+      await user.click(within(panel()).getByRole('button', { name: 'Recall 50' }));
+    }
+    expect(within(panel()).getByText(/^(Clean combo|Broke at step \d)$/)).toBeInTheDocument();
+    expect(within(panel()).getAllByText(/^50% vs \d\d%/)).toHaveLength(count);
+    expect(screen.getByRole('button', { name: 'Next combo' })).toBeInTheDocument();
+
+    // Build a combo for the table: the same shot twice can't be saved
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Combo step 2' }), [
+      screen.getAllByRole('option', { name: /Right Flipper → Left Orbit/ })[1],
+    ]);
+    expect(screen.getByRole('button', { name: 'Save combo' })).toBeDisabled();
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Combo step 2' }), [
+      screen.getAllByRole('option', { name: /Right Flipper → Right Orbit/ })[1],
+    ]);
+    // Steps added and removed again leave the chosen ones alone
+    await user.click(screen.getByRole('button', { name: '+ step' }));
+    expect(screen.getByRole('combobox', { name: 'Combo step 3' })).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: '− step' }));
+    expect(screen.queryByRole('combobox', { name: 'Combo step 3' })).toBeNull();
+    expect(screen.getByRole('combobox', { name: 'Combo step 2' })).toHaveDisplayValue(
+      /Right Flipper → Right Orbit/
+    );
+    await user.click(screen.getByRole('button', { name: 'Save combo' }));
+    expect(JSON.parse(localStorage.getItem('pinball_combos_v1'))).toHaveLength(1);
+    await user.click(screen.getByRole('button', { name: 'Play' }));
+    expect(screen.getByText('Combo · 2 shots')).toBeInTheDocument();
+    expect(screen.getByText('Step 1 of 2')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Skip' }));
+    expect(screen.queryByRole('list', { name: 'Combo steps' })).toBeNull();
+  }, 20000);
+
+  it('should prompt ball-arrival variants of a shot', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_mode_v1', JSON.stringify('manual'));
+    localStorage.setItem(
+      'pinball_rows_v1',
+      JSON.stringify([
+        {
+          id: 1,
+          base: 'Ramp',
+          location: 'Left',
+          type: 'Left Ramp',
+          initL: 40,
+          initR: 60,
+          variants: { live: { initR: 70 } },
+        },
+        { id: 2, base: 'Orbit', location: 'Right', type: 'Right Orbit', initL: 70, initR: 30 },
+      ])
+    );
+    render(<App />);
+    await user.click(
+      screen.getAllByRole('button').find((btn) => btn.textContent === 'Practice' && !btn.disabled)
+    );
+
+    await user.click(await screen.findByRole('button', { name: 'Left Ramp' }));
+    await user.click(screen.getByRole('button', { name: 'Right' }));
+    await user.click(screen.getByRole('button', { name: 'Live catch' }));
+    expect(
+      screen.getByText('Left Ramp from a live catch on the right flipper')
+    ).toBeInTheDocument();
+
+    // Shots & flippers without variants have no ball states to pick
+    await user.click(screen.getByRole('button', { name: 'Left' }));
+    expect(screen.queryByRole('button', { name: 'Live catch' })).toBeNull();
+    expect(document.querySelector('[data-prompt-text]')).toBeNull();
+  }, 15000);
+
+  it('should keep prompts and the final recall on the chosen flipper', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_mode_v1', JSON.stringify('manual'));
+    localStorage.setItem('pinball_flipperFilter_v1', JSON.stringify('L'));
+    await setupAndGoToPractice(user);
+
+    expect(screen.getByRole('button', { name: 'Left' })).toBeEnabled();
+    expect(screen.getByRole('button', { name: 'Right' })).toBeDisabled();
+
+    await user.click(screen.getByTitle('Go to final recall'));
+    expect(await screen.findByText('Left flipper')).toBeInTheDocument();
+    // Every right flipper cell is left out of the recall
+    const rows = within(screen.getByRole('table', { name: 'Final recall' }))
+      .getAllByRole('row')
+      .slice(1);
+    expect(rows.length).toBeGreaterThan(0);
+    for (const row of rows) {
+      expect(within(row).getAllByRole('cell')[2]).toHaveTextContent('—');
     }
   }, 15000);
 
@@ -213,6 +389,142 @@ describe('App - Practice Mode Comprehensive Tests', () => {
     }
   }, 15000);
 
+  it('should switch to adaptive mode and lock manual shot selection', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    const adaptiveButton = screen
+      .getAllByRole('button')
+      .find((btn) => btn.textContent === 'Adaptive');
+    expect(adaptiveButton).toBeDefined();
+    await user.click(adaptiveButton);
+
+    await waitFor(() => {
+      expect(screen.getByTitle(/weighted toward your misses/i)).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Left' })).toBeDisabled();
+    });
+  }, 15000);
+
+  it('should resume a session stored in the old per-field keys and drop those keys', async () => {
+    const legacy = {
+      pinball_initialized_v1: true,
+      pinball_baseL_v1: [30, 60],
+      pinball_baseR_v1: [70, 40],
+      pinball_initialOrderL_v1: [0, 1],
+      pinball_initialOrderR_v1: [1, 0],
+      pinball_hiddenL_v1: [35, 60],
+      pinball_hiddenR_v1: [70, 45],
+      pinball_mentalL_v1: [40, 50],
+      pinball_mentalR_v1: [50, 50],
+      pinball_attempts_v1: [],
+      pinball_attemptCount_v1: 3,
+      pinball_selSide_v1: 'R',
+      pinball_finalPhase_v1: false,
+      pinball_finalRecallL_v1: [],
+      pinball_finalRecallR_v1: [],
+    };
+    localStorage.setItem(
+      'pinball_rows_v1',
+      JSON.stringify([
+        { id: 1, base: 'Ramp', location: 'Left', type: 'Left Ramp', initL: 30, initR: 70 },
+        { id: 2, base: 'Ramp', location: 'Right', type: 'Right Ramp', initL: 60, initR: 40 },
+      ])
+    );
+    localStorage.setItem('pinball_mode_v1', JSON.stringify('manual'));
+    for (const [key, value] of Object.entries(legacy)) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+    render(<App />);
+
+    await waitFor(() => {
+      for (const key of Object.keys(legacy)) {
+        expect(localStorage.getItem(key)).toBeNull();
+      }
+    });
+    const session = JSON.parse(localStorage.getItem('pinball_session_v1'));
+    expect(session).toMatchObject({
+      options: { mode: 'manual' },
+      hiddenL: [35, 60],
+      hiddenR: [70, 45],
+      mentalL: [40, 50],
+      attemptCount: 3,
+      selectedSide: 'R',
+    });
+    // Settings shared with the old layout are still in use
+    expect(localStorage.getItem('pinball_mode_v1')).toBe(JSON.stringify('manual'));
+  });
+
+  it('should undo and redo an attempt from the toast and keyboard', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+    expect(screen.getByText('Recorded 50%')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Recall 50' })).toBeDisabled();
+
+    // Undo from the toast action restores the prompt awaiting a guess
+    await user.click(screen.getByRole('button', { name: 'Undo' }));
+    await waitFor(() => {
+      expect(screen.getByText('Undone')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Recall 50' })).not.toBeDisabled();
+    });
+
+    // Redo via keyboard brings the attempt back
+    await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+    await waitFor(() => {
+      expect(screen.getByText('Redone')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Recall 50' })).toBeDisabled();
+    });
+  }, 15000);
+
+  it('should show belief bands with the guess values after an attempt', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_showMentalModel_v1', JSON.stringify(true));
+    localStorage.setItem('pinball_showFeedback_v1', JSON.stringify(true));
+    await setupAndGoToPractice(user);
+    expect(screen.queryAllByRole('img', { name: /^Belief/ })).toHaveLength(0);
+
+    await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+    expect(
+      screen.getByRole('img', { name: /^Belief \d+%, likely .* from 1 guess/ })
+    ).toBeInTheDocument();
+    expect(document.querySelector('[data-belief-band]')).not.toBeNull();
+  }, 15000);
+
+  it('should grade the correction after a miss in the feedback and history', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('pinball_mode_v1', JSON.stringify('manual'));
+    localStorage.setItem('pinball_showFeedback_v1', JSON.stringify(true));
+    localStorage.setItem('pinball_showAttemptHistory_v1', JSON.stringify(true));
+    await setupAndGoToPractice(user);
+
+    // Example shots never start at 95, so the first guess is late and the second doesn't correct it
+    await user.click(screen.getByRole('button', { name: 'Recall 95' }));
+    await user.click(screen.getByRole('button', { name: /next shot/i }));
+    await user.click(screen.getByRole('button', { name: 'Recall 95' }));
+
+    expect(screen.getByText('Adjustment grades')).toBeInTheDocument();
+    expect(screen.getByText(/^Lower by \d+%$/)).toBeInTheDocument();
+    // Feedback panel and attempt history
+    expect(screen.getAllByText('Dir none')).toHaveLength(2);
+    expect(screen.getAllByTitle('direction: fair')).toHaveLength(2);
+  }, 15000);
+
+  it('should log a manual machine change in the drift log', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToPractice(user);
+
+    expect(screen.getByText('No drift yet')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Machine changed' }));
+    expect(screen.getByText('Machine changed: hidden values shifted')).toBeInTheDocument();
+    expect(screen.getByText('1 drift event')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('checkbox', { name: 'Drift log' }));
+    const heading = await screen.findByRole('heading', { name: 'Drift log' });
+    expect(heading).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'manual' })).toBeInTheDocument();
+  }, 15000);
+
   it('should navigate back to setup from practice mode', async () => {
     const user = userEvent.setup();
     await setupAndGoToPractice(user);
@@ -1,4 +1,4 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import React from 'react';
 import { describe, it, expect, beforeEach } from 'vitest';
@@ -94,6 +94,36 @@ describe('App - Recall Mode Tests', () => {
     expect(screen.getByText(/total attempts/i)).toBeInTheDocument();
   }, 15000);
 
+  it('should break the final grade down by part', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToRecall(user);
+
+    const table = screen.getByRole('table', { name: 'Grade breakdown' });
+    for (const label of [
+      'Numeric accuracy',
+      'NP classification',
+      'Ordering consistency',
+      'Combined grade',
+    ]) {
+      expect(within(table).getByText(label)).toBeInTheDocument();
+    }
+  }, 15000);
+
+  it('should quiz every shot one at a time and grade the answers at the end', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToRecall(user);
+
+    await user.click(screen.getByRole('button', { name: 'Quiz me one at a time' }));
+    expect(screen.queryByRole('table', { name: 'Grade breakdown' })).not.toBeInTheDocument();
+    const total = Number(screen.getByText(/^Recall quiz/).textContent.split('/ ')[1]);
+    for (let k = 0; k < total; k++) {
+      await user.click(screen.getByRole('button', { name: 'Recall 50' }));
+    }
+
+    expect(screen.getByText('Quiz done: your answers are graded below')).toBeInTheDocument();
+    expect(screen.getByRole('table', { name: 'Grade breakdown' })).toBeInTheDocument();
+  }, 30000);
+
   it('should handle dark mode toggle in recall mode', async () => {
     const user = userEvent.setup();
     await setupAndGoToRecall(user);
@@ -160,4 +190,20 @@ describe('App - Recall Mode Tests', () => {
       }
     }
   }, 20000);
+
+  it('should step through the session replay', async () => {
+    const user = userEvent.setup();
+    await setupAndGoToRecall(user);
+
+    await user.click(screen.getByRole('button', { name: 'Replay session' }));
+    expect(screen.getByText('Session started')).toBeInTheDocument();
+    expect(screen.getByText('Step 1 / 2')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Next ▶' }));
+    expect(screen.getByText(/^Prompt: /)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Last ⏭' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Hide replay' }));
+    expect(screen.queryByText('Step 2 / 2')).not.toBeInTheDocument();
+  }, 15000);
 });
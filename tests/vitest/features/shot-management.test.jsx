@@ -1,10 +1,24 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import React from 'react';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 import App from '../../../src/app.jsx';
 
+const EXPORT_SHOTS = { name: 'Export shots' };
+
+// Collect the files written by "Export shots"; restore() puts the real URL functions back
+function captureExports() {
+  const blobs = [];
+  const { createObjectURL, revokeObjectURL } = URL;
+  URL.createObjectURL = vi.fn((blob) => {
+    blobs.push(blob);
+    return 'blob:export';
+  });
+  URL.revokeObjectURL = vi.fn();
+  return { blobs, restore: () => Object.assign(URL, { createObjectURL, revokeObjectURL }) };
+}
+
 describe('App - Additional Features', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -120,6 +134,31 @@ describe('App - Additional Features', () => {
         expect(advancedButton).toHaveAttribute('aria-expanded', 'true');
       });
     });
+
+    it('should snap shots to a new resolution', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem(
+        'pinball_rows_v1',
+        JSON.stringify([
+          { id: 1, base: 'Ramp', location: 'Left', type: 'Left Ramp', initL: 35, initR: 65 },
+          { id: 2, base: 'Ramp', location: 'Right', type: 'Right Ramp', initL: 65, initR: 35 },
+        ])
+      );
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', { name: /advanced practice options/i }));
+      const resolutions = screen.getByRole('group', { name: 'Resolution' });
+      await user.click(within(resolutions).getByRole('button', { name: '10' }));
+
+      await waitFor(() => {
+        const rows = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(rows.map((r) => [r.initL, r.initR])).toEqual([
+          [40, 70],
+          [70, 40],
+        ]);
+      });
+      expect(JSON.parse(localStorage.getItem('pinball_resolution_v1'))).toBe(10);
+    });
   });
 
   describe('Playfield Interaction', () => {
@@ -168,4 +207,281 @@ describe('App - Additional Features', () => {
       expect(shotTypeButton).toBeInTheDocument();
     });
   });
+
+  describe('Per-Shot Drift Settings', () => {
+    it('should save drift volatility and lock with the row', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem(
+        'pinball_rows_v1',
+        JSON.stringify([{ id: 1, base: 'Ramp', location: '', type: 'Ramp', initL: 40, initR: 60 }])
+      );
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', { name: /drift: normal/i }));
+      expect(screen.getByRole('button', { name: /drift: high/i })).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Lock' }));
+      expect(screen.getByRole('button', { name: 'Locked' })).toHaveAttribute(
+        'aria-pressed',
+        'true'
+      );
+      // Locked shots don't drift, so their volatility can't be changed
+      expect(screen.getByRole('button', { name: /drift: high/i })).toBeDisabled();
+
+      await waitFor(() => {
+        const [row] = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(row).toMatchObject({ volatility: 2, locked: true });
+      });
+    });
+  });
+
+  describe('Ball-Arrival Variants', () => {
+    const RAMP = { id: 1, base: 'Ramp', location: 'Left', type: 'Left Ramp', initL: 40, initR: 60 };
+
+    it('should edit variant values per ball state in the setup table', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem('pinball_rows_v1', JSON.stringify([RAMP]));
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', { name: 'Ball' }));
+      await user.type(screen.getByRole('spinbutton', { name: 'Live catch left flipper' }), '45');
+      await user.type(screen.getByRole('spinbutton', { name: 'Drop catch right flipper' }), '0');
+      expect(screen.getByRole('button', { name: 'Ball ·2' })).toBeInTheDocument();
+      await waitFor(() => {
+        const [row] = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(row.variants).toEqual({ live: { initL: 45 }, drop: { initR: 0 } });
+      });
+
+      await user.clear(screen.getByRole('spinbutton', { name: 'Drop catch right flipper' }));
+      await waitFor(() => {
+        const [row] = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(row.variants).toEqual({ live: { initL: 45 } });
+      });
+    });
+
+    it('should write variants to exported presets', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem(
+        'pinball_rows_v1',
+        JSON.stringify([{ ...RAMP, variants: { live: { initL: 45 }, drop: { initR: 0 } } }])
+      );
+      const { blobs, restore } = captureExports();
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', EXPORT_SHOTS));
+      restore();
+      const [shot] = JSON.parse(await blobs[0].text());
+      expect(shot).toMatchObject({
+        shotType: 'Left Ramp',
+        variants: { live: { leftFlipper: 45 }, drop: { rightFlipper: 'NP' } },
+      });
+    });
+  });
+
+  describe('Same Aim Point', () => {
+    const ROWS = [
+      { id: 1, base: 'Ramp', location: 'Center', type: 'Center Ramp', initL: 40, initR: 60 },
+      { id: 2, base: 'Target', location: 'Center', type: 'Center Target', initL: 40, initR: 60 },
+    ];
+
+    it('should pair a row with the one above and export the pair', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem('pinball_rows_v1', JSON.stringify(ROWS));
+      const { blobs, restore } = captureExports();
+      render(<App />);
+
+      // Only rows below another one can share its aim point
+      const toggle = await screen.findByRole('button', { name: 'Same aim' });
+      expect(toggle).toHaveAttribute('aria-pressed', 'false');
+      await user.click(toggle);
+      expect(toggle).toHaveAttribute('aria-pressed', 'true');
+      await waitFor(() => {
+        const rows = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(rows[1].aimWith).toBe(1);
+      });
+
+      await user.click(screen.getByRole('button', EXPORT_SHOTS));
+      restore();
+      const shots = JSON.parse(await blobs[0].text());
+      expect(shots[0].sameAimAs).toBeUndefined();
+      expect(shots[1]).toMatchObject({ shotType: 'Center Target', sameAimAs: 0 });
+
+      await user.click(toggle);
+      await waitFor(() => {
+        const rows = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(rows[1].aimWith).toBeUndefined();
+      });
+    });
+  });
+
+  describe('Preset Resolution', () => {
+    const TABLE = [
+      { id: 1, base: 'Ramp', location: 'Left', type: 'Left Ramp', initL: 35, initR: 65 },
+      { id: 2, base: 'Ramp', location: 'Right', type: 'Right Ramp', initL: 60, initR: 0 },
+    ];
+    const RIGHT_RAMP_NP = { shotType: 'Right Ramp', leftFlipper: 60, rightFlipper: 'NP' };
+    const valuesOf = (rows) => rows.map((r) => [r.type, r.initL, r.initR]);
+
+    // Export the stored table, then load the exported file back as a preset in a fresh app
+    async function roundTrip(user) {
+      const { blobs, restore } = captureExports();
+      const { unmount } = render(<App />);
+      await user.click(await screen.findByRole('button', EXPORT_SHOTS));
+      restore();
+      unmount();
+      const exported = JSON.parse(await blobs[0].text());
+
+      localStorage.setItem('pinball_rows_v1', JSON.stringify([]));
+      localStorage.setItem('pinball_resolution_v1', JSON.stringify(5));
+      window.EMBEDDED_PRESETS = { 'exported-table.json': exported };
+      render(<App />);
+      await user.click(await screen.findByRole('button', { name: /add shot/i }));
+      await user.click(screen.getByRole('button', { name: /choose preset/i }));
+      await user.click(screen.getByRole('option', { name: 'Exported Table' }));
+      delete window.EMBEDDED_PRESETS;
+      return exported;
+    }
+
+    it('should export a plain list of shots at the default resolution and load it back', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem('pinball_rows_v1', JSON.stringify(TABLE));
+      const exported = await roundTrip(user);
+
+      expect(exported).toEqual([
+        { shotType: 'Left Ramp', leftFlipper: 35, rightFlipper: 65 },
+        RIGHT_RAMP_NP,
+      ]);
+      await waitFor(() => {
+        expect(valuesOf(JSON.parse(localStorage.getItem('pinball_rows_v1')))).toEqual(
+          valuesOf(TABLE)
+        );
+      });
+      expect(JSON.parse(localStorage.getItem('pinball_resolution_v1'))).toBe(5);
+    });
+
+    it('should export the resolution with the shots off the default grid and load it back', async () => {
+      const user = userEvent.setup();
+      const fine = [{ ...TABLE[0], initL: 37.5, initR: 62.5 }, TABLE[1]];
+      localStorage.setItem('pinball_rows_v1', JSON.stringify(fine));
+      localStorage.setItem('pinball_resolution_v1', JSON.stringify(2.5));
+      const exported = await roundTrip(user);
+
+      expect(exported).toEqual({
+        resolution: 2.5,
+        shots: [{ shotType: 'Left Ramp', leftFlipper: 37.5, rightFlipper: 62.5 }, RIGHT_RAMP_NP],
+      });
+      await waitFor(() => {
+        expect(valuesOf(JSON.parse(localStorage.getItem('pinball_rows_v1')))).toEqual(
+          valuesOf(fine)
+        );
+      });
+      expect(JSON.parse(localStorage.getItem('pinball_resolution_v1'))).toBe(2.5);
+    });
+
+    it('should switch to the resolution of a preset off the current grid and export it', async () => {
+      const user = userEvent.setup();
+      window.EMBEDDED_PRESETS = {
+        'fine-table.json': {
+          resolution: 2.5,
+          shots: [{ shotType: 'Left Ramp', leftFlipper: 37.5, rightFlipper: 62.5 }, RIGHT_RAMP_NP],
+        },
+      };
+      const { blobs, restore } = captureExports();
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', { name: /add shot/i }));
+      await user.click(screen.getByRole('button', { name: /choose preset/i }));
+      await user.click(screen.getByRole('option', { name: 'Fine Table' }));
+      delete window.EMBEDDED_PRESETS;
+
+      // 37.5 is kept instead of being snapped onto the 5% grid
+      await waitFor(() => {
+        const rows = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        expect(rows.map((r) => [r.initL, r.initR])).toEqual([
+          [37.5, 62.5],
+          [60, 0],
+        ]);
+      });
+      expect(JSON.parse(localStorage.getItem('pinball_resolution_v1'))).toBe(2.5);
+      expect(await screen.findByText(/resolution set to 2\.5%/)).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', EXPORT_SHOTS));
+      restore();
+      expect(JSON.parse(await blobs[0].text())).toMatchObject({
+        resolution: 2.5,
+        shots: [{ leftFlipper: 37.5 }, { rightFlipper: 'NP' }],
+      });
+    });
+  });
+
+  describe('Preset Combos', () => {
+    it('should replace the combos with those of a loaded preset and export them by shot index', async () => {
+      const user = userEvent.setup();
+      localStorage.setItem(
+        'pinball_combos_v1',
+        JSON.stringify([
+          {
+            id: 1,
+            steps: [
+              { id: 900, side: 'L' },
+              { id: 901, side: 'R' },
+            ],
+          },
+        ])
+      );
+      window.EMBEDDED_PRESETS = {
+        'combo-table.json': {
+          resolution: 5,
+          shots: [
+            { shotType: 'Left Ramp', leftFlipper: 30, rightFlipper: 70 },
+            { shotType: 'Right Ramp', leftFlipper: 60, rightFlipper: 40 },
+          ],
+          combos: [
+            {
+              steps: [
+                { shot: 1, side: 'L' },
+                { shot: 0, side: 'R' },
+              ],
+            },
+            {
+              steps: [
+                { shot: 5, side: 'L' },
+                { shot: 0, side: 'R' },
+              ],
+            },
+          ],
+        },
+      };
+      const { blobs, restore } = captureExports();
+      render(<App />);
+
+      await user.click(await screen.findByRole('button', { name: /add shot/i }));
+      await user.click(screen.getByRole('button', { name: /choose preset/i }));
+      await user.click(screen.getByRole('option', { name: 'Combo Table' }));
+      delete window.EMBEDDED_PRESETS;
+
+      // The previous table's combo is gone, the preset's valid one points at the loaded rows
+      await waitFor(() => {
+        const rows = JSON.parse(localStorage.getItem('pinball_rows_v1'));
+        const combos = JSON.parse(localStorage.getItem('pinball_combos_v1'));
+        expect(combos.map((c) => c.steps)).toEqual([
+          [
+            { id: rows[1].id, side: 'L' },
+            { id: rows[0].id, side: 'R' },
+          ],
+        ]);
+      });
+
+      await user.click(screen.getByRole('button', EXPORT_SHOTS));
+      restore();
+      expect(JSON.parse(await blobs[0].text()).combos).toEqual([
+        {
+          steps: [
+            { shot: 1, side: 'L' },
+            { shot: 0, side: 'R' },
+          ],
+        },
+      ]);
+    });
+  });
 });